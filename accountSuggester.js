@@ -0,0 +1,195 @@
+// accountSuggester.js - 取引先名・摘要・金額・OCRテキストから勘定科目の候補を推定する
+// 帳簿（組織）の仕訳履歴（取引先→科目、語句の出現頻度、金額帯）から学習し、
+// 履歴が少ないうちは共通の辞書で補う
+
+const { toHalfWidth } = require('./statementImport');
+
+// 全ユーザー共通の補助辞書（キーワード → 勘定科目名）
+const FALLBACK_DICTIONARY = [
+    { account_name: '交際接待費', keywords: ['会食', '手土産', '接待', '贈答', 'ギフト', '居酒屋', '御祝', 'お祝'] },
+    { account_name: '会議費', keywords: ['会議', '打合せ', '打ち合わせ', 'カフェ', 'コーヒー', 'スターバックス', 'ドトール'] },
+    { account_name: '消耗品費', keywords: ['ストア', 'コンビニ', 'ホームセンター', '文具', '事務用品', 'アスクル', 'ダイソー', 'セブンイレブン', 'ファミリーマート', 'ローソン'] },
+    { account_name: '旅費交通費', keywords: ['タクシー', '交通', 'JR', '鉄道', '新幹線', '航空', 'ANA', 'JAL', '駐車場', 'バス', 'SUICA', 'PASMO', '高速'] },
+    { account_name: '通信費', keywords: ['NTT', 'ドコモ', 'DOCOMO', 'AU', 'KDDI', 'ソフトバンク', 'SOFTBANK', '楽天モバイル', 'インターネット', '切手', '郵便'] },
+    { account_name: '水道光熱費', keywords: ['電力', '電気', 'ガス', '水道', 'エネルギー'] },
+    { account_name: '地代家賃', keywords: ['家賃', '賃料', '不動産', '管理費'] },
+    { account_name: '支払手数料', keywords: ['手数料', '振込料'] },
+    { account_name: '新聞図書費', keywords: ['書店', '書籍', '新聞', '図書', 'AMAZON KINDLE', '紀伊國屋', 'ジュンク堂'] },
+    { account_name: '広告宣伝費', keywords: ['広告', '宣伝', 'チラシ', '印刷'] },
+    { account_name: '車両費', keywords: ['ガソリン', 'ENEOS', '出光', 'コスモ石油', '給油', '車検'] },
+    { account_name: '仕入', keywords: ['仕入', '卸', '問屋'] },
+    { account_name: '売上', keywords: ['売上', '入金', '振込入金'] }
+];
+
+// 各特徴量の重み
+const WEIGHTS = { vendor: 3.0, token: 1.5, amount: 0.8, dictionary: 1.0, usage: 0.3 };
+const CORRECTION_WEIGHT = 3; // ユーザーが候補を訂正したときの学習量（通常の登録は1）
+const MAX_CANDIDATES = 5;
+
+// 取引先名の表記ゆれをそろえる（全角半角・空白・法人格）
+const normalizeVendor = (name) => toHalfWidth(String(name || ''))
+    .toUpperCase()
+    .replace(/株式会社|有限会社|合同会社|\(株\)|（株）|㈱|\(有\)|（有）|㈲/g, '')
+    .replace(/\s+/g, '')
+    .slice(0, 100);
+
+// 分かち書きをせずに扱えるよう、英数字は単語単位、日本語は2文字ずつ（bigram）に分割する
+const extractTokens = (text) => {
+    const normalized = toHalfWidth(String(text || '')).toUpperCase();
+    const tokens = new Set();
+    (normalized.match(/[A-Z][A-Z0-9]+/g) || []).forEach(word => tokens.add(word));
+    (normalized.match(/[\u3040-\u30FF\u4E00-\u9FFF\uFF66-\uFF9F]+/g) || []).forEach(run => {
+        if (run.length === 1) tokens.add(run);
+        for (let i = 0; i < run.length - 1; i++) tokens.add(run.slice(i, i + 2));
+    });
+    return [...tokens].slice(0, 200);
+};
+
+// 学習用の特徴量キー（'vendor:取引先' / 'token:語句'）
+const featureKeys = ({ store_name, memo, raw_text }) => {
+    const keys = [];
+    const vendor = normalizeVendor(store_name);
+    if (vendor) keys.push(`vendor:${vendor}`);
+    extractTokens([store_name, memo, raw_text].filter(Boolean).join(' '))
+        .forEach(token => keys.push(`token:${token}`));
+    return keys;
+};
+
+// 特徴量と科目の組み合わせの重みを加算する（負の値で減算）
+const learn = async (db, organizationId, input, accountId, weight = 1) => {
+    const keys = featureKeys(input);
+    if (keys.length === 0) return;
+    await db.query(
+        `INSERT INTO account_learning (organization_id, feature, account_id, weight)
+         SELECT $1, feature, $3, $4 FROM unnest($2::text[]) AS feature
+         ON CONFLICT (organization_id, feature, account_id)
+         DO UPDATE SET weight = GREATEST(account_learning.weight + EXCLUDED.weight, 0), updated_at = CURRENT_TIMESTAMP`,
+        [organizationId, keys, accountId, weight]
+    );
+};
+
+// 登録された仕訳の収益・費用の明細から、摘要と科目の対応を学習する
+// categories は { account_id: category } の対応
+const learnFromJournalEntry = async (db, organizationId, entry, categories) => {
+    if (!entry.notes) return;
+    const accountIds = new Set(entry.lines
+        .filter(line => ['revenues', 'expenses'].includes(categories[line.account_id]))
+        .map(line => line.account_id));
+    for (const accountId of accountIds) {
+        await learn(db, organizationId, { store_name: entry.notes, memo: entry.notes }, accountId, 1);
+    }
+};
+
+// 推定に必要な学習データをまとめて取得する
+const fetchLearningData = async (db, organizationId, input) => {
+    const keys = featureKeys(input);
+    const [features, amounts, usage, accounts] = await Promise.all([
+        db.query(
+            "SELECT feature, account_id, weight FROM account_learning WHERE organization_id = $1 AND feature = ANY($2::text[]) AND weight > 0",
+            [organizationId, keys]
+        ),
+        // 科目ごとの金額の平均と標準偏差（収益・費用の明細のみ）
+        db.query(
+            `SELECT l.account_id, COUNT(*)::int AS count, AVG(l.amount)::float AS mean, COALESCE(STDDEV_POP(l.amount), 0)::float AS stddev
+             FROM transaction_lines l
+             JOIN transactions t ON l.transaction_id = t.id
+             JOIN master_accounts m ON l.account_id = m.id
+             WHERE t.organization_id = $1 AND t.entry_type = 'normal' AND t.deleted_at IS NULL AND m.category IN ('revenues', 'expenses')
+             GROUP BY l.account_id`,
+            [organizationId]
+        ),
+        db.query("SELECT account_id, usage_count FROM user_account_usage WHERE organization_id = $1", [organizationId]),
+        db.query(
+            `SELECT id, account_name, category FROM master_accounts m
+             WHERE category IN ('revenues', 'expenses') AND (owner_organization_id IS NULL OR owner_organization_id = $1)
+               AND NOT EXISTS (SELECT 1 FROM hidden_accounts h WHERE h.organization_id = $1 AND h.account_id = m.id)`,
+            [organizationId]
+        )
+    ]);
+    return { features: features.rows, amounts: amounts.rows, usage: usage.rows, accounts: accounts.rows };
+};
+
+// 候補ごとに特徴量のスコアを合算し、上位の候補と確信度（0〜1）を返す
+const scoreCandidates = (data, input) => {
+    const scores = new Map();
+    const add = (accountId, value, reason) => {
+        if (!accountId || value <= 0) return;
+        const entry = scores.get(accountId) || { score: 0, reasons: [] };
+        entry.score += value;
+        if (reason && !entry.reasons.includes(reason)) entry.reasons.push(reason);
+        scores.set(accountId, entry);
+    };
+
+    // 取引先・語句: 特徴量ごとに科目間の重みの比率を使う
+    const byFeature = {};
+    data.features.forEach(f => {
+        (byFeature[f.feature] = byFeature[f.feature] || []).push(f);
+    });
+    const tokenFeatures = Object.keys(byFeature).filter(key => key.startsWith('token:'));
+    Object.entries(byFeature).forEach(([feature, rows]) => {
+        const total = rows.reduce((sum, r) => sum + r.weight, 0);
+        rows.forEach(r => {
+            const share = r.weight / total;
+            if (feature.startsWith('vendor:')) {
+                add(r.account_id, WEIGHTS.vendor * share, '過去の同じ取引先');
+            } else {
+                add(r.account_id, WEIGHTS.token * share / tokenFeatures.length, '摘要の語句');
+            }
+        });
+    });
+
+    // 補助辞書
+    const text = toHalfWidth([input.store_name, input.memo, input.raw_text].filter(Boolean).join(' ')).toUpperCase();
+    FALLBACK_DICTIONARY.forEach(entry => {
+        if (entry.keywords.some(keyword => text.includes(toHalfWidth(keyword).toUpperCase()))) {
+            const account = data.accounts.find(a => a.account_name === entry.account_name);
+            if (account) add(account.id, WEIGHTS.dictionary, '共通辞書');
+        }
+    });
+
+    // 金額帯: 過去の金額分布に近いほど加点（既に候補になっている科目のみ）
+    const amount = Number(input.amount);
+    if (amount > 0) {
+        data.amounts.forEach(a => {
+            if (!scores.has(a.account_id) || a.count < 3) return;
+            const spread = Math.max(a.stddev, a.mean * 0.25, 1);
+            const z = Math.abs(amount - a.mean) / spread;
+            add(a.account_id, WEIGHTS.amount * Math.exp(-z * z / 2), '過去の金額帯');
+        });
+    }
+
+    // 利用頻度: 手がかりがない場合の事前確率として少しだけ加点
+    const maxUsage = Math.max(...data.usage.map(u => u.usage_count), 1);
+    data.usage.forEach(u => {
+        if (data.accounts.some(a => a.id === u.account_id)) {
+            add(u.account_id, WEIGHTS.usage * u.usage_count / maxUsage, scores.has(u.account_id) ? null : 'よく使う科目');
+        }
+    });
+
+    const total = [...scores.values()].reduce((sum, s) => sum + s.score, 0);
+    return [...scores.entries()]
+        .map(([accountId, s]) => {
+            const account = data.accounts.find(a => a.id === accountId);
+            return {
+                account_id: accountId,
+                account_name: account ? account.account_name : null,
+                score: Math.round(s.score * 1000) / 1000,
+                confidence: total > 0 ? Math.round(s.score / total * 100) / 100 : 0,
+                reasons: s.reasons
+            };
+        })
+        .filter(c => c.account_name)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES);
+};
+
+module.exports = {
+    FALLBACK_DICTIONARY,
+    CORRECTION_WEIGHT,
+    normalizeVendor,
+    extractTokens,
+    learn,
+    learnFromJournalEntry,
+    fetchLearningData,
+    scoreCandidates
+};
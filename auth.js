@@ -0,0 +1,243 @@
+// auth.js - ログイン・トークン・メールアドレスの確認・パスワードの再設定
+// アクセストークン（JWT）は短時間で失効させ、期限が切れたらリフレッシュトークンで再発行する。
+// リフレッシュトークン・メールで送るトークンはランダムな文字列で、DBには SHA-256 ハッシュ値のみ保存する
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const MAX_FAILED_LOGINS = 5; // 連続してこの回数失敗したらロックする
+const LOCKOUT_MINUTES = 15;
+const PASSWORD_MIN_LENGTH = 8;
+
+// メールで送るトークンの有効期間（分）
+const ONE_TIME_TOKEN_TTL_MINUTES = {
+    verify_email: 24 * 60,
+    reset_password: 60
+};
+
+// ユーザーが存在しない場合も同じ時間をかけるための比較用ハッシュ（メールアドレスの登録有無を推測させない）
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('dummy-password', 10);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const authError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// 登録・パスワード再設定の入力値を検証する
+const validateEmail = (email) => (EMAIL_PATTERN.test(email) && email.length <= 255
+    ? null
+    : { error: 'メールアドレスの形式が正しくありません。', code: 'INVALID_EMAIL' });
+
+const validatePassword = (password) => (typeof password === 'string' && password.length >= PASSWORD_MIN_LENGTH && password.length <= 128
+    ? null
+    : { error: `パスワードは${PASSWORD_MIN_LENGTH}文字以上で入力してください。`, code: 'WEAK_PASSWORD' });
+
+const hashPassword = async (password) => bcrypt.hash(password, await bcrypt.genSalt(10));
+
+const newToken = () => crypto.randomBytes(32).toString('base64url');
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// --- ログイン ---
+// メールアドレスとパスワードを確認してユーザーを返す。失敗が続いたメールアドレスは一定時間ロックする
+// ロックは login_throttles でメールアドレスごとに数え、未登録のメールアドレスにも同じ応答を返す
+const verifyCredentials = async (db, email, password) => {
+    const normalized = normalizeEmail(email);
+    const throttleKey = normalized.slice(0, 255);
+    const throttle = await db.query("SELECT locked_until FROM login_throttles WHERE email = $1", [throttleKey]);
+    const lockedUntil = throttle.rows[0] ? throttle.rows[0].locked_until : null;
+    if (lockedUntil && new Date(lockedUntil) > new Date()) {
+        const error = authError(429, 'ACCOUNT_LOCKED', 'ログインの失敗が続いたため、このメールアドレスでのログインは一時的にロックされています。しばらく待ってから再度お試しください。');
+        error.retryAfter = Math.ceil((new Date(lockedUntil) - new Date()) / 1000);
+        throw error;
+    }
+    if (lockedUntil) {
+        // ロック期限が過ぎたら失敗回数を数え直す
+        await db.query("DELETE FROM login_throttles WHERE email = $1", [throttleKey]);
+    }
+
+    const result = await db.query(
+        "SELECT id, email, password_hash, email_verified_at FROM users WHERE lower(email) = $1",
+        [normalized]
+    );
+    const user = result.rows[0];
+    const valid = await bcrypt.compare(String(password), user ? user.password_hash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+        await db.query(
+            `INSERT INTO login_throttles (email, failed_login_count) VALUES ($1, 1)
+             ON CONFLICT (email) DO UPDATE
+             SET failed_login_count = login_throttles.failed_login_count + 1,
+                 locked_until = CASE WHEN login_throttles.failed_login_count + 1 >= $2
+                                     THEN CURRENT_TIMESTAMP + make_interval(mins => $3) ELSE login_throttles.locked_until END,
+                 updated_at = CURRENT_TIMESTAMP`,
+            [throttleKey, MAX_FAILED_LOGINS, LOCKOUT_MINUTES]
+        );
+        throw authError(401, 'INVALID_CREDENTIALS', '認証情報が無効です。');
+    }
+
+    await db.query("DELETE FROM login_throttles WHERE email = $1", [throttleKey]);
+    return user;
+};
+
+// パスワードを再設定したらロックも解除する
+const clearLoginThrottle = (db, email) => db.query("DELETE FROM login_throttles WHERE email = $1", [normalizeEmail(email).slice(0, 255)]);
+
+// --- トークン ---
+const issueAccessToken = (user) => jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// リフレッシュトークンを発行する。familyId を省略すると新しいログインとして扱う
+const issueRefreshToken = async (db, userId, { familyId = crypto.randomUUID(), ip, userAgent } = {}) => {
+    const token = newToken();
+    const result = await db.query(
+        `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, ip_address, user_agent)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(days => $4), $5, $6)
+         RETURNING id`,
+        [userId, hashToken(token), familyId, REFRESH_TOKEN_TTL_DAYS, ip || null, userAgent ? String(userAgent).slice(0, 255) : null]
+    );
+    return { token, id: result.rows[0].id };
+};
+
+// ログイン・トークン再発行のレスポンス。token は以前の形式との互換のため残す
+const sessionResponse = (user, accessToken, refreshToken) => ({
+    token: accessToken,
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    email_verified: Boolean(user.email_verified_at)
+});
+
+const createSession = async (db, user, meta) => {
+    const refresh = await issueRefreshToken(db, user.id, meta);
+    return sessionResponse(user, issueAccessToken(user), refresh.token);
+};
+
+// リフレッシュトークンを新しいトークンに交換する（呼び出し側で BEGIN/COMMIT を管理すること）
+// 戻り値: { session }。交換済みのトークンが使われたら同じログインのトークンをすべて無効にし、{ reused: true } を返す
+// （無効にした結果を COMMIT できるよう、この場合は例外にしない）
+const rotateRefreshToken = async (client, token, meta = {}) => {
+    const result = await client.query(
+        `SELECT r.id, r.user_id, r.family_id, r.revoked_at, r.expires_at, u.email, u.email_verified_at
+         FROM refresh_tokens r JOIN users u ON r.user_id = u.id
+         WHERE r.token_hash = $1
+         FOR UPDATE OF r`,
+        [hashToken(token)]
+    );
+    const current = result.rows[0];
+    if (!current || new Date(current.expires_at) <= new Date()) {
+        throw authError(401, 'REFRESH_TOKEN_INVALID', 'ログインの有効期限が切れました。再度ログインしてください。');
+    }
+    if (current.revoked_at) {
+        await revokeTokenFamily(client, current.family_id);
+        return { reused: true, userId: current.user_id };
+    }
+
+    const next = await issueRefreshToken(client, current.user_id, { familyId: current.family_id, ...meta });
+    await client.query(
+        "UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $2 WHERE id = $1",
+        [current.id, next.id]
+    );
+    const user = { id: current.user_id, email: current.email, email_verified_at: current.email_verified_at };
+    return { session: sessionResponse(user, issueAccessToken(user), next.token) };
+};
+
+const revokeTokenFamily = (db, familyId) => db.query(
+    "UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL",
+    [familyId]
+);
+
+// ログアウト: 指定したリフレッシュトークンのログイン（all なら全端末のログイン）を無効にする
+// 戻り値は無効にしたトークンのユーザーID（見つからなければ null）
+const revokeRefreshToken = async (db, token, { all = false } = {}) => {
+    const result = await db.query("SELECT user_id, family_id FROM refresh_tokens WHERE token_hash = $1", [hashToken(token)]);
+    const row = result.rows[0];
+    if (!row) return null;
+    if (all) {
+        await revokeAllRefreshTokens(db, row.user_id);
+    } else {
+        await revokeTokenFamily(db, row.family_id);
+    }
+    return row.user_id;
+};
+
+const revokeAllRefreshTokens = (db, userId) => db.query(
+    "UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL",
+    [userId]
+);
+
+// --- メールで送るトークン ---
+// 同じ目的の未使用のトークンは無効にしてから新しいトークンを発行する
+const createOneTimeToken = async (db, userId, purpose) => {
+    const token = newToken();
+    await db.query(
+        "UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL",
+        [userId, purpose]
+    );
+    await db.query(
+        `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))`,
+        [userId, purpose, hashToken(token), ONE_TIME_TOKEN_TTL_MINUTES[purpose]]
+    );
+    return token;
+};
+
+// トークンを使用済みにしてユーザーIDを返す。無効・期限切れ・使用済みなら 400 を投げる
+const consumeOneTimeToken = async (db, token, purpose) => {
+    const result = await db.query(
+        `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING user_id`,
+        [hashToken(token || ''), purpose]
+    );
+    if (result.rowCount === 0) {
+        throw authError(400, 'TOKEN_INVALID', 'リンクが無効か、有効期限が切れています。もう一度メールを送信してください。');
+    }
+    return result.rows[0].user_id;
+};
+
+// --- メール本文 ---
+// リンク先は環境変数 APP_BASE_URL（ブラウザの画面を配信しているURL）
+const appUrl = (page, token) => `${(process.env.APP_BASE_URL || '').replace(/\/$/, '')}/${page}?token=${encodeURIComponent(token)}`;
+
+const verificationMail = (email, token) => ({
+    to: email,
+    subject: '【帳簿アプリ】メールアドレスの確認',
+    text: `次のリンクを開いて、メールアドレスの確認を完了してください（有効期限: 24時間）。\n\n${appUrl('verify-email.html', token)}\n\nお心当たりがない場合は、このメールを破棄してください。`
+});
+
+const passwordResetMail = (email, token) => ({
+    to: email,
+    subject: '【帳簿アプリ】パスワードの再設定',
+    text: `次のリンクを開いて、新しいパスワードを設定してください（有効期限: 1時間）。\n\n${appUrl('reset-password.html', token)}\n\nお心当たりがない場合は、このメールを破棄してください。パスワードは変更されません。`
+});
+
+module.exports = {
+    PASSWORD_MIN_LENGTH,
+    authError,
+    normalizeEmail,
+    validateEmail,
+    validatePassword,
+    hashPassword,
+    verifyCredentials,
+    clearLoginThrottle,
+    createSession,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllRefreshTokens,
+    createOneTimeToken,
+    consumeOneTimeToken,
+    verificationMail,
+    passwordResetMail,
+    newToken,
+    hashToken,
+    appUrl
+};
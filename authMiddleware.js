@@ -1,17 +1,22 @@
 const jwt = require('jsonwebtoken');
 const JWT_SECRET = process.env.JWT_SECRET;
 
+// 認証エラーは { error, code } の JSON で返す
+// code: AUTH_REQUIRED（トークンなし）/ TOKEN_EXPIRED（期限切れ。リフレッシュトークンで再発行できる）/ TOKEN_INVALID
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // "Bearer TOKEN" の形式
 
   if (token == null) {
-    return res.sendStatus(401); // トークンがない場合は認証拒否
+    return res.status(401).json({ error: 'ログインが必要です。', code: 'AUTH_REQUIRED' }); // トークンがない場合は認証拒否
   }
 
   jwt.verify(token, JWT_SECRET, (err, user) => {
     if (err) {
-      return res.sendStatus(403); // トークンが無効な場合は認証拒否
+      // トークンが無効な場合は認証拒否
+      return err.name === 'TokenExpiredError'
+        ? res.status(401).json({ error: 'ログインの有効期限が切れました。', code: 'TOKEN_EXPIRED' })
+        : res.status(401).json({ error: '認証トークンが無効です。', code: 'TOKEN_INVALID' });
     }
     req.user = user; // リクエストオブジェクトにユーザー情報を格納
     next(); // 次の処理へ
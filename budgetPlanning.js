@@ -0,0 +1,473 @@
+// budgetPlanning.js - 予算（科目・月ごと）と予算実績対比、資金繰り予測
+// 予算は収益・費用の科目ごとに月単位で budgets に登録する（部門別にも立てられる）。
+// 資金繰り予測は現金・預金の実際の残高に、日付が先の仕訳・定期取引・未決済の売掛金と買掛金を足して月末残高を見積もる
+const { signedBalance, monthsOf, toAmounts } = require('./reports');
+const { todayString, occurrenceDates } = require('./recurringTransactions');
+const { agingReport } = require('./counterpartyLedger');
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const MAX_BUDGET_MONTHS = 36; // 1回に登録できる月数
+const MAX_FORECAST_MONTHS = 36; // 資金繰り予測で一度に出す月数
+const DEFAULT_VARIANCE_THRESHOLD = 10; // 差異率（%）がこれ以上の不利差異を強調する
+
+const BUDGET_COLUMNS = `b.id, b.account_id, m.account_name, m.category, b.department_id,
+    to_char(b.month, 'YYYY-MM') AS month, b.amount, b.updated_at`;
+
+// 資金繰り予測の対象とする現金・預金の科目。独自に追加した口座の科目は小分類「現金及び預金」で判定する
+const CASH_ACCOUNT_NAMES = ['現金', '小口現金', '当座預金', '普通預金', '通知預金', '現金及び預金'];
+const CASH_SUB_CATEGORY = '現金及び預金';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 'YYYY-MM-DD' の翌月末（売掛金の回収・買掛金の支払の予定日に使う）
+const nextMonthEnd = (date) => {
+    const [year, month] = date.split('-').map(Number);
+    const end = new Date(Date.UTC(year, month + 1, 0));
+    return `${end.getUTCFullYear()}-${pad(end.getUTCMonth() + 1)}-${pad(end.getUTCDate())}`;
+};
+
+const dayAfter = (date) => {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString().slice(0, 10);
+};
+
+// 部門の絞り込み（省略は全体、none は共通、数値は部門ID）。不正な値は null を返す
+const parseDepartmentFilter = (value) => {
+    if (value === undefined || value === '') return { all: true };
+    if (value === 'none') return { departmentId: null };
+    if (/^\d+$/.test(value)) return { departmentId: Number(value) };
+    return null;
+};
+
+// 部門の絞り込み条件を SQL にする（params に値を追加する）
+const departmentCondition = (filter, column, params) => {
+    if (filter.all) return '';
+    if (filter.departmentId === null) return ` AND ${column} IS NULL`;
+    params.push(filter.departmentId);
+    return ` AND ${column} = $${params.length}`;
+};
+
+// --- 予算 ---
+
+// 予算の入力を検証する。months は { 'YYYY-MM': 金額 } で、金額が null・空欄の月は予算を削除する
+// 成功時は { budget: { account_id, department_id, months: [{ month, amount }] } }、失敗時は { error } を返す
+const validateBudget = (body) => {
+    const accountId = parseInt(body.account_id, 10);
+    if (!(accountId > 0)) {
+        return { error: '勘定科目を指定してください。' };
+    }
+    const hasDepartment = body.department_id !== undefined && body.department_id !== null && body.department_id !== '';
+    const departmentId = hasDepartment ? parseInt(body.department_id, 10) : null;
+    if (hasDepartment && !(departmentId > 0)) {
+        return { error: '部門が不正です（共通の予算にする場合は省略してください）。' };
+    }
+    const entries = body.months && typeof body.months === 'object' && !Array.isArray(body.months)
+        ? Object.entries(body.months)
+        : [];
+    if (entries.length === 0 || entries.length > MAX_BUDGET_MONTHS) {
+        return { error: `months に月（YYYY-MM）ごとの予算額を1〜${MAX_BUDGET_MONTHS}か月分指定してください。` };
+    }
+    const months = [];
+    for (const [month, value] of entries) {
+        if (!MONTH_PATTERN.test(month)) {
+            return { error: `月は YYYY-MM 形式で指定してください（${month}）。` };
+        }
+        const amount = value === null || value === '' ? null : Number(value);
+        if (amount !== null && !(Number.isInteger(amount) && amount >= 0)) {
+            return { error: `${month} の予算額は0以上の整数で入力してください。` };
+        }
+        months.push({ month: `${month}-01`, amount });
+    }
+    return { budget: { account_id: accountId, department_id: departmentId, months } };
+};
+
+// 期間内の予算の一覧（科目・部門・月ごと）
+const fetchBudgets = async (db, organizationId, period, filter) => {
+    const params = [organizationId, period.from, period.to];
+    const result = await db.query(
+        `SELECT ${BUDGET_COLUMNS} FROM budgets b
+         JOIN master_accounts m ON b.account_id = m.id
+         WHERE b.organization_id = $1 AND b.month BETWEEN date_trunc('month', $2::date) AND $3
+           ${departmentCondition(filter, 'b.department_id', params)}
+         ORDER BY m.category DESC, b.account_id, b.department_id NULLS FIRST, b.month`,
+        params
+    );
+    return result.rows;
+};
+
+// 期間内の予算（科目・月ごと）。部門を絞り込まない場合は共通と各部門の予算を合計する
+const fetchBudgetTotals = async (db, organizationId, period, filter) => {
+    const params = [organizationId, period.from, period.to];
+    const result = await db.query(
+        `SELECT b.account_id, m.account_name, m.category, to_char(b.month, 'YYYY-MM') AS month,
+                SUM(b.amount)::bigint AS amount
+         FROM budgets b
+         JOIN master_accounts m ON b.account_id = m.id
+         WHERE b.organization_id = $1 AND b.month BETWEEN date_trunc('month', $2::date) AND $3
+           ${departmentCondition(filter, 'b.department_id', params)}
+         GROUP BY b.account_id, m.id, b.month
+         ORDER BY b.account_id, b.month`,
+        params
+    );
+    return result.rows.map(toAmounts(['amount']));
+};
+
+// 期間内の収益・費用の実績（科目・月ごとの借方・貸方）
+const fetchMonthlyActuals = async (db, organizationId, period, filter) => {
+    const params = [organizationId, period.from, period.to];
+    const result = await db.query(
+        `SELECT l.account_id, m.account_name, m.category, to_char(t.transaction_date, 'YYYY-MM') AS month,
+                COALESCE(SUM(CASE WHEN l.side = 'debit' THEN l.amount END), 0)::bigint AS debit,
+                COALESCE(SUM(CASE WHEN l.side = 'credit' THEN l.amount END), 0)::bigint AS credit
+         FROM transaction_lines l
+         JOIN transactions t ON l.transaction_id = t.id
+         JOIN master_accounts m ON l.account_id = m.id
+         WHERE t.organization_id = $1 AND t.transaction_date BETWEEN $2 AND $3
+           AND t.entry_type = 'normal' AND t.deleted_at IS NULL
+           AND m.category IN ('revenues', 'expenses')
+           ${departmentCondition(filter, 't.department_id', params)}
+         GROUP BY l.account_id, m.id, month
+         ORDER BY l.account_id, month`,
+        params
+    );
+    return result.rows.map(toAmounts(['debit', 'credit']));
+};
+
+// 予算と実績を比べる。収益・利益は予算を下回ると、費用は予算を上回ると不利差異とする
+// 差異率が threshold（%）以上（予算0なら実績があれば）の不利差異を flagged にする。
+// 収益・利益の不足は月が終わるまで判断できないため、終わった月（elapsed）だけを対象にする（費用の超過は途中でも対象）
+const compareAmounts = (category, budget, actual, { elapsed, threshold, budgeted = true }) => {
+    const variance = actual - budget;
+    const varianceRate = budget === 0 ? null : Math.round(variance / budget * 1000) / 10;
+    const unfavorable = category === 'expenses' ? variance > 0 : variance < 0;
+    const flagged = budgeted && (elapsed || category === 'expenses') && unfavorable
+        && (varianceRate === null || Math.abs(varianceRate) >= threshold);
+    return { budget, actual, variance, variance_rate: varianceRate, favorable: !unfavorable, flagged };
+};
+
+// 予算実績対比表。予算を登録していない科目も実績があれば載せるが、差異の強調はしない（budgeted: false）
+// 各行は月ごと（months）、終わった月の累計（to_date）、期間全体（year）の予算・実績・差異を持つ
+//   months     期間の月（YYYY-MM）の一覧
+//   budgets    fetchBudgetTotals の結果、actuals は fetchMonthlyActuals の結果
+//   asOf       今日の日付。この日を含む月より前を終わった月とする
+const buildBudgetVsActual = ({ months, budgets, actuals, asOf, threshold = DEFAULT_VARIANCE_THRESHOLD }) => {
+    const currentMonth = asOf.slice(0, 7);
+    const elapsedMonths = months.filter(month => month < currentMonth);
+    const accounts = new Map();
+    const accountOf = (row) => {
+        if (!accounts.has(row.account_id)) {
+            accounts.set(row.account_id, {
+                account_id: row.account_id,
+                account_name: row.account_name,
+                category: row.category,
+                budgeted: false,
+                budget: new Map(),
+                actual: new Map()
+            });
+        }
+        return accounts.get(row.account_id);
+    };
+    for (const row of budgets) {
+        const account = accountOf(row);
+        account.budgeted = true;
+        account.budget.set(row.month, (account.budget.get(row.month) || 0) + row.amount);
+    }
+    for (const row of actuals) {
+        const account = accountOf(row);
+        account.actual.set(row.month, (account.actual.get(row.month) || 0) + signedBalance(row.category, row.debit, row.credit));
+    }
+
+    const sumOver = (list, map) => list.reduce((sum, month) => sum + (map.get(month) || 0), 0);
+    const compareRow = (category, budget, actual, budgeted) => ({
+        months: months.map(month => ({
+            month,
+            elapsed: month < currentMonth,
+            ...compareAmounts(category, budget.get(month) || 0, actual.get(month) || 0, { elapsed: month < currentMonth, threshold, budgeted })
+        })),
+        to_date: compareAmounts(category, sumOver(elapsedMonths, budget), sumOver(elapsedMonths, actual), { elapsed: elapsedMonths.length > 0, threshold, budgeted }),
+        year: compareAmounts(category, sumOver(months, budget), sumOver(months, actual), { elapsed: elapsedMonths.length === months.length, threshold, budgeted })
+    });
+
+    // 区分（収益・費用）の合計。予算を登録していない科目の実績も含める
+    const totalMaps = (list, key) => {
+        const total = new Map();
+        for (const account of list) {
+            for (const [month, amount] of account[key]) total.set(month, (total.get(month) || 0) + amount);
+        }
+        return total;
+    };
+    const section = (category) => {
+        const list = [...accounts.values()]
+            .filter(account => account.category === category)
+            .sort((a, b) => a.account_id - b.account_id);
+        return {
+            accounts: list.map(({ budget, actual, ...account }) => ({ ...account, ...compareRow(category, budget, actual, account.budgeted) })),
+            totals: { budget: totalMaps(list, 'budget'), actual: totalMaps(list, 'actual') }
+        };
+    };
+    const revenues = section('revenues');
+    const expenses = section('expenses');
+    const profit = (key) => {
+        const result = new Map();
+        for (const month of months) {
+            result.set(month, (revenues.totals[key].get(month) || 0) - (expenses.totals[key].get(month) || 0));
+        }
+        return result;
+    };
+    const withTotals = (category, { accounts: list, totals }) => ({
+        accounts: list,
+        totals: compareRow(category, totals.budget, totals.actual, list.some(account => account.budgeted))
+    });
+    const result = {
+        as_of: asOf,
+        threshold,
+        months,
+        revenues: withTotals('revenues', revenues),
+        expenses: withTotals('expenses', expenses),
+        net_income: compareRow('net_income', profit('budget'), profit('actual'), budgets.length > 0)
+    };
+    result.flagged_count = [...result.revenues.accounts, ...result.expenses.accounts]
+        .reduce((count, account) => count + account.months.filter(m => m.flagged).length, 0);
+    return result;
+};
+
+// 予算実績対比表を作る（filter は parseDepartmentFilter の結果）
+const budgetVsActual = async (db, organizationId, period, filter, { asOf = todayString(), threshold } = {}) => {
+    const [budgets, actuals] = await Promise.all([
+        fetchBudgetTotals(db, organizationId, period, filter),
+        fetchMonthlyActuals(db, organizationId, period, filter)
+    ]);
+    return { period, ...buildBudgetVsActual({ months: monthsOf(period), budgets, actuals, asOf, threshold }) };
+};
+
+// --- 資金繰り予測 ---
+
+const fetchCashAccounts = async (db, organizationId) => {
+    const result = await db.query(
+        `SELECT id, account_name FROM master_accounts
+         WHERE (owner_organization_id IS NULL OR owner_organization_id = $1)
+           AND (account_name = ANY($2::text[]) OR sub_category = $3)
+         ORDER BY sort_order NULLS LAST, id`,
+        [organizationId, CASH_ACCOUNT_NAMES, CASH_SUB_CATEGORY]
+    );
+    return result.rows;
+};
+
+// 現金・預金の科目ごとの from 前日時点の残高と、from〜to の月ごとの入出金
+// 入出金は asOf 以前の仕訳（実績）と、日付が asOf より後の入力済みの仕訳（予定）に分ける
+const fetchCashMovements = async (db, organizationId, accountIds, { from, to, asOf }) => {
+    const [balances, movements] = await Promise.all([
+        db.query(
+            `SELECT l.account_id,
+                    COALESCE(SUM(CASE WHEN t.transaction_date < $3 THEN
+                        CASE WHEN l.side = 'debit' THEN l.amount ELSE -l.amount END END), 0)::bigint AS opening_balance,
+                    COALESCE(SUM(CASE WHEN l.side = 'debit' THEN l.amount ELSE -l.amount END), 0)::bigint AS balance
+             FROM transaction_lines l
+             JOIN transactions t ON l.transaction_id = t.id
+             WHERE t.organization_id = $1 AND l.account_id = ANY($2::int[])
+               AND t.transaction_date <= $4 AND t.entry_type = 'normal' AND t.deleted_at IS NULL
+             GROUP BY l.account_id`,
+            [organizationId, accountIds, from, asOf]
+        ),
+        db.query(
+            `SELECT to_char(t.transaction_date, 'YYYY-MM') AS month, t.transaction_date > $5 AS scheduled,
+                    COALESCE(SUM(CASE WHEN l.side = 'debit' THEN l.amount END), 0)::bigint AS inflow,
+                    COALESCE(SUM(CASE WHEN l.side = 'credit' THEN l.amount END), 0)::bigint AS outflow
+             FROM transaction_lines l
+             JOIN transactions t ON l.transaction_id = t.id
+             WHERE t.organization_id = $1 AND l.account_id = ANY($2::int[])
+               AND t.transaction_date BETWEEN $3 AND $4 AND t.entry_type = 'normal' AND t.deleted_at IS NULL
+             GROUP BY month, scheduled
+             ORDER BY month`,
+            [organizationId, accountIds, from, to, asOf]
+        )
+    ]);
+    return {
+        balances: balances.rows.map(toAmounts(['opening_balance', 'balance'])),
+        movements: movements.rows.map(toAmounts(['inflow', 'outflow']))
+    };
+};
+
+// 定期取引1回分の現金・預金の増減（借方はプラス、貸方はマイナス）。amount は予定日ごとに変更した金額
+const cashEffect = (lines, cashIds, amount = null) => lines.reduce((sum, line) => {
+    if (!cashIds.has(Number(line.account_id))) return sum;
+    const value = amount === null ? line.amount : amount;
+    return sum + (line.side === 'debit' ? value : -value);
+}, 0);
+
+// 定期取引の予定（asOf より後の予定日と、承認待ち・計上できなかった予定日）
+// 承認待ちの予定日は今日までに入出金があるものとして asOf の日付にする
+const fetchRecurringItems = async (db, organizationId, cashIds, asOf, until) => {
+    const [templates, overrides, waiting] = await Promise.all([
+        db.query(
+            `SELECT id, name, start_date, end_date, interval_months, day_of_month, lines, active
+             FROM recurring_transactions WHERE organization_id = $1`,
+            [organizationId]
+        ),
+        db.query(
+            `SELECT v.recurring_transaction_id, v.occurrence_date, v.amount
+             FROM recurring_transaction_overrides v
+             JOIN recurring_transactions r ON v.recurring_transaction_id = r.id
+             WHERE r.organization_id = $1 AND v.occurrence_date > $2 AND v.occurrence_date <= $3`,
+            [organizationId, asOf, until]
+        ),
+        db.query(
+            `SELECT o.recurring_transaction_id, o.occurrence_date, v.amount
+             FROM recurring_transaction_occurrences o
+             JOIN recurring_transactions r ON o.recurring_transaction_id = r.id
+             LEFT JOIN recurring_transaction_overrides v
+               ON v.recurring_transaction_id = o.recurring_transaction_id AND v.occurrence_date = o.occurrence_date
+             WHERE r.organization_id = $1 AND o.status IN ('pending', 'failed')`,
+            [organizationId]
+        )
+    ]);
+    const overrideAmounts = new Map(overrides.rows.map(o => [`${o.recurring_transaction_id}:${o.occurrence_date}`, o.amount]));
+    const byId = new Map(templates.rows.map(template => [template.id, template]));
+    const items = [];
+    const push = (template, occurrenceDate, date, amount) => {
+        const effect = cashEffect(template.lines, cashIds, amount);
+        if (effect === 0) return;
+        items.push({
+            date,
+            source: 'recurring',
+            name: template.name,
+            occurrence_date: occurrenceDate,
+            recurring_transaction_id: template.id,
+            amount: effect,
+            overdue: date !== occurrenceDate
+        });
+    };
+    for (const row of waiting.rows) {
+        const template = byId.get(row.recurring_transaction_id);
+        if (template) push(template, row.occurrence_date, asOf < row.occurrence_date ? row.occurrence_date : asOf, row.amount);
+    }
+    for (const template of templates.rows.filter(t => t.active)) {
+        for (const date of occurrenceDates(template, dayAfter(asOf), until)) {
+            const amount = overrideAmounts.get(`${template.id}:${date}`);
+            push(template, date, date, amount === undefined ? null : amount);
+        }
+    }
+    return items;
+};
+
+// 未決済の売掛金は翌月末に入金、買掛金は翌月末に支払うものとする。予定日を過ぎたものは asOf の日付にする
+const fetchOpenItemFlows = async (db, organizationId, asOf) => {
+    const items = [];
+    for (const [kind, sign] of [['receivable', 1], ['payable', -1]]) {
+        const report = await agingReport(db, organizationId, kind, asOf);
+        for (const counterparty of report.counterparties) {
+            for (const item of counterparty.open_items) {
+                const due = nextMonthEnd(item.transaction_date);
+                items.push({
+                    date: due > asOf ? due : asOf,
+                    source: kind,
+                    name: counterparty.name,
+                    transaction_id: item.transaction_id,
+                    transaction_date: item.transaction_date,
+                    amount: sign * item.open_amount,
+                    overdue: due <= asOf
+                });
+            }
+        }
+    }
+    return items;
+};
+
+// 月ごとの資金繰り表を組み立てる
+//   months          対象の月（YYYY-MM）。最初の月の月初時点の残高が openingBalance
+//   movements       fetchCashMovements の movements（scheduled は日付が先の入力済みの仕訳）
+//   items           定期取引・売掛金・買掛金の予定（date, source, amount。amount は入金がプラス）
+// 今日を含む月より前は実績（actual）、今日を含む月は実績＋予定（current）、それより後は予定（forecast）
+const buildCashFlowForecast = ({ months, asOf, openingBalance, movements, items }) => {
+    const currentMonth = asOf.slice(0, 7);
+    let balance = openingBalance;
+    return months.map(month => {
+        const status = month < currentMonth ? 'actual' : month === currentMonth ? 'current' : 'forecast';
+        const actual = movements.filter(m => m.month === month && !m.scheduled);
+        const booked = movements.filter(m => m.month === month && m.scheduled);
+        const planned = items.filter(item => item.date.slice(0, 7) === month);
+        const sum = (list, key) => list.reduce((total, row) => total + row[key], 0);
+        const bySource = (source) => sum(planned.filter(item => item.source === source), 'amount');
+        const forecastIn = sum(booked, 'inflow') + sum(planned.filter(item => item.amount > 0), 'amount');
+        const forecastOut = sum(booked, 'outflow') - sum(planned.filter(item => item.amount < 0), 'amount');
+        const row = {
+            month,
+            status,
+            opening_balance: balance,
+            actual_inflow: sum(actual, 'inflow'),
+            actual_outflow: sum(actual, 'outflow'),
+            forecast_inflow: forecastIn,
+            forecast_outflow: forecastOut,
+            by_source: {
+                booked: sum(booked, 'inflow') - sum(booked, 'outflow'),
+                recurring: bySource('recurring'),
+                receivable: bySource('receivable'),
+                payable: bySource('payable')
+            }
+        };
+        balance += row.actual_inflow - row.actual_outflow + forecastIn - forecastOut;
+        row.closing_balance = balance;
+        return row;
+    });
+};
+
+// 資金繰り予測。period の月ごとの現金・預金の月末残高（今日より後は予定を含む見込み）を返す
+// period が今日より後から始まる場合も、今日を含む月から予定を積み上げて期首の残高を見積もる
+const cashFlowForecast = async (db, organizationId, period, { asOf = todayString() } = {}) => {
+    const periodMonths = monthsOf(period);
+    const currentMonth = asOf.slice(0, 7);
+    const firstMonth = periodMonths[0] < currentMonth ? periodMonths[0] : currentMonth;
+    const months = monthsOf({ from: `${firstMonth}-01`, to: period.to });
+    const from = `${months[0]}-01`;
+
+    const accounts = await fetchCashAccounts(db, organizationId);
+    const cashIds = new Set(accounts.map(account => account.id));
+    const { balances, movements } = await fetchCashMovements(db, organizationId, [...cashIds], { from, to: period.to, asOf });
+    // 予定は今日より後の期間にだけ積み上げる（期間が過去だけなら実績のみ）
+    const items = period.to > asOf
+        ? [
+            ...await fetchRecurringItems(db, organizationId, cashIds, asOf, period.to),
+            ...await fetchOpenItemFlows(db, organizationId, asOf)
+        ].filter(item => item.date <= period.to).sort((a, b) => a.date.localeCompare(b.date))
+        : [];
+
+    const balanceOf = new Map(balances.map(row => [row.account_id, row]));
+    const rows = buildCashFlowForecast({
+        months,
+        asOf,
+        openingBalance: balances.reduce((sum, row) => sum + row.opening_balance, 0),
+        movements,
+        items
+    }).filter(row => periodMonths.includes(row.month));
+    const ahead = rows.filter(row => row.status !== 'actual');
+    const lowest = ahead.reduce((min, row) => (min === null || row.closing_balance < min.closing_balance ? row : min), null);
+
+    return {
+        period,
+        as_of: asOf,
+        cash_accounts: accounts.map(account => ({
+            account_id: account.id,
+            account_name: account.account_name,
+            balance: balanceOf.has(account.id) ? balanceOf.get(account.id).balance : 0
+        })),
+        balance: balances.reduce((sum, row) => sum + row.balance, 0),
+        months: rows,
+        items: items.filter(item => periodMonths.includes(item.date.slice(0, 7))),
+        lowest_balance: lowest ? { month: lowest.month, closing_balance: lowest.closing_balance } : null
+    };
+};
+
+module.exports = {
+    BUDGET_COLUMNS,
+    MAX_FORECAST_MONTHS,
+    DEFAULT_VARIANCE_THRESHOLD,
+    CASH_ACCOUNT_NAMES,
+    parseDepartmentFilter,
+    validateBudget,
+    fetchBudgets,
+    buildBudgetVsActual,
+    budgetVsActual,
+    buildCashFlowForecast,
+    cashFlowForecast
+};
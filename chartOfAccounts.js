@@ -0,0 +1,285 @@
+// chartOfAccounts.js - 勘定科目マスタの取り込み（EDINETタクソノミの科目一覧CSV）とユーザー独自の勘定科目
+// 科目一覧CSVは「貸借対照表　科目一覧」などの見出し行と列名の行が財務諸表ごとに繰り返される形式。
+// 貸借対照表・損益計算書の科目だけを取り込み、包括利益計算書・株主資本等変動計算書・キャッシュ・フロー計算書は
+// 同じ科目の再掲・増減のため取り込まない
+const { decodeCsvBuffer, parseCsv } = require('./statementImport');
+
+const CATEGORIES = ['assets', 'liabilities', 'net_assets', 'expenses', 'revenues'];
+
+// 見出し行の財務諸表名 → 取り込み対象の区分
+const STATEMENTS = {
+    '貸借対照表': 'balance_sheet',
+    '損益計算書': 'profit_loss'
+};
+
+// 見出しの要素名 → 大分類。見出しの下の科目はその大分類にする（期末棚卸高のような控除科目も含む）
+// どの見出しにも属さない科目は balance（借方・貸方）で決める
+const SECTION_CATEGORIES = {
+    balance_sheet: {
+        AssetsAbstract: 'assets',
+        LiabilitiesAbstract: 'liabilities',
+        NetAssetsAbstract: 'net_assets'
+    },
+    profit_loss: {
+        RevenueFromOperatingActivitiesAbstract: 'revenues',
+        COSAndExpensesFromOperatingActivitiesAbstract: 'expenses',
+        SellingGeneralAndAdministrativeExpensesAbstract: 'expenses',
+        NonOperatingIncomeAbstract: 'revenues',
+        NonOperatingExpensesAbstract: 'expenses',
+        ExtraordinaryIncomeAbstract: 'revenues',
+        ExtraordinaryLossAbstract: 'expenses'
+    }
+};
+const BALANCE_CATEGORIES = {
+    balance_sheet: { debit: 'assets', credit: 'liabilities' },
+    profit_loss: { debit: 'expenses', credit: 'revenues' }
+};
+
+// 中分類にしない見出し（表・表示項目や内訳の見出し）
+const GENERIC_HEADING = /Table$|LineItems$|^（内訳）$/;
+// 中分類にする見出しの最大文字数。法令の条文のような長い見出しは、その上位の見出しを中分類にする
+const MAX_HEADING_LENGTH = 12;
+// 取り込まない要素（包括利益は損益の科目ではなく、負債純資産は貸借対照表の総合計）
+const EXCLUDED_ELEMENTS = /ComprehensiveIncome|^LiabilitiesAndNetAssets$/;
+
+const COLUMNS = {
+    label: '標準ラベル（日本語）',
+    verboseLabel: '冗長ラベル（日本語）',
+    englishLabel: '標準ラベル（英語）',
+    prefix: '名前空間プレフィックス',
+    element: '要素名',
+    balance: 'balance',
+    abstract: 'abstract',
+    depth: 'depth'
+};
+
+// 科目一覧CSVの形式か（列名の行があるか）
+const isTaxonomyCsv = (rows) => rows.slice(0, 10).some(row => row.includes(COLUMNS.element) && row.includes(COLUMNS.depth));
+
+// 合計・小計の要素か。同じ要素名に Abstract を付けた見出しがあるもの（流動資産 と 流動資産 [タイトル項目]）、
+// 「〜合計」や「営業利益又は営業損失（△）」のような段階利益は、ほかの科目から計算する値なので科目にしない
+const isTotal = (item, abstractElements) => abstractElements.has(`${item.element}Abstract`)
+    || /合計$/.test(item.label)
+    || /又は.*（△）$/.test(item.label);
+
+// 科目一覧CSVを勘定科目の配列にする
+// 戻り値: { accounts: [{ element_name, account_name, english_name, category, sub_category, parent_element, sort_order }], skipped }
+// 階層は depth から作る。タイトル項目（abstract）は科目にせず、直近の見出しを中分類に、直近の科目を親科目にする
+const parseTaxonomyCsv = (text) => {
+    const rows = parseCsv(text);
+    const accounts = [];
+    const seenElements = new Set();
+    const seenNames = new Set();
+    let skipped = 0;
+
+    // 財務諸表ごとに区切る
+    const sections = [];
+    let current = null;
+    let header = null;
+    for (const row of rows) {
+        const title = row[0].replace(/[\s　]*科目一覧$/, '');
+        if (row[0].endsWith('科目一覧')) {
+            current = { statement: STATEMENTS[title], items: [] };
+            sections.push(current);
+            continue;
+        }
+        if (row.includes(COLUMNS.element)) {
+            header = row;
+            continue;
+        }
+        if (!current || !header) continue;
+        const cell = (name) => (row[header.indexOf(name)] || '').trim();
+        current.items.push({
+            label: cell(COLUMNS.label),
+            verboseLabel: cell(COLUMNS.verboseLabel),
+            englishLabel: cell(COLUMNS.englishLabel),
+            element: cell(COLUMNS.element),
+            elementName: `${cell(COLUMNS.prefix)}:${cell(COLUMNS.element)}`,
+            balance: cell(COLUMNS.balance),
+            abstract: cell(COLUMNS.abstract).toUpperCase() === 'TRUE',
+            depth: parseInt(cell(COLUMNS.depth), 10)
+        });
+    }
+
+    for (const section of sections) {
+        if (!section.statement) {
+            skipped += section.items.filter(item => !item.abstract).length;
+            continue;
+        }
+        const abstractElements = new Set(section.items.filter(item => item.abstract).map(item => item.element));
+        const stack = []; // 祖先（depth の昇順）
+        for (const item of section.items) {
+            if (!item.element || !Number.isInteger(item.depth)) continue;
+            while (stack.length > 0 && stack[stack.length - 1].depth >= item.depth) stack.pop();
+            const ancestors = stack.slice();
+            stack.push(item);
+            if (item.abstract) continue;
+
+            const category = ancestors.map(a => SECTION_CATEGORIES[section.statement][a.element]).filter(Boolean).pop()
+                || BALANCE_CATEGORIES[section.statement][item.balance];
+            if (!category || isTotal(item, abstractElements) || seenElements.has(item.elementName)
+                || [item, ...ancestors].some(a => EXCLUDED_ELEMENTS.test(a.element))) {
+                skipped += 1;
+                continue;
+            }
+            seenElements.add(item.elementName);
+
+            const headings = ancestors.filter(a => a.abstract && a.depth >= 2 && !GENERIC_HEADING.test(a.element) && !GENERIC_HEADING.test(a.label));
+            const heading = headings.filter(a => a.label.length <= MAX_HEADING_LENGTH).pop() || headings[headings.length - 1];
+            const parent = ancestors.filter(a => !a.abstract).pop();
+            // 同じ標準ラベルの科目（流動資産・固定資産の貸倒引当金など）は冗長ラベルで区別する
+            let accountName = seenNames.has(item.label) && item.verboseLabel ? item.verboseLabel : item.label;
+            if (seenNames.has(accountName)) accountName = `${accountName}（${item.element}）`;
+            seenNames.add(accountName);
+
+            accounts.push({
+                element_name: item.elementName,
+                account_name: accountName.slice(0, 100),
+                english_name: item.englishLabel || null,
+                category,
+                sub_category: (heading ? heading.label : (parent ? parent.label : item.label)).slice(0, 100),
+                parent_element: parent ? parent.elementName : null,
+                sort_order: accounts.length + 1
+            });
+        }
+    }
+    return { accounts, skipped };
+};
+
+// 旧形式のCSV（category, sub_category, account_name の列）を勘定科目の配列にする
+const parseSimpleCsv = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    const index = (name) => header.findIndex(cell => cell.trim() === name);
+    const columns = { category: index('category'), sub_category: index('sub_category'), account_name: index('account_name') };
+    if (Object.values(columns).some(i => i < 0)) return { error: 'CSVに category, sub_category, account_name の列がありません。' };
+    const accounts = rows.map(row => ({
+        category: row[columns.category].trim(),
+        sub_category: row[columns.sub_category].trim(),
+        account_name: row[columns.account_name].trim()
+    }));
+    const invalid = accounts.find(account => !CATEGORIES.includes(account.category) || !account.account_name);
+    if (invalid) return { error: `大分類または科目名が不正です: ${invalid.account_name}` };
+    return { accounts, skipped: 0 };
+};
+
+// 勘定科目マスタのCSV（科目一覧CSVまたは旧形式）のバイト列を勘定科目の配列にする
+const parseAccountCsv = (buffer) => {
+    const text = decodeCsvBuffer(buffer);
+    return isTaxonomyCsv(parseCsv(text)) ? parseTaxonomyCsv(text) : parseSimpleCsv(text);
+};
+
+// 共通の勘定科目マスタに取り込む（呼び出し側で BEGIN/COMMIT を管理すること）
+// 登録済みの科目は削除せず、要素名（なければ科目名）が同じ科目を更新する。
+// 仕訳が参照している科目IDを変えないため、再取り込みしても既存の科目のIDは変わらない
+const importAccounts = async (client, accounts) => {
+    const idsByElement = new Map();
+    let inserted = 0;
+    let updated = 0;
+    for (const account of accounts) {
+        const values = [account.category, account.sub_category, account.account_name,
+            account.english_name || null, account.element_name || null, account.sort_order || null];
+        const existing = await client.query(
+            `UPDATE master_accounts
+             SET category = $1, sub_category = $2, account_name = $3,
+                 english_name = COALESCE($4, english_name), element_name = COALESCE($5, element_name),
+                 sort_order = COALESCE($6, sort_order)
+             WHERE id = (
+                 SELECT id FROM master_accounts
+                 WHERE owner_organization_id IS NULL
+                   AND (element_name = $5 OR (element_name IS NULL AND account_name = $3))
+                 ORDER BY element_name IS NULL
+                 LIMIT 1
+             )
+             RETURNING id`,
+            values
+        );
+        let id;
+        if (existing.rowCount > 0) {
+            id = existing.rows[0].id;
+            updated += 1;
+        } else {
+            const result = await client.query(
+                `INSERT INTO master_accounts (category, sub_category, account_name, english_name, element_name, sort_order)
+                 VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+                values
+            );
+            id = result.rows[0].id;
+            inserted += 1;
+        }
+        if (account.element_name) idsByElement.set(account.element_name, id);
+    }
+
+    // 親科目は全件を登録してから設定する（親が後の行にある場合に対応）
+    for (const account of accounts) {
+        if (!account.element_name) continue;
+        await client.query(
+            'UPDATE master_accounts SET parent_id = $2 WHERE id = $1',
+            [idsByElement.get(account.element_name), idsByElement.get(account.parent_element) || null]
+        );
+    }
+    return { inserted, updated };
+};
+
+// --- ユーザー独自の勘定科目 ---
+const ACCOUNT_COLUMNS = `m.id, m.category, m.sub_category, m.account_name, m.english_name, m.element_name, m.parent_id,
+    (m.owner_organization_id IS NOT NULL) AS is_custom`;
+
+// 組織（帳簿）で使える勘定科目（共通の科目とその帳簿の独自の科目）
+// includeHidden が true なら非表示にした科目も hidden: true を付けて返す
+const fetchAccounts = async (db, organizationId, { includeHidden = false } = {}) => {
+    const result = await db.query(
+        `SELECT ${ACCOUNT_COLUMNS}, (h.account_id IS NOT NULL) AS hidden
+         FROM master_accounts m
+         LEFT JOIN hidden_accounts h ON h.account_id = m.id AND h.organization_id = $1
+         WHERE (m.owner_organization_id IS NULL OR m.owner_organization_id = $1)
+           ${includeHidden ? '' : 'AND h.account_id IS NULL'}
+         ORDER BY m.owner_organization_id NULLS FIRST, m.sort_order NULLS FIRST, m.id`,
+        [organizationId]
+    );
+    return result.rows;
+};
+
+// 独自の科目の入力値を検証する。更新時（partial）は指定された項目だけを検証する
+const validateUserAccount = (body, { partial = false } = {}) => {
+    const account = {};
+    if (!partial || body.category !== undefined) account.category = body.category;
+    if (!partial || body.account_name !== undefined) account.account_name = String(body.account_name || '').trim().slice(0, 100);
+    if (!partial || body.sub_category !== undefined) account.sub_category = String(body.sub_category || '').trim().slice(0, 100) || 'その他';
+    if (!partial || body.parent_id !== undefined) account.parent_id = body.parent_id ? parseInt(body.parent_id, 10) : null;
+
+    if (account.category !== undefined && !CATEGORIES.includes(account.category)) {
+        return { error: '大分類が不正です。' };
+    }
+    if (account.account_name !== undefined && !account.account_name) {
+        return { error: '科目名は必須です。' };
+    }
+    if (account.parent_id !== undefined && account.parent_id !== null && !Number.isInteger(account.parent_id)) {
+        return { error: '親科目が不正です。' };
+    }
+    return { account };
+};
+
+// 共通の科目・自分の独自の科目に同じ名前の科目がないか確認する（exceptId は名前を変更する科目自身）
+const assertAccountNameAvailable = async (db, organizationId, accountName, exceptId = 0) => {
+    const result = await db.query(
+        `SELECT 1 FROM master_accounts
+         WHERE account_name = $1 AND (owner_organization_id IS NULL OR owner_organization_id = $2) AND id <> $3`,
+        [accountName, organizationId, exceptId]
+    );
+    if (result.rowCount > 0) {
+        const error = new Error(`勘定科目「${accountName}」はすでに登録されています。`);
+        error.status = 409;
+        throw error;
+    }
+};
+
+module.exports = {
+    CATEGORIES,
+    isTaxonomyCsv,
+    parseTaxonomyCsv,
+    parseAccountCsv,
+    importAccounts,
+    fetchAccounts,
+    validateUserAccount,
+    assertAccountNameAvailable
+};
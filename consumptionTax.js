@@ -0,0 +1,158 @@
+// consumptionTax.js - 消費税の税区分・税額計算と申告税額の集計
+
+const { toAmounts } = require('./reports');
+
+// 税区分（取引入力画面の tx-tax-rate の値と対応）
+const TAX_CATEGORIES = {
+    '10': { label: '課税 10%', rate: 10, nationalRate: 7.8 },
+    '8': { label: '課税 8%（軽減税率）', rate: 8, nationalRate: 6.24 },
+    'export': { label: '輸出売上 (免税)', rate: 0 },
+    'non-taxable': { label: '非課税', rate: 0 },
+    'exempt': { label: '対象外', rate: 0 }
+};
+const TAXABLE_RATES = ['10', '8'];
+
+// 簡易課税の事業区分ごとのみなし仕入率（第1種〜第6種）
+const DEEMED_PURCHASE_RATES = { 1: 0.9, 2: 0.8, 3: 0.7, 4: 0.6, 5: 0.5, 6: 0.4 };
+const DEFAULT_SIMPLIFIED_CLASS = 5; // 区分未設定の事業はサービス業等（第5種）として扱う
+
+const isTaxCategory = (value) => Object.prototype.hasOwnProperty.call(TAX_CATEGORIES, value);
+
+// 明細1行の税込金額と消費税額を求める（1円未満切り捨て）
+// mode が 'exclusive' の場合 amount は税抜金額として受け取る
+const computeLineTax = (amount, taxCategory, mode = 'inclusive') => {
+    const rate = TAX_CATEGORIES[taxCategory].rate;
+    if (rate === 0) {
+        return { amount, tax_amount: 0 };
+    }
+    if (mode === 'exclusive') {
+        const tax = Math.floor(amount * rate / 100);
+        return { amount: amount + tax, tax_amount: tax };
+    }
+    return { amount, tax_amount: Math.floor(amount * rate / (100 + rate)) };
+};
+
+const floorTo = (value, unit) => Math.floor(value / unit) * unit;
+
+// 税区分・事業セクションごとの売上と仕入（税込）を取得する
+// 売上は収益科目、仕入は費用科目と資産科目（固定資産の購入など）の明細を対象とする
+const fetchTaxTotals = async (db, organizationId, period) => {
+    const result = await db.query(
+        `SELECT l.tax_category, t.business_type_id,
+                COALESCE(SUM(CASE WHEN m.category = 'revenues' THEN
+                    CASE WHEN l.side = 'credit' THEN l.amount ELSE -l.amount END END), 0)::bigint AS sales,
+                COALESCE(SUM(CASE WHEN m.category IN ('expenses', 'assets') THEN
+                    CASE WHEN l.side = 'debit' THEN l.amount ELSE -l.amount END END), 0)::bigint AS purchases
+         FROM transaction_lines l
+         JOIN transactions t ON l.transaction_id = t.id
+         JOIN master_accounts m ON l.account_id = m.id
+         WHERE t.organization_id = $1 AND t.transaction_date BETWEEN $2 AND $3 AND t.deleted_at IS NULL
+           AND l.tax_category <> 'exempt'
+         GROUP BY l.tax_category, t.business_type_id`,
+        [organizationId, period.from, period.to]
+    );
+    return result.rows.map(toAmounts(['sales', 'purchases']));
+};
+
+// 税率ごとの課税標準額と消費税額（国税分）。課税標準額は千円未満切り捨て
+const outputTaxFor = (salesIncludingTax, taxCategory) => {
+    const { rate, nationalRate } = TAX_CATEGORIES[taxCategory];
+    const base = floorTo(Math.floor(salesIncludingTax * 100 / (100 + rate)), 1000);
+    return { base, tax: Math.floor(base * nationalRate / 100) };
+};
+
+// 消費税の集計と納付税額の計算
+// settings はユーザー設定（operatorType）、businessSections は事業セクション（simplified_tax_class）
+const buildConsumptionTaxReport = (rows, { method = 'general', settings = {}, businessSections = [] } = {}) => {
+    const byCategory = {};
+    Object.keys(TAX_CATEGORIES).filter(c => c !== 'exempt').forEach(category => {
+        byCategory[category] = { label: TAX_CATEGORIES[category].label, sales: 0, purchases: 0 };
+    });
+    rows.forEach(row => {
+        if (!byCategory[row.tax_category]) return;
+        byCategory[row.tax_category].sales += row.sales;
+        byCategory[row.tax_category].purchases += row.purchases;
+    });
+
+    // 売上税額（税率別）
+    const rates = TAXABLE_RATES.map(category => {
+        const output = outputTaxFor(byCategory[category].sales, category);
+        const { rate, nationalRate } = TAX_CATEGORIES[category];
+        return {
+            tax_category: category,
+            rate,
+            sales_including_tax: byCategory[category].sales,
+            purchases_including_tax: byCategory[category].purchases,
+            taxable_base: output.base,
+            output_tax: output.tax,
+            // 仕入税額は割戻し計算
+            input_tax: Math.floor(byCategory[category].purchases * nationalRate / (100 + rate))
+        };
+    });
+    const outputTax = rates.reduce((sum, r) => sum + r.output_tax, 0);
+
+    // 課税売上割合 = (課税売上 + 輸出免税売上) / (課税売上 + 輸出免税売上 + 非課税売上)（いずれも税抜）
+    const taxableSalesExcludingTax = rates.reduce((sum, r) => sum + Math.floor(r.sales_including_tax * 100 / (100 + r.rate)), 0)
+        + byCategory['export'].sales;
+    const totalSales = taxableSalesExcludingTax + byCategory['non-taxable'].sales;
+    const taxableSalesRatio = totalSales > 0 ? taxableSalesExcludingTax / totalSales : 1;
+
+    let inputTax;
+    let simplified = null;
+    if (method === 'simplified') {
+        // 簡易課税: 事業区分ごとの売上税額 × みなし仕入率
+        const classes = {};
+        rows.forEach(row => {
+            if (!TAXABLE_RATES.includes(row.tax_category)) return;
+            const businessSection = businessSections.find(section => section.id === row.business_type_id);
+            const taxClass = (businessSection && businessSection.simplified_tax_class) || DEFAULT_SIMPLIFIED_CLASS;
+            const { rate, nationalRate } = TAX_CATEGORIES[row.tax_category];
+            classes[taxClass] = classes[taxClass] || { tax_class: Number(taxClass), output_tax: 0 };
+            classes[taxClass].output_tax += Math.floor(row.sales * nationalRate / (100 + rate));
+        });
+        simplified = Object.values(classes).map(c => ({
+            ...c,
+            deemed_purchase_rate: DEEMED_PURCHASE_RATES[c.tax_class],
+            deemed_input_tax: Math.floor(c.output_tax * DEEMED_PURCHASE_RATES[c.tax_class])
+        }));
+        const classOutputTax = simplified.reduce((sum, c) => sum + c.output_tax, 0);
+        const deemedInputTax = simplified.reduce((sum, c) => sum + c.deemed_input_tax, 0);
+        // 税率別の端数処理による差を按分して、売上税額に対するみなし仕入税額とする
+        inputTax = classOutputTax > 0 ? Math.floor(outputTax * deemedInputTax / classOutputTax) : 0;
+    } else {
+        // 一般課税: 課税売上割合が95%未満の場合は一括比例配分方式で控除
+        const fullInputTax = rates.reduce((sum, r) => sum + r.input_tax, 0);
+        inputTax = taxableSalesRatio >= 0.95 ? fullInputTax : Math.floor(fullInputTax * taxableSalesRatio);
+    }
+
+    const isTaxable = settings.operatorType !== 'exempt';
+    const nationalTax = isTaxable ? Math.max(floorTo(outputTax - inputTax, 100), 0) : 0;
+    const refund = isTaxable && method === 'general' && inputTax > outputTax ? inputTax - outputTax : 0;
+    const localTax = floorTo(Math.floor(nationalTax * 22 / 78), 100);
+
+    return {
+        method,
+        is_taxable_operator: isTaxable,
+        categories: byCategory,
+        rates,
+        export_sales: byCategory['export'].sales,
+        non_taxable_sales: byCategory['non-taxable'].sales,
+        taxable_sales_ratio: Math.round(taxableSalesRatio * 10000) / 10000,
+        simplified_classes: simplified,
+        output_tax: outputTax,
+        input_tax: inputTax,
+        national_tax_payable: nationalTax,
+        local_tax_payable: localTax,
+        total_tax_payable: nationalTax + localTax,
+        refundable_national_tax: refund
+    };
+};
+
+module.exports = {
+    TAX_CATEGORIES,
+    DEEMED_PURCHASE_RATES,
+    isTaxCategory,
+    computeLineTax,
+    fetchTaxTotals,
+    buildConsumptionTaxReport
+};
@@ -0,0 +1,81 @@
+// consumptionTax.test.js - 明細の税額計算と、一般課税・簡易課税の納付税額
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeLineTax, isTaxCategory, buildConsumptionTaxReport } = require('./consumptionTax');
+
+test('明細の消費税額は1円未満を切り捨てる', () => {
+    assert.deepEqual(computeLineTax(1100, '10'), { amount: 1100, tax_amount: 100 });
+    assert.deepEqual(computeLineTax(1099, '10'), { amount: 1099, tax_amount: 99 });
+    assert.deepEqual(computeLineTax(1000, '10', 'exclusive'), { amount: 1100, tax_amount: 100 });
+    assert.deepEqual(computeLineTax(1080, '8'), { amount: 1080, tax_amount: 80 });
+    assert.deepEqual(computeLineTax(5000, 'non-taxable'), { amount: 5000, tax_amount: 0 });
+});
+
+test('税区分は定義済みの値だけを受け付ける', () => {
+    assert.equal(isTaxCategory('10'), true);
+    assert.equal(isTaxCategory('export'), true);
+    assert.equal(isTaxCategory('5'), false);
+    assert.equal(isTaxCategory('toString'), false);
+});
+
+const rows = [
+    { tax_category: '10', business_type_id: 'retail', sales: 1100000, purchases: 550000 }
+];
+
+test('一般課税: 課税標準額は千円未満、納付税額は百円未満を切り捨てる', () => {
+    const report = buildConsumptionTaxReport(rows, { method: 'general', settings: { operatorType: 'taxable' } });
+    const rate10 = report.rates.find(r => r.tax_category === '10');
+    assert.equal(rate10.taxable_base, 1000000);
+    assert.equal(rate10.output_tax, 78000);
+    assert.equal(rate10.input_tax, 39000);
+    assert.equal(report.taxable_sales_ratio, 1);
+    assert.equal(report.national_tax_payable, 39000);
+    assert.equal(report.local_tax_payable, 11000);
+    assert.equal(report.total_tax_payable, 50000);
+});
+
+test('一般課税: 課税売上割合が95%未満なら仕入税額を一括比例配分で控除する', () => {
+    const report = buildConsumptionTaxReport(
+        rows.concat({ tax_category: 'non-taxable', business_type_id: 'retail', sales: 100000, purchases: 0 }),
+        { method: 'general', settings: { operatorType: 'taxable' } }
+    );
+    assert.equal(report.taxable_sales_ratio, 0.9091);
+    assert.equal(report.input_tax, 35454);
+    assert.equal(report.national_tax_payable, 42500);
+});
+
+test('一般課税: 仕入税額が売上税額を上回れば還付額を返す', () => {
+    const report = buildConsumptionTaxReport(
+        [{ tax_category: '10', business_type_id: 'retail', sales: 110000, purchases: 1100000 }],
+        { method: 'general', settings: { operatorType: 'taxable' } }
+    );
+    assert.equal(report.national_tax_payable, 0);
+    assert.equal(report.refundable_national_tax, report.input_tax - report.output_tax);
+});
+
+test('簡易課税: 事業区分のみなし仕入率で仕入税額を求める', () => {
+    const report = buildConsumptionTaxReport(rows, {
+        method: 'simplified',
+        settings: { operatorType: 'taxable' },
+        businessSections: [{ id: 'retail', simplified_tax_class: 1 }]
+    });
+    assert.deepEqual(report.simplified_classes, [
+        { tax_class: 1, output_tax: 78000, deemed_purchase_rate: 0.9, deemed_input_tax: 70200 }
+    ]);
+    assert.equal(report.input_tax, 70200);
+    assert.equal(report.national_tax_payable, 7800);
+    assert.equal(report.local_tax_payable, 2200);
+});
+
+test('簡易課税: 区分を設定していない事業は第5種として扱う', () => {
+    const report = buildConsumptionTaxReport(rows, { method: 'simplified', settings: { operatorType: 'taxable' } });
+    assert.equal(report.simplified_classes[0].tax_class, 5);
+    assert.equal(report.input_tax, 39000);
+});
+
+test('免税事業者は納付税額を0にする', () => {
+    const report = buildConsumptionTaxReport(rows, { method: 'general', settings: { operatorType: 'exempt' } });
+    assert.equal(report.national_tax_payable, 0);
+    assert.equal(report.total_tax_payable, 0);
+});
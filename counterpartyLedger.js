@@ -0,0 +1,268 @@
+// counterpartyLedger.js - 取引先マスタと、取引先ごとの売掛金・買掛金（消込・年齢表・取引先元帳）
+const { isValidRegistrationNumber } = require('./receiptParser');
+const { normalizeVendor } = require('./accountSuggester');
+const { toHalfWidth } = require('./statementImport');
+const { isTaxCategory } = require('./consumptionTax');
+
+const COUNTERPARTY_COLUMNS = 'id, name, kana, registration_number, default_account_id, default_tax_category, notes, created_at, updated_at';
+
+// 取引先ごとに管理する債権・債務。increase は残高が増える側（売掛金は借方、買掛金は貸方）
+const OPEN_ITEM_KINDS = {
+    receivable: { label: '売掛金', accountNames: ['売掛金'], increase: 'debit' },
+    payable: { label: '買掛金', accountNames: ['買掛金'], increase: 'credit' }
+};
+
+// 年齢表の区分（計上日からの経過日数）
+const AGING_BUCKETS = [
+    { key: '0-30', label: '30日以内', maxDays: 30 },
+    { key: '31-60', label: '31〜60日', maxDays: 60 },
+    { key: '61-90', label: '61〜90日', maxDays: 90 },
+    { key: '91+', label: '91日以上', maxDays: Infinity }
+];
+
+// 'T1234567890123'・'1234-5678-90123'・全角などの表記を 'T' + 13桁にそろえる
+const normalizeRegistrationNumber = (value) => {
+    const digits = toHalfWidth(String(value)).toUpperCase().replace(/[\s-]/g, '').replace(/^T/, '');
+    return `T${digits}`;
+};
+
+// ひらがなはカタカナにそろえる
+const normalizeKana = (value) => String(value).trim()
+    .replace(/[ぁ-ゖ]/g, c => String.fromCharCode(c.charCodeAt(0) + 0x60))
+    .replace(/\s+/g, ' ');
+
+// 取引先の入力を検証する。partial=true（部分更新）の場合は指定された項目だけを検証する
+// 成功時は { counterparty }、失敗時は { error } を返す
+const validateCounterparty = (body, { partial = false } = {}) => {
+    const counterparty = {};
+    const has = (key) => body[key] !== undefined;
+
+    if (!partial || has('name')) {
+        const name = String(body.name || '').trim();
+        if (!name || name.length > 100) {
+            return { error: '取引先名は1〜100文字で入力してください。' };
+        }
+        counterparty.name = name;
+    }
+    if (has('kana')) {
+        const kana = body.kana ? normalizeKana(body.kana) : null;
+        if (kana && (kana.length > 100 || !/^[゠-ヿｦ-ﾟ ]+$/.test(kana))) {
+            return { error: 'フリガナはカタカナ100文字以内で入力してください。' };
+        }
+        counterparty.kana = kana;
+    }
+    if (has('registration_number')) {
+        const number = body.registration_number ? normalizeRegistrationNumber(body.registration_number) : null;
+        if (number && !isValidRegistrationNumber(number)) {
+            return { error: '登録番号が正しくありません。T に続く13桁の数字を確認してください（チェックデジットが一致しません）。' };
+        }
+        counterparty.registration_number = number;
+    }
+    if (has('default_account_id')) {
+        const accountId = body.default_account_id ? parseInt(body.default_account_id, 10) : null;
+        if (accountId !== null && !(accountId > 0)) {
+            return { error: '既定の勘定科目が不正です。' };
+        }
+        counterparty.default_account_id = accountId;
+    }
+    if (has('default_tax_category')) {
+        const taxCategory = body.default_tax_category || null;
+        if (taxCategory && !isTaxCategory(taxCategory)) {
+            return { error: '既定の税区分が不正です。' };
+        }
+        counterparty.default_tax_category = taxCategory;
+    }
+    if (has('notes')) {
+        const notes = body.notes ? String(body.notes).trim() : null;
+        if (notes && notes.length > 255) {
+            return { error: 'メモは255文字以内で入力してください。' };
+        }
+        counterparty.notes = notes;
+    }
+    return { counterparty };
+};
+
+// OCRで読み取った取引先（登録番号・店名）に当てはまる登録済みの取引先を探す
+// 登録番号が一致すればそれを、なければ表記ゆれをそろえた名前・フリガナが一致または一方を含むものを返す。見つからなければ null
+const matchCounterparty = async (db, organizationId, { registration_number, name }) => {
+    if (registration_number && isValidRegistrationNumber(normalizeRegistrationNumber(registration_number))) {
+        const byNumber = await db.query(
+            `SELECT ${COUNTERPARTY_COLUMNS} FROM counterparties
+             WHERE organization_id = $1 AND registration_number = $2 ORDER BY id LIMIT 1`,
+            [organizationId, normalizeRegistrationNumber(registration_number)]
+        );
+        if (byNumber.rowCount > 0) return { counterparty: byNumber.rows[0], matched_by: 'registration_number' };
+    }
+
+    const vendor = normalizeVendor(name);
+    if (vendor.length < 2) return null;
+    const candidates = await db.query(
+        `SELECT ${COUNTERPARTY_COLUMNS} FROM counterparties WHERE organization_id = $1 ORDER BY id`,
+        [organizationId]
+    );
+    const keys = (c) => [normalizeVendor(c.name), normalizeVendor(c.kana)].filter(key => key.length >= 2);
+    const exact = candidates.rows.find(c => keys(c).includes(vendor));
+    if (exact) return { counterparty: exact, matched_by: 'name' };
+    // レシートの店名は「〇〇 △△店」のように支店名が付くことが多いため、部分一致は長い名前を優先する
+    const partial = candidates.rows
+        .filter(c => keys(c).some(key => vendor.includes(key) || key.includes(vendor)))
+        .sort((a, b) => normalizeVendor(b.name).length - normalizeVendor(a.name).length)[0];
+    return partial ? { counterparty: partial, matched_by: 'name' } : null;
+};
+
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+// 売掛金・買掛金の明細（取引先・計上日順）。asOf 以前の削除されていない仕訳が対象
+// counterpartyId を指定するとその取引先の明細だけを返す
+const fetchOpenItemLines = async (db, organizationId, kind, { asOf, counterpartyId } = {}) => {
+    const params = [organizationId, OPEN_ITEM_KINDS[kind].accountNames, asOf];
+    if (counterpartyId) params.push(counterpartyId);
+    const result = await db.query(
+        `SELECT t.id AS transaction_id, t.transaction_date, t.notes, t.counterparty_id, l.side, l.amount
+         FROM transactions t
+         JOIN transaction_lines l ON l.transaction_id = t.id
+         JOIN master_accounts m ON l.account_id = m.id
+         WHERE t.organization_id = $1 AND t.deleted_at IS NULL
+           AND m.account_name = ANY($2::text[]) AND m.owner_organization_id IS NULL
+           AND t.transaction_date <= $3
+           ${counterpartyId ? 'AND t.counterparty_id = $4' : ''}
+         ORDER BY t.counterparty_id NULLS LAST, t.transaction_date, t.id, l.line_no`,
+        params
+    );
+    return result.rows;
+};
+
+// 残高が増えた明細（請求・仕入）を未決済の項目とし、減った明細（入金・支払）を古い項目から順に消し込む
+// 項目より多く入金・支払した分は前受・前払の残額（unapplied）として、その後に計上された項目に充てる
+// 戻り値: 取引先ごとの { counterparty_id, items: [{ transaction_id, transaction_date, notes, amount, open_amount, settled_date }], unapplied }
+const applySettlements = (lines, kind) => {
+    const increase = OPEN_ITEM_KINDS[kind].increase;
+    const groups = new Map();
+    for (const line of lines) {
+        const key = line.counterparty_id ?? null;
+        if (!groups.has(key)) groups.set(key, { counterparty_id: key, items: [], unapplied: 0 });
+        const group = groups.get(key);
+
+        if (line.side === increase) {
+            const item = {
+                transaction_id: line.transaction_id,
+                transaction_date: line.transaction_date,
+                notes: line.notes,
+                amount: line.amount,
+                open_amount: line.amount,
+                settled_date: null
+            };
+            const applied = Math.min(group.unapplied, item.open_amount);
+            item.open_amount -= applied;
+            group.unapplied -= applied;
+            if (item.open_amount === 0) item.settled_date = line.transaction_date;
+            group.items.push(item);
+            continue;
+        }
+
+        let remaining = line.amount;
+        for (const item of group.items) {
+            if (remaining === 0) break;
+            if (item.open_amount === 0) continue;
+            const applied = Math.min(remaining, item.open_amount);
+            item.open_amount -= applied;
+            remaining -= applied;
+            if (item.open_amount === 0) item.settled_date = line.transaction_date;
+        }
+        group.unapplied += remaining;
+    }
+    return [...groups.values()];
+};
+
+// 取引先別の年齢表。未決済の残額を計上日からの経過日数で区分する
+const buildAgingReport = (groups, names, kind, asOf) => {
+    const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+    const totals = { buckets: emptyBuckets(), total: 0, unapplied: 0 };
+    const counterparties = groups.map(group => {
+        const buckets = emptyBuckets();
+        const openItems = group.items.filter(item => item.open_amount > 0).map(item => {
+            const days = daysBetween(item.transaction_date, asOf);
+            const bucket = AGING_BUCKETS.find(b => days <= b.maxDays);
+            buckets[bucket.key] += item.open_amount;
+            totals.buckets[bucket.key] += item.open_amount;
+            return { ...item, days, bucket: bucket.key };
+        });
+        const total = openItems.reduce((sum, item) => sum + item.open_amount, 0);
+        totals.total += total;
+        totals.unapplied += group.unapplied;
+        return {
+            counterparty_id: group.counterparty_id,
+            name: group.counterparty_id === null ? '取引先未設定' : names.get(group.counterparty_id) || `取引先ID ${group.counterparty_id}`,
+            buckets,
+            total,
+            unapplied: group.unapplied,
+            open_items: openItems
+        };
+    }).filter(row => row.total > 0 || row.unapplied > 0);
+
+    return {
+        kind,
+        label: OPEN_ITEM_KINDS[kind].label,
+        as_of: asOf,
+        buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+        counterparties: counterparties.sort((a, b) => b.total - a.total),
+        totals
+    };
+};
+
+const loadCounterpartyNames = async (db, organizationId) => {
+    const result = await db.query('SELECT id, name FROM counterparties WHERE organization_id = $1', [organizationId]);
+    return new Map(result.rows.map(row => [row.id, row.name]));
+};
+
+// 売掛金（receivable）または買掛金（payable）の年齢表
+const agingReport = async (db, organizationId, kind, asOf) => {
+    const lines = await fetchOpenItemLines(db, organizationId, kind, { asOf });
+    const names = await loadCounterpartyNames(db, organizationId);
+    return buildAgingReport(applySettlements(lines, kind), names, kind, asOf);
+};
+
+// 取引先元帳。期間内の売掛金・買掛金の増減と残高、期末時点の項目ごとの消込状況を返す
+const counterpartyLedger = async (db, organizationId, counterpartyId, { from, to }) => {
+    const kinds = {};
+    for (const [kind, { label, increase }] of Object.entries(OPEN_ITEM_KINDS)) {
+        const lines = await fetchOpenItemLines(db, organizationId, kind, { asOf: to, counterpartyId });
+        const signed = (line) => (line.side === increase ? line.amount : -line.amount);
+        const openingBalance = lines.filter(line => line.transaction_date < from).reduce((sum, line) => sum + signed(line), 0);
+        let balance = openingBalance;
+        const entries = lines.filter(line => line.transaction_date >= from).map(line => {
+            balance += signed(line);
+            return {
+                transaction_id: line.transaction_id,
+                transaction_date: line.transaction_date,
+                notes: line.notes,
+                debit: line.side === 'debit' ? line.amount : 0,
+                credit: line.side === 'credit' ? line.amount : 0,
+                balance
+            };
+        });
+        const [group] = applySettlements(lines, kind);
+        kinds[kind] = {
+            label,
+            opening_balance: openingBalance,
+            entries,
+            closing_balance: balance,
+            items: group ? group.items : [],
+            unapplied: group ? group.unapplied : 0
+        };
+    }
+    return kinds;
+};
+
+module.exports = {
+    COUNTERPARTY_COLUMNS,
+    OPEN_ITEM_KINDS,
+    AGING_BUCKETS,
+    normalizeRegistrationNumber,
+    validateCounterparty,
+    matchCounterparty,
+    applySettlements,
+    buildAgingReport,
+    agingReport,
+    counterpartyLedger
+};
@@ -0,0 +1,233 @@
+// depreciation.js - 固定資産の減価償却計算（定額法・定率法・少額減価償却資産・一括償却資産）
+
+const METHODS = ['定額法', '定率法'];
+
+// 特例の扱い
+// none: 通常の減価償却 / immediate: 少額減価償却資産（取得年に全額償却） / lump_sum: 一括償却資産（3年均等償却）
+const SPECIAL_TREATMENTS = ['none', 'immediate', 'lump_sum'];
+const IMMEDIATE_LIMIT = 300000; // 少額減価償却資産の特例（青色申告）の上限（30万円未満）
+const IMMEDIATE_ANNUAL_LIMIT = 3000000; // 少額減価償却資産の特例を使える取得価額の合計（1年度300万円まで）
+const LUMP_SUM_LIMIT = 200000;  // 一括償却資産の上限（20万円未満）
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 200%定率法の償却率・改定償却率・保証率（耐用年数省令 別表第十）
+const DECLINING_BALANCE_TABLE = {
+    2: { rate: 1.000, revisedRate: null, guaranteeRate: null },
+    3: { rate: 0.667, revisedRate: 1.000, guaranteeRate: 0.11089 },
+    4: { rate: 0.500, revisedRate: 1.000, guaranteeRate: 0.12499 },
+    5: { rate: 0.400, revisedRate: 0.500, guaranteeRate: 0.10800 },
+    6: { rate: 0.333, revisedRate: 0.334, guaranteeRate: 0.09911 },
+    7: { rate: 0.286, revisedRate: 0.334, guaranteeRate: 0.08680 },
+    8: { rate: 0.250, revisedRate: 0.334, guaranteeRate: 0.07909 },
+    9: { rate: 0.222, revisedRate: 0.250, guaranteeRate: 0.07126 },
+    10: { rate: 0.200, revisedRate: 0.250, guaranteeRate: 0.06552 },
+    11: { rate: 0.182, revisedRate: 0.200, guaranteeRate: 0.05992 },
+    12: { rate: 0.167, revisedRate: 0.200, guaranteeRate: 0.05566 },
+    13: { rate: 0.154, revisedRate: 0.167, guaranteeRate: 0.05180 },
+    14: { rate: 0.143, revisedRate: 0.167, guaranteeRate: 0.04854 },
+    15: { rate: 0.133, revisedRate: 0.143, guaranteeRate: 0.04565 },
+    16: { rate: 0.125, revisedRate: 0.143, guaranteeRate: 0.04294 },
+    17: { rate: 0.118, revisedRate: 0.125, guaranteeRate: 0.04038 },
+    18: { rate: 0.111, revisedRate: 0.112, guaranteeRate: 0.03884 },
+    19: { rate: 0.105, revisedRate: 0.112, guaranteeRate: 0.03693 },
+    20: { rate: 0.100, revisedRate: 0.112, guaranteeRate: 0.03486 }
+};
+
+// 定額法の償却率（1 / 耐用年数 を小数点以下3位に切り上げ）
+const straightLineRate = (usefulLife) => Math.ceil(1000 / usefulLife) / 1000;
+
+// 定率法の償却率（定額法の償却率の2倍。表にない耐用年数は 2 / 耐用年数 を3位で四捨五入）
+const decliningBalanceRate = (usefulLife) => DECLINING_BALANCE_TABLE[usefulLife]
+    ? DECLINING_BALANCE_TABLE[usefulLife].rate
+    : Math.round(2000 / usefulLife) / 1000;
+
+// 登録・更新リクエストの検証
+const validateFixedAsset = (body) => {
+    const asset = {
+        asset_name: (body.asset_name || '').trim(),
+        acquisition_date: body.acquisition_date,
+        service_start_date: body.service_start_date || body.acquisition_date,
+        acquisition_cost: Number(body.acquisition_cost),
+        useful_life: Number(body.useful_life),
+        depreciation_method: body.depreciation_method || '定額法',
+        special_treatment: body.special_treatment || 'none',
+        account_id: body.account_id ? parseInt(body.account_id, 10) : null,
+        start_month: body.start_month ? Number(body.start_month) : 1
+    };
+
+    if (!asset.asset_name) {
+        return { error: '資産名は必須です。' };
+    }
+    if (!DATE_PATTERN.test(asset.acquisition_date || '') || !DATE_PATTERN.test(asset.service_start_date || '')) {
+        return { error: '取得日・事業供用日は YYYY-MM-DD 形式で入力してください。' };
+    }
+    if (!Number.isInteger(asset.acquisition_cost) || asset.acquisition_cost <= 0) {
+        return { error: '取得価額は1円以上の整数で入力してください。' };
+    }
+    if (!Number.isInteger(asset.useful_life) || asset.useful_life < 2 || asset.useful_life > 50) {
+        return { error: '耐用年数は2〜50年で入力してください。' };
+    }
+    if (!Number.isInteger(asset.start_month) || asset.start_month < 1 || asset.start_month > 12) {
+        return { error: 'start_month は1〜12で指定してください。' };
+    }
+    if (!METHODS.includes(asset.depreciation_method)) {
+        return { error: '償却方法は 定額法 または 定率法 を指定してください。' };
+    }
+    if (!SPECIAL_TREATMENTS.includes(asset.special_treatment)) {
+        return { error: '特例区分が不正です。' };
+    }
+    if (asset.special_treatment === 'immediate' && asset.acquisition_cost >= IMMEDIATE_LIMIT) {
+        return { error: '少額減価償却資産として処理できるのは取得価額30万円未満の資産です。' };
+    }
+    if (asset.special_treatment === 'lump_sum' && asset.acquisition_cost >= LUMP_SUM_LIMIT) {
+        return { error: '一括償却資産として処理できるのは取得価額20万円未満の資産です。' };
+    }
+
+    return { asset };
+};
+
+// 事業供用日の属する会計年度と、その年度の償却月数（供用月を1か月と数える）
+const firstYearInfo = (serviceStartDate, startMonth) => {
+    const [y, m] = serviceStartDate.split('-').map(Number);
+    const fiscalYear = m >= startMonth ? y : y - 1;
+    const monthsFromStart = (m - startMonth + 12) % 12;
+    return { fiscalYear, months: 12 - monthsFromStart };
+};
+
+// 少額減価償却資産の年度ごとの合計上限の確認。others は同じ組織の登録済みの資産（更新時は自身を除く）
+// 上限を超える場合はエラーメッセージを返す。超えた分は通常の償却か一括償却資産として登録してもらう
+const checkImmediateAnnualLimit = (asset, others) => {
+    if (asset.special_treatment !== 'immediate') return null;
+    const yearOf = (a) => firstYearInfo(a.service_start_date || a.acquisition_date, a.start_month || 1).fiscalYear;
+    const fiscalYear = yearOf(asset);
+    const used = others
+        .filter(other => other.special_treatment === 'immediate' && yearOf(other) === fiscalYear)
+        .reduce((sum, other) => sum + Number(other.acquisition_cost), 0);
+    if (used + asset.acquisition_cost > IMMEDIATE_ANNUAL_LIMIT) {
+        return `少額減価償却資産の取得価額の合計は1年度300万円までです（${fiscalYear}年度の登録済み合計 ${used}円）。通常の償却または一括償却資産として登録してください。`;
+    }
+    return null;
+};
+
+// 償却スケジュール（会計年度ごとの期首帳簿価額・償却費・期末帳簿価額）
+// startMonth は期首月（個人事業主は1月）。省略時は資産に登録した期首月
+const computeSchedule = (asset, { startMonth = asset.start_month || 1 } = {}) => {
+    const cost = asset.acquisition_cost;
+    const { fiscalYear: firstYear, months: firstMonths } = firstYearInfo(asset.service_start_date || asset.acquisition_date, startMonth);
+    const schedule = [];
+    const push = (fiscalYear, months, opening, depreciation, note) => {
+        schedule.push({
+            fiscal_year: fiscalYear,
+            months,
+            opening_book_value: opening,
+            depreciation,
+            closing_book_value: opening - depreciation,
+            note
+        });
+    };
+
+    if (asset.special_treatment === 'immediate') {
+        push(firstYear, firstMonths, cost, cost, '少額減価償却資産（全額償却）');
+        return schedule;
+    }
+
+    if (asset.special_treatment === 'lump_sum') {
+        // 一括償却資産は月数に関係なく3年で均等償却し、残存価額を残さない
+        const annual = Math.floor(cost / 3);
+        let book = cost;
+        for (let i = 0; i < 3; i++) {
+            const depreciation = i === 2 ? book : annual;
+            push(firstYear + i, 12, book, depreciation, '一括償却資産（3年均等）');
+            book -= depreciation;
+        }
+        return schedule;
+    }
+
+    // 通常の償却は備忘価額1円まで
+    const life = asset.useful_life;
+    let book = cost;
+    let fiscalYear = firstYear;
+    let months = firstMonths;
+
+    if (asset.depreciation_method === '定額法') {
+        const rate = straightLineRate(life);
+        while (book > 1) {
+            const charge = Math.min(Math.floor(cost * rate * months / 12), book - 1);
+            push(fiscalYear, months, book, charge, `定額法 償却率${rate.toFixed(3)}`);
+            book -= charge;
+            fiscalYear += 1;
+            months = 12;
+        }
+        return schedule;
+    }
+
+    // 定率法：調整前償却額が償却保証額を下回った年度から、改定取得価額 × 改定償却率 に切り替える
+    const rate = decliningBalanceRate(life);
+    const table = DECLINING_BALANCE_TABLE[life];
+    const guaranteeAmount = table && table.guaranteeRate ? Math.floor(cost * table.guaranteeRate) : null;
+    let revised = null;
+    let elapsedYears = 0;
+    while (book > 1) {
+        let charge;
+        let note;
+        if (!revised) {
+            const beforeAdjustment = Math.floor(book * rate);
+            const remainingYears = life - elapsedYears;
+            // 表にない耐用年数は、残存年数での均等償却額が定率法の償却額を上回った時点で切り替える
+            const shouldSwitch = table
+                ? guaranteeAmount !== null && beforeAdjustment < guaranteeAmount
+                : remainingYears > 0 && book / remainingYears > beforeAdjustment;
+            if (shouldSwitch) {
+                revised = {
+                    base: book,
+                    rate: table ? table.revisedRate : Math.ceil(1000 / remainingYears) / 1000
+                };
+            } else {
+                charge = Math.floor(book * rate * months / 12);
+                note = `定率法 償却率${rate.toFixed(3)}`;
+            }
+        }
+        if (revised) {
+            charge = Math.floor(revised.base * revised.rate * months / 12);
+            note = `定率法 改定償却率${revised.rate.toFixed(3)}（改定取得価額 ${revised.base}）`;
+        }
+        charge = Math.min(charge, book - 1);
+        push(fiscalYear, months, book, charge, note);
+        book -= charge;
+        fiscalYear += 1;
+        elapsedYears += months / 12;
+        months = 12;
+    }
+    return schedule;
+};
+
+// 指定年度の償却額。供用開始前の年度は null、償却済みの年度は償却額0の行を返す
+const depreciationForYear = (asset, fiscalYear, options) => {
+    const schedule = computeSchedule(asset, options);
+    const row = schedule.find(r => r.fiscal_year === fiscalYear);
+    if (row) return row;
+    if (fiscalYear < schedule[0].fiscal_year) return null;
+
+    const book = schedule[schedule.length - 1].closing_book_value;
+    return {
+        fiscal_year: fiscalYear,
+        months: 0,
+        opening_book_value: book,
+        depreciation: 0,
+        closing_book_value: book,
+        note: '償却済み'
+    };
+};
+
+module.exports = {
+    METHODS,
+    SPECIAL_TREATMENTS,
+    IMMEDIATE_LIMIT,
+    IMMEDIATE_ANNUAL_LIMIT,
+    straightLineRate,
+    decliningBalanceRate,
+    validateFixedAsset,
+    checkImmediateAnnualLimit,
+    computeSchedule,
+    depreciationForYear
+};
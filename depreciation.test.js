@@ -0,0 +1,111 @@
+// depreciation.test.js - 定額法・定率法・少額減価償却資産・一括償却資産の償却スケジュール
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    straightLineRate,
+    decliningBalanceRate,
+    validateFixedAsset,
+    checkImmediateAnnualLimit,
+    computeSchedule,
+    depreciationForYear
+} = require('./depreciation');
+
+const asset = (overrides = {}) => ({
+    asset_name: 'パソコン',
+    acquisition_date: '2025-01-10',
+    service_start_date: '2025-01-10',
+    acquisition_cost: 1000000,
+    useful_life: 4,
+    depreciation_method: '定額法',
+    special_treatment: 'none',
+    ...overrides
+});
+
+const charges = (schedule) => schedule.map(row => [row.fiscal_year, row.depreciation]);
+
+test('償却率は耐用年数から求める', () => {
+    assert.equal(straightLineRate(4), 0.25);
+    assert.equal(straightLineRate(3), 0.334);
+    assert.equal(decliningBalanceRate(5), 0.4);
+    assert.equal(decliningBalanceRate(30), 0.067);
+});
+
+test('定額法は備忘価額1円を残して償却する', () => {
+    const schedule = computeSchedule(asset());
+    assert.deepEqual(charges(schedule), [[2025, 250000], [2026, 250000], [2027, 250000], [2028, 249999]]);
+    assert.equal(schedule[schedule.length - 1].closing_book_value, 1);
+});
+
+test('期中に事業供用した年度は月数で按分する', () => {
+    const schedule = computeSchedule(asset({ service_start_date: '2025-07-01' }));
+    assert.deepEqual(schedule[0], {
+        fiscal_year: 2025,
+        months: 6,
+        opening_book_value: 1000000,
+        depreciation: 125000,
+        closing_book_value: 875000,
+        note: '定額法 償却率0.250'
+    });
+});
+
+test('資産に登録した期首月の事業年度ごとに償却する', () => {
+    const schedule = computeSchedule(asset({ service_start_date: '2025-03-15', start_month: 4 }));
+    assert.equal(schedule[0].fiscal_year, 2024);
+    assert.equal(schedule[0].months, 1);
+    assert.deepEqual(computeSchedule(asset({ service_start_date: '2025-03-15' }), { startMonth: 4 }), schedule);
+});
+
+test('定率法は償却保証額を下回った年度から改定償却率に切り替える', () => {
+    const schedule = computeSchedule(asset({ useful_life: 5, depreciation_method: '定率法' }));
+    assert.deepEqual(charges(schedule), [[2025, 400000], [2026, 240000], [2027, 144000], [2028, 108000], [2029, 107999]]);
+    assert.match(schedule[3].note, /改定償却率0\.500/);
+});
+
+test('少額減価償却資産は事業供用した年度に全額を償却する', () => {
+    const schedule = computeSchedule(asset({ acquisition_cost: 250000, special_treatment: 'immediate' }));
+    assert.deepEqual(charges(schedule), [[2025, 250000]]);
+    assert.equal(schedule[0].closing_book_value, 0);
+});
+
+test('一括償却資産は3年で均等に償却し、端数は最終年度に寄せる', () => {
+    const schedule = computeSchedule(asset({ acquisition_cost: 190000, special_treatment: 'lump_sum', service_start_date: '2025-12-01' }));
+    assert.deepEqual(charges(schedule), [[2025, 63333], [2026, 63333], [2027, 63334]]);
+});
+
+test('指定年度の償却額は供用前なら null、償却済みなら0円の行を返す', () => {
+    assert.equal(depreciationForYear(asset(), 2024), null);
+    assert.equal(depreciationForYear(asset(), 2026).depreciation, 250000);
+    const finished = depreciationForYear(asset(), 2030);
+    assert.equal(finished.depreciation, 0);
+    assert.equal(finished.closing_book_value, 1);
+    assert.equal(finished.note, '償却済み');
+});
+
+test('登録内容を検証し、特例の取得価額の上限を確認する', () => {
+    assert.equal(validateFixedAsset(asset()).asset.acquisition_cost, 1000000);
+    assert.equal(validateFixedAsset(asset()).asset.start_month, 1);
+    assert.equal(validateFixedAsset(asset({ start_month: '4' })).asset.start_month, 4);
+    assert.match(validateFixedAsset(asset({ start_month: 13 })).error, /start_month/);
+    assert.match(validateFixedAsset(asset({ asset_name: ' ' })).error, /資産名/);
+    assert.match(validateFixedAsset(asset({ acquisition_date: '2025/01/10' })).error, /YYYY-MM-DD/);
+    assert.match(validateFixedAsset(asset({ useful_life: 1 })).error, /耐用年数/);
+    assert.match(validateFixedAsset(asset({ depreciation_method: '級数法' })).error, /償却方法/);
+    assert.match(validateFixedAsset(asset({ acquisition_cost: 300000, special_treatment: 'immediate' })).error, /30万円未満/);
+    assert.match(validateFixedAsset(asset({ acquisition_cost: 200000, special_treatment: 'lump_sum' })).error, /20万円未満/);
+});
+
+test('少額減価償却資産は1年度の取得価額の合計300万円までしか使えない', () => {
+    const small = asset({ acquisition_cost: 290000, special_treatment: 'immediate', service_start_date: '2025-05-01' });
+    const registered = Array.from({ length: 10 }, () => asset({ acquisition_cost: 290000, special_treatment: 'immediate' }));
+    assert.equal(checkImmediateAnnualLimit(small, registered.slice(0, 9)), null);
+    assert.match(checkImmediateAnnualLimit(small, registered), /2025年度の登録済み合計 2900000円/);
+    // 別の年度・通常の償却の資産は合計に含めない
+    const otherYear = registered.map(a => ({ ...a, service_start_date: '2024-12-01' }));
+    assert.equal(checkImmediateAnnualLimit(small, otherYear), null);
+    assert.equal(checkImmediateAnnualLimit(small, registered.map(a => ({ ...a, special_treatment: 'none' }))), null);
+    assert.equal(checkImmediateAnnualLimit({ ...small, special_treatment: 'none' }, registered), null);
+    // 年度は各資産に登録した期首月で区切る（4月始まりなら2025年3月供用の資産は2024年度）
+    const fiscalApril = registered.map(a => ({ ...a, service_start_date: '2025-03-01', start_month: 4 }));
+    assert.equal(checkImmediateAnnualLimit({ ...small, start_month: 4 }, fiscalApril), null);
+});
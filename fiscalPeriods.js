@@ -0,0 +1,146 @@
+// fiscalPeriods.js - 会計年度の締め（ロック）と決算振替・開始仕訳（残高の繰越）
+// 締めた年度の期間内の日付の仕訳は登録・変更・削除できない（409 PERIOD_LOCKED）
+// 決算振替仕訳・開始仕訳は帳簿上の記録として entry_type を付けて保存する。
+// 帳票は通常の仕訳の累計で集計するため、これらの仕訳は集計から除外する（reports.js）
+
+const { toAmounts } = require('./reports');
+
+const FISCAL_YEAR_COLUMNS = `id, fiscal_year, start_date, end_date, status, closed_at,
+    closing_transaction_id, opening_transaction_id`;
+
+// 元入金がない科目体系（法人）では繰越利益剰余金に振り替える
+const CAPITAL_ACCOUNT_NAMES = ['元入金', '繰越利益剰余金'];
+// 個人事業主の事業主貸・事業主借は翌期首に元入金へ振り替える
+const DRAWING_ACCOUNT_NAMES = ['事業主貸', '事業主借'];
+
+const PROFIT_LOSS_CATEGORIES = ['revenues', 'expenses'];
+
+const lockedError = (message) => {
+    const error = new Error(message);
+    error.status = 409;
+    error.code = 'PERIOD_LOCKED';
+    return error;
+};
+
+// 年度の締めと仕訳の登録・変更・削除を組織ごとに排他にするアドバイザリロックのキー（1つ目のキーで用途を区別する）
+const PERIOD_LOCK_KEY = 7101;
+
+// 指定日（複数可）が締め済みの年度に含まれていれば 409 のエラーを投げる（呼び出し側で BEGIN/COMMIT を管理すること）
+// 締め処理（lockFiscalYear）が終わるまで待ってから確認し、確認した年度の行はコミットまで FOR SHARE で押さえる。
+// 年度の行がまだない（初めて締める）場合もあるため、組織単位のアドバイザリロックを共有モードで取る
+const assertPeriodOpen = async (db, organizationId, dates) => {
+    const list = [].concat(dates).filter(Boolean);
+    if (list.length === 0) return;
+    await db.query('SELECT pg_advisory_xact_lock_shared($1, $2)', [PERIOD_LOCK_KEY, organizationId]);
+    const result = await db.query(
+        `SELECT fiscal_year, status FROM fiscal_years
+         WHERE organization_id = $1
+           AND EXISTS (SELECT 1 FROM unnest($2::date[]) d WHERE d BETWEEN start_date AND end_date)
+         ORDER BY fiscal_year
+         FOR SHARE`,
+        [organizationId, list]
+    );
+    const closed = result.rows.find(row => row.status === 'closed');
+    if (closed) {
+        throw lockedError(`${closed.fiscal_year}年度は締め済みのため、仕訳を登録・変更・削除できません。`);
+    }
+};
+
+// 年度の行を作成（未作成の場合）して行ロックを取る。呼び出し側で BEGIN/COMMIT を管理すること
+// 処理中の仕訳の登録・変更・削除がコミットされるのを待ち、締め終わるまで新しい登録・変更・削除を待たせる
+const lockFiscalYear = async (client, organizationId, fiscalYear, period) => {
+    await client.query('SELECT pg_advisory_xact_lock($1, $2)', [PERIOD_LOCK_KEY, organizationId]);
+    await client.query(
+        `INSERT INTO fiscal_years (organization_id, fiscal_year, start_date, end_date)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (organization_id, fiscal_year) DO NOTHING`,
+        [organizationId, fiscalYear, period.from, period.to]
+    );
+    const result = await client.query(
+        `SELECT ${FISCAL_YEAR_COLUMNS} FROM fiscal_years WHERE organization_id = $1 AND fiscal_year = $2 FOR UPDATE`,
+        [organizationId, fiscalYear]
+    );
+    return result.rows[0];
+};
+
+// 科目ごとの当期（期首〜期末）と期末までの累計の借方・貸方合計（通常の仕訳のみ。bigint で集計して数値に直す）
+const fetchClosingTotals = async (db, organizationId, period) => {
+    const result = await db.query(
+        `SELECT m.id AS account_id, m.category, m.account_name,
+                COALESCE(SUM(CASE WHEN l.side = 'debit' AND t.transaction_date >= $2 THEN l.amount END), 0)::bigint AS debit,
+                COALESCE(SUM(CASE WHEN l.side = 'credit' AND t.transaction_date >= $2 THEN l.amount END), 0)::bigint AS credit,
+                COALESCE(SUM(CASE WHEN l.side = 'debit' THEN l.amount END), 0)::bigint AS cumulative_debit,
+                COALESCE(SUM(CASE WHEN l.side = 'credit' THEN l.amount END), 0)::bigint AS cumulative_credit
+         FROM transaction_lines l
+         JOIN transactions t ON l.transaction_id = t.id
+         JOIN master_accounts m ON l.account_id = m.id
+         WHERE t.organization_id = $1 AND t.transaction_date <= $3 AND t.entry_type = 'normal' AND t.deleted_at IS NULL
+         GROUP BY m.id
+         ORDER BY m.id`,
+        [organizationId, period.from, period.to]
+    );
+    return result.rows.map(toAmounts(['debit', 'credit', 'cumulative_debit', 'cumulative_credit']));
+};
+
+// 借方残高（借方 − 貸方）を明細行にする。0 なら null
+const balanceLine = (accountId, net) => {
+    if (net === 0) return null;
+    return { side: net > 0 ? 'debit' : 'credit', account_id: accountId, amount: Math.abs(net) };
+};
+
+// 決算振替仕訳: 当期の収益・費用の残高を0にし、差額（当期純利益）を資本の科目に振り替える
+// 戻り値: { lines, net_income }。振り替える残高がなければ lines は空
+const buildClosingLines = (rows, capitalAccountId) => {
+    const lines = [];
+    let net = 0;
+    for (const row of rows) {
+        if (!PROFIT_LOSS_CATEGORIES.includes(row.category)) continue;
+        const balance = row.debit - row.credit;
+        const line = balanceLine(row.account_id, -balance);
+        if (line) lines.push(line);
+        net += balance;
+    }
+    const capitalLine = balanceLine(capitalAccountId, net);
+    if (capitalLine) lines.push(capitalLine);
+    return { lines, net_income: -net };
+};
+
+// 開始仕訳: 期末の資産・負債の残高を翌期首に繰り越す
+// 資本の科目には、期末の資本・事業主貸・事業主借と、これまでの損益の累計をまとめて繰り越す
+const buildCarryForwardLines = (rows, capitalAccountId, drawingAccountIds = []) => {
+    const lines = [];
+    let capital = 0;
+    for (const row of rows) {
+        const balance = row.cumulative_debit - row.cumulative_credit;
+        if (PROFIT_LOSS_CATEGORIES.includes(row.category)
+            || row.account_id === capitalAccountId
+            || drawingAccountIds.includes(row.account_id)) {
+            capital += balance;
+            continue;
+        }
+        const line = balanceLine(row.account_id, balance);
+        if (line) lines.push(line);
+    }
+    const capitalLine = balanceLine(capitalAccountId, capital);
+    if (capitalLine) lines.push(capitalLine);
+    return lines;
+};
+
+// 締め・再オープンの履歴を記録する
+const logFiscalYearEvent = (db, fiscalYearId, userId, action, reason, details) => db.query(
+    `INSERT INTO fiscal_year_events (fiscal_year_id, user_id, action, reason, details)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [fiscalYearId, userId, action, reason || null, details ? JSON.stringify(details) : null]
+);
+
+module.exports = {
+    FISCAL_YEAR_COLUMNS,
+    CAPITAL_ACCOUNT_NAMES,
+    DRAWING_ACCOUNT_NAMES,
+    assertPeriodOpen,
+    lockFiscalYear,
+    fetchClosingTotals,
+    buildClosingLines,
+    buildCarryForwardLines,
+    logFiscalYearEvent
+};
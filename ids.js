@@ -0,0 +1,13 @@
+// ids.js - URL・リクエストで受け取ったID（SERIAL の主キー）の解釈
+// INTEGER の範囲外の値をそのままクエリに渡すと PostgreSQL がエラーにして 500 になるため、
+// 1〜2147483647 の整数以外は 0（どの行にも一致しない）として扱い、見つからない場合と同じ 404 にする
+
+const MAX_ID = 2147483647;
+
+const parseId = (value) => {
+    if (!/^\d{1,10}$/.test(String(value ?? '').trim())) return 0;
+    const id = Number(String(value).trim());
+    return id >= 1 && id <= MAX_ID ? id : 0;
+};
+
+module.exports = { MAX_ID, parseId };
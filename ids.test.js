@@ -0,0 +1,19 @@
+// ids.test.js - URL・リクエストのIDの解釈
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseId } = require('./ids');
+
+test('1〜2147483647 の整数だけをIDとして受け付ける', () => {
+    assert.equal(parseId('12'), 12);
+    assert.equal(parseId(12), 12);
+    assert.equal(parseId('2147483647'), 2147483647);
+    assert.equal(parseId('2147483648'), 0);
+    assert.equal(parseId('99999999999'), 0);
+    assert.equal(parseId('0'), 0);
+    assert.equal(parseId('-1'), 0);
+    assert.equal(parseId('12abc'), 0);
+    assert.equal(parseId('1e3'), 0);
+    assert.equal(parseId(''), 0);
+    assert.equal(parseId(undefined), 0);
+});
@@ -0,0 +1,58 @@
+// jobQueue.js - プロセス内で動くバックグラウンド処理の待ち行列（外部のメッセージブローカー不要）
+// 同時実行数を制限し、失敗したタスクは間隔を空けて再試行する。
+// タスクの状態はこの待ち行列では保持しないため、再起動後の再開は呼び出し側で DB から積み直すこと
+
+const createJobQueue = ({
+    worker,                 // async (task) => void。失敗時は例外を投げる
+    onFailed = async () => {}, // async (task, error) => void。再試行しても失敗したときに呼ばれる
+    concurrency = 2,
+    maxAttempts = 3,
+    retryDelay = 2000,      // 再試行までの待ち時間（ミリ秒）。回数ごとに2倍にする
+    shouldRetry = () => true
+}) => {
+    const pending = [];
+    let running = 0;
+
+    const next = () => {
+        while (running < concurrency && pending.length > 0) {
+            const task = pending.shift();
+            running += 1;
+            run(task);
+        }
+    };
+
+    const run = async (task) => {
+        task.attempts = (task.attempts || 0) + 1;
+        try {
+            await worker(task);
+        } catch (error) {
+            if (task.attempts < maxAttempts && shouldRetry(error)) {
+                console.warn(`タスクを再試行します（${task.attempts}/${maxAttempts}回目の失敗）:`, error.message);
+                const timer = setTimeout(() => {
+                    pending.push(task);
+                    next();
+                }, retryDelay * 2 ** (task.attempts - 1));
+                timer.unref();
+            } else {
+                try {
+                    await onFailed(task, error);
+                } catch (failedError) {
+                    console.error('失敗したタスクの記録に失敗しました:', failedError);
+                }
+            }
+        } finally {
+            running -= 1;
+            next();
+        }
+    };
+
+    return {
+        push: (task) => {
+            pending.push(task);
+            next();
+        },
+        stats: () => ({ pending: pending.length, running, concurrency })
+    };
+};
+
+module.exports = { createJobQueue };
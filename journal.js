@@ -0,0 +1,318 @@
+// journal.js - 複式簿記の仕訳（ヘッダー＋借方/貸方明細）を扱う共通処理
+const { isTaxCategory, computeLineTax } = require('./consumptionTax');
+const { learnFromJournalEntry } = require('./accountSuggester');
+const { assertPeriodOpen } = require('./fiscalPeriods');
+const { parseId } = require('./ids');
+
+const SIDES = ['debit', 'credit'];
+// 明細の金額の上限（transaction_lines.amount は INTEGER）
+const MAX_LINE_AMOUNT = 2147483647;
+const AMOUNT_ERROR = `金額は1円以上${MAX_LINE_AMOUNT.toLocaleString('ja-JP')}円以下の整数で入力してください。`;
+
+// リクエストの明細行を検証・正規化する
+// 成功時は { lines }、失敗時は { error } を返す
+// tax_mode が 'exclusive' の行は税抜金額とみなし、税込金額に換算してから貸借を検証する
+const normalizeJournalLines = (lines) => {
+    if (!Array.isArray(lines) || lines.length < 2) {
+        return { error: '仕訳には借方・貸方それぞれ1行以上の明細が必要です。' };
+    }
+
+    const normalized = [];
+    for (const [index, line] of lines.entries()) {
+        const side = line && line.side;
+        const accountId = parseId(line && line.account_id);
+        const amount = Number(line && line.amount);
+
+        if (!SIDES.includes(side)) {
+            return { error: `${index + 1}行目: 貸借区分は debit または credit を指定してください。` };
+        }
+        if (!Number.isInteger(accountId) || accountId <= 0) {
+            return { error: `${index + 1}行目: 勘定科目を指定してください。` };
+        }
+        if (!Number.isInteger(amount) || amount <= 0 || amount > MAX_LINE_AMOUNT) {
+            return { error: `${index + 1}行目: ${AMOUNT_ERROR}` };
+        }
+
+        const taxCategory = line.tax_category || 'exempt';
+        if (!isTaxCategory(taxCategory)) {
+            return { error: `${index + 1}行目: 税区分が不正です。` };
+        }
+        const taxMode = line.tax_mode === 'exclusive' ? 'exclusive' : 'inclusive';
+        const taxed = computeLineTax(amount, taxCategory, taxMode);
+        if (taxed.amount > MAX_LINE_AMOUNT) {
+            // 税抜で入力した金額は税込に換算すると上限を超えることがある
+            return { error: `${index + 1}行目: ${AMOUNT_ERROR}` };
+        }
+
+        normalized.push({
+            side,
+            account_id: accountId,
+            amount: taxed.amount,
+            tax_category: taxCategory,
+            tax_amount: taxed.tax_amount,
+            notes: line.notes || null
+        });
+    }
+
+    const debitTotal = sumSide(normalized, 'debit');
+    const creditTotal = sumSide(normalized, 'credit');
+
+    if (debitTotal === 0 || creditTotal === 0) {
+        return { error: '仕訳には借方・貸方それぞれ1行以上の明細が必要です。' };
+    }
+    if (debitTotal !== creditTotal) {
+        return { error: `借方合計(${debitTotal})と貸方合計(${creditTotal})が一致しません。` };
+    }
+
+    return { lines: normalized };
+};
+
+const sumSide = (lines, side) => lines
+    .filter(line => line.side === side)
+    .reduce((sum, line) => sum + line.amount, 0);
+
+const httpError = (status, message, code) => {
+    const error = new Error(message);
+    error.status = status;
+    if (code) error.code = code;
+    return error;
+};
+
+// 存在しない勘定科目（他の帳簿の独自の科目を含む）がないか確認し、科目ID → 大分類の対応を返す
+const fetchAccountCategories = async (client, organizationId, lines) => {
+    const accountIds = [...new Set(lines.map(line => line.account_id))];
+    const accountResult = await client.query(
+        'SELECT id, category FROM master_accounts WHERE id = ANY($1::int[]) AND (owner_organization_id IS NULL OR owner_organization_id = $2)',
+        [accountIds, organizationId]
+    );
+    if (accountResult.rowCount !== accountIds.length) {
+        throw httpError(400, '存在しない勘定科目が含まれています。');
+    }
+    return Object.fromEntries(accountResult.rows.map(row => [row.id, row.category]));
+};
+
+// 取引先がこの組織のものか確認する
+const assertCounterparty = async (client, organizationId, counterpartyId) => {
+    if (!counterpartyId) return;
+    const result = await client.query(
+        'SELECT id FROM counterparties WHERE id = $1 AND organization_id = $2',
+        [counterpartyId, organizationId]
+    );
+    if (result.rowCount === 0) {
+        throw httpError(400, '指定された取引先が見つかりません。');
+    }
+};
+
+const insertLines = async (client, transactionId, lines) => {
+    const inserted = [];
+    for (const [index, line] of lines.entries()) {
+        const result = await client.query(
+            `INSERT INTO transaction_lines (transaction_id, line_no, side, account_id, amount, tax_category, tax_amount, notes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+            [transactionId, index + 1, line.side, line.account_id, line.amount, line.tax_category, line.tax_amount, line.notes || null]
+        );
+        inserted.push(result.rows[0]);
+    }
+    return inserted;
+};
+
+// 変更履歴（追記のみ）に1件記録する。before/after は明細付きの仕訳のスナップショット
+// audit には操作したユーザーと操作元の情報（{ userId, ip }）を渡す
+const recordJournalAudit = (client, transactionId, action, before, after, audit = {}) => client.query(
+    `INSERT INTO transaction_audit_log (transaction_id, user_id, action, before_data, after_data, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [transactionId, audit.userId, action, before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, audit.ip || null]
+);
+
+// 削除されていない仕訳を明細付きで読み込む。見つからなければ null
+const loadJournalEntry = async (client, organizationId, transactionId, { forUpdate = false } = {}) => {
+    const header = await client.query(
+        `SELECT * FROM transactions WHERE id = $1 AND organization_id = $2 AND deleted_at IS NULL${forUpdate ? ' FOR UPDATE' : ''}`,
+        [transactionId, organizationId]
+    );
+    if (header.rowCount === 0) return null;
+    const lines = await client.query(
+        'SELECT * FROM transaction_lines WHERE transaction_id = $1 ORDER BY line_no',
+        [transactionId]
+    );
+    return { ...header.rows[0], lines: lines.rows };
+};
+
+// 仕訳を1件登録する（呼び出し側で BEGIN/COMMIT を管理すること）
+// lines は normalizeJournalLines で検証済みのものを渡す
+// entry_type は通常 'normal'。決算振替仕訳（closing）・開始仕訳（opening）は利用回数・学習に含めない
+// 締め済みの年度の日付なら 409 のエラーを投げる
+const insertJournalEntry = async (client, organizationId, {
+    client_id, transaction_date, notes, business_type_id, department_id, counterparty_id, lines, entry_type = 'normal', reversal_of = null
+}, audit) => {
+    await assertPeriodOpen(client, organizationId, transaction_date);
+    const categories = await fetchAccountCategories(client, organizationId, lines);
+    await assertCounterparty(client, organizationId, counterparty_id);
+
+    // 1. transactionsテーブルに仕訳ヘッダーを挿入
+    const header = await client.query(
+        `INSERT INTO transactions (organization_id, client_id, transaction_date, notes, business_type_id, department_id, counterparty_id, entry_type, reversal_of)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+        [organizationId, client_id || null, transaction_date, notes || null, business_type_id || null, department_id || null,
+         counterparty_id || null, entry_type, reversal_of]
+    );
+    const entry = header.rows[0];
+
+    // 2. transaction_linesテーブルに借方・貸方の明細を挿入
+    entry.lines = await insertLines(client, entry.id, lines);
+
+    // 3. 変更履歴に登録を記録
+    await recordJournalAudit(client, entry.id, 'create', null, entry, audit);
+
+    if (entry_type !== 'normal') return entry;
+
+    // 4. user_account_usageテーブルの利用回数を更新（存在しない場合は新規作成）
+    for (const accountId of Object.keys(categories)) {
+        await client.query(
+            `INSERT INTO user_account_usage (organization_id, account_id, usage_count)
+             VALUES ($1, $2, 1)
+             ON CONFLICT (organization_id, account_id)
+             DO UPDATE SET usage_count = user_account_usage.usage_count + 1`,
+            [organizationId, accountId]
+        );
+    }
+
+    // 5. 摘要と科目の対応を勘定科目の推定用に学習
+    await learnFromJournalEntry(client, organizationId, entry, categories);
+
+    return entry;
+};
+
+// 訂正・削除できる仕訳か確認する（決算振替・開始仕訳は年度の再オープンでのみ取り消せる）
+const assertEditable = async (client, organizationId, entry, dates) => {
+    if (entry.entry_type !== 'normal') {
+        throw httpError(409, '決算振替仕訳・開始仕訳は訂正・削除できません。会計年度を再オープンしてください。', 'PERIOD_LOCKED');
+    }
+    await assertPeriodOpen(client, organizationId, dates);
+};
+
+// 仕訳を訂正する（呼び出し側で BEGIN/COMMIT を管理すること）
+// changes に含まれる項目だけを変更する。lines を渡した場合は明細をすべて置き換える（normalizeJournalLines で検証済みのもの）
+// base_updated_at を渡した場合、その後に他の端末で更新されていれば 409 (SYNC_CONFLICT) を投げる
+const updateJournalEntry = async (client, organizationId, transactionId, changes, audit) => {
+    const before = await loadJournalEntry(client, organizationId, transactionId, { forUpdate: true });
+    if (!before) {
+        throw httpError(404, '訂正対象の仕訳が見つかりません。');
+    }
+    if (changes.base_updated_at
+        && new Date(changes.base_updated_at).getTime() !== new Date(before.updated_at || before.created_at).getTime()) {
+        const error = httpError(409, '仕訳が他の端末で更新されています。', 'SYNC_CONFLICT');
+        error.server = before;
+        throw error;
+    }
+
+    const has = (key) => changes[key] !== undefined;
+    const transactionDate = has('transaction_date') ? changes.transaction_date : before.transaction_date;
+    await assertEditable(client, organizationId, before, [before.transaction_date, transactionDate]);
+
+    if (has('counterparty_id')) {
+        await assertCounterparty(client, organizationId, changes.counterparty_id);
+    }
+    if (changes.lines) {
+        await fetchAccountCategories(client, organizationId, changes.lines);
+        await client.query('DELETE FROM transaction_lines WHERE transaction_id = $1', [before.id]);
+        await insertLines(client, before.id, changes.lines);
+    }
+    await client.query(
+        `UPDATE transactions SET transaction_date = $2, notes = $3, business_type_id = $4, department_id = $5,
+                counterparty_id = $6, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [before.id, transactionDate,
+         has('notes') ? changes.notes || null : before.notes,
+         has('business_type_id') ? changes.business_type_id || null : before.business_type_id,
+         has('department_id') ? changes.department_id || null : before.department_id,
+         has('counterparty_id') ? changes.counterparty_id || null : before.counterparty_id]
+    );
+
+    const after = await loadJournalEntry(client, organizationId, before.id);
+    await recordJournalAudit(client, before.id, 'update', before, after, audit);
+    return after;
+};
+
+// 仕訳を論理削除する（呼び出し側で BEGIN/COMMIT を管理すること）。明細と変更履歴は残る
+// allowGenerated は年度の再オープンで決算振替・開始仕訳を取り消すときにだけ指定する
+const deleteJournalEntry = async (client, organizationId, transactionId, audit, { allowGenerated = false } = {}) => {
+    const before = await loadJournalEntry(client, organizationId, transactionId, { forUpdate: true });
+    if (!before) {
+        throw httpError(404, '削除対象の仕訳が見つかりません。');
+    }
+    if (allowGenerated) {
+        await assertPeriodOpen(client, organizationId, before.transaction_date);
+    } else {
+        await assertEditable(client, organizationId, before, before.transaction_date);
+    }
+
+    await client.query(
+        'UPDATE transactions SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [before.id]
+    );
+    await recordJournalAudit(client, before.id, 'delete', before, null, audit);
+    return before;
+};
+
+// 仕訳を取り消す逆仕訳（貸借を入れ替えた仕訳）を登録する。締め済みの年度の仕訳を翌年度以降で訂正するときに使う
+const reverseJournalEntry = async (client, organizationId, transactionId, { transaction_date, notes }, audit) => {
+    const original = await loadJournalEntry(client, organizationId, transactionId, { forUpdate: true });
+    if (!original) {
+        throw httpError(404, '取消対象の仕訳が見つかりません。');
+    }
+    if (original.entry_type !== 'normal' || original.reversal_of) {
+        throw httpError(400, '決算振替仕訳・開始仕訳・逆仕訳は取り消せません。');
+    }
+    const reversed = await client.query(
+        'SELECT id FROM transactions WHERE reversal_of = $1 AND deleted_at IS NULL',
+        [original.id]
+    );
+    if (reversed.rowCount > 0) {
+        throw httpError(409, `この仕訳は取消済みです（仕訳ID: ${reversed.rows[0].id}）。`, 'ALREADY_REVERSED');
+    }
+
+    return insertJournalEntry(client, organizationId, {
+        transaction_date,
+        notes: notes || `取消: ${original.notes || `仕訳ID ${original.id}`}`.slice(0, 255),
+        business_type_id: original.business_type_id,
+        department_id: original.department_id,
+        counterparty_id: original.counterparty_id,
+        reversal_of: original.id,
+        lines: original.lines.map(line => ({
+            side: line.side === 'debit' ? 'credit' : 'debit',
+            account_id: line.account_id,
+            amount: line.amount,
+            tax_category: line.tax_category,
+            tax_amount: line.tax_amount,
+            notes: line.notes
+        }))
+    }, audit);
+};
+
+// 取引日が実在する 'YYYY-MM-DD' の日付か
+const isValidTransactionDate = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// 登録済みの仕訳と再送された内容が同一か（オフライン同期の重複判定用）
+const isSameJournalEntry = (entry, { transaction_date, notes, lines }) => {
+    const key = (l) => `${l.side}:${l.account_id}:${l.amount}:${l.tax_category}`;
+    return entry.transaction_date === transaction_date
+        && (entry.notes || null) === (notes || null)
+        && entry.lines.map(key).join('|') === lines.map(key).join('|');
+};
+
+module.exports = {
+    normalizeJournalLines,
+    loadJournalEntry,
+    insertJournalEntry,
+    updateJournalEntry,
+    deleteJournalEntry,
+    reverseJournalEntry,
+    isSameJournalEntry,
+    isValidTransactionDate,
+    fetchAccountCategories
+};
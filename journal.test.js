@@ -0,0 +1,69 @@
+// journal.test.js - 仕訳の明細の検証・消費税の計算と、登録内容の比較
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeJournalLines, isSameJournalEntry, isValidTransactionDate } = require('./journal');
+
+test('借方・貸方の合計が一致する仕訳は明細をそろえて返す', () => {
+    const result = normalizeJournalLines([
+        { side: 'debit', account_id: '12', amount: '1100', tax_category: '10' },
+        { side: 'credit', account_id: 3, amount: 1100 }
+    ]);
+    assert.deepEqual(result.lines, [
+        { side: 'debit', account_id: 12, amount: 1100, tax_category: '10', tax_amount: 100, notes: null },
+        { side: 'credit', account_id: 3, amount: 1100, tax_category: 'exempt', tax_amount: 0, notes: null }
+    ]);
+});
+
+test('税抜で入力した明細は税込金額にして消費税額を切り捨てで求める', () => {
+    const result = normalizeJournalLines([
+        { side: 'debit', account_id: 12, amount: 999, tax_category: '8', tax_mode: 'exclusive' },
+        { side: 'credit', account_id: 3, amount: 1078 }
+    ]);
+    assert.equal(result.lines[0].amount, 1078);
+    assert.equal(result.lines[0].tax_amount, 79);
+});
+
+test('借方と貸方の合計が一致しない仕訳はエラーにする', () => {
+    const result = normalizeJournalLines([
+        { side: 'debit', account_id: 12, amount: 1000 },
+        { side: 'credit', account_id: 3, amount: 900 }
+    ]);
+    assert.match(result.error, /借方合計\(1000\)と貸方合計\(900\)が一致しません/);
+});
+
+test('明細の貸借区分・科目・金額・税区分を行ごとに検証する', () => {
+    const credit = { side: 'credit', account_id: 3, amount: 100 };
+    assert.match(normalizeJournalLines([{ side: 'left', account_id: 1, amount: 100 }, credit]).error, /^1行目: 貸借区分/);
+    assert.match(normalizeJournalLines([{ side: 'debit', account_id: 0, amount: 100 }, credit]).error, /^1行目: 勘定科目/);
+    assert.match(normalizeJournalLines([{ side: 'debit', account_id: 1, amount: 1.5 }, credit]).error, /^1行目: 金額/);
+    assert.match(normalizeJournalLines([{ side: 'debit', account_id: 1, amount: 2147483648 }, credit]).error, /^1行目: 金額は1円以上2,147,483,647円以下/);
+    assert.match(normalizeJournalLines([{ side: 'debit', account_id: 1, amount: 2147483647, tax_category: '10', tax_mode: 'exclusive' }, credit]).error, /^1行目: 金額/);
+    assert.match(normalizeJournalLines([{ side: 'debit', account_id: 1, amount: 100, tax_category: '5' }, credit]).error, /^1行目: 税区分/);
+    assert.match(normalizeJournalLines([credit]).error, /借方・貸方それぞれ1行以上/);
+    assert.match(normalizeJournalLines([credit, credit]).error, /借方・貸方それぞれ1行以上/);
+});
+
+test('取引日は実在する YYYY-MM-DD だけを受け付ける', () => {
+    assert.equal(isValidTransactionDate('2024-02-29'), true);
+    assert.equal(isValidTransactionDate('2025-02-29'), false);
+    assert.equal(isValidTransactionDate('2025-13-01'), false);
+    assert.equal(isValidTransactionDate('2025/01/01'), false);
+    assert.equal(isValidTransactionDate(''), false);
+    assert.equal(isValidTransactionDate(undefined), false);
+});
+
+test('日付・摘要・明細が同じ仕訳を同じ登録内容とみなす', () => {
+    const lines = [
+        { side: 'debit', account_id: 12, amount: 1100, tax_category: '10' },
+        { side: 'credit', account_id: 3, amount: 1100, tax_category: 'exempt' }
+    ];
+    const entry = { transaction_date: '2025-04-01', notes: null, lines };
+    assert.equal(isSameJournalEntry(entry, { transaction_date: '2025-04-01', notes: '', lines }), true);
+    assert.equal(isSameJournalEntry(entry, { transaction_date: '2025-04-02', notes: null, lines }), false);
+    assert.equal(isSameJournalEntry(entry, {
+        transaction_date: '2025-04-01',
+        notes: null,
+        lines: [{ ...lines[0], amount: 1000 }, { ...lines[1], amount: 1000 }]
+    }), false);
+});
@@ -0,0 +1,510 @@
+// journalCsv.js - 仕訳帳のCSVエクスポート・インポート（弥生会計・freee会計・マネーフォワード クラウド会計・汎用形式）
+// 弥生・freee・マネーフォワードの形式は1行に借方・貸方を1つずつ書き、伝票番号（弥生は識別フラグ）で複数行の仕訳をまとめる。
+// 借方・貸方の行数が異なる仕訳は、足りない側を空欄にした行で書き出す。取り込み時は「諸口」の明細を読み飛ばす
+// （諸口は複合仕訳の相手科目として使われ、仕訳全体では貸借が相殺されるため）。
+// 汎用形式は1行に明細1つ（entry_no が同じ連続した行で1つの仕訳）。列の説明は FORMATS と GENERIC_COLUMNS を参照
+const { parseCsv, decodeCsvBuffer, parseJapaneseDate, parseJapaneseAmount, toHalfWidth } = require('./statementImport');
+const { TAX_CATEGORIES } = require('./consumptionTax');
+const { normalizeJournalLines } = require('./journal');
+
+const HEADER_SEARCH_LINES = 10;
+const SUNDRY_ACCOUNT = '諸口';
+
+// 税区分の表記（売上側 = 収益科目、仕入側 = それ以外の科目）
+// 金額は税込で書き出す（弥生の「込」区分）
+const TAX_LABELS = {
+    yayoi: {
+        sales: { '10': '課税売上込10%', '8': '課税売上込軽減8%', export: '輸出売上', 'non-taxable': '非課売上', exempt: '対象外' },
+        purchase: { '10': '課対仕入込10%', '8': '課対仕入込軽減8%', export: '対象外', 'non-taxable': '非課仕入', exempt: '対象外' }
+    },
+    freee: {
+        sales: { '10': '課税売上10%', '8': '課税売上8%（軽）', export: '輸出売上', 'non-taxable': '非課売上', exempt: '対象外' },
+        purchase: { '10': '課対仕入10%', '8': '課対仕入8%（軽）', export: '対象外', 'non-taxable': '非課仕入', exempt: '対象外' }
+    },
+    moneyforward: {
+        sales: { '10': '課税売上 10%', '8': '課税売上 (軽)8%', export: '輸出売上 0%', 'non-taxable': '非課税売上', exempt: '対象外' },
+        purchase: { '10': '課税仕入 10%', '8': '課税仕入 (軽)8%', export: '対象外', 'non-taxable': '非課税仕入', exempt: '対象外' }
+    }
+};
+
+const sideColumns = (prefix, names) => ({
+    account: `${prefix}${names.account}`,
+    sub: names.sub && `${prefix}${names.sub}`,
+    department: `${prefix}${names.department}`,
+    tax: `${prefix}${names.tax}`,
+    amount: `${prefix}${names.amount}`,
+    taxAmount: `${prefix}${names.taxAmount}`
+});
+
+const slashDate = (date) => date.replace(/-/g, '/');
+
+// 借方・貸方を1行に書く形式。fields は各項目の列名、defaults は固定値を入れる列
+const FORMATS = {
+    yayoi: {
+        label: '弥生会計（仕訳日記帳のインポート形式）',
+        header: false,
+        encoding: 'shift_jis',
+        columns: ['識別フラグ', '伝票No', '決算', '取引日付', '借方勘定科目', '借方補助科目', '借方部門', '借方税区分', '借方金額', '借方税金額',
+            '貸方勘定科目', '貸方補助科目', '貸方部門', '貸方税区分', '貸方金額', '貸方税金額', '摘要', '番号', '期日', 'タイプ', '生成元',
+            '仕訳メモ', '付箋1', '付箋2', '調整'],
+        fields: {
+            flag: '識別フラグ',
+            entryNo: '伝票No',
+            date: '取引日付',
+            notes: '摘要',
+            debit: sideColumns('借方', { account: '勘定科目', sub: '補助科目', department: '部門', tax: '税区分', amount: '金額', taxAmount: '税金額' }),
+            credit: sideColumns('貸方', { account: '勘定科目', sub: '補助科目', department: '部門', tax: '税区分', amount: '金額', taxAmount: '税金額' })
+        },
+        defaults: { 'タイプ': '0', '付箋1': '0', '付箋2': '0', '調整': 'no' },
+        formatDate: slashDate
+    },
+    freee: {
+        label: 'freee会計（仕訳帳のインポート形式）',
+        header: true,
+        encoding: 'utf-8',
+        columns: ['日付', '伝票番号', '決算整理仕訳', '借方勘定科目', '借方税区分', '借方金額', '借方税額', '借方部門',
+            '貸方勘定科目', '貸方税区分', '貸方金額', '貸方税額', '貸方部門', '摘要'],
+        fields: {
+            entryNo: '伝票番号',
+            date: '日付',
+            notes: '摘要',
+            debit: sideColumns('借方', { account: '勘定科目', department: '部門', tax: '税区分', amount: '金額', taxAmount: '税額' }),
+            credit: sideColumns('貸方', { account: '勘定科目', department: '部門', tax: '税区分', amount: '金額', taxAmount: '税額' })
+        },
+        defaults: {},
+        formatDate: slashDate
+    },
+    moneyforward: {
+        label: 'マネーフォワード クラウド会計（仕訳帳のインポート形式）',
+        header: true,
+        encoding: 'shift_jis',
+        columns: ['取引No', '取引日', '借方勘定科目', '借方補助科目', '借方部門', '借方取引先', '借方税区分', '借方インボイス', '借方金額(円)', '借方税額',
+            '貸方勘定科目', '貸方補助科目', '貸方部門', '貸方取引先', '貸方税区分', '貸方インボイス', '貸方金額(円)', '貸方税額',
+            '摘要', '仕訳メモ', 'タグ', 'MF仕訳タイプ', '決算整理仕訳'],
+        fields: {
+            entryNo: '取引No',
+            date: '取引日',
+            notes: '摘要',
+            debit: sideColumns('借方', { account: '勘定科目', sub: '補助科目', department: '部門', tax: '税区分', amount: '金額(円)', taxAmount: '税額' }),
+            credit: sideColumns('貸方', { account: '勘定科目', sub: '補助科目', department: '部門', tax: '税区分', amount: '金額(円)', taxAmount: '税額' })
+        },
+        defaults: {},
+        formatDate: slashDate
+    },
+    generic: {
+        label: '汎用（1行に明細1つ）',
+        header: true,
+        encoding: 'utf-8'
+    }
+};
+
+// 汎用形式の列（1行目は列名の行）
+const GENERIC_COLUMNS = [
+    { name: 'entry_no', description: '仕訳の番号。同じ番号の連続した行を1つの仕訳として扱う' },
+    { name: 'transaction_date', description: '日付（YYYY-MM-DD）' },
+    { name: 'side', description: 'debit（借方）または credit（貸方）' },
+    { name: 'account_name', description: '勘定科目名' },
+    { name: 'amount', description: '金額（税込・円）' },
+    { name: 'tax_category', description: `税区分（${Object.keys(TAX_CATEGORIES).join(' / ')}）` },
+    { name: 'tax_amount', description: '消費税額（取り込み時は税区分から計算し直す）' },
+    { name: 'department', description: '部門名（空欄は共通）' },
+    { name: 'business_section', description: '事業セクションのID（空欄は共通）' },
+    { name: 'notes', description: '摘要' },
+    { name: 'line_notes', description: '明細ごとのメモ' }
+];
+
+const ENCODINGS = ['shift_jis', 'utf-8'];
+
+// --- Shift_JIS への変換 ---
+// Node.js の TextEncoder は UTF-8 にしか変換できないため、TextDecoder の Shift_JIS の対応表を逆引きして変換する
+// （NEC選定IBM拡張文字の領域 0xED・0xEE は、同じ文字のIBM拡張文字 0xFA〜 を優先する）
+let unicodeToShiftJis = null;
+const buildShiftJisTable = () => {
+    const table = new Map();
+    const decoder = new TextDecoder('shift_jis');
+    for (let byte = 0xA1; byte <= 0xDF; byte++) {
+        table.set(decoder.decode(Uint8Array.of(byte)), [byte]);
+    }
+    for (let lead = 0x81; lead <= 0xFC; lead++) {
+        if ((lead > 0x9F && lead < 0xE0) || lead === 0xED || lead === 0xEE) continue;
+        for (let trail = 0x40; trail <= 0xFC; trail++) {
+            if (trail === 0x7F) continue;
+            const char = decoder.decode(Uint8Array.of(lead, trail));
+            if (char.length === 1 && char !== '\uFFFD' && !table.has(char)) table.set(char, [lead, trail]);
+        }
+    }
+    return table;
+};
+
+// Shift_JIS にない文字は「?」にする
+const encodeShiftJis = (text) => {
+    if (!unicodeToShiftJis) unicodeToShiftJis = buildShiftJisTable();
+    const bytes = [];
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else {
+            bytes.push(...(unicodeToShiftJis.get(char) || [0x3F]));
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// CSVの文字列をファイルのバイト列にする。UTF-8 は Excel で文字化けしないよう BOM を付ける
+const encodeCsv = (text, encoding) => (encoding === 'shift_jis'
+    ? encodeShiftJis(text)
+    : Buffer.from(`\uFEFF${text}`, 'utf8'));
+
+const csvField = (value) => {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// 会計ソフトの取り込みに合わせて改行は CRLF にする
+const toCsv = (rows) => rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+// --- エクスポート ---
+const taxLabel = (format, line) => {
+    const kind = line.category === 'revenues' ? 'sales' : 'purchase';
+    return TAX_LABELS[format][kind][line.tax_category] || '対象外';
+};
+
+// 借方 i 番目と貸方 i 番目の明細を1行にする
+const pairLines = (lines) => {
+    const debits = lines.filter(l => l.side === 'debit');
+    const credits = lines.filter(l => l.side === 'credit');
+    return Array.from({ length: Math.max(debits.length, credits.length) }, (_, i) => [debits[i] || null, credits[i] || null]);
+};
+
+// 弥生の識別フラグ（2000: 1行の仕訳、2110: 複数行の1行目、2100: 中間行、2101: 最終行）
+const yayoiFlag = (index, count) => {
+    if (count === 1) return '2000';
+    if (index === 0) return '2110';
+    return index === count - 1 ? '2101' : '2100';
+};
+
+const buildPairedRows = (format, entries) => {
+    const layout = FORMATS[format];
+    const rows = layout.header ? [layout.columns] : [];
+    for (const entry of entries) {
+        const pairs = pairLines(entry.lines);
+        pairs.forEach(([debit, credit], index) => {
+            const record = { ...layout.defaults };
+            if (layout.fields.flag) record[layout.fields.flag] = yayoiFlag(index, pairs.length);
+            record[layout.fields.entryNo] = entry.id;
+            record[layout.fields.date] = layout.formatDate(entry.transaction_date);
+            record[layout.fields.notes] = entry.notes || '';
+            for (const [side, line] of [['debit', debit], ['credit', credit]]) {
+                if (!line) continue;
+                const columns = layout.fields[side];
+                record[columns.account] = line.account_name;
+                record[columns.department] = entry.department_name || '';
+                record[columns.tax] = taxLabel(format, line);
+                record[columns.amount] = line.amount;
+                record[columns.taxAmount] = line.tax_amount;
+            }
+            rows.push(layout.columns.map(column => record[column] ?? ''));
+        });
+    }
+    return rows;
+};
+
+const buildGenericRows = (entries) => [GENERIC_COLUMNS.map(c => c.name)].concat(entries.flatMap(entry => entry.lines.map(line => [
+    entry.id,
+    entry.transaction_date,
+    line.side,
+    line.account_name,
+    line.amount,
+    line.tax_category,
+    line.tax_amount,
+    entry.department_name || '',
+    entry.business_type_id || '',
+    entry.notes || '',
+    line.notes || ''
+])));
+
+// 仕訳を指定した形式のCSVファイル（Buffer）にする
+// entries は [{ id, transaction_date, notes, department_name, business_type_id, lines: [{ side, account_name, category, amount, tax_category, tax_amount, notes }] }]
+const exportJournal = (entries, { format, encoding } = {}) => {
+    const rows = format === 'generic' ? buildGenericRows(entries) : buildPairedRows(format, entries);
+    return encodeCsv(toCsv(rows), encoding || FORMATS[format].encoding);
+};
+
+// 書き出す仕訳（通常の仕訳のみ。決算振替・開始仕訳は各ソフトで作り直すため含めない）
+const fetchEntriesForExport = async (db, organizationId, period) => {
+    const result = await db.query(
+        `SELECT t.id, t.transaction_date, t.notes, t.business_type_id, d.name AS department_name,
+                json_agg(json_build_object(
+                    'side', l.side,
+                    'account_name', m.account_name,
+                    'category', m.category,
+                    'amount', l.amount,
+                    'tax_category', l.tax_category,
+                    'tax_amount', l.tax_amount,
+                    'notes', l.notes
+                ) ORDER BY l.line_no) AS lines
+         FROM transactions t
+         JOIN transaction_lines l ON l.transaction_id = t.id
+         JOIN master_accounts m ON l.account_id = m.id
+         LEFT JOIN departments d ON t.department_id = d.id
+         WHERE t.organization_id = $1 AND t.transaction_date BETWEEN $2 AND $3
+           AND t.entry_type = 'normal' AND t.deleted_at IS NULL
+         GROUP BY t.id, d.name
+         ORDER BY t.transaction_date, t.id`,
+        [organizationId, period.from, period.to]
+    );
+    return result.rows;
+};
+
+// --- インポート ---
+// 各ソフトの税区分の表記を税区分コードにする。解釈できない場合は null
+// 軽減税率でない8%（2019年9月以前の旧税率）は対応する税区分がないため null とする
+const parseTaxCategory = (label) => {
+    const value = toHalfWidth(String(label || '')).replace(/\s/g, '');
+    if (value === '') return 'exempt';
+    if (Object.prototype.hasOwnProperty.call(TAX_CATEGORIES, value)) return value;
+    if (/輸出|免税/.test(value)) return 'export';
+    if (/非課/.test(value)) return 'non-taxable';
+    if (/対象外|不課税/.test(value)) return 'exempt';
+    if (/10%?/.test(value)) return '10';
+    if (/軽/.test(value) && /8/.test(value)) return '8';
+    return null;
+};
+
+const normalizeHeader = (cell) => toHalfWidth(String(cell)).replace(/\s/g, '').replace(/^\uFEFF/, '');
+
+// 列名の行を探し、列名 → 列番号の対応を返す（requiredColumns をすべて含む行）
+const findHeader = (rows, requiredColumns) => {
+    for (let i = 0; i < Math.min(rows.length, HEADER_SEARCH_LINES); i++) {
+        const names = rows[i].map(normalizeHeader);
+        if (requiredColumns.every(column => names.includes(normalizeHeader(column)))) {
+            return { headerRow: i, index: Object.fromEntries(names.map((name, col) => [name, col]).reverse()) };
+        }
+    }
+    return null;
+};
+
+// 列名の行・1列目の識別フラグから形式を判定する
+const detectFormat = (rows) => {
+    if (findHeader(rows, ['entry_no', 'side', 'account_name'])) return 'generic';
+    if (findHeader(rows, ['取引No', '借方勘定科目'])) return 'moneyforward';
+    if (findHeader(rows, ['伝票番号', '借方勘定科目'])) return 'freee';
+    if (rows.length > 0 && /^2[01]\d\d$/.test(String(rows[0][0]).trim())) return 'yayoi';
+    return null;
+};
+
+const newEntry = (rowNo, entryNo, date, notes) => ({
+    entry_no: entryNo || String(rowNo),
+    row_no: rowNo,
+    transaction_date: date,
+    notes,
+    department_name: '',
+    business_type_id: '',
+    lines: [],
+    errors: []
+});
+
+// 借方・貸方を1行に書く形式の読み込み
+const parsePairedRows = (format, rows) => {
+    const layout = FORMATS[format];
+    const header = layout.header
+        ? findHeader(rows, [layout.fields.date, layout.fields.debit.account, layout.fields.credit.account])
+        : { headerRow: -1, index: Object.fromEntries(layout.columns.map((name, col) => [normalizeHeader(name), col])) };
+    if (!header) {
+        return { error: `${layout.label}の列名の行が見つかりません。` };
+    }
+    const cell = (row, name) => {
+        const col = name ? header.index[normalizeHeader(name)] : undefined;
+        return col === undefined ? '' : String(row[col] || '').trim();
+    };
+
+    const entries = [];
+    const errors = [];
+    let current = null;
+    rows.slice(header.headerRow + 1).forEach((row, i) => {
+        const rowNo = header.headerRow + i + 2;
+        const rawDate = cell(row, layout.fields.date);
+        const date = parseJapaneseDate(rawDate);
+        if (!date) {
+            if (/\d/.test(toHalfWidth(rawDate))) errors.push({ row_no: rowNo, error: `日付を解釈できません: ${rawDate}` });
+            return;
+        }
+        const entryNo = cell(row, layout.fields.entryNo);
+        const notes = toHalfWidth(cell(row, layout.fields.notes));
+        const continues = format === 'yayoi'
+            ? ['2100', '2101'].includes(cell(row, layout.fields.flag)) && current
+            : entryNo !== '' && current && current.entry_no === entryNo;
+        if (!continues) {
+            current = newEntry(rowNo, entryNo, date, notes);
+            entries.push(current);
+        } else if (!current.notes && notes) {
+            current.notes = notes;
+        }
+
+        for (const side of ['debit', 'credit']) {
+            const columns = layout.fields[side];
+            const account = cell(row, columns.account);
+            const rawAmount = cell(row, columns.amount);
+            if ((!account && !rawAmount) || account === SUNDRY_ACCOUNT) continue;
+            const amount = parseJapaneseAmount(rawAmount);
+            const taxCategory = parseTaxCategory(cell(row, columns.tax));
+            const label = side === 'debit' ? '借方' : '貸方';
+            if (!account || !(amount > 0)) {
+                current.errors.push(`${rowNo}行目: ${label}の勘定科目・金額を読み取れません。`);
+                continue;
+            }
+            if (taxCategory === null) {
+                current.errors.push(`${rowNo}行目: ${label}の税区分に対応していません: ${cell(row, columns.tax)}`);
+                continue;
+            }
+            const department = cell(row, columns.department);
+            if (department && !current.department_name) current.department_name = department;
+            const sub = cell(row, columns.sub);
+            current.lines.push({
+                side,
+                account_name: account,
+                amount,
+                tax_category: taxCategory,
+                notes: sub ? `補助科目: ${sub}` : null
+            });
+        }
+    });
+    return { entries, errors };
+};
+
+const GENERIC_SIDES = { debit: 'debit', credit: 'credit', '借方': 'debit', '貸方': 'credit' };
+
+const parseGenericRows = (rows) => {
+    const header = findHeader(rows, ['entry_no', 'transaction_date', 'side', 'account_name', 'amount']);
+    if (!header) {
+        return { error: '汎用形式の列名の行（entry_no, transaction_date, side, account_name, amount …）が見つかりません。' };
+    }
+    const cell = (row, name) => {
+        const col = header.index[name];
+        return col === undefined ? '' : String(row[col] || '').trim();
+    };
+
+    const entries = [];
+    const errors = [];
+    let current = null;
+    rows.slice(header.headerRow + 1).forEach((row, i) => {
+        const rowNo = header.headerRow + i + 2;
+        const date = parseJapaneseDate(cell(row, 'transaction_date'));
+        if (!date) {
+            errors.push({ row_no: rowNo, error: `日付を解釈できません: ${cell(row, 'transaction_date')}` });
+            return;
+        }
+        const entryNo = cell(row, 'entry_no');
+        if (!(entryNo !== '' && current && current.entry_no === entryNo)) {
+            current = newEntry(rowNo, entryNo, date, cell(row, 'notes'));
+            current.department_name = cell(row, 'department');
+            current.business_type_id = cell(row, 'business_section');
+            entries.push(current);
+        }
+        const side = GENERIC_SIDES[cell(row, 'side').toLowerCase()];
+        const amount = parseJapaneseAmount(cell(row, 'amount'));
+        const taxCategory = parseTaxCategory(cell(row, 'tax_category'));
+        if (!side || !cell(row, 'account_name') || !(amount > 0) || taxCategory === null) {
+            current.errors.push(`${rowNo}行目: 貸借区分・勘定科目・金額・税区分を読み取れません。`);
+            return;
+        }
+        current.lines.push({
+            side,
+            account_name: cell(row, 'account_name'),
+            amount,
+            tax_category: taxCategory,
+            notes: cell(row, 'line_notes') || null
+        });
+    });
+    return { entries, errors };
+};
+
+// 仕訳帳CSVを読み込み、{ format, entries, errors } にする（format 省略時は自動判定）
+// entries は [{ entry_no, row_no, transaction_date, notes, department_name, business_type_id, lines: [{ side, account_name, amount, tax_category, notes }], errors }]
+const parseJournalCsv = (buffer, { format, encoding } = {}) => {
+    if (encoding && !ENCODINGS.includes(encoding)) {
+        return { error: `encoding は ${ENCODINGS.join(' または ')} を指定してください。` };
+    }
+    const rows = parseCsv(decodeCsvBuffer(buffer, encoding));
+    if (rows.length === 0) {
+        return { error: 'CSVにデータがありません。' };
+    }
+    const resolvedFormat = format || detectFormat(rows);
+    if (!resolvedFormat) {
+        return { error: 'CSVの形式を判別できませんでした。形式（format）を指定してください。' };
+    }
+    if (!FORMATS[resolvedFormat]) {
+        return { error: `未対応の形式です: ${resolvedFormat}` };
+    }
+    const parsed = resolvedFormat === 'generic' ? parseGenericRows(rows) : parsePairedRows(resolvedFormat, rows);
+    return parsed.error ? parsed : { format: resolvedFormat, ...parsed };
+};
+
+// 勘定科目・部門・事業セクションを名前からIDにする
+// accounts は帳簿で使える科目 [{ id, account_name }]、accountMap は利用者が指定した { 取込元の科目名: 科目ID }
+// 戻り値の new_departments は取り込み時に作成する部門名、unknown_accounts は対応する科目がない名前
+const resolveImportEntries = (entries, { accounts, departments, businessSections, accountMap = {} }) => {
+    const accountIds = new Map(accounts.map(a => [normalizeHeader(a.account_name), a.id]));
+    const departmentIds = new Map(departments.map(d => [d.name, d.id]));
+    const sectionIds = new Set(businessSections.map(s => String(s.id)));
+    const unknownAccounts = new Set();
+    const newDepartments = new Set();
+
+    const resolved = entries.map(entry => {
+        const errors = entry.errors.slice();
+        const lines = entry.lines.map(line => {
+            const accountId = parseInt(accountMap[line.account_name], 10) || accountIds.get(normalizeHeader(line.account_name));
+            if (!accountId) unknownAccounts.add(line.account_name);
+            return { ...line, account_id: accountId || null };
+        });
+        let normalized = lines;
+        if (lines.some(line => !line.account_id)) {
+            errors.push(`勘定科目が見つかりません: ${[...new Set(lines.filter(l => !l.account_id).map(l => l.account_name))].join('、')}`);
+        } else if (errors.length === 0) {
+            // 税額は取込元の値ではなく税区分から計算し直す。貸借が一致しない仕訳はここでエラーにする
+            const validation = normalizeJournalLines(lines);
+            if (validation.error) {
+                errors.push(validation.error);
+            } else {
+                normalized = validation.lines;
+            }
+        }
+        if (entry.department_name && !departmentIds.has(entry.department_name)) newDepartments.add(entry.department_name);
+        if (entry.business_type_id && !sectionIds.has(entry.business_type_id)) {
+            errors.push(`事業セクションが見つかりません: ${entry.business_type_id}`);
+        }
+        return {
+            entry_no: entry.entry_no,
+            row_no: entry.row_no,
+            transaction_date: entry.transaction_date,
+            notes: entry.notes ? entry.notes.slice(0, 255) : null,
+            department_name: entry.department_name || null,
+            department_id: departmentIds.get(entry.department_name) || null,
+            business_type_id: entry.business_type_id || null,
+            lines: normalized,
+            errors
+        };
+    });
+
+    return {
+        entries: resolved,
+        unknown_accounts: [...unknownAccounts],
+        new_departments: [...newDepartments]
+    };
+};
+
+module.exports = {
+    FORMATS,
+    GENERIC_COLUMNS,
+    ENCODINGS,
+    TAX_LABELS,
+    encodeShiftJis,
+    encodeCsv,
+    toCsv,
+    exportJournal,
+    fetchEntriesForExport,
+    parseTaxCategory,
+    parseJournalCsv,
+    resolveImportEntries
+};
@@ -0,0 +1,103 @@
+// journalCsv.test.js - 仕訳帳CSVの書き出しと読み込み（弥生・freee・マネーフォワード・汎用形式）
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    FORMATS,
+    encodeShiftJis,
+    toCsv,
+    exportJournal,
+    parseTaxCategory,
+    parseJournalCsv,
+    resolveImportEntries
+} = require('./journalCsv');
+
+const entries = [{
+    id: 1,
+    transaction_date: '2025-04-01',
+    notes: '文具, "A4"',
+    department_name: '本店',
+    business_type_id: null,
+    lines: [
+        { side: 'debit', account_name: '消耗品費', category: 'expenses', amount: 1100, tax_category: '10', tax_amount: 100, notes: null },
+        { side: 'debit', account_name: '会議費', category: 'expenses', amount: 540, tax_category: '8', tax_amount: 40, notes: null },
+        { side: 'credit', account_name: '現金', category: 'assets', amount: 1640, tax_category: 'exempt', tax_amount: 0, notes: null }
+    ]
+}];
+
+const lineKey = (line) => `${line.side}:${line.account_name}:${line.amount}:${line.tax_category}`;
+
+test('カンマ・ダブルクォート・改行を含む値は引用符で囲み、改行は CRLF にする', () => {
+    assert.equal(toCsv([['a', 'b,c', 'd"e'], ['x\ny', '']]), 'a,"b,c","d""e"\r\n"x\ny",\r\n');
+});
+
+test('Shift_JIS に変換した文字列は同じ文字に戻る', () => {
+    const text = '仕訳日記帳 ①髙橋 ￥1,000';
+    assert.equal(new TextDecoder('shift_jis').decode(encodeShiftJis(text)), text);
+    assert.equal(new TextDecoder('shift_jis').decode(encodeShiftJis('😀')), '?');
+});
+
+for (const format of Object.keys(FORMATS)) {
+    test(`${format} 形式で書き出した仕訳は形式を自動判定して同じ内容に読み込める`, () => {
+        const parsed = parseJournalCsv(exportJournal(entries, { format }));
+        assert.equal(parsed.format, format);
+        assert.deepEqual(parsed.errors, []);
+        assert.equal(parsed.entries.length, 1);
+        const [entry] = parsed.entries;
+        assert.equal(entry.transaction_date, '2025-04-01');
+        assert.equal(entry.notes, '文具, "A4"');
+        assert.equal(entry.department_name, '本店');
+        assert.deepEqual(entry.lines.map(lineKey).sort(), entries[0].lines.map(lineKey).sort());
+    });
+}
+
+test('各ソフトの税区分の表記を税区分コードにする', () => {
+    assert.equal(parseTaxCategory('課税売上込10%'), '10');
+    assert.equal(parseTaxCategory('課対仕入8%（軽）'), '8');
+    assert.equal(parseTaxCategory('課税仕入 (軽)8%'), '8');
+    assert.equal(parseTaxCategory('輸出売上 0%'), 'export');
+    assert.equal(parseTaxCategory('非課仕入'), 'non-taxable');
+    assert.equal(parseTaxCategory('不課税'), 'exempt');
+    assert.equal(parseTaxCategory(''), 'exempt');
+    assert.equal(parseTaxCategory('課対仕入8%'), null);
+});
+
+test('形式を判別できないCSVはエラーにする', () => {
+    assert.match(parseJournalCsv(Buffer.from('a,b,c\n1,2,3\n')).error, /形式を判別できませんでした/);
+    assert.match(parseJournalCsv(Buffer.from('a\n'), { encoding: 'euc-jp' }).error, /encoding は/);
+});
+
+test('取り込む仕訳の科目・部門を名前から解決し、税額を計算し直す', () => {
+    const { entries: parsed } = parseJournalCsv(exportJournal(entries, { format: 'generic' }));
+    const resolved = resolveImportEntries(parsed, {
+        accounts: [{ id: 1, account_name: '消耗品費' }, { id: 2, account_name: '現金' }],
+        departments: [],
+        businessSections: [],
+        accountMap: { '会議費': '3' }
+    });
+    assert.deepEqual(resolved.unknown_accounts, []);
+    assert.deepEqual(resolved.new_departments, ['本店']);
+    const [entry] = resolved.entries;
+    assert.deepEqual(entry.errors, []);
+    assert.deepEqual(entry.lines.map(l => [l.account_id, l.amount, l.tax_amount]), [[1, 1100, 100], [3, 540, 40], [2, 1640, 0]]);
+});
+
+test('科目が見つからない仕訳と貸借が一致しない仕訳はエラーにする', () => {
+    const { entries: parsed } = parseJournalCsv(exportJournal(entries, { format: 'generic' }));
+    const unknown = resolveImportEntries(parsed, {
+        accounts: [{ id: 1, account_name: '消耗品費' }, { id: 2, account_name: '現金' }],
+        departments: [{ id: 9, name: '本店' }],
+        businessSections: []
+    });
+    assert.deepEqual(unknown.unknown_accounts, ['会議費']);
+    assert.deepEqual(unknown.new_departments, []);
+    assert.match(unknown.entries[0].errors[0], /勘定科目が見つかりません: 会議費/);
+
+    const unbalanced = parsed.map(entry => ({ ...entry, lines: entry.lines.filter(l => l.account_name !== '会議費') }));
+    const result = resolveImportEntries(unbalanced, {
+        accounts: [{ id: 1, account_name: '消耗品費' }, { id: 2, account_name: '現金' }],
+        departments: [],
+        businessSections: []
+    });
+    assert.match(result.entries[0].errors[0], /借方合計\(1100\)と貸方合計\(1640\)が一致しません/);
+});
@@ -0,0 +1,90 @@
+// mailer.js - メール送信（メールアドレスの確認・パスワードの再設定）
+// 環境変数 MAILER で送信方法を選ぶ。各トランスポートは次の形をとる
+//   { name, send({ to, subject, text }): Promise<void> }
+// console（既定）は宛先と件名をログに出すだけ、file は MAIL_OUTBOX_DIR に1通ずつJSONで保存する（ローカル開発・動作確認用）。
+// http は MAIL_API_URL に { from, to, subject, text } をJSONでPOSTする（MAIL_API_KEY を Bearer で付ける。Resend などのメール配信API向け）。
+// 本番（NODE_ENV=production）で console・file を指定すると createMailer は例外を投げる（server.js はメールを送るAPIだけを止める）。
+// SMTP などは registerMailTransport で追加する
+
+const fs = require('fs');
+const path = require('path');
+
+// 本文のURLには確認・再設定用のトークンが含まれるため、ログには残さない（リンクを確かめるときは file を使う）
+const redactUrls = (text) => String(text || '').replace(/https?:\/\/\S+/g, '[URL省略]');
+
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async ({ to, subject, text }) => {
+        console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${redactUrls(text)}`);
+    }
+});
+
+const createFileTransport = ({ dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'storage', 'mail') } = {}) => ({
+    name: 'file',
+    send: async (message) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${process.pid}-${Math.random().toString(36).slice(2, 8)}.json`;
+        await fs.promises.writeFile(
+            path.join(dir, fileName),
+            JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+        );
+    }
+});
+
+const createHttpTransport = ({
+    url = process.env.MAIL_API_URL,
+    apiKey = process.env.MAIL_API_KEY,
+    from = process.env.MAIL_FROM
+} = {}) => {
+    if (!url || !from) {
+        throw new Error('MAILER=http には MAIL_API_URL と MAIL_FROM の設定が必要です。');
+    }
+    return {
+        name: 'http',
+        send: async ({ to, subject, text }) => {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+                },
+                body: JSON.stringify({ from, to, subject, text })
+            });
+            if (!response.ok) {
+                throw new Error(`メール配信APIがエラーを返しました: ${response.status}`);
+            }
+        }
+    };
+};
+
+const transports = {
+    console: createConsoleTransport,
+    file: createFileTransport,
+    http: createHttpTransport
+};
+
+// 実際には送信しない（ローカル開発・動作確認用の）トランスポート
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+const registerMailTransport = (name, factory) => {
+    transports[name] = factory;
+};
+
+const createMailer = (name = process.env.MAILER || 'console', options) => {
+    const factory = transports[name];
+    if (!factory) {
+        throw new Error(`未対応のメール送信方法です: ${name}（${Object.keys(transports).join(', ')}）`);
+    }
+    if (process.env.NODE_ENV === 'production' && DEVELOPMENT_TRANSPORTS.includes(name)) {
+        throw new Error(`本番環境ではメール送信方法 ${name} は使えません。環境変数 MAILER に実際に送信する方法（http など）を指定してください。`);
+    }
+    return factory(options);
+};
+
+module.exports = {
+    createConsoleTransport,
+    createFileTransport,
+    createHttpTransport,
+    registerMailTransport,
+    createMailer
+};
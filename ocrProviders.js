@@ -0,0 +1,162 @@
+// ocrProviders.js - OCRエンジンの切り替え（Google Cloud Vision / ローカルのTesseract / 記録済みテキストの再生）
+// 環境変数 OCR_PROVIDER で選択する。各プロバイダーは次の形をとる
+//   { name, init(): Promise<void>, recognize(imageBuffer, { mimeType }): Promise<{ text }> }
+// init に失敗したプロバイダーは使わず、OCR以外のAPIはそのまま動かす
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Google Cloud Vision API（Render.com では GOOGLE_APPLICATION_CREDENTIALS_JSON にサービスアカウントキーを設定）
+const createGoogleVisionProvider = () => {
+    let client = null;
+
+    return {
+        name: 'google-vision',
+        init: async () => {
+            console.log('Google Cloud Vision API認証を初期化中...');
+
+            // 環境変数からサービスアカウントキーを取得
+            const credentialsJson = process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON;
+            const projectId = process.env.GOOGLE_CLOUD_PROJECT_ID;
+
+            if (!credentialsJson) {
+                throw new Error('GOOGLE_APPLICATION_CREDENTIALS_JSON 環境変数が設定されていません');
+            }
+            if (!projectId) {
+                throw new Error('GOOGLE_CLOUD_PROJECT_ID 環境変数が設定されていません');
+            }
+
+            // JSONキーをパースして認証情報を作成
+            let credentials;
+            try {
+                credentials = JSON.parse(credentialsJson);
+            } catch (error) {
+                throw new Error('サービスアカウントキーのJSONが無効です: ' + error.message);
+            }
+
+            // 認証情報がない環境ではパッケージ自体を読み込まない
+            const vision = require('@google-cloud/vision');
+            client = new vision.ImageAnnotatorClient({ projectId, credentials });
+
+            console.log('Google Cloud Vision API認証が完了しました');
+            console.log('Project ID:', projectId);
+            console.log('Service Account Email:', credentials.client_email);
+
+            // 認証テスト（1x1のPNG）
+            try {
+                await client.textDetection({
+                    image: {
+                        content: Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==', 'base64')
+                    }
+                });
+                console.log('Vision API接続テスト成功');
+            } catch (error) {
+                console.warn('Vision API接続テスト失敗（本番では問題になる可能性があります）:', error.message);
+            }
+        },
+        recognize: async (imageBuffer) => {
+            const [result] = await client.textDetection({ image: { content: imageBuffer } });
+            const detections = result.textAnnotations;
+            return { text: detections && detections.length > 0 ? detections[0].description : '' };
+        }
+    };
+};
+
+// ローカルの Tesseract（コマンドラインツール）。外部に画像を送らずに読み取れる
+// TESSERACT_PATH で実行ファイル、TESSERACT_LANG で言語データ（既定: jpn+eng）を指定する
+const createTesseractProvider = ({
+    command = process.env.TESSERACT_PATH || 'tesseract',
+    lang = process.env.TESSERACT_LANG || 'jpn+eng',
+    timeout = 60 * 1000
+} = {}) => {
+    const run = (args, input) => new Promise((resolve, reject) => {
+        const child = execFile(command, args, { timeout, maxBuffer: 10 * 1024 * 1024, encoding: 'utf8' }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(`tesseract の実行に失敗しました: ${(stderr || error.message).trim()}`));
+                return;
+            }
+            resolve(stdout);
+        });
+        if (input) {
+            child.stdin.on('error', () => {}); // 異常終了時のEPIPEは上の reject で扱う
+            child.stdin.end(input);
+        }
+    });
+
+    return {
+        name: 'tesseract',
+        init: async () => {
+            const languages = (await run(['--list-langs'])).split('\n').map(l => l.trim());
+            const missing = lang.split('+').filter(l => !languages.includes(l));
+            if (missing.length > 0) {
+                throw new Error(`tesseract の言語データがありません: ${missing.join(', ')}`);
+            }
+            console.log(`Tesseract OCRを使用します（言語: ${lang}）`);
+        },
+        // 画像は標準入力から渡し、結果を標準出力で受け取る
+        recognize: async (imageBuffer) => ({
+            text: await run(['stdin', 'stdout', '-l', lang, '--psm', '4'], imageBuffer)
+        })
+    };
+};
+
+// 記録済みのテキストを返すプロバイダー（開発・テスト用）
+// OCR_FIXTURE_DIR 内の <画像のSHA-256>.txt を返し、なければ default.txt を返す
+const createFixtureProvider = ({ dir = process.env.OCR_FIXTURE_DIR } = {}) => {
+    const read = async (fileName) => {
+        try {
+            return await fs.promises.readFile(path.join(dir, fileName), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    };
+
+    return {
+        name: 'fixture',
+        init: async () => {
+            if (!dir) {
+                throw new Error('OCR_FIXTURE_DIR 環境変数が設定されていません');
+            }
+            await fs.promises.access(dir);
+            console.log(`記録済みのOCR結果を使用します: ${dir}`);
+        },
+        recognize: async (imageBuffer) => {
+            const hash = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+            const text = (await read(`${hash}.txt`)) ?? (await read('default.txt'));
+            if (text === null) {
+                throw new Error(`記録済みのOCR結果がありません: ${hash}.txt`);
+            }
+            return { text };
+        }
+    };
+};
+
+// プロバイダー名 → 生成関数
+const providers = {
+    'google-vision': createGoogleVisionProvider,
+    tesseract: createTesseractProvider,
+    fixture: createFixtureProvider
+};
+
+const registerOcrProvider = (name, factory) => {
+    providers[name] = factory;
+};
+
+const createOcrProvider = (name = process.env.OCR_PROVIDER || 'google-vision', options) => {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`未対応のOCRプロバイダーです: ${name}（${Object.keys(providers).join(', ')}）`);
+    }
+    return factory(options);
+};
+
+module.exports = {
+    createGoogleVisionProvider,
+    createTesseractProvider,
+    createFixtureProvider,
+    registerOcrProvider,
+    createOcrProvider
+};
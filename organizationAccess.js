@@ -0,0 +1,234 @@
+// organizationAccess.js - 組織（共有する帳簿）・メンバーのロール・招待
+// 帳簿のデータ（仕訳・勘定科目・設定など）はすべて組織単位で持つ。ユーザーは複数の組織に参加でき、
+// リクエストの X-Organization-Id ヘッダーで操作する組織を選ぶ（省略した場合は最初に参加した組織）
+
+const auth = require('./auth');
+
+// ロールごとにできる操作
+// read: 仕訳・帳票の閲覧、write: 仕訳・勘定科目・設定の変更、upload: 証憑のアップロード、manage: メンバー・招待の管理と会計年度の締め・再オープン
+const ROLES = {
+    owner: { label: 'オーナー', permissions: ['read', 'write', 'upload', 'manage'] },
+    editor: { label: '編集者', permissions: ['read', 'write', 'upload'] },
+    accountant: { label: '税理士（閲覧のみ）', permissions: ['read'] },
+    uploader: { label: '証憑のアップロードのみ', permissions: ['upload'] }
+};
+
+const ORGANIZATION_HEADER = 'X-Organization-Id';
+const INVITATION_TTL_DAYS = 7;
+const INVITATION_COLUMNS = 'id, email, role, invited_by, expires_at, created_at';
+
+const organizationError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+const isRole = (role) => Object.prototype.hasOwnProperty.call(ROLES, role);
+
+const hasPermission = (role, permission) => isRole(role) && ROLES[role].permissions.includes(permission);
+
+const validateRole = (role) => (isRole(role)
+    ? null
+    : { error: `ロールは ${Object.keys(ROLES).join(', ')} のいずれかを指定してください。`, code: 'INVALID_ROLE' });
+
+const validateOrganizationName = (name) => {
+    const trimmed = String(name || '').trim().slice(0, 100);
+    return trimmed ? { name: trimmed } : { error: '組織名は必須です。', code: 'VALIDATION_ERROR' };
+};
+
+// 組織を作成し、作成したユーザーをオーナーにする（呼び出し側で BEGIN/COMMIT を管理すること）
+const createOrganization = async (db, userId, name) => {
+    const result = await db.query(
+        "INSERT INTO organizations (name, created_by) VALUES ($1, $2) RETURNING id, name, created_at",
+        [name, userId]
+    );
+    const organization = result.rows[0];
+    await db.query(
+        "INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, 'owner')",
+        [organization.id, userId]
+    );
+    return { ...organization, role: 'owner' };
+};
+
+const personalOrganizationName = (email) => `${email} の帳簿`;
+
+// ユーザーが参加している組織とロール（参加した順）
+const fetchMemberships = async (db, userId) => {
+    const result = await db.query(
+        `SELECT o.id, o.name, m.role, o.created_at
+         FROM organization_members m
+         JOIN organizations o ON m.organization_id = o.id
+         WHERE m.user_id = $1
+         ORDER BY m.created_at, o.id`,
+        [userId]
+    );
+    return result.rows;
+};
+
+// 参加している組織が1つもなければ個人の帳簿を作成する（組織の導入前に登録したユーザー・すべての組織から外れたユーザー）
+// ブラウザは複数のAPIを同時に呼ぶため、ユーザーの行をロックして二重に作成しないようにする
+const ensureMemberships = async (pool, userId) => {
+    const memberships = await fetchMemberships(pool, userId);
+    if (memberships.length > 0) return memberships;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const user = await client.query("SELECT email FROM users WHERE id = $1 FOR UPDATE", [userId]);
+        let result = await fetchMemberships(client, userId);
+        if (result.length === 0 && user.rowCount > 0) {
+            result = [await createOrganization(client, userId, personalOrganizationName(user.rows[0].email))];
+        }
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// authenticateToken の後に使うミドルウェア。操作する組織とロールを確認し、req.organization（{ id, name, role }）を設定する
+// permission を省略した場合は組織に参加していることだけを確認する
+const authorize = (pool, permission) => async (req, res, next) => {
+    try {
+        const memberships = await ensureMemberships(pool, req.user.userId);
+        const requested = req.get(ORGANIZATION_HEADER);
+        const membership = requested
+            ? memberships.find(m => String(m.id) === String(requested))
+            : memberships[0];
+        if (!membership) {
+            return res.status(403).json({ error: 'この組織の帳簿にはアクセスできません。', code: 'ORGANIZATION_FORBIDDEN' });
+        }
+        if (permission && !hasPermission(membership.role, permission)) {
+            return res.status(403).json({
+                error: `この操作を行う権限がありません（ロール: ${ROLES[membership.role].label}）。`,
+                code: 'FORBIDDEN_ROLE'
+            });
+        }
+        req.organization = membership;
+        next();
+    } catch (error) {
+        console.error('組織の確認エラー:', error);
+        res.status(500).json({ error: '組織の確認に失敗しました。' });
+    }
+};
+
+// --- メンバー ---
+const fetchMembers = async (db, organizationId) => {
+    const result = await db.query(
+        `SELECT m.user_id, u.email, m.role, m.created_at
+         FROM organization_members m
+         JOIN users u ON m.user_id = u.id
+         WHERE m.organization_id = $1
+         ORDER BY m.created_at, m.user_id`,
+        [organizationId]
+    );
+    return result.rows;
+};
+
+// メンバーのロールの変更・削除の前に呼ぶ（呼び出し側で BEGIN/COMMIT を管理すること）
+// 最後のオーナーを降格・削除すると誰もメンバーを管理できなくなるため 409 を投げる。対象のメンバーを返す
+const loadMemberForChange = async (client, organizationId, userId, nextRole = null) => {
+    const members = await client.query(
+        "SELECT user_id, role FROM organization_members WHERE organization_id = $1 ORDER BY user_id FOR UPDATE",
+        [organizationId]
+    );
+    const member = members.rows.find(m => m.user_id === userId);
+    if (!member) {
+        throw organizationError(404, 'MEMBER_NOT_FOUND', 'メンバーが見つかりません。');
+    }
+    const owners = members.rows.filter(m => m.role === 'owner');
+    if (member.role === 'owner' && nextRole !== 'owner' && owners.length === 1) {
+        throw organizationError(409, 'LAST_OWNER', '組織にはオーナーが1人以上必要です。先に別のメンバーをオーナーにしてください。');
+    }
+    return member;
+};
+
+// --- 招待 ---
+// 同じメールアドレスへの未使用の招待は取り消してから新しい招待を作成する
+const createInvitation = async (db, organizationId, invitedBy, email, role) => {
+    const token = auth.newToken();
+    await db.query(
+        `UPDATE organization_invitations SET revoked_at = CURRENT_TIMESTAMP
+         WHERE organization_id = $1 AND email = $2 AND accepted_at IS NULL AND revoked_at IS NULL`,
+        [organizationId, email]
+    );
+    const result = await db.query(
+        `INSERT INTO organization_invitations (organization_id, email, role, token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6))
+         RETURNING ${INVITATION_COLUMNS}`,
+        [organizationId, email, role, auth.hashToken(token), invitedBy, INVITATION_TTL_DAYS]
+    );
+    return { invitation: result.rows[0], token };
+};
+
+const fetchPendingInvitations = async (db, organizationId) => {
+    const result = await db.query(
+        `SELECT ${INVITATION_COLUMNS} FROM organization_invitations
+         WHERE organization_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         ORDER BY created_at`,
+        [organizationId]
+    );
+    return result.rows;
+};
+
+// 招待を受け入れて組織に参加する（呼び出し側で BEGIN/COMMIT を管理すること）。参加した組織のIDを返す
+// 招待されたメールアドレスのユーザーだけが受け入れられる。すでに参加している場合はロールを変えない
+const acceptInvitation = async (client, token, userId) => {
+    const result = await client.query(
+        `SELECT id, organization_id, email, role FROM organization_invitations
+         WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         FOR UPDATE`,
+        [auth.hashToken(token || '')]
+    );
+    const invitation = result.rows[0];
+    if (!invitation) {
+        throw organizationError(400, 'INVITATION_INVALID', '招待のリンクが無効か、有効期限が切れています。招待した方に再送を依頼してください。');
+    }
+    const user = await client.query("SELECT email FROM users WHERE id = $1", [userId]);
+    if (user.rowCount === 0 || auth.normalizeEmail(user.rows[0].email) !== invitation.email) {
+        throw organizationError(403, 'INVITATION_EMAIL_MISMATCH', `この招待は ${invitation.email} 宛てです。招待されたメールアドレスでログインしてください。`);
+    }
+
+    await client.query(
+        `INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, $3)
+         ON CONFLICT (organization_id, user_id) DO NOTHING`,
+        [invitation.organization_id, userId, invitation.role]
+    );
+    await client.query(
+        "UPDATE organization_invitations SET accepted_at = CURRENT_TIMESTAMP, accepted_by = $2 WHERE id = $1",
+        [invitation.id, userId]
+    );
+    return invitation.organization_id;
+};
+
+// 招待メール。リンク先の accept-invitation.html でログイン（未登録なら登録）してから参加する
+const invitationMail = (email, organizationName, inviterEmail, role, token) => ({
+    to: email,
+    subject: `【帳簿アプリ】「${organizationName}」の帳簿への招待`,
+    text: `${inviterEmail} さんから「${organizationName}」の帳簿に${ROLES[role].label}として招待されました（有効期限: ${INVITATION_TTL_DAYS}日）。\n\n`
+        + `次のリンクを開き、このメールアドレスでログインまたは新規登録すると参加できます。\n\n${auth.appUrl('accept-invitation.html', token)}\n\n`
+        + 'お心当たりがない場合は、このメールを破棄してください。'
+});
+
+module.exports = {
+    ROLES,
+    ORGANIZATION_HEADER,
+    hasPermission,
+    validateRole,
+    validateOrganizationName,
+    createOrganization,
+    personalOrganizationName,
+    fetchMemberships,
+    ensureMemberships,
+    authorize,
+    fetchMembers,
+    loadMemberForChange,
+    createInvitation,
+    fetchPendingInvitations,
+    acceptInvitation,
+    invitationMail
+};
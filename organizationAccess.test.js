@@ -0,0 +1,91 @@
+// organizationAccess.test.js - ロールごとの権限、操作する組織の確認、最後のオーナーの保護
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    hasPermission,
+    validateRole,
+    validateOrganizationName,
+    authorize,
+    loadMemberForChange
+} = require('./organizationAccess');
+
+test('ロールごとにできる操作が決まっている', () => {
+    assert.equal(hasPermission('owner', 'manage'), true);
+    assert.equal(hasPermission('editor', 'write'), true);
+    assert.equal(hasPermission('editor', 'manage'), false);
+    assert.equal(hasPermission('accountant', 'read'), true);
+    assert.equal(hasPermission('accountant', 'write'), false);
+    assert.equal(hasPermission('uploader', 'upload'), true);
+    assert.equal(hasPermission('uploader', 'read'), false);
+    assert.equal(hasPermission('toString', 'read'), false);
+});
+
+test('ロールと組織名を検証する', () => {
+    assert.equal(validateRole('editor'), null);
+    assert.equal(validateRole('admin').code, 'INVALID_ROLE');
+    assert.equal(validateRole('toString').code, 'INVALID_ROLE');
+    assert.deepEqual(validateOrganizationName('  山田商店  '), { name: '山田商店' });
+    assert.equal(validateOrganizationName(' ').code, 'VALIDATION_ERROR');
+});
+
+// 参加している組織を返すだけの pool（参加済みなので connect は呼ばれない）
+const fakePool = (memberships) => ({ query: async () => ({ rows: memberships }) });
+const fakeRequest = (organizationId) => ({
+    user: { userId: 1 },
+    get: (name) => (name === 'X-Organization-Id' ? organizationId : undefined)
+});
+const fakeResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+});
+const memberships = [
+    { id: 1, name: '個人の帳簿', role: 'owner' },
+    { id: 2, name: '山田商店', role: 'accountant' }
+];
+
+const runAuthorize = async (permission, organizationId) => {
+    const req = fakeRequest(organizationId);
+    const res = fakeResponse();
+    let called = false;
+    await authorize(fakePool(memberships), permission)(req, res, () => { called = true; });
+    return { req, res, called };
+};
+
+test('ヘッダーを省略すると最初に参加した組織を操作する', async () => {
+    const { req, called } = await runAuthorize('write');
+    assert.equal(called, true);
+    assert.equal(req.organization.id, 1);
+});
+
+test('ロールに権限がない操作は 403 にする', async () => {
+    const allowed = await runAuthorize('read', '2');
+    assert.equal(allowed.called, true);
+    assert.equal(allowed.req.organization.role, 'accountant');
+
+    const { res, called } = await runAuthorize('write', '2');
+    assert.equal(called, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, 'FORBIDDEN_ROLE');
+});
+
+test('参加していない組織は 403 にする', async () => {
+    const { res, called } = await runAuthorize(undefined, '3');
+    assert.equal(called, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, 'ORGANIZATION_FORBIDDEN');
+});
+
+test('最後のオーナーは降格・削除できない', async () => {
+    const client = (rows) => ({ query: async () => ({ rows }) });
+    const oneOwner = [{ user_id: 1, role: 'owner' }, { user_id: 2, role: 'editor' }];
+    await assert.rejects(loadMemberForChange(client(oneOwner), 1, 1, 'editor'), { status: 409, code: 'LAST_OWNER' });
+    await assert.rejects(loadMemberForChange(client(oneOwner), 1, 1), { status: 409, code: 'LAST_OWNER' });
+    await assert.rejects(loadMemberForChange(client(oneOwner), 1, 3), { status: 404, code: 'MEMBER_NOT_FOUND' });
+    assert.deepEqual(await loadMemberForChange(client(oneOwner), 1, 2, 'owner'), { user_id: 2, role: 'editor' });
+
+    const twoOwners = oneOwner.concat({ user_id: 3, role: 'owner' });
+    assert.deepEqual(await loadMemberForChange(client(twoOwners), 1, 1, 'editor'), { user_id: 1, role: 'owner' });
+});
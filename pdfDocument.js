@@ -0,0 +1,98 @@
+// pdfDocument.js - OCR対象の文書（画像・PDF）をページごとのテキストにする
+// PDFはテキストレイヤーがあればそれを使い、ないページだけ画像に変換してOCRにかける
+// PDFの処理には poppler-utils の pdftotext / pdftoppm を使う（PDFTOTEXT_PATH / PDFTOPPM_PATH で変更可）
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const MAX_PDF_PAGES = 20;
+const RASTER_DPI = 300;
+// テキストレイヤーとみなすのに必要な文字数（空白を除く）。スキャンPDFの透かし文字などを除外する
+const MIN_TEXT_LAYER_CHARS = 20;
+
+const isPdf = (buffer, mimeType) => mimeType === 'application/pdf'
+    || (buffer.length > 4 && buffer.subarray(0, 5).toString('latin1') === '%PDF-');
+
+const run = (command, args, { timeout = 60 * 1000 } = {}) => new Promise((resolve, reject) => {
+    execFile(command, args, { timeout, maxBuffer: 20 * 1024 * 1024, encoding: 'utf8' }, (error, stdout, stderr) => {
+        if (error) {
+            const message = error.code === 'ENOENT'
+                ? `PDFの処理に必要な ${command} が見つかりません（poppler-utils をインストールしてください）`
+                : `${path.basename(command)} の実行に失敗しました: ${(stderr || error.message).trim()}`;
+            reject(new Error(message));
+            return;
+        }
+        resolve(stdout);
+    });
+});
+
+// 一時ディレクトリにPDFを書き出して処理し、終わったら削除する
+const withTempPdf = async (buffer, callback) => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'bookkee-pdf-'));
+    try {
+        const pdfPath = path.join(dir, 'document.pdf');
+        await fs.promises.writeFile(pdfPath, buffer);
+        return await callback(pdfPath, dir);
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+};
+
+// ページごとのテキストレイヤー（pdftotext はページの区切りに改ページ文字を出力する）
+const extractTextLayer = (pdfPath) => run(process.env.PDFTOTEXT_PATH || 'pdftotext',
+    ['-layout', '-enc', 'UTF-8', '-l', String(MAX_PDF_PAGES), pdfPath, '-'])
+    .then(stdout => {
+        const pages = stdout.split('\f');
+        if (pages.length > 1 && pages[pages.length - 1].trim() === '') pages.pop();
+        return pages;
+    });
+
+// 指定ページをPNGに変換する
+const rasterizePage = async (pdfPath, dir, page) => {
+    const prefix = path.join(dir, `page-${page}`);
+    await run(process.env.PDFTOPPM_PATH || 'pdftoppm',
+        ['-png', '-r', String(RASTER_DPI), '-f', String(page), '-l', String(page), '-singlefile', pdfPath, prefix]);
+    return fs.promises.readFile(`${prefix}.png`);
+};
+
+// 文書をページごとのテキストにする
+// ocrProvider は ocrProviders.js のプロバイダー（未初期化なら null）。OCRが必要なのに null の場合は 503 のエラーを投げる
+// 戻り値: [{ page, source: 'text_layer' | 'ocr', text }]
+const extractPages = async (buffer, mimeType, ocrProvider) => {
+    const recognize = async (imageBuffer, imageMimeType) => {
+        if (!ocrProvider) {
+            const error = new Error('OCRプロバイダーが初期化されていません');
+            error.status = 503;
+            error.code = 'OCR_UNAVAILABLE';
+            throw error;
+        }
+        const { text } = await ocrProvider.recognize(imageBuffer, { mimeType: imageMimeType });
+        return text || '';
+    };
+
+    if (!isPdf(buffer, mimeType)) {
+        return [{ page: 1, source: 'ocr', text: await recognize(buffer, mimeType) }];
+    }
+
+    return withTempPdf(buffer, async (pdfPath, dir) => {
+        const textLayer = await extractTextLayer(pdfPath);
+        const pages = [];
+        for (const [index, text] of textLayer.entries()) {
+            const page = index + 1;
+            if (text.replace(/\s/g, '').length >= MIN_TEXT_LAYER_CHARS) {
+                pages.push({ page, source: 'text_layer', text });
+            } else {
+                pages.push({ page, source: 'ocr', text: await recognize(await rasterizePage(pdfPath, dir, page), 'image/png') });
+            }
+        }
+        return pages;
+    });
+};
+
+module.exports = {
+    MAX_PDF_PAGES,
+    isPdf,
+    extractPages
+};
@@ -0,0 +1,111 @@
+// pdfWriter.js - 帳票を印刷用のPDFに書き出す（文字・罫線のみの最小限の実装）
+// 日本語は PDF 閲覧ソフトが備える標準の日本語フォント（HeiseiKakuGo-W5、埋め込みなし）で表示する。
+// 半角の英数字・カナは半角幅（UniJIS-UCS2-HW-H）、それ以外は全角幅として文字幅を計算する
+// 座標は pt 単位で、ページの左上を原点とする
+const zlib = require('zlib');
+
+const PAGE_SIZES = {
+    a4_portrait: [595.28, 841.89],
+    a4_landscape: [841.89, 595.28]
+};
+
+const FONT_NAME = 'HeiseiKakuGo-W5';
+const ENCODING = 'UniJIS-UCS2-HW-H';
+
+const isHalfWidth = (code) => (code >= 0x20 && code <= 0x7E) || (code >= 0xFF61 && code <= 0xFF9F);
+
+// 文字列の幅（pt）
+const textWidth = (text, size) => [...String(text)]
+    .reduce((width, char) => width + (isHalfWidth(char.codePointAt(0)) ? 0.5 : 1), 0) * size;
+
+// UCS-2 の16進文字列。UCS-2 で表せない文字（サロゲートペア）は「〓」にする
+const hexString = (text) => {
+    let hex = '';
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        hex += (code > 0xFFFF ? 0x3013 : code).toString(16).padStart(4, '0');
+    }
+    return `<${hex}>`;
+};
+
+const num = (value) => Number(value.toFixed(2)).toString();
+
+// 新しいPDF文書を作る。ページを追加して文字・罫線を描き、toBuffer() でPDFのバイト列を得る
+const createPdfDocument = () => {
+    const pages = [];
+    let current = null;
+
+    const addPage = (size = 'a4_portrait') => {
+        const [width, height] = PAGE_SIZES[size];
+        current = { width, height, ops: [] };
+        pages.push(current);
+        return { width, height };
+    };
+
+    // align: left / right / center（x はそれぞれ左端・右端・中央）
+    const text = (x, y, value, { size = 10, align = 'left' } = {}) => {
+        const str = String(value ?? '');
+        if (!str) return;
+        const width = textWidth(str, size);
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+        current.ops.push(`BT /F1 ${num(size)} Tf ${num(left)} ${num(current.height - y - size * 0.88)} Td ${hexString(str)} Tj ET`);
+    };
+
+    const line = (x1, y1, x2, y2, { width = 0.5 } = {}) => {
+        current.ops.push(`${num(width)} w ${num(x1)} ${num(current.height - y1)} m ${num(x2)} ${num(current.height - y2)} l S`);
+    };
+
+    const rect = (x, y, w, h, { width = 0.5, fill = null } = {}) => {
+        const op = fill === null ? 'S' : 'B';
+        const fillColor = fill === null ? '' : `${num(fill)} g `;
+        current.ops.push(`q ${fillColor}${num(width)} w ${num(x)} ${num(current.height - y - h)} ${num(w)} ${num(h)} re ${op} Q`);
+    };
+
+    const toBuffer = () => {
+        // 1: カタログ, 2: ページツリー, 3〜5: フォント, 6〜: ページとその内容
+        const objects = [];
+        const pageIds = pages.map((_, i) => 6 + i * 2);
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+        objects[3] = `<< /Type /Font /Subtype /Type0 /BaseFont /${FONT_NAME}-${ENCODING} /Encoding /${ENCODING} /DescendantFonts [4 0 R] >>`;
+        objects[4] = `<< /Type /Font /Subtype /CIDFontType0 /BaseFont /${FONT_NAME}
+            /CIDSystemInfo << /Registry (Adobe) /Ordering (Japan1) /Supplement 2 >>
+            /FontDescriptor 5 0 R /DW 1000 /W [231 389 500] >>`;
+        objects[5] = `<< /Type /FontDescriptor /FontName /${FONT_NAME} /Flags 4 /FontBBox [-92 -250 1010 922]
+            /ItalicAngle 0 /Ascent 752 /Descent -221 /CapHeight 737 /StemV 114 >>`;
+        pages.forEach((page, i) => {
+            const content = zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'));
+            objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}]
+                /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+            objects[pageIds[i] + 1] = Buffer.concat([
+                Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+                content,
+                Buffer.from('\nendstream', 'latin1')
+            ]);
+        });
+
+        const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+        let offset = chunks[0].length;
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            const body = Buffer.isBuffer(objects[id]) ? objects[id] : Buffer.from(objects[id], 'latin1');
+            const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+            offsets[id] = offset;
+            offset += chunk.length;
+            chunks.push(chunk);
+        }
+        const xref = [`xref\n0 ${objects.length}\n0000000000 65535 f \n`]
+            .concat(offsets.slice(1).map(o => `${String(o).padStart(10, '0')} 00000 n \n`))
+            .join('');
+        chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${offset}\n%%EOF\n`, 'latin1'));
+        return Buffer.concat(chunks);
+    };
+
+    return { addPage, text, line, rect, textWidth, toBuffer };
+};
+
+module.exports = {
+    PAGE_SIZES,
+    textWidth,
+    createPdfDocument
+};
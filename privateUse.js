@@ -0,0 +1,156 @@
+// privateUse.js - 家事按分（家事と事業の両方に使う費用のうち、家事分を事業主貸へ振り替える）
+// 科目ごとに事業分の割合と根拠を apportionment_ratios に登録し、年度末に家事分を
+// 「借方: 事業主貸 / 貸方: 費用の科目」の仕訳で振り替える。振替は税区分ごとに行い、家事分を仕入税額控除から外す
+
+const { toAmounts } = require('./reports');
+
+const RATIO_COLUMNS = 'r.id, r.account_id, m.account_name, r.fiscal_year, r.business_ratio, r.basis, r.created_at, r.updated_at';
+
+// 割合を数値にそろえる（NUMERIC は文字列で返る）
+const toRatioRow = (row) => ({ ...row, business_ratio: Number(row.business_ratio) });
+
+const fetchApportionmentRatios = async (db, organizationId) => {
+    const result = await db.query(
+        `SELECT ${RATIO_COLUMNS} FROM apportionment_ratios r
+         JOIN master_accounts m ON r.account_id = m.id
+         WHERE r.organization_id = $1
+         ORDER BY m.account_name, r.fiscal_year NULLS FIRST`,
+        [organizationId]
+    );
+    return result.rows.map(toRatioRow);
+};
+
+// 割合の入力を検証する。成功時は { ratio }、失敗時は { error } を返す
+const validateApportionmentRatio = (body) => {
+    const accountId = parseInt(body.account_id, 10);
+    if (!(accountId > 0)) {
+        return { error: '勘定科目を指定してください。' };
+    }
+    const hasYear = body.fiscal_year !== undefined && body.fiscal_year !== null && body.fiscal_year !== '';
+    const fiscalYear = hasYear ? Number(body.fiscal_year) : null;
+    if (hasYear && !(Number.isInteger(fiscalYear) && fiscalYear >= 1900 && fiscalYear <= 9999)) {
+        return { error: 'fiscal_year は西暦で指定してください（全年度の既定値にする場合は省略）。' };
+    }
+    const businessRatio = Number(body.business_ratio);
+    if (body.business_ratio === '' || !Number.isFinite(businessRatio) || businessRatio < 0 || businessRatio > 100
+        || Math.abs(Math.round(businessRatio * 100) - businessRatio * 100) > 1e-6) {
+        return { error: '事業分の割合は0〜100（%、小数点以下2桁まで）で指定してください。' };
+    }
+    const basis = String(body.basis || '').trim();
+    if (!basis || basis.length > 255) {
+        return { error: '按分の根拠（床面積・使用時間など）を255文字以内で入力してください。' };
+    }
+    return { ratio: { account_id: accountId, fiscal_year: fiscalYear, business_ratio: businessRatio, basis } };
+};
+
+// 科目ごとに、その年度に使う割合を決める（年度の指定がある行を既定値より優先する）
+const resolveRatios = (ratioRows, fiscalYear) => {
+    const resolved = new Map();
+    for (const row of ratioRows) {
+        if (row.fiscal_year !== null && row.fiscal_year !== fiscalYear) continue;
+        const current = resolved.get(row.account_id);
+        if (!current || (current.fiscal_year === null && row.fiscal_year !== null)) {
+            resolved.set(row.account_id, row);
+        }
+    }
+    return resolved;
+};
+
+// 家事分の金額。事業分は1円未満を切り捨て、残りを家事分とする
+const privateShare = (amount, businessRatio) => amount - Math.trunc(amount * Math.round(businessRatio * 100) / 10000);
+
+// 期間内の費用の科目・税区分ごとの金額（借方 - 貸方）。通常の仕訳のみで、家事按分の振替仕訳自体は含めない
+const fetchApportionmentTotals = async (db, organizationId, period, accountIds) => {
+    if (accountIds.length === 0) return [];
+    const result = await db.query(
+        `SELECT l.account_id, l.tax_category,
+                COALESCE(SUM(CASE WHEN l.side = 'debit' THEN l.amount ELSE -l.amount END), 0)::bigint AS amount
+         FROM transaction_lines l
+         JOIN transactions t ON l.transaction_id = t.id
+         WHERE t.organization_id = $1 AND t.deleted_at IS NULL AND t.entry_type = 'normal'
+           AND t.transaction_date BETWEEN $2 AND $3
+           AND l.account_id = ANY($4::int[])
+           AND NOT EXISTS (SELECT 1 FROM apportionment_postings p WHERE p.transaction_id = t.id)
+         GROUP BY l.account_id, l.tax_category
+         ORDER BY l.account_id, l.tax_category`,
+        [organizationId, period.from, period.to, accountIds]
+    );
+    return result.rows.map(toAmounts(['amount']));
+};
+
+// 家事按分の明細表。科目ごとに、使った割合とその根拠、期間の金額・事業分・家事分、計上済みの振替仕訳を返す
+// totals は fetchApportionmentTotals の結果、postings は計上履歴（account_id, transaction_id, amount）
+const buildApportionmentSchedule = (ratioRows, totals, postings, fiscalYear) => {
+    const resolved = resolveRatios(ratioRows, fiscalYear);
+    const postingsByAccount = new Map(postings.map(p => [p.account_id, p]));
+
+    const accounts = [...resolved.values()].map(ratio => {
+        const byTaxCategory = totals
+            .filter(row => row.account_id === ratio.account_id && row.amount > 0)
+            .map(row => {
+                const privateAmount = privateShare(row.amount, ratio.business_ratio);
+                return {
+                    tax_category: row.tax_category,
+                    total_amount: row.amount,
+                    business_amount: row.amount - privateAmount,
+                    private_amount: privateAmount
+                };
+            });
+        const sum = (key) => byTaxCategory.reduce((total, row) => total + row[key], 0);
+        const posting = postingsByAccount.get(ratio.account_id);
+        return {
+            account_id: ratio.account_id,
+            account_name: ratio.account_name,
+            ratio_id: ratio.id,
+            ratio_source: ratio.fiscal_year === null ? 'default' : 'fiscal_year',
+            business_ratio: ratio.business_ratio,
+            private_ratio: Math.round((100 - ratio.business_ratio) * 100) / 100,
+            basis: ratio.basis,
+            total_amount: sum('total_amount'),
+            business_amount: sum('business_amount'),
+            private_amount: sum('private_amount'),
+            by_tax_category: byTaxCategory,
+            posted_transaction_id: posting ? posting.transaction_id : null,
+            posted_amount: posting ? posting.amount : 0
+        };
+    });
+
+    const sum = (key) => accounts.reduce((total, account) => total + account[key], 0);
+    return {
+        fiscal_year: fiscalYear,
+        accounts,
+        totals: {
+            total_amount: sum('total_amount'),
+            business_amount: sum('business_amount'),
+            private_amount: sum('private_amount'),
+            posted_amount: sum('posted_amount')
+        }
+    };
+};
+
+// 指定年度の家事按分の明細表を作る（period はその年度の期首〜期末）
+const apportionmentSchedule = async (db, organizationId, fiscalYear, period) => {
+    const ratioRows = await fetchApportionmentRatios(db, organizationId);
+    const accountIds = [...resolveRatios(ratioRows, fiscalYear).keys()];
+    const [totals, postings] = await Promise.all([
+        fetchApportionmentTotals(db, organizationId, period, accountIds),
+        db.query(
+            `SELECT p.account_id, p.transaction_id, p.amount FROM apportionment_postings p
+             JOIN transactions t ON p.transaction_id = t.id
+             WHERE p.organization_id = $1 AND p.fiscal_year = $2 AND t.deleted_at IS NULL`,
+            [organizationId, fiscalYear]
+        )
+    ]);
+    return { period, ...buildApportionmentSchedule(ratioRows, totals, postings.rows, fiscalYear) };
+};
+
+module.exports = {
+    RATIO_COLUMNS,
+    toRatioRow,
+    fetchApportionmentRatios,
+    validateApportionmentRatio,
+    resolveRatios,
+    privateShare,
+    buildApportionmentSchedule,
+    apportionmentSchedule
+};
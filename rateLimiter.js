@@ -0,0 +1,39 @@
+// rateLimiter.js - プロセス内で数えるリクエスト数の制限（外部のストア不要）
+// 一定時間（windowMs）ごとにキー（既定は接続元IP）単位で回数を数え、max を超えたら 429 を返す。
+// 回数はプロセスのメモリに持つため、再起動でリセットされ、複数台で動かす場合は台ごとの制限になる
+
+const createRateLimiter = ({
+    windowMs,
+    max,
+    keyGenerator = (req) => req.ip,
+    message = 'リクエストが多すぎます。しばらく待ってから再度お試しください。'
+}) => {
+    const hits = new Map(); // key → { count, resetAt }
+
+    // 期限切れのキーを定期的に捨てる
+    const timer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }, windowMs);
+    timer.unref();
+
+    return (req, res, next) => {
+        const key = keyGenerator(req);
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count += 1;
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+            return res.status(429).json({ error: message, code: 'RATE_LIMITED' });
+        }
+        next();
+    };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,195 @@
+// receiptArchive.js - 領収書・レシート画像・PDF（証憑）の保存と検索（電子帳簿保存法の検索要件に対応）
+// 画像本体は差し替え可能なストレージに保存し、ハッシュ値・受領日時・検索項目は receipts テーブルに記録する
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseId } = require('./ids');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_SEARCH_RESULTS = 100;
+
+// 拡張子は保存キーに付けるだけで、配信時の Content-Type には DB の mime_type を使う
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/heic': '.heic',
+    'application/pdf': '.pdf'
+};
+
+// ローカルディスクに保存するストレージ
+// 同じ内容のファイルは同じキーになるため、一度書いたファイルは上書きせず読み取り専用にする
+const createLocalDiskStorage = ({ root = process.env.RECEIPT_STORAGE_DIR || path.join(__dirname, 'storage', 'receipts') } = {}) => {
+    const resolve = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error(`不正な保存キーです: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+        put: async (key, buffer) => {
+            const filePath = resolve(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            try {
+                await fs.promises.access(filePath);
+                return; // 保存済み
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            // 書き込み途中のファイルが見えないよう、一時ファイルに書いてから名前を変える
+            const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+            await fs.promises.writeFile(tempPath, buffer, { mode: 0o444 });
+            await fs.promises.rename(tempPath, filePath);
+        },
+        createReadStream: (key) => fs.createReadStream(resolve(key))
+    };
+};
+
+// ストレージの実装（name → 生成関数）。S3 などは registerStorageAdapter で追加する
+// 実装は { name, put(key, buffer), createReadStream(key) } を持つこと
+const adapters = { local: createLocalDiskStorage };
+
+const registerStorageAdapter = (name, factory) => {
+    adapters[name] = factory;
+};
+
+// 環境変数 RECEIPT_STORAGE（既定: local）で選んだストレージを作る
+const createReceiptStorage = (name = process.env.RECEIPT_STORAGE || 'local', options) => {
+    const factory = adapters[name];
+    if (!factory) {
+        throw new Error(`未対応の証憑ストレージです: ${name}`);
+    }
+    return factory(options);
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// 組織（帳簿）ごと・ハッシュ値ごとの保存キー
+const storageKeyFor = (organizationId, hash, mimeType) => `${organizationId}/${hash.slice(0, 2)}/${hash}${EXTENSIONS[mimeType] || ''}`;
+
+const RECEIPT_COLUMNS = `id, transaction_id, file_name, mime_type, file_size, sha256, received_at,
+    transaction_date, amount, counterparty, registration_number, uploaded_by, created_at`;
+
+// 検索項目（取引年月日・金額・取引先）の入力値を検証する
+const validateReceiptMetadata = (body) => {
+    const metadata = {
+        transaction_date: body.transaction_date || null,
+        amount: body.amount === undefined || body.amount === null || body.amount === '' ? null : Number(body.amount),
+        counterparty: body.counterparty ? String(body.counterparty).trim().slice(0, 255) : null
+    };
+    if (metadata.transaction_date && !DATE_PATTERN.test(metadata.transaction_date)) {
+        return { error: '取引年月日は YYYY-MM-DD 形式で入力してください。' };
+    }
+    if (metadata.amount !== null && (!Number.isInteger(metadata.amount) || metadata.amount < 0)) {
+        return { error: '金額は0以上の整数で入力してください。' };
+    }
+    return { metadata };
+};
+
+// アップロードされたファイルを保存して receipts に登録する
+// 同じ帳簿に同じファイルを再度アップロードした場合は既存の証憑を返す
+// metadata.uploaded_by にはアップロードしたユーザーのIDを渡す
+const archiveReceipt = async (db, storage, organizationId, file, metadata = {}) => {
+    const hash = sha256(file.buffer);
+    const existing = await db.query(
+        `SELECT ${RECEIPT_COLUMNS} FROM receipts WHERE organization_id = $1 AND sha256 = $2`,
+        [organizationId, hash]
+    );
+    if (existing.rowCount > 0) {
+        return { receipt: existing.rows[0], duplicate: true };
+    }
+
+    const key = storageKeyFor(organizationId, hash, file.mimetype);
+    await storage.put(key, file.buffer);
+
+    const result = await db.query(
+        `INSERT INTO receipts (organization_id, storage, storage_key, file_name, mime_type, file_size, sha256,
+                               transaction_date, amount, counterparty, ocr_text, uploaded_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         ON CONFLICT (organization_id, sha256) DO UPDATE SET sha256 = EXCLUDED.sha256
+         RETURNING ${RECEIPT_COLUMNS}`,
+        [organizationId, storage.name, key, file.originalname || null, file.mimetype, file.buffer.length, hash,
+         metadata.transaction_date || null, metadata.amount ?? null, metadata.counterparty || null, metadata.ocr_text || null,
+         metadata.uploaded_by || null]
+    );
+    return { receipt: result.rows[0], duplicate: false };
+};
+
+// 検索条件（取引年月日・金額の範囲、取引先）から WHERE 句を組み立てる
+// 条件はすべて AND で組み合わせる
+const buildReceiptSearch = (organizationId, query) => {
+    const conditions = ['organization_id = $1'];
+    const params = [organizationId];
+    const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    for (const key of ['date_from', 'date_to']) {
+        if (query[key] && !DATE_PATTERN.test(query[key])) {
+            return { error: '取引年月日は YYYY-MM-DD 形式で指定してください。' };
+        }
+    }
+    for (const key of ['amount_min', 'amount_max']) {
+        if (query[key] !== undefined && query[key] !== '' && !Number.isInteger(Number(query[key]))) {
+            return { error: '金額は整数で指定してください。' };
+        }
+    }
+
+    if (query.date_from) add('transaction_date >= ?', query.date_from);
+    if (query.date_to) add('transaction_date <= ?', query.date_to);
+    if (query.amount_min !== undefined && query.amount_min !== '') add('amount >= ?', Number(query.amount_min));
+    if (query.amount_max !== undefined && query.amount_max !== '') add('amount <= ?', Number(query.amount_max));
+    if (query.counterparty) add("counterparty ILIKE ? ESCAPE '\\'", `%${String(query.counterparty).replace(/[\\%_]/g, '\\$&')}%`);
+    if (query.transaction_id) add('transaction_id = ?', parseId(query.transaction_id));
+    if (query.unlinked === 'true') conditions.push('transaction_id IS NULL');
+
+    const limit = Math.min(parseInt(query.limit, 10) || MAX_SEARCH_RESULTS, MAX_SEARCH_RESULTS);
+    const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+    return {
+        sql: `SELECT ${RECEIPT_COLUMNS} FROM receipts
+              WHERE ${conditions.join(' AND ')}
+              ORDER BY transaction_date DESC NULLS LAST, received_at DESC
+              LIMIT ${limit} OFFSET ${offset}`,
+        params
+    };
+};
+
+// 保存済みのファイルを読み込む（バックグラウンドでのOCR用）
+const readReceiptFile = (storage, key) => new Promise((resolve, reject) => {
+    const chunks = [];
+    storage.createReadStream(key)
+        .on('error', reject)
+        .on('data', chunk => chunks.push(chunk))
+        .on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+// 保存済みファイルのハッシュ値を計算し直し、登録時の値と一致するか確認する
+const verifyReceipt = (storage, receipt) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    storage.createReadStream(receipt.storage_key)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => {
+            const actual = hash.digest('hex');
+            resolve({ sha256: receipt.sha256, actual_sha256: actual, intact: actual === receipt.sha256 });
+        });
+});
+
+module.exports = {
+    RECEIPT_COLUMNS,
+    createLocalDiskStorage,
+    registerStorageAdapter,
+    createReceiptStorage,
+    sha256,
+    validateReceiptMetadata,
+    archiveReceipt,
+    buildReceiptSearch,
+    readReceiptFile,
+    verifyReceipt
+};
@@ -0,0 +1,414 @@
+// receiptParser.js - OCRで読み取ったレシート・領収書・請求書のテキストを構造化する
+// 取引先・電話番号・登録番号（適格請求書発行事業者）・日付・明細・小計/合計・税率別内訳・支払方法を取り出し、
+// 各項目に確信度（0〜1）を付ける。読み取れなかった項目は value: null, confidence: 0
+
+const { toHalfWidth, parseJapaneseDate } = require('./statementImport');
+
+// 軽減税率対象を示す記号（凡例の行があるか、8%の内訳がある場合に有効とする）
+const REDUCED_MARKERS = ['※', '★', '☆', '*', '軽'];
+
+// 明細として扱わない行
+const NON_ITEM_PATTERN = /合計|小計|お会計|ご請求|お支払|領収|税|対象|お預|預り|お釣|おつり|釣銭|現金|クレジット|カード|電子マネー|ポイント|点数|買上|登録番号|TEL|電話|担当|レジ|No\.|伝票|取引|承認|会員|有効期限|残高|値引対象外/i;
+// 取引先名として扱わない行
+const NON_VENDOR_PATTERN = /領収書|但し|内訳|領収証|レシート|請求書|納品書|いらっしゃいませ|ありがとう|毎度|またのお越し|お買上|上記|様$|御中|登録番号|TEL|電話|FAX|〒|^No\.|担当|レジ|\d{1,2}:\d{2}/i;
+const VENDOR_KEYWORDS = /株式会社|有限会社|合同会社|\(株\)|\(有\)|㈱|㈲|店|商店|商会|食堂|スーパー|マーケット|マート|ストア|薬局|書店|書房|ホテル|カフェ|CAFE|COFFEE|珈琲|堂|屋|亭|庵|センター|ショップ|SHOP|STORE|MARKET/i;
+// 合計の行（小計・点数・税率別の対象額は除く）
+const TOTAL_LABEL = /合計|お会計|ご請求額|お支払金額|お支払額|領収金額|総額|^金額/;
+const TOTAL_EXCLUDE = /小計|点数|\d+\s*点|対象|税抜/;
+// 合計の後に続く行（支払・お釣り・税の内訳・お礼、領収書の但し書きなど）
+const FOOTER_PATTERN = /但し|上記|内訳|領収いたしました|お預|預り|お釣|おつり|釣銭|現金|クレジット|カード|VISA|Master|JCB|AMEX|PayPay|楽天ペイ|d払い|電子マネー|交通系|Suica|PASMO|QUICPay|nanaco|WAON|Edy|ポイント|ありがとう|またのお越し|軽減税率|登録番号|税|対象|承認|会員|残高|お買上|点数|^\(|^[-¥\d,\s円]+$/i;
+const ADDRESS_PATTERN = /(都|道|府|県).+(市|区|町|村)|(市|区|町|村).*\d+(-\d+)+/;
+
+const round = (value) => Math.round(value * 100) / 100;
+const field = (value = null, confidence = 0, extra = {}) => ({ value, confidence: value === null ? 0 : round(confidence), ...extra });
+
+// 全角・記号の表記ゆれをそろえる
+const normalizeText = (text) => toHalfWidth(String(text || ''))
+    .replace(/％/g, '%')
+    .replace(/[￥\\]/g, '¥')
+    .replace(/（/g, '(')
+    .replace(/）/g, ')')
+    .replace(/＠/g, '@')
+    .replace(/＊/g, '*')
+    .replace(/[‐－―ｰ](?=\d)/g, '-');
+
+// 金額の文字列（¥1,234 / 1,234円 / -50 / △50）を数値にする
+const toAmount = (str) => {
+    const sign = /^[-△▲]/.test(str) ? -1 : 1;
+    const digits = str.replace(/[^\d]/g, '');
+    return digits ? sign * parseInt(digits, 10) : null;
+};
+
+// 行内の金額（3桁区切りか ¥/円 付き、または3桁以上の数字）をすべて取り出す
+const AMOUNT_PATTERN = /([-△▲]?)\s*¥?\s*(\d{1,3}(?:,\d{3})+|\d+)\s*(円)?/g;
+const amountsIn = (line) => {
+    const amounts = [];
+    for (const match of line.matchAll(AMOUNT_PATTERN)) {
+        // 税率（10% / 8%）や数量（2個）の数字は除く
+        const rest = line.slice(match.index + match[0].length);
+        if (/^\s*(%|個|点|コ|ｺ|本|枚|袋|杯|冊|x|×)/.test(rest)) continue;
+        amounts.push({ amount: toAmount(`${match[1]}${match[2]}`), index: match.index, end: match.index + match[0].length });
+    }
+    return amounts;
+};
+const lastAmount = (line) => {
+    const amounts = amountsIn(line);
+    return amounts.length > 0 ? amounts[amounts.length - 1].amount : null;
+};
+
+// 適格請求書発行事業者の登録番号（T + 13桁）のチェックデジットを検証する
+// 先頭の数字が検査用数字: 9 - (Σ 下位から n 桁目の数字 × (n が奇数なら1、偶数なら2)) mod 9
+const isValidRegistrationNumber = (number) => {
+    const digits = String(number || '').replace(/^T/, '');
+    if (!/^\d{13}$/.test(digits)) return false;
+    const base = digits.slice(1);
+    let sum = 0;
+    for (let n = 1; n <= 12; n++) {
+        sum += Number(base[12 - n]) * (n % 2 === 1 ? 1 : 2);
+    }
+    return Number(digits[0]) === 9 - (sum % 9);
+};
+
+const findRegistrationNumber = (lines) => {
+    let best = field();
+    lines.forEach(line => {
+        const match = line.match(/T\s*-?\s*((?:\d[\s-]?){13})(?!\d)/);
+        if (!match) return;
+        const digits = match[1].replace(/[\s-]/g, '');
+        const valid = isValidRegistrationNumber(digits);
+        const labeled = /登録番号|登録No|適格/i.test(line);
+        const confidence = valid ? (labeled ? 0.99 : 0.9) : (labeled ? 0.5 : 0.3);
+        if (confidence > best.confidence) {
+            best = field(`T${digits}`, confidence, { valid });
+        }
+    });
+    return best.value ? best : field(null, 0, { valid: false });
+};
+
+const findPhone = (lines) => {
+    let best = field();
+    lines.forEach(line => {
+        if (/FAX/i.test(line) && !/TEL|電話/i.test(line)) return;
+        const labeled = line.match(/(?:TEL|電話|☎|℡)[\s.:]*\(?(0\d{1,4})\)?[\s-]*(\d{1,4})[\s-]*(\d{4})(?!\d)/i);
+        const plain = line.match(/(?<![\dT])(0\d{1,4})-(\d{1,4})-(\d{4})(?!\d)/);
+        const match = labeled || plain;
+        if (!match) return;
+        const number = `${match[1]}-${match[2]}-${match[3]}`;
+        const digitCount = number.replace(/-/g, '').length;
+        if (digitCount < 10 || digitCount > 11) return;
+        const confidence = labeled ? 0.9 : 0.6;
+        if (confidence > best.confidence) best = field(number, confidence);
+    });
+    return best;
+};
+
+// 日付（西暦・和暦・2桁年）。日付らしい語のある行を優先する
+const findDate = (lines) => {
+    const formats = [
+        { regex: /(令和|平成|R|H)\s*(\d{1,2}|元)\s*[年./-]\s*(\d{1,2})\s*[月./-]\s*(\d{1,2})/, confidence: 0.9, toDate: m => parseJapaneseDate(m[0]) },
+        { regex: /(\d{4})\s*[年./-]\s*(\d{1,2})\s*[月./-]\s*(\d{1,2})/, confidence: 0.9, toDate: m => parseJapaneseDate(`${m[1]}-${m[2]}-${m[3]}`) },
+        { regex: /(?<![\d.])(\d{2})[./-](\d{1,2})[./-](\d{1,2})(?![\d.])/, confidence: 0.6, toDate: m => parseJapaneseDate(`20${m[1]}-${m[2]}-${m[3]}`) }
+    ];
+    let best = field();
+    lines.forEach(line => {
+        if (/有効期限|期限/.test(line)) return;
+        for (const format of formats) {
+            const match = line.match(format.regex);
+            const date = match && format.toDate(match);
+            if (!date) continue;
+            const confidence = format.confidence + (/日付|発行日|取引日|ご利用日|日時/.test(line) ? 0.05 : 0);
+            if (confidence > best.confidence) best = field(date, confidence);
+            break;
+        }
+    });
+    return best;
+};
+
+// 合計・小計。金額が次の行に分かれている場合も拾う
+const findLabeledAmount = (lines, labelPattern, excludePattern) => {
+    for (const [index, line] of lines.entries()) {
+        if (!labelPattern.test(line) || (excludePattern && excludePattern.test(line))) continue;
+        const amount = lastAmount(line.replace(labelPattern, ' '));
+        if (amount !== null) return { ...field(amount, 0.9), line: index };
+        const next = lines[index + 1];
+        if (next && amountsIn(next).length === 1 && !/[a-z]/i.test(next.replace(/¥|円/g, ''))) {
+            return { ...field(lastAmount(next), 0.7), line: index };
+        }
+    }
+    return { ...field(), line: -1 };
+};
+
+// 税率別の対象額と消費税額（例: 「10%対象 ¥1,100 (内消費税 ¥100)」「消費税等(8%) ¥40」）
+const findTaxBreakdown = (lines) => {
+    const byRate = {};
+    const entry = (rate) => (byRate[rate] = byRate[rate] || { rate, taxable_amount: null, tax_amount: null, tax_included: null });
+
+    lines.forEach((line, index) => {
+        const rateMatch = line.match(/(10|8)\s*%/) || (/軽減/.test(line) && !/※|★|☆|\*/.test(line) ? [null, '8'] : null);
+        if (!rateMatch) return;
+        const rate = Number(rateMatch[1]);
+        const target = entry(rate);
+        const included = /内税|内消費税|税込|うち|\(内/.test(line) ? true : (/外税|税抜/.test(line) ? false : null);
+        if (included !== null) target.tax_included = included;
+
+        if (/対象/.test(line)) {
+            const afterTarget = line.slice(line.indexOf('対象') + 2);
+            const taxPos = afterTarget.search(/税/);
+            const taxablePart = taxPos >= 0 ? afterTarget.slice(0, taxPos) : afterTarget;
+            const taxable = amountsIn(taxablePart);
+            if (taxable.length > 0 && target.taxable_amount === null) target.taxable_amount = taxable[0].amount;
+            if (taxPos >= 0) {
+                const tax = lastAmount(afterTarget.slice(taxPos));
+                if (tax !== null && target.tax_amount === null) target.tax_amount = tax;
+            } else {
+                // 税額は次の行（「内消費税 ¥100」など）に書かれることが多い
+                const next = lines[index + 1] || '';
+                if (/税/.test(next) && !/(10|8)\s*%|対象/.test(next)) {
+                    const tax = lastAmount(next);
+                    if (tax !== null && target.tax_amount === null) target.tax_amount = tax;
+                    if (/内/.test(next)) target.tax_included = true;
+                    if (/外/.test(next)) target.tax_included = false;
+                }
+            }
+        } else if (/税/.test(line)) {
+            const tax = lastAmount(line.replace(/(10|8)\s*%/, ' '));
+            if (tax !== null && target.tax_amount === null) target.tax_amount = tax;
+        }
+    });
+
+    return byRate;
+};
+
+// 支払方法（現金・クレジットカード・電子マネー・QRコード決済）
+const PAYMENT_METHODS = [
+    { value: 'qr_code', pattern: /PayPay|楽天ペイ|d払い|au\s?PAY|LINE\s?Pay|メルペイ|QR/i },
+    { value: 'electronic_money', pattern: /電子マネー|交通系|Suica|PASMO|ICOCA|QUICPay|nanaco|WAON|Edy|(?<![A-Za-z])iD(?![A-Za-z])/ },
+    { value: 'credit_card', pattern: /クレジット|ｸﾚｼﾞｯﾄ|VISA|Master|JCB|AMEX|American Express|Diners|(?<!ポイント)カード(?!番号)/i },
+    { value: 'cash', pattern: /現金|お預り|お預かり|預り金|お釣|おつり|釣銭/ }
+];
+const findPaymentMethod = (lines) => {
+    for (const method of PAYMENT_METHODS) {
+        const line = lines.find(l => method.pattern.test(l) && !/ポイントカード|ポイント残高/.test(l));
+        if (!line) continue;
+        const detail = (line.match(method.pattern) || [])[0];
+        const confidence = method.value === 'cash' && !/現金/.test(line) ? 0.7 : 0.85;
+        return field(method.value, confidence, { detail: detail || null });
+    }
+    return field(null, 0, { detail: null });
+};
+
+// 店名: 上部の行のうち、店・会社らしい語を含む行を優先する
+// 手書きの領収書は発行者が下部に書かれるため、店・会社らしい語を含む行は下部も候補にする
+const findVendor = (lines) => {
+    let best = field();
+    lines.forEach((line, index) => {
+        const isHeader = index < 8;
+        const hasKeyword = VENDOR_KEYWORDS.test(line);
+        if (!isHeader && !hasKeyword) return;
+        if (line.length < 2 || line.length > 40) return;
+        if (NON_VENDOR_PATTERN.test(line) || ADDRESS_PATTERN.test(line)) return;
+        if (amountsIn(line).some(a => Math.abs(a.amount) >= 100) || /\d{4}[./年-]|\d年\d{1,2}月/.test(line)) return;
+        if (!/[A-Za-z぀-ヿ一-鿿ｦ-ﾟ]/.test(line)) return;
+        const confidence = isHeader ? (hasKeyword ? 0.85 : 0.5) - index * 0.03 : 0.75;
+        if (confidence > best.confidence) best = field(line.replace(/\s{2,}/g, ' '), confidence);
+    });
+    return best;
+};
+
+// 数量・単価（例: 「2個 x @150」「2コ × 単150」「@150 x 2」）
+const QUANTITY_PATTERNS = [
+    { regex: /(\d+)\s*(?:個|点|コ|ｺ|本|枚|袋|杯|冊)?\s*[x×X*]\s*(?:@|単価?)?\s*¥?\s*(\d[\d,]*)/, quantity: 1, unitPrice: 2 },
+    { regex: /(?:@|単価?)\s*¥?\s*(\d[\d,]*)\s*[x×X*]\s*(\d+)\s*(?:個|点|コ|ｺ|本|枚|袋|杯|冊)?/, quantity: 2, unitPrice: 1 }
+];
+const parseQuantity = (line) => {
+    for (const pattern of QUANTITY_PATTERNS) {
+        const match = line.match(pattern.regex);
+        if (match) {
+            return {
+                quantity: parseInt(match[pattern.quantity], 10),
+                unit_price: toAmount(match[pattern.unitPrice]),
+                rest: line.slice(match.index + match[0].length)
+            };
+        }
+    }
+    return null;
+};
+
+// 明細行: 品名 + 金額（軽減税率の記号は品名の前後どちらにも付く）
+const findItems = (lines, endLine, reducedMarkersEnabled) => {
+    const items = [];
+    let pendingName = null;
+    const hasMarker = (text) => reducedMarkersEnabled && REDUCED_MARKERS.some(marker => text.includes(marker));
+    const cleanName = (name) => name.replace(/[※★☆*]/g, '').replace(/^軽\s+|\s+軽$/, '').replace(/\s{2,}/g, ' ').trim();
+
+    lines.slice(0, endLine >= 0 ? endLine : lines.length).forEach(line => {
+        if (NON_ITEM_PATTERN.test(line) || /^T\s*\d/.test(line) || /\d{4}[./年-]\d{1,2}/.test(line)) {
+            pendingName = null;
+            return;
+        }
+
+        const quantity = parseQuantity(line);
+        if (quantity && !/[^\d\s,.¥@x×X*個点コｺ本枚袋杯冊単価円※★☆軽-]/.test(line.replace(/[a-z]/gi, ''))) {
+            // 数量だけの行: 直前の品名、または直前の明細に付ける
+            const amount = lastAmount(quantity.rest);
+            const last = items[items.length - 1];
+            if (pendingName) {
+                items.push({
+                    name: cleanName(pendingName),
+                    quantity: quantity.quantity,
+                    unit_price: quantity.unit_price,
+                    amount: amount ?? quantity.quantity * quantity.unit_price,
+                    reduced_rate: hasMarker(pendingName) || hasMarker(line)
+                });
+            } else if (last && last.quantity === null) {
+                last.quantity = quantity.quantity;
+                last.unit_price = quantity.unit_price;
+            }
+            pendingName = null;
+            return;
+        }
+
+        const match = line.match(/^(.*?[^\d\s,¥@-].*?)\s*(?:[\s¥]|(?<=[※★☆*]))([-△▲]?¥?\s*\d{1,3}(?:,\d{3})+|[-△▲]?¥?\s*\d+)\s*円?\s*([※★☆*軽外内]?)$/);
+        if (!match) {
+            // 金額のない行は次の行の品名として保留する
+            pendingName = /[A-Za-z぀-ヿ一-鿿ｦ-ﾟ]/.test(line) ? line : null;
+            return;
+        }
+
+        let name = match[1].trim();
+        const inlineQuantity = parseQuantity(name);
+        if (inlineQuantity) name = name.slice(0, name.search(/\d+\s*(?:個|点|コ|ｺ|本|枚|袋|杯|冊)?\s*[x×X*]|[@単]/)).trim();
+        if (!cleanName(name)) return;
+
+        items.push({
+            name: cleanName(name),
+            quantity: inlineQuantity ? inlineQuantity.quantity : null,
+            unit_price: inlineQuantity ? inlineQuantity.unit_price : null,
+            amount: toAmount(match[2]),
+            reduced_rate: hasMarker(name) || hasMarker(match[3])
+        });
+        pendingName = null;
+    });
+
+    return items.map(item => {
+        const quantityMatches = item.quantity !== null && item.quantity * item.unit_price === item.amount;
+        return {
+            ...item,
+            tax_rate: item.reduced_rate ? 8 : 10,
+            confidence: round(quantityMatches ? 0.9 : item.name.length < 2 ? 0.5 : 0.75)
+        };
+    });
+};
+
+// 1つのテキストに複数のレシートが含まれる場合（複数枚を1枚の画像に撮影した場合など）に分割する
+// 合計の行より後で支払・税の内訳・お礼などの行が終わり、その先にも合計の行がある位置を次のレシートの始まりとみなす
+const splitReceipts = (text) => {
+    const lines = String(text || '').split('\n');
+    const normalized = lines.map(line => normalizeText(line).trim());
+    const isTotal = (line) => TOTAL_LABEL.test(line) && !TOTAL_EXCLUDE.test(line);
+    const segments = [];
+    let start = 0;
+    let afterTotal = false;
+    for (const [index, line] of normalized.entries()) {
+        if (!line) continue;
+        if (isTotal(line)) {
+            afterTotal = true;
+            continue;
+        }
+        if (!afterTotal || FOOTER_PATTERN.test(line)) continue;
+        if (!normalized.slice(index + 1).some(isTotal)) break;
+        segments.push(lines.slice(start, index).join('\n'));
+        start = index;
+        afterTotal = false;
+    }
+    segments.push(lines.slice(start).join('\n'));
+    return segments.filter(segment => segment.trim().length > 0);
+};
+
+// テキスト全体を構造化する
+const parseReceipt = (text) => {
+    const lines = normalizeText(text).split('\n').map(line => line.trim()).filter(line => line.length > 0);
+
+    const total = findLabeledAmount(lines, TOTAL_LABEL, TOTAL_EXCLUDE);
+    const subtotal = findLabeledAmount(lines, /小計/, /点数/);
+    const breakdownByRate = findTaxBreakdown(lines);
+
+    const hasReducedLegend = lines.some(line => /軽減/.test(line) && REDUCED_MARKERS.some(marker => line.includes(marker)));
+    const itemsEnd = [subtotal.line, total.line].filter(index => index >= 0);
+    const items = findItems(lines, itemsEnd.length > 0 ? Math.min(...itemsEnd) : -1, hasReducedLegend || Boolean(breakdownByRate[8]));
+
+    // 金額が読み取れなかった場合は、従来どおり最大の金額を合計とみなす（確信度は低い）
+    let totalField = field(total.value, total.confidence);
+    if (totalField.value === null) {
+        const candidates = lines.flatMap(line => amountsIn(line)).map(a => a.amount).filter(a => a > 0 && a < 100000000);
+        if (candidates.length > 0) totalField = field(Math.max(...candidates), 0.3);
+    }
+
+    // 税率別内訳: 対象額と合計の整合から内税・外税を判定し、税額がなければ計算する
+    const breakdown = Object.values(breakdownByRate)
+        .filter(b => b.taxable_amount !== null || b.tax_amount !== null)
+        .sort((a, b) => b.rate - a.rate);
+    // 税率が1つだけで対象額の記載がない場合は、小計（外税）または合計（内税）を対象額とする
+    if (breakdown.length === 1 && breakdown[0].taxable_amount === null && totalField.value !== null) {
+        const only = breakdown[0];
+        if (only.tax_included === false && subtotal.value !== null && subtotal.value + only.tax_amount === totalField.value) {
+            only.taxable_amount = subtotal.value;
+        } else if (only.tax_included !== false) {
+            only.taxable_amount = totalField.value;
+            only.tax_included = true;
+        }
+    }
+    const taxableSum = breakdown.reduce((sum, b) => sum + (b.taxable_amount || 0), 0);
+    const taxSum = breakdown.reduce((sum, b) => sum + (b.tax_amount || 0), 0);
+    const consistent = totalField.value !== null && (taxableSum === totalField.value || taxableSum + taxSum === totalField.value);
+    const taxBreakdown = breakdown.map(b => {
+        let taxIncluded = b.tax_included;
+        if (taxIncluded === null && totalField.value !== null) {
+            if (taxableSum === totalField.value) taxIncluded = true;
+            else if (taxableSum + taxSum === totalField.value) taxIncluded = false;
+        }
+        let taxAmount = b.tax_amount;
+        let confidence = b.taxable_amount !== null && b.tax_amount !== null ? 0.85 : 0.6;
+        if (taxAmount === null && b.taxable_amount !== null) {
+            taxAmount = taxIncluded === false
+                ? Math.floor(b.taxable_amount * b.rate / 100)
+                : Math.floor(b.taxable_amount * b.rate / (100 + b.rate));
+            confidence = 0.5;
+        }
+        if (consistent) confidence += 0.1;
+        return {
+            rate: b.rate,
+            taxable_amount: b.taxable_amount,
+            tax_amount: taxAmount,
+            tax_included: taxIncluded,
+            confidence: round(Math.min(confidence, 0.95))
+        };
+    });
+
+    // 明細の合計が小計・合計と一致すれば明細の確信度を上げる
+    const itemsSum = items.reduce((sum, item) => sum + item.amount, 0);
+    const itemsConsistent = items.length > 0 && [subtotal.value, totalField.value].includes(itemsSum);
+    const checkedItems = items.map(item => ({
+        ...item,
+        confidence: itemsConsistent ? Math.max(item.confidence, 0.9) : item.confidence
+    }));
+
+    return {
+        vendor: findVendor(lines),
+        phone: findPhone(lines),
+        registration_number: findRegistrationNumber(lines),
+        date: findDate(lines),
+        items: checkedItems,
+        subtotal: field(subtotal.value, subtotal.confidence),
+        total: totalField,
+        tax_breakdown: taxBreakdown,
+        payment_method: findPaymentMethod(lines)
+    };
+};
+
+module.exports = {
+    normalizeText,
+    isValidRegistrationNumber,
+    splitReceipts,
+    parseReceipt
+};
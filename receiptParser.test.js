@@ -0,0 +1,34 @@
+// receiptParser.test.js - ocr_samples のOCRテキストを解析し、期待値（*.expected.json）と一致するか確認する
+// 期待値を更新する場合は、差分が意図した変更だけであることを確認すること（ocr_samples/README.md）
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseReceipt, isValidRegistrationNumber } = require('./receiptParser');
+
+const SAMPLES_DIR = path.join(__dirname, 'ocr_samples');
+const samples = fs.readdirSync(SAMPLES_DIR)
+    .filter(name => name.endsWith('.txt'))
+    .map(name => name.replace(/\.txt$/, ''));
+
+test('ocr_samples の各テキストに期待値がある', () => {
+    assert.ok(samples.length > 0);
+    for (const sample of samples) {
+        assert.ok(fs.existsSync(path.join(SAMPLES_DIR, `${sample}.expected.json`)), `${sample}.expected.json がありません`);
+    }
+});
+
+for (const sample of samples) {
+    test(`ocr_samples/${sample}`, () => {
+        const text = fs.readFileSync(path.join(SAMPLES_DIR, `${sample}.txt`), 'utf8');
+        const expected = JSON.parse(fs.readFileSync(path.join(SAMPLES_DIR, `${sample}.expected.json`), 'utf8'));
+        assert.deepEqual(JSON.parse(JSON.stringify(parseReceipt(text))), expected);
+    });
+}
+
+test('登録番号はチェックディジットを確認する', () => {
+    assert.equal(isValidRegistrationNumber('T1011101012345'), true);
+    assert.equal(isValidRegistrationNumber('T1011101012346'), false);
+    assert.equal(isValidRegistrationNumber('T123456789'), false);
+});
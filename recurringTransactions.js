@@ -0,0 +1,328 @@
+// recurringTransactions.js - 定期取引（毎月の地代家賃・水道光熱費・サブスクリプションなど）のテンプレートと自動計上
+// 予定日は開始日の年月を起点に interval_months か月ごと、day_of_month 日（その月にない日・NULL は月末）。
+// スケジューラーは next_occurrence_date が今日以前のテンプレートについて、今日までの予定日をまとめて計上する。
+// サービスが止まっていた間の予定日も次回の実行でさかのぼって計上し、予定日ごとの計上状況
+// （recurring_transaction_occurrences）で二重計上を防ぐ
+const { normalizeJournalLines, insertJournalEntry } = require('./journal');
+
+const SCHEDULES = {
+    monthly: '毎月',
+    end_of_month: '毎月末',
+    yearly: '毎年',
+    custom: 'nか月ごと'
+};
+
+const POSTING_MODES = {
+    auto: '自動で計上',
+    approval: '承認してから計上'
+};
+
+const RECURRING_COLUMNS = `id, name, schedule, interval_months, day_of_month, start_date, end_date, posting_mode,
+    notes, business_type_id, department_id, lines, active, next_occurrence_date, created_by, created_at, updated_at`;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_INTERVAL_MONTHS = 60;
+const MAX_OCCURRENCES = 1200; // 1回の計算で列挙する予定日の上限（毎月なら100年分）
+
+// 予定日を判定する「今日」のタイムゾーン（環境変数 RECURRING_TIME_ZONE。既定は日本時間）
+const TIME_ZONE = process.env.RECURRING_TIME_ZONE || 'Asia/Tokyo';
+
+const httpError = (status, message, code) => {
+    const error = new Error(message);
+    error.status = status;
+    if (code) error.code = code;
+    return error;
+};
+
+// --- 日付 ---
+// 日付は 'YYYY-MM-DD' 文字列のまま扱う（DATE型はタイムゾーン変換しない）
+const todayString = (timeZone = TIME_ZONE) => new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+}).format(new Date());
+
+const formatDate = (year, month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const addDays = (date, days) => {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+};
+
+const isValidDate = (value) => DATE_PATTERN.test(value || '') && addDays(value, 0) === value;
+
+// テンプレートの from〜to（両端を含む）の予定日。開始日より前・終了日より後は含めない
+const occurrenceDates = (template, from, to, limit = MAX_OCCURRENCES) => {
+    const [startYear, startMonth] = template.start_date.split('-').map(Number);
+    const upper = template.end_date && template.end_date < to ? template.end_date : to;
+    const dates = [];
+    for (let k = 0; k < MAX_OCCURRENCES && dates.length < limit; k++) {
+        const monthIndex = startMonth - 1 + k * template.interval_months;
+        const year = startYear + Math.floor(monthIndex / 12);
+        const month = monthIndex % 12 + 1;
+        const last = lastDayOfMonth(year, month);
+        const date = formatDate(year, month, template.day_of_month ? Math.min(template.day_of_month, last) : last);
+        if (date > upper) break;
+        if (date < template.start_date || date < from) continue;
+        dates.push(date);
+    }
+    return dates;
+};
+
+// after より後の最初の予定日（なければ null）
+const nextOccurrenceAfter = (template, after) => occurrenceDates(template, addDays(after, 1), template.end_date || '9999-12-31', 1)[0] || null;
+
+// --- 入力値の検証 ---
+// 成功時は { template }、失敗時は { error } を返す。明細は normalizeJournalLines で検証し、税込金額で保存する
+const validateRecurringTransaction = (body) => {
+    const schedule = body.schedule || 'monthly';
+    if (!SCHEDULES[schedule]) {
+        return { error: `schedule は ${Object.keys(SCHEDULES).join(', ')} のいずれかを指定してください。` };
+    }
+    if (!isValidDate(body.start_date)) {
+        return { error: '開始日は YYYY-MM-DD 形式で入力してください。' };
+    }
+    if (body.end_date && !(isValidDate(body.end_date) && body.end_date >= body.start_date)) {
+        return { error: '終了日は開始日以降の日付を YYYY-MM-DD 形式で入力してください。' };
+    }
+
+    const startDay = Number(body.start_date.slice(8, 10));
+    const hasDay = body.day_of_month !== undefined && body.day_of_month !== null && body.day_of_month !== '';
+    const dayOfMonth = hasDay ? Number(body.day_of_month) : startDay;
+    if (schedule !== 'end_of_month' && !(Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31)) {
+        return { error: '計上日は1〜31で指定してください（31は月末）。' };
+    }
+    const intervalMonths = schedule === 'custom' ? Number(body.interval_months) : (schedule === 'yearly' ? 12 : 1);
+    if (!(Number.isInteger(intervalMonths) && intervalMonths >= 1 && intervalMonths <= MAX_INTERVAL_MONTHS)) {
+        return { error: `計上する間隔は1〜${MAX_INTERVAL_MONTHS}か月で指定してください。` };
+    }
+
+    const postingMode = body.posting_mode || 'auto';
+    if (!POSTING_MODES[postingMode]) {
+        return { error: 'posting_mode は auto または approval を指定してください。' };
+    }
+
+    const validation = normalizeJournalLines(body.lines);
+    if (validation.error) return { error: validation.error };
+
+    const notes = (body.notes || '').trim().slice(0, 255);
+    const name = (body.name || notes).trim().slice(0, 100);
+    if (!name) return { error: '定期取引の名前は必須です。' };
+
+    return {
+        template: {
+            name,
+            schedule,
+            interval_months: intervalMonths,
+            day_of_month: schedule === 'end_of_month' ? null : dayOfMonth,
+            start_date: body.start_date,
+            end_date: body.end_date || null,
+            posting_mode: postingMode,
+            notes: notes || null,
+            business_type_id: body.business_type_id || null,
+            department_id: body.department_id ? parseInt(body.department_id, 10) : null,
+            lines: validation.lines.map(({ side, account_id, amount, tax_category, notes: lineNotes }) => ({
+                side, account_id, amount, tax_category, notes: lineNotes
+            })),
+            active: body.active === undefined ? true : Boolean(body.active)
+        }
+    };
+};
+
+// 金額を変更できるのは借方・貸方が1行ずつのテンプレートだけ（複数行の場合は配分が決まらないため）
+const canOverrideAmount = (lines) => lines.filter(l => l.side === 'debit').length === 1
+    && lines.filter(l => l.side === 'credit').length === 1;
+
+const validateOverrideAmount = (template, amount) => {
+    if (!canOverrideAmount(template.lines)) {
+        return '金額を変更できるのは借方・貸方が1行ずつの定期取引だけです。';
+    }
+    if (!(Number.isInteger(amount) && amount > 0)) {
+        return '金額は1円以上の整数で入力してください。';
+    }
+    return null;
+};
+
+// 予定日に計上する明細。amount を指定した場合は借方・貸方の金額をその金額（税込）にする
+const occurrenceLines = (template, amount = null) => normalizeJournalLines(amount === null
+    ? template.lines
+    : template.lines.map(line => ({ ...line, amount })));
+
+const debitTotal = (lines) => lines.filter(l => l.side === 'debit').reduce((sum, l) => sum + l.amount, 0);
+
+// --- 計上 ---
+// 予定日の仕訳を計上する（呼び出し側で BEGIN/COMMIT を管理すること）
+// 締め済みの年度・削除された科目などで計上できない場合は、他の予定日の処理を続けられるよう
+// 例外にせず failed として記録し、{ status: 'failed', error } を返す
+// audit は仕訳の変更履歴に記録する操作者（自動計上の場合はテンプレートの作成者）
+const postOccurrence = async (client, template, occurrence, { amount = null, audit, decidedBy = null } = {}) => {
+    const override = amount !== null ? { rows: [{ amount }] } : await client.query(
+        'SELECT amount FROM recurring_transaction_overrides WHERE recurring_transaction_id = $1 AND occurrence_date = $2',
+        [template.id, occurrence.occurrence_date]
+    );
+    const validation = occurrenceLines(template, override.rows[0] ? override.rows[0].amount : null);
+
+    await client.query('SAVEPOINT recurring_occurrence');
+    try {
+        if (validation.error) throw httpError(400, validation.error);
+        // client_id を予定日から決めるので、万一計上状況の記録が失われても同じ予定日の仕訳は重複しない
+        const entry = await insertJournalEntry(client, template.organization_id, {
+            client_id: `recurring-${template.id}-${occurrence.occurrence_date}`,
+            transaction_date: occurrence.occurrence_date,
+            notes: template.notes || template.name,
+            business_type_id: template.business_type_id,
+            department_id: template.department_id,
+            lines: validation.lines
+        }, audit);
+        await client.query('RELEASE SAVEPOINT recurring_occurrence');
+        await client.query(
+            `UPDATE recurring_transaction_occurrences
+             SET status = 'posted', amount = $2, transaction_id = $3, error = NULL, decided_by = $4, decided_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [occurrence.id, debitTotal(entry.lines), entry.id, decidedBy]
+        );
+        return { status: 'posted', transaction_id: entry.id };
+    } catch (error) {
+        if (!error.status) throw error;
+        await client.query('ROLLBACK TO SAVEPOINT recurring_occurrence');
+        await client.query(
+            `UPDATE recurring_transaction_occurrences SET status = 'failed', error = $2 WHERE id = $1`,
+            [occurrence.id, error.message]
+        );
+        return { status: 'failed', error };
+    }
+};
+
+// テンプレートの today までの予定日を記録し、自動計上なら仕訳を計上して next_occurrence_date を進める
+// （呼び出し側で BEGIN/COMMIT を管理し、テンプレートの行ロックを取ってから呼ぶこと）
+// 戻り値は今回記録した予定日ごとの結果 [{ occurrence_date, status, transaction_id?, error? }]
+const generateOccurrences = async (client, template, today = todayString()) => {
+    const results = [];
+    if (!template.active || !template.next_occurrence_date || template.next_occurrence_date > today) {
+        return results;
+    }
+
+    for (const date of occurrenceDates(template, template.next_occurrence_date, today)) {
+        const inserted = await client.query(
+            `INSERT INTO recurring_transaction_occurrences (recurring_transaction_id, occurrence_date)
+             VALUES ($1, $2)
+             ON CONFLICT (recurring_transaction_id, occurrence_date) DO NOTHING
+             RETURNING id, occurrence_date`,
+            [template.id, date]
+        );
+        if (inserted.rowCount === 0) continue; // 記録済み
+        const occurrence = inserted.rows[0];
+        if (template.posting_mode !== 'auto') {
+            results.push({ occurrence_date: date, status: 'pending' });
+            continue;
+        }
+        const result = await postOccurrence(client, template, occurrence, { audit: { userId: template.created_by } });
+        results.push({
+            occurrence_date: date,
+            status: result.status,
+            transaction_id: result.transaction_id,
+            error: result.error && result.error.message
+        });
+    }
+
+    await client.query(
+        'UPDATE recurring_transactions SET next_occurrence_date = $2 WHERE id = $1',
+        [template.id, nextOccurrenceAfter(template, today)]
+    );
+    return results;
+};
+
+// テンプレートを作成・変更したときの次の予定日（記録済みの予定日の翌日以降で最初の予定日）
+const computeNextOccurrence = async (db, template) => {
+    let from = template.start_date;
+    if (template.id) {
+        const last = await db.query(
+            'SELECT MAX(occurrence_date) AS last FROM recurring_transaction_occurrences WHERE recurring_transaction_id = $1',
+            [template.id]
+        );
+        if (last.rows[0].last && last.rows[0].last >= from) from = addDays(last.rows[0].last, 1);
+    }
+    return occurrenceDates(template, from, template.end_date || '9999-12-31', 1)[0] || null;
+};
+
+// --- スケジューラー ---
+// 予定日が来たテンプレートを1件ずつ行ロックを取って処理する。複数台で動かしても同じテンプレートは
+// 同時に処理されない（SKIP LOCKED）。1件の失敗で他の組織の計上が止まらないよう、失敗したテンプレートは今回は飛ばす
+const runDueRecurringTransactions = async (pool, today = todayString()) => {
+    const failedIds = [];
+    let processed = 0;
+    const client = await pool.connect();
+    try {
+        for (;;) {
+            await client.query('BEGIN');
+            const due = await client.query(
+                `SELECT organization_id, ${RECURRING_COLUMNS} FROM recurring_transactions
+                 WHERE active AND next_occurrence_date <= $1 AND NOT (id = ANY($2::int[]))
+                 ORDER BY next_occurrence_date, id
+                 LIMIT 1
+                 FOR UPDATE SKIP LOCKED`,
+                [today, failedIds]
+            );
+            if (due.rowCount === 0) {
+                await client.query('COMMIT');
+                break;
+            }
+            const template = due.rows[0];
+            try {
+                await generateOccurrences(client, template, today);
+                await client.query('COMMIT');
+                processed += 1;
+            } catch (error) {
+                await client.query('ROLLBACK');
+                failedIds.push(template.id);
+                console.error(`定期取引の計上に失敗しました（テンプレート${template.id}）:`, error.message);
+            }
+        }
+    } finally {
+        client.release();
+    }
+    return { processed, failed: failedIds.length };
+};
+
+// サーバーの起動時（停止中に来た予定日のさかのぼり）と、その後は intervalMs ごとに実行する
+// 前回の実行が終わっていなければ次の実行は見送る
+const startRecurringScheduler = (pool, { intervalMs = 60 * 60 * 1000 } = {}) => {
+    let running = false;
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const result = await runDueRecurringTransactions(pool);
+            if (result.processed > 0) {
+                console.log(`定期取引 ${result.processed} 件の予定日を処理しました`);
+            }
+        } catch (error) {
+            console.error('定期取引のスケジューラーでエラーが発生しました:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+    return { stop: () => clearInterval(timer), runNow: tick };
+};
+
+module.exports = {
+    SCHEDULES,
+    POSTING_MODES,
+    RECURRING_COLUMNS,
+    todayString,
+    isValidDate,
+    occurrenceDates,
+    validateRecurringTransaction,
+    canOverrideAmount,
+    validateOverrideAmount,
+    occurrenceLines,
+    postOccurrence,
+    generateOccurrences,
+    computeNextOccurrence,
+    runDueRecurringTransactions,
+    startRecurringScheduler
+};
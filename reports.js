@@ -0,0 +1,292 @@
+// reports.js - 試算表・損益計算書・貸借対照表の集計処理
+
+// 借方残高が正となる大分類（資産・費用）。それ以外は貸方残高が正
+const DEBIT_NORMAL_CATEGORIES = ['assets', 'expenses'];
+const BALANCE_SHEET_CATEGORIES = ['assets', 'liabilities', 'net_assets'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+const formatDate = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+// 'YYYY-MM-DD' を年単位でずらす（2/29 は 2/28 に丸める）
+const shiftYears = (dateStr, years) => {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(y + years, m, 0)).getUTCDate();
+    return `${y + years}-${pad(m)}-${pad(Math.min(d, lastDay))}`;
+};
+
+// 指定日が属する会計年度の期首日（startMonth は期首月、個人事業主は1月）
+const fiscalYearStart = (dateStr, startMonth = 1) => {
+    const [y, m] = dateStr.split('-').map(Number);
+    const year = m >= startMonth ? y : y - 1;
+    return `${year}-${pad(startMonth)}-01`;
+};
+
+// 会計年度（期首の年で表す）の期間
+const fiscalYearPeriod = (fiscalYear, startMonth = 1) => ({
+    from: `${fiscalYear}-${pad(startMonth)}-01`,
+    to: formatDate(new Date(Date.UTC(fiscalYear + 1, startMonth - 1, 0)))
+});
+
+// クエリ文字列から集計期間を決定する
+// from/to の任意期間、または fiscal_year（+ start_month）を受け付ける。省略時は当期
+const resolvePeriod = (query = {}) => {
+    const startMonth = query.start_month ? parseInt(query.start_month, 10) : 1;
+    if (!Number.isInteger(startMonth) || startMonth < 1 || startMonth > 12) {
+        return { error: 'start_month は1〜12で指定してください。' };
+    }
+
+    let period;
+    if (query.from || query.to) {
+        if (!DATE_PATTERN.test(query.from || '') || !DATE_PATTERN.test(query.to || '')) {
+            return { error: 'from と to は YYYY-MM-DD 形式で両方指定してください。' };
+        }
+        if (query.from > query.to) {
+            return { error: 'from は to 以前の日付を指定してください。' };
+        }
+        period = { from: query.from, to: query.to };
+    } else {
+        const fiscalYear = query.fiscal_year
+            ? parseInt(query.fiscal_year, 10)
+            : parseInt(fiscalYearStart(formatDate(new Date()), startMonth).slice(0, 4), 10);
+        if (!Number.isInteger(fiscalYear)) {
+            return { error: 'fiscal_year は西暦で指定してください。' };
+        }
+        period = fiscalYearPeriod(fiscalYear, startMonth);
+    }
+
+    return {
+        period: { ...period, fiscal_year_start: fiscalYearStart(period.from, startMonth) },
+        startMonth
+    };
+};
+
+// 比較対象となる前期（前年同期間）
+const previousPeriod = (period, startMonth = 1) => {
+    const from = shiftYears(period.from, -1);
+    return {
+        from,
+        to: shiftYears(period.to, -1),
+        fiscal_year_start: fiscalYearStart(from, startMonth)
+    };
+};
+
+// 金額の合計は累計で int の範囲（約21億円）を超えうるため bigint で集計し、JS の数値に直す
+// （pg は bigint を文字列で返す。円単位なら Number.MAX_SAFE_INTEGER までは誤差なく扱える）
+const toAmounts = (columns) => (row) => {
+    const converted = { ...row };
+    for (const column of columns) converted[column] = Number(row[column]);
+    return converted;
+};
+
+const TOTAL_COLUMNS = ['prior_debit', 'prior_credit', 'ytd_debit', 'ytd_credit', 'debit', 'credit'];
+
+// 勘定科目ごとの借方・貸方合計を、期首前・期首〜期間開始前・期間内に分けて取得する
+// 期首残高・繰越利益は累計から求めるため、決算振替仕訳・開始仕訳（entry_type）は含めない。削除済みの仕訳も除く
+const fetchAccountTotals = async (db, organizationId, period) => {
+    const result = await db.query(
+        `SELECT m.id AS account_id, m.category, m.sub_category, m.account_name,
+                COALESCE(SUM(CASE WHEN l.side = 'debit' AND t.transaction_date < $4 THEN l.amount END), 0)::bigint AS prior_debit,
+                COALESCE(SUM(CASE WHEN l.side = 'credit' AND t.transaction_date < $4 THEN l.amount END), 0)::bigint AS prior_credit,
+                COALESCE(SUM(CASE WHEN l.side = 'debit' AND t.transaction_date >= $4 AND t.transaction_date < $2 THEN l.amount END), 0)::bigint AS ytd_debit,
+                COALESCE(SUM(CASE WHEN l.side = 'credit' AND t.transaction_date >= $4 AND t.transaction_date < $2 THEN l.amount END), 0)::bigint AS ytd_credit,
+                COALESCE(SUM(CASE WHEN l.side = 'debit' AND t.transaction_date >= $2 THEN l.amount END), 0)::bigint AS debit,
+                COALESCE(SUM(CASE WHEN l.side = 'credit' AND t.transaction_date >= $2 THEN l.amount END), 0)::bigint AS credit
+         FROM transaction_lines l
+         JOIN transactions t ON l.transaction_id = t.id
+         JOIN master_accounts m ON l.account_id = m.id
+         WHERE t.organization_id = $1 AND t.transaction_date <= $3 AND t.entry_type = 'normal' AND t.deleted_at IS NULL
+         GROUP BY m.id
+         ORDER BY m.id`,
+        [organizationId, period.from, period.to, period.fiscal_year_start]
+    );
+    return result.rows.map(toAmounts(TOTAL_COLUMNS));
+};
+
+// 大分類の通常残高側で見た残高
+const signedBalance = (category, debit, credit) =>
+    DEBIT_NORMAL_CATEGORIES.includes(category) ? debit - credit : credit - debit;
+
+const isBalanceSheetAccount = (row) => BALANCE_SHEET_CATEGORIES.includes(row.category);
+
+// 期首残高（貸借対照表科目は累計、損益科目は期首からの累計）
+const openingBalance = (row) => {
+    const debit = row.ytd_debit + (isBalanceSheetAccount(row) ? row.prior_debit : 0);
+    const credit = row.ytd_credit + (isBalanceSheetAccount(row) ? row.prior_credit : 0);
+    return signedBalance(row.category, debit, credit);
+};
+
+const closingBalance = (row) => openingBalance(row) + signedBalance(row.category, row.debit, row.credit);
+const periodAmount = (row) => signedBalance(row.category, row.debit, row.credit);
+
+// 損益科目の累計から利益を求める（収益 − 費用）
+const sumProfit = (rows, pick) => rows.reduce((sum, row) => {
+    if (row.category === 'revenues') return sum + pick(row);
+    if (row.category === 'expenses') return sum - pick(row);
+    return sum;
+}, 0);
+
+const indexByAccount = (rows) => new Map(rows.map(row => [row.account_id, row]));
+
+// 大分類ごとに中分類（sub_category）でまとめ、前期比較を付ける
+const buildSection = (rows, previousRows, category, valueOf, extraLines = []) => {
+    const previousById = indexByAccount(previousRows);
+    const accountIds = new Set();
+    const lines = [];
+
+    for (const row of rows.concat(previousRows)) {
+        if (row.category !== category || accountIds.has(row.account_id)) continue;
+        accountIds.add(row.account_id);
+        const current = rows.find(r => r.account_id === row.account_id);
+        const previous = previousById.get(row.account_id);
+        lines.push({
+            account_id: row.account_id,
+            account_name: row.account_name,
+            sub_category: row.sub_category,
+            amount: current ? valueOf(current) : 0,
+            previous_amount: previous ? valueOf(previous) : 0
+        });
+    }
+    lines.push(...extraLines);
+
+    const sections = [];
+    for (const line of lines) {
+        if (line.amount === 0 && line.previous_amount === 0) continue;
+        let section = sections.find(s => s.sub_category === line.sub_category);
+        if (!section) {
+            section = { sub_category: line.sub_category, total: 0, previous_total: 0, accounts: [] };
+            sections.push(section);
+        }
+        section.accounts.push(line);
+        section.total += line.amount;
+        section.previous_total += line.previous_amount;
+    }
+
+    return {
+        total: sections.reduce((sum, s) => sum + s.total, 0),
+        previous_total: sections.reduce((sum, s) => sum + s.previous_total, 0),
+        sections
+    };
+};
+
+// 試算表（残高試算表）
+const buildTrialBalance = (rows, previousRows) => {
+    const previousById = indexByAccount(previousRows);
+    const accounts = rows.map(row => {
+        const previous = previousById.get(row.account_id);
+        return {
+            account_id: row.account_id,
+            account_name: row.account_name,
+            category: row.category,
+            sub_category: row.sub_category,
+            opening_balance: openingBalance(row),
+            debit: row.debit,
+            credit: row.credit,
+            closing_balance: closingBalance(row),
+            previous_closing_balance: previous ? closingBalance(previous) : 0
+        };
+    });
+
+    return {
+        accounts,
+        totals: {
+            debit: accounts.reduce((sum, a) => sum + a.debit, 0),
+            credit: accounts.reduce((sum, a) => sum + a.credit, 0)
+        }
+    };
+};
+
+// 損益計算書
+const buildProfitLoss = (rows, previousRows) => {
+    const revenues = buildSection(rows, previousRows, 'revenues', periodAmount);
+    const expenses = buildSection(rows, previousRows, 'expenses', periodAmount);
+    return {
+        revenues,
+        expenses,
+        net_income: revenues.total - expenses.total,
+        previous_net_income: revenues.previous_total - expenses.previous_total
+    };
+};
+
+// 貸借対照表（期末日時点）。未振替の損益は純資産に「繰越利益」「当期純利益」として表示する
+const buildBalanceSheet = (rows, previousRows) => {
+    const retained = (r) => sumProfit(r, row => signedBalance(row.category, row.prior_debit, row.prior_credit));
+    const currentProfit = (r) => sumProfit(r, row => signedBalance(row.category, row.ytd_debit + row.debit, row.ytd_credit + row.credit));
+    const profitLines = [
+        { account_id: null, account_name: '繰越利益', sub_category: '利益', amount: retained(rows), previous_amount: retained(previousRows) },
+        { account_id: null, account_name: '当期純利益', sub_category: '利益', amount: currentProfit(rows), previous_amount: currentProfit(previousRows) }
+    ];
+
+    const assets = buildSection(rows, previousRows, 'assets', closingBalance);
+    const liabilities = buildSection(rows, previousRows, 'liabilities', closingBalance);
+    const netAssets = buildSection(rows, previousRows, 'net_assets', closingBalance, profitLines);
+
+    return {
+        assets,
+        liabilities,
+        net_assets: netAssets,
+        total_liabilities_and_net_assets: liabilities.total + netAssets.total,
+        previous_total_liabilities_and_net_assets: liabilities.previous_total + netAssets.previous_total
+    };
+};
+
+// 月別の売上・経費（ダッシュボードの年間チャート用）
+const fetchMonthlySummary = async (db, organizationId, period) => {
+    const result = await db.query(
+        `SELECT to_char(t.transaction_date, 'YYYY-MM') AS month,
+                COALESCE(SUM(CASE WHEN m.category = 'revenues' THEN
+                    CASE WHEN l.side = 'credit' THEN l.amount ELSE -l.amount END END), 0)::bigint AS revenue,
+                COALESCE(SUM(CASE WHEN m.category = 'expenses' THEN
+                    CASE WHEN l.side = 'debit' THEN l.amount ELSE -l.amount END END), 0)::bigint AS expense
+         FROM transaction_lines l
+         JOIN transactions t ON l.transaction_id = t.id
+         JOIN master_accounts m ON l.account_id = m.id
+         WHERE t.organization_id = $1 AND t.transaction_date BETWEEN $2 AND $3 AND t.entry_type = 'normal' AND t.deleted_at IS NULL
+         GROUP BY month
+         ORDER BY month`,
+        [organizationId, period.from, period.to]
+    );
+
+    // データのない月も0で埋める
+    const months = [];
+    const [fromYear, fromMonth] = period.from.split('-').map(Number);
+    for (let i = 0; i < 12; i++) {
+        const date = new Date(Date.UTC(fromYear, fromMonth - 1 + i, 1));
+        const key = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+        if (key > period.to.slice(0, 7)) break;
+        const row = result.rows.find(r => r.month === key);
+        months.push({ month: key, revenue: row ? Number(row.revenue) : 0, expense: row ? Number(row.expense) : 0 });
+    }
+    return months;
+};
+
+// 期間の月（YYYY-MM）の一覧
+const monthsOf = (period) => {
+    const months = [];
+    let [year, month] = period.from.split('-').map(Number);
+    while (`${year}-${pad(month)}` <= period.to.slice(0, 7)) {
+        months.push(`${year}-${pad(month)}`);
+        month += 1;
+        if (month > 12) {
+            month = 1;
+            year += 1;
+        }
+    }
+    return months;
+};
+
+module.exports = {
+    toAmounts,
+    resolvePeriod,
+    previousPeriod,
+    fiscalYearStart,
+    fiscalYearPeriod,
+    shiftYears,
+    signedBalance,
+    fetchAccountTotals,
+    fetchMonthlySummary,
+    monthsOf,
+    buildTrialBalance,
+    buildProfitLoss,
+    buildBalanceSheet
+};
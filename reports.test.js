@@ -0,0 +1,100 @@
+// reports.test.js - 集計期間の決定と、試算表・損益計算書・貸借対照表の組み立て
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    toAmounts,
+    resolvePeriod,
+    previousPeriod,
+    fiscalYearPeriod,
+    shiftYears,
+    monthsOf,
+    buildTrialBalance,
+    buildProfitLoss,
+    buildBalanceSheet
+} = require('./reports');
+
+test('fiscal_year と start_month から会計年度の期間を決める', () => {
+    assert.deepEqual(resolvePeriod({ fiscal_year: '2024', start_month: '4' }), {
+        period: { from: '2024-04-01', to: '2025-03-31', fiscal_year_start: '2024-04-01' },
+        startMonth: 4
+    });
+    assert.deepEqual(fiscalYearPeriod(2024), { from: '2024-01-01', to: '2024-12-31' });
+});
+
+test('from/to の任意期間は期首日を期首月から求める', () => {
+    assert.deepEqual(resolvePeriod({ from: '2025-02-01', to: '2025-02-28', start_month: '4' }).period, {
+        from: '2025-02-01',
+        to: '2025-02-28',
+        fiscal_year_start: '2024-04-01'
+    });
+});
+
+test('期間の指定が不正ならエラーにする', () => {
+    assert.match(resolvePeriod({ start_month: '13' }).error, /start_month/);
+    assert.match(resolvePeriod({ from: '2025-01-01' }).error, /両方指定/);
+    assert.match(resolvePeriod({ from: '2025-02-01', to: '2025-01-01' }).error, /to 以前/);
+    assert.match(resolvePeriod({ fiscal_year: 'abc' }).error, /fiscal_year/);
+});
+
+test('前期は1年前の同じ期間で、うるう日は2月28日に丸める', () => {
+    assert.equal(shiftYears('2024-02-29', -1), '2023-02-28');
+    assert.deepEqual(previousPeriod({ from: '2024-01-01', to: '2024-02-29' }), {
+        from: '2023-01-01',
+        to: '2023-02-28',
+        fiscal_year_start: '2023-01-01'
+    });
+});
+
+test('期間の月を年をまたいで並べる', () => {
+    assert.deepEqual(monthsOf({ from: '2024-11-15', to: '2025-02-01' }), ['2024-11', '2024-12', '2025-01', '2025-02']);
+});
+
+test('bigint で集計した金額（文字列）を数値にする', () => {
+    assert.deepEqual(toAmounts(['debit'])({ account_id: 1, debit: '3000000000' }), { account_id: 1, debit: 3000000000 });
+});
+
+// 前期までに 元入金30万円で開業し、売上20万円・経費10万円（未振替）。当期は売上30万円・経費5万円
+const row = (account_id, account_name, category, sub_category, amounts) => ({
+    account_id, account_name, category, sub_category,
+    prior_debit: 0, prior_credit: 0, ytd_debit: 0, ytd_credit: 0, debit: 0, credit: 0,
+    ...amounts
+});
+const rows = [
+    row(1, '現金', 'assets', '現金及び預金', { prior_debit: 500000, prior_credit: 100000, debit: 300000, credit: 50000 }),
+    row(2, '元入金', 'net_assets', '元入金', { prior_credit: 300000 }),
+    row(3, '売上高', 'revenues', '売上', { prior_credit: 200000, credit: 300000 }),
+    row(4, '消耗品費', 'expenses', '経費', { prior_debit: 100000, debit: 50000 })
+];
+const previousRows = [
+    row(3, '売上高', 'revenues', '売上', { credit: 200000 }),
+    row(4, '消耗品費', 'expenses', '経費', { debit: 100000 })
+];
+
+test('試算表は損益科目の期首残高を前期から繰り越さない', () => {
+    const trialBalance = buildTrialBalance(rows, previousRows);
+    assert.deepEqual(trialBalance.accounts.map(a => [a.account_name, a.opening_balance, a.closing_balance, a.previous_closing_balance]), [
+        ['現金', 400000, 650000, 0],
+        ['元入金', 300000, 300000, 0],
+        ['売上高', 0, 300000, 200000],
+        ['消耗品費', 0, 50000, 100000]
+    ]);
+    assert.deepEqual(trialBalance.totals, { debit: 350000, credit: 350000 });
+});
+
+test('損益計算書は中分類ごとにまとめ、前期と比較する', () => {
+    const profitLoss = buildProfitLoss(rows, previousRows);
+    assert.equal(profitLoss.revenues.total, 300000);
+    assert.equal(profitLoss.revenues.previous_total, 200000);
+    assert.deepEqual(profitLoss.expenses.sections.map(s => [s.sub_category, s.total]), [['経費', 50000]]);
+    assert.equal(profitLoss.net_income, 250000);
+    assert.equal(profitLoss.previous_net_income, 100000);
+});
+
+test('貸借対照表は未振替の損益を繰越利益と当期純利益として純資産に含め、貸借が一致する', () => {
+    const balanceSheet = buildBalanceSheet(rows, []);
+    assert.equal(balanceSheet.assets.total, 650000);
+    const profit = balanceSheet.net_assets.sections.find(s => s.sub_category === '利益');
+    assert.deepEqual(profit.accounts.map(a => [a.account_name, a.amount]), [['繰越利益', 100000], ['当期純利益', 250000]]);
+    assert.equal(balanceSheet.total_liabilities_and_net_assets, balanceSheet.assets.total);
+});
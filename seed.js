@@ -1,6 +1,6 @@
 const fs = require('fs');
-const csv = require('csv-parser');
 const { Pool } = require('pg');
+const { parseAccountCsv, importAccounts } = require('./chartOfAccounts');
 require('dotenv').config();
 
 // データベース接続設定
@@ -11,42 +11,40 @@ const pool = new Pool({
   }
 });
 
+// 勘定科目マスタを取り込む
+// 使い方: node seed.js [CSVファイル]（省略時は master_accounts.csv）
+// CSVは EDINETタクソノミの科目一覧（貸借対照表・損益計算書の科目を取り込む）か、
+// category, sub_category, account_name の列を持つ旧形式のどちらでもよい
 async function seedDatabase() {
-  const accounts = [];
-  
-  // 1. CSVファイルを読み込んで、accounts配列にデータを格納
-  fs.createReadStream('master_accounts.csv')
-    .pipe(csv())
-    .on('data', (row) => {
-      accounts.push(row);
-    })
-    .on('end', async () => {
-      console.log('CSVファイルの読み込みが完了しました。');
-      
-      const client = await pool.connect();
-      try {
-        // 2. データベースの既存データをクリア
-        console.log('古いデータを削除しています...');
-        await client.query('TRUNCATE TABLE master_accounts RESTART IDENTITY CASCADE');
+  const file = process.argv[2] || 'master_accounts.csv';
 
-        // 3. accounts配列のデータをデータベースに一括挿入
-        console.log('新しいデータを挿入しています...');
-        for (const acc of accounts) {
-          await client.query(
-            'INSERT INTO master_accounts (category, sub_category, account_name) VALUES ($1, $2, $3)',
-            [acc.category, acc.sub_category, acc.account_name]
-          );
-        }
+  // 1. CSVファイルを読み込んで、勘定科目の配列にする
+  const parsed = parseAccountCsv(fs.readFileSync(file));
+  if (parsed.error) {
+    console.error(`CSVファイルを読み込めませんでした: ${parsed.error}`);
+    await pool.end();
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`CSVファイルの読み込みが完了しました。（科目 ${parsed.accounts.length}件、対象外 ${parsed.skipped}件）`);
+
+  const client = await pool.connect();
+  try {
+    // 2. 既存の科目は仕訳から参照されているため削除せず、同じ科目を更新して新しい科目を追加する
+    console.log('勘定科目を登録しています...');
+    await client.query('BEGIN');
+    const result = await importAccounts(client, parsed.accounts);
+    await client.query('COMMIT');
 
-        console.log('✅ データベースの初期データ投入が完了しました。');
-      } catch (error) {
-        console.error('データ投入中にエラーが発生しました:', error);
-      } finally {
-        client.release();
-        pool.end();
-      }
-    });
+    console.log(`✅ 勘定科目マスタの取り込みが完了しました。（追加 ${result.inserted}件、更新 ${result.updated}件）`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('データ投入中にエラーが発生しました:', error);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    pool.end();
+  }
 }
 
 seedDatabase();
- 
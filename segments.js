@@ -0,0 +1,262 @@
+// segments.js - 部門・事業セクション（セグメント）の管理と、セグメント別損益計算書
+// 部門・事業セクションを指定していない収益・費用は共通費として、segment_allocation_rules の割合で配賦する
+const { signedBalance, toAmounts } = require('./reports');
+
+const INCOME_CATEGORIES = {
+    business: '事業所得',
+    real_estate: '不動産所得',
+    miscellaneous: '雑所得'
+};
+
+// セグメントの種類 → 仕訳ヘッダーの列
+const DIMENSIONS = {
+    business_section: 't.business_type_id',
+    department: 't.department_id'
+};
+
+const BUSINESS_SECTION_COLUMNS = 'id, name, income_category, is_export, simplified_tax_class, created_at';
+const DEPARTMENT_COLUMNS = 'id, name, default_business_type_id, created_at';
+const ALLOCATION_RULE_COLUMNS = 'id, dimension, account_id, ratios, created_at';
+
+// 初回利用時に登録する既定のセクション・部門（旧バージョンのブラウザの初期設定と同じ）
+const DEFAULT_BUSINESS_SECTIONS = [
+    { id: 'business', name: '事業所得', income_category: 'business' },
+    { id: 'real_estate', name: '不動産所得', income_category: 'real_estate' }
+];
+const DEFAULT_DEPARTMENTS = [
+    { name: '営業部門', default_business_type_id: 'business' },
+    { name: '不動産セクション', default_business_type_id: 'real_estate' }
+];
+
+// 事業セクションがまだなければ、user_settings に保存されていた設定（なければ既定値）から登録する
+// settings は以前ブラウザが保存していた { businessTypes, departments }
+const ensureSegments = async (db, organizationId, settings = {}) => {
+    const existing = await db.query('SELECT 1 FROM business_sections WHERE organization_id = $1 LIMIT 1', [organizationId]);
+    if (existing.rowCount > 0) return;
+
+    const sections = Array.isArray(settings.businessTypes) && settings.businessTypes.length > 0
+        ? settings.businessTypes.map(bt => ({
+            id: String(bt.id),
+            name: bt.name,
+            income_category: bt.id === 'real_estate' ? 'real_estate' : 'business',
+            is_export: Boolean(bt.isExport),
+            simplified_tax_class: bt.simplifiedTaxClass || null
+        }))
+        : DEFAULT_BUSINESS_SECTIONS;
+    let inserted = 0;
+    for (const section of sections) {
+        const result = await db.query(
+            `INSERT INTO business_sections (organization_id, id, name, income_category, is_export, simplified_tax_class)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (organization_id, id) DO NOTHING`,
+            [organizationId, section.id, section.name, section.income_category, section.is_export || false, section.simplified_tax_class || null]
+        );
+        inserted += result.rowCount;
+    }
+    if (inserted === 0) return; // 同時に別のリクエストが登録済み
+
+    const departments = Array.isArray(settings.departments) && settings.departments.length > 0
+        ? settings.departments.map(d => ({ name: d.name, default_business_type_id: d.defaultBusinessType || null }))
+        : DEFAULT_DEPARTMENTS;
+    for (const department of departments) {
+        await db.query(
+            'INSERT INTO departments (organization_id, name, default_business_type_id) VALUES ($1, $2, $3)',
+            [organizationId, department.name, department.default_business_type_id]
+        );
+    }
+};
+
+// 事業セクションの入力値を検証する
+const validateBusinessSection = (body) => {
+    const section = {
+        name: (body.name || '').trim().slice(0, 100),
+        income_category: body.income_category || 'business',
+        is_export: Boolean(body.is_export),
+        simplified_tax_class: body.simplified_tax_class === undefined || body.simplified_tax_class === null || body.simplified_tax_class === ''
+            ? null
+            : parseInt(body.simplified_tax_class, 10)
+    };
+    if (!section.name) return { error: '事業セクション名は必須です。' };
+    if (!INCOME_CATEGORIES[section.income_category]) return { error: '所得区分が不正です。' };
+    if (section.simplified_tax_class !== null
+        && !(Number.isInteger(section.simplified_tax_class) && section.simplified_tax_class >= 1 && section.simplified_tax_class <= 6)) {
+        return { error: '簡易課税の事業区分は1〜6で指定してください。' };
+    }
+    return { section };
+};
+
+// 新しい事業セクションのID（名前から作る。旧バージョンのブラウザと同じ形式）
+const newBusinessSectionId = (name) => `${name.toLowerCase().replace(/\s+/g, '_').slice(0, 80)}_${Date.now()}`;
+
+const validateDepartment = (body) => {
+    const department = {
+        name: (body.name || '').trim().slice(0, 100),
+        default_business_type_id: body.default_business_type_id || null
+    };
+    if (!department.name) return { error: '部門名は必須です。' };
+    return { department };
+};
+
+// 配賦ルールの入力値を検証する。segmentIds はその種類のセグメントのID一覧
+const validateAllocationRule = (body, segmentIds) => {
+    const rule = {
+        dimension: body.dimension,
+        account_id: body.account_id ? parseInt(body.account_id, 10) : null,
+        ratios: Array.isArray(body.ratios)
+            ? body.ratios.map(r => ({ segment_id: r && r.segment_id, ratio: Number(r && r.ratio) }))
+            : []
+    };
+    if (!DIMENSIONS[rule.dimension]) return { error: 'dimension は business_section または department を指定してください。' };
+    if (rule.account_id !== null && !Number.isInteger(rule.account_id)) return { error: '勘定科目が不正です。' };
+    if (rule.ratios.length === 0) return { error: '配賦の割合を1件以上指定してください。' };
+    for (const r of rule.ratios) {
+        if (!segmentIds.some(id => String(id) === String(r.segment_id))) {
+            return { error: `配賦先のセグメントが見つかりません: ${r.segment_id}` };
+        }
+        if (!(r.ratio > 0)) return { error: '配賦の割合は0より大きい数値で指定してください。' };
+    }
+    const total = rule.ratios.reduce((sum, r) => sum + r.ratio, 0);
+    if (Math.abs(total - 100) > 0.0001) return { error: `配賦の割合の合計が100になりません（${total}）。` };
+    return { rule };
+};
+
+// 金額を割合で配分する。端数は割合が最も大きいセグメントに寄せ、合計が元の金額と一致するようにする
+const allocateAmount = (amount, ratios) => {
+    const shares = ratios.map(r => ({ segment_id: r.segment_id, amount: Math.trunc(amount * r.ratio / 100) }));
+    const remainder = amount - shares.reduce((sum, s) => sum + s.amount, 0);
+    if (remainder !== 0) {
+        const largest = ratios.reduce((best, r, i) => (r.ratio > ratios[best].ratio ? i : best), 0);
+        shares[largest].amount += remainder;
+    }
+    return shares;
+};
+
+// セグメント（NULL は共通）・科目ごとの収益・費用の借方・貸方合計
+const fetchSegmentTotals = async (db, organizationId, period, dimension) => {
+    const result = await db.query(
+        `SELECT ${DIMENSIONS[dimension]}::text AS segment_id,
+                m.id AS account_id, m.category, m.sub_category, m.account_name,
+                COALESCE(SUM(CASE WHEN l.side = 'debit' THEN l.amount END), 0)::bigint AS debit,
+                COALESCE(SUM(CASE WHEN l.side = 'credit' THEN l.amount END), 0)::bigint AS credit
+         FROM transaction_lines l
+         JOIN transactions t ON l.transaction_id = t.id
+         JOIN master_accounts m ON l.account_id = m.id
+         WHERE t.organization_id = $1 AND t.transaction_date BETWEEN $2 AND $3
+           AND t.entry_type = 'normal' AND t.deleted_at IS NULL
+           AND m.category IN ('revenues', 'expenses')
+         GROUP BY segment_id, m.id
+         ORDER BY m.id`,
+        [organizationId, period.from, period.to]
+    );
+    return result.rows.map(toAmounts(['debit', 'credit']));
+};
+
+// セグメント別損益計算書
+// segments は [{ id, name, income_category? }]、rules はその種類の配賦ルール
+// 各科目の金額は直接計上分（direct）と共通費の配賦分（allocated）に分けて返す。配賦ルールがない共通費は unallocated に残す
+const buildSegmentProfitLoss = (rows, segments, rules) => {
+    const ruleFor = (accountId) => rules.find(r => r.account_id === accountId) || rules.find(r => r.account_id === null);
+    const columns = new Map(segments.map(s => [String(s.id), {
+        segment_id: s.id,
+        name: s.name,
+        income_category: s.income_category,
+        accounts: new Map()
+    }]));
+    const unallocated = { segment_id: null, name: '共通（未配賦）', accounts: new Map() };
+
+    const addTo = (column, row, key, amount) => {
+        if (amount === 0) return;
+        let line = column.accounts.get(row.account_id);
+        if (!line) {
+            line = {
+                account_id: row.account_id,
+                account_name: row.account_name,
+                category: row.category,
+                sub_category: row.sub_category,
+                direct: 0,
+                allocated: 0,
+                amount: 0
+            };
+            column.accounts.set(row.account_id, line);
+        }
+        line[key] += amount;
+        line.amount += amount;
+    };
+
+    for (const row of rows) {
+        const amount = signedBalance(row.category, row.debit, row.credit);
+        const column = row.segment_id === null ? null : columns.get(row.segment_id);
+        if (column) {
+            addTo(column, row, 'direct', amount);
+            continue;
+        }
+        // 共通費（または削除済みのセグメント）を配賦する
+        const rule = ruleFor(row.account_id);
+        if (!rule) {
+            addTo(unallocated, row, 'direct', amount);
+            continue;
+        }
+        for (const share of allocateAmount(amount, rule.ratios)) {
+            const target = columns.get(String(share.segment_id));
+            addTo(target || unallocated, row, 'allocated', share.amount);
+        }
+    }
+
+    const summarize = (column) => {
+        const accounts = [...column.accounts.values()].filter(a => a.direct !== 0 || a.allocated !== 0);
+        const total = (category) => accounts.filter(a => a.category === category).reduce((sum, a) => sum + a.amount, 0);
+        const revenues = total('revenues');
+        const expenses = total('expenses');
+        return {
+            segment_id: column.segment_id,
+            name: column.name,
+            income_category: column.income_category,
+            revenues: { total: revenues, accounts: accounts.filter(a => a.category === 'revenues') },
+            expenses: { total: expenses, accounts: accounts.filter(a => a.category === 'expenses') },
+            net_income: revenues - expenses
+        };
+    };
+
+    const segmentResults = [...columns.values()].map(summarize);
+    const unallocatedResult = summarize(unallocated);
+
+    // 所得区分ごとの合計（確定申告で所得の種類ごとに記入するため）
+    const byIncomeCategory = {};
+    for (const segment of segmentResults) {
+        if (!segment.income_category) continue;
+        const entry = byIncomeCategory[segment.income_category]
+            || (byIncomeCategory[segment.income_category] = {
+                income_category: segment.income_category,
+                label: INCOME_CATEGORIES[segment.income_category],
+                revenues: 0,
+                expenses: 0,
+                net_income: 0
+            });
+        entry.revenues += segment.revenues.total;
+        entry.expenses += segment.expenses.total;
+        entry.net_income += segment.net_income;
+    }
+
+    return {
+        segments: segmentResults,
+        unallocated: unallocatedResult,
+        by_income_category: Object.values(byIncomeCategory),
+        net_income: segmentResults.reduce((sum, s) => sum + s.net_income, 0) + unallocatedResult.net_income
+    };
+};
+
+module.exports = {
+    INCOME_CATEGORIES,
+    DIMENSIONS,
+    BUSINESS_SECTION_COLUMNS,
+    DEPARTMENT_COLUMNS,
+    ALLOCATION_RULE_COLUMNS,
+    ensureSegments,
+    validateBusinessSection,
+    newBusinessSectionId,
+    validateDepartment,
+    validateAllocationRule,
+    allocateAmount,
+    fetchSegmentTotals,
+    buildSegmentProfitLoss
+};
@@ -1,11 +1,17 @@
   // server.js - Render.com backend server with Workload Identity
 const express = require('express');
 const multer = require('multer');
-const vision = require('@google-cloud/vision');
 const cors = require('cors');
+const crypto = require('crypto');
 const { GoogleAuth } = require('google-auth-library');
 // server.js の冒頭部分
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
+
+// DATE型はタイムゾーン変換せず 'YYYY-MM-DD' 文字列のまま扱う
+types.setTypeParser(1082, value => value);
+
+// URL・リクエストのIDは parseId で解釈する（INTEGER の範囲外の値は 0 になり、見つからない扱いの 404 になる）
+const { parseId } = require('./ids');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,381 +26,3986 @@ const pool = new Pool({
   }
 });
 
-// server.js
+// --- ユーザー登録・ログイン ---
+// アクセストークンは短時間（既定15分）で失効する。ブラウザは期限が切れたら /api/token/refresh で再発行する
+// エラーは { error, code } で返す（code: INVALID_EMAIL, WEAK_PASSWORD, EMAIL_TAKEN, INVALID_CREDENTIALS,
+// ACCOUNT_LOCKED, RATE_LIMITED, EMAIL_NOT_VERIFIED, REFRESH_TOKEN_INVALID, REFRESH_TOKEN_REUSED, TOKEN_INVALID）
+const auth = require('./auth');
+const { createMailer } = require('./mailer');
+const { createRateLimiter } = require('./rateLimiter');
+// ★認証チェックを行うミドルウェア
+const { authenticateToken } = require('./authMiddleware');
+const organizations = require('./organizationAccess');
+
+// 組織（帳簿）のデータを扱うAPIに付ける。ログインと、操作する組織でのロールの権限（organizations.ROLES）を確認し、
+// req.organization（{ id, name, role }）を設定する
+const requirePermission = (permission) => [authenticateToken, organizations.authorize(pool, permission)];
+
+// 環境変数 TRUST_PROXY（既定: 1）。Render などのプロキシの後ろで接続元IPを正しく取るため
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY || '1', 10));
+
+// メール送信（環境変数 MAILER）。設定できなかった場合はメールを送るAPIだけを 503 にし、他のAPIは通常どおり起動する
+let mailer = null;
+let mailerStatus = { transport: process.env.MAILER || 'console', ready: false, error: null };
+try {
+    mailer = createMailer();
+    mailerStatus = { transport: mailer.name, ready: true, error: null };
+} catch (error) {
+    console.error(`メール送信(${mailerStatus.transport})を設定できませんでした。確認・再設定・招待のメールは送信できません:`, error.message);
+    mailerStatus = { ...mailerStatus, error: error.message };
+}
+
+const requireMailer = (req, res, next) => {
+    if (mailer) return next();
+    res.status(503).json({
+        error: 'メール送信が設定されていないため、この操作は利用できません。',
+        details: mailerStatus.error,
+        code: 'MAIL_UNAVAILABLE'
+    });
+};
+// REQUIRE_EMAIL_VERIFICATION=true なら、メールアドレスを確認するまでログインできない
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
 
-const bcrypt = require('bcryptjs');
+// 接続元IPごとの回数制限（アカウントごとのロックは auth.verifyCredentials）
+const loginLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 20 });
+const registerLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 10 });
+const mailLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 5 });
+const refreshLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 100 });
 
-app.post('/api/register', async (req, res) => {
-  const { email, password } = req.body;
+const sessionMeta = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
 
-  if (!email || !password) {
-    return res.status(400).json({ error: 'メールアドレスとパスワードは必須です。' });
-  }
+const sendAuthError = (res, error, fallbackMessage) => {
+    if (error.status) {
+        if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: `${fallbackMessage}。` });
+};
 
-  try {
-    // パスワードをハッシュ化
-    const salt = await bcrypt.genSalt(10);
-    const passwordHash = await bcrypt.hash(password, salt);
-
-    // データベースに新しいユーザーを保存
-    const newUser = await pool.query(
-      "INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING id, email",
-      [email, passwordHash]
-    );
+// 確認メールの送信に失敗しても登録・再送の処理自体は成功として扱う（ログに残す）
+const sendMail = async (message) => {
+    if (!mailer) {
+        console.warn(`メール送信が設定されていないため送信しませんでした: ${message.subject}`);
+        return;
+    }
+    try {
+        await mailer.send(message);
+    } catch (error) {
+        console.error('メール送信エラー:', error);
+    }
+};
 
-    res.status(201).json(newUser.rows[0]);
+app.post('/api/register', registerLimiter, async (req, res) => {
+    const email = auth.normalizeEmail(req.body.email);
+    const { password } = req.body;
 
-  } catch (error) {
-    console.error('ユーザー登録エラー:', error);
-    // メールアドレスが既に存在する場合など
-    res.status(500).json({ error: 'ユーザー登録に失敗しました。' });
-  }
+    if (!email || !password) {
+        return res.status(400).json({ error: 'メールアドレスとパスワードは必須です。', code: 'VALIDATION_ERROR' });
+    }
+    const invalid = auth.validateEmail(email) || auth.validatePassword(password);
+    if (invalid) {
+        return res.status(400).json(invalid);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // データベースに新しいユーザーを保存し、個人の帳簿（組織）を作成する
+        const newUser = await client.query(
+            "INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING id, email",
+            [email, await auth.hashPassword(password)]
+        );
+        const user = newUser.rows[0];
+        await organizations.createOrganization(client, user.id, organizations.personalOrganizationName(user.email));
+        const token = await auth.createOneTimeToken(client, user.id, 'verify_email');
+        await client.query('COMMIT');
+        await sendMail(auth.verificationMail(user.email, token));
+
+        res.status(201).json({ ...user, email_verified: false });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'このメールアドレスはすでに登録されています。', code: 'EMAIL_TAKEN' });
+        }
+        sendAuthError(res, error, 'ユーザー登録に失敗しました');
+    } finally {
+        client.release();
+    }
 });
 
-// server.js
+app.post('/api/login', loginLimiter, async (req, res) => {
+    const { email, password } = req.body;
 
-const jwt = require('jsonwebtoken');
+    if (!email || !password) {
+        return res.status(400).json({ error: 'メールアドレスとパスワードを入力してください。', code: 'VALIDATION_ERROR' });
+    }
 
-// ★重要: このSECRETは、Renderの環境変数に設定してください
-const JWT_SECRET = process.env.JWT_SECRET; 
+    try {
+        const user = await auth.verifyCredentials(pool, email, password);
+        if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+            return res.status(403).json({ error: 'メールアドレスの確認が完了していません。届いたメールのリンクを開いてください。', code: 'EMAIL_NOT_VERIFIED' });
+        }
 
-app.post('/api/login', async (req, res) => {
-  const { email, password } = req.body;
+        // 認証成功！アクセストークンとリフレッシュトークンを発行して返す
+        res.json({ message: 'ログイン成功', ...(await auth.createSession(pool, user, sessionMeta(req))) });
 
-  if (!email || !password) {
-    return res.status(400).json({ error: 'メールアドレスとパスワードを入力してください。' });
-  }
+    } catch (error) {
+        sendAuthError(res, error, 'ログイン処理中にエラーが発生しました');
+    }
+});
 
-  try {
-    // メールアドレスでユーザーを検索
-    const userResult = await pool.query("SELECT * FROM users WHERE email = $1", [email]);
-    const user = userResult.rows[0];
+// リフレッシュトークンを新しいアクセストークン・リフレッシュトークンに交換する
+// body: { refresh_token }
+app.post('/api/token/refresh', refreshLimiter, async (req, res) => {
+    if (!req.body.refresh_token) {
+        return res.status(400).json({ error: 'refresh_token は必須です。', code: 'VALIDATION_ERROR' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await auth.rotateRefreshToken(client, req.body.refresh_token, sessionMeta(req));
+        await client.query('COMMIT');
+        if (result.reused) {
+            console.warn(`使用済みのリフレッシュトークンが再度使われたため、ログインを無効にしました（ユーザーID: ${result.userId}）`);
+            return res.status(401).json({ error: 'ログインの有効期限が切れました。再度ログインしてください。', code: 'REFRESH_TOKEN_REUSED' });
+        }
+        res.json(result.session);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        sendAuthError(res, error, 'トークンの再発行に失敗しました');
+    } finally {
+        client.release();
+    }
+});
+
+// ログアウト。body: { refresh_token, all }。all が true なら全端末のログインを無効にする
+// アクセストークンは失効するまで（最長 ACCESS_TOKEN_TTL）使えるため、ブラウザ側でも破棄すること
+app.post('/api/logout', async (req, res) => {
+    try {
+        if (req.body.refresh_token) {
+            await auth.revokeRefreshToken(pool, req.body.refresh_token, { all: req.body.all === true });
+        }
+        res.json({ message: 'ログアウトしました。' });
+    } catch (error) {
+        sendAuthError(res, error, 'ログアウトに失敗しました');
+    }
+});
+
+// ログイン中のユーザーの情報
+app.get('/api/me', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(
+            "SELECT id, email, email_verified_at, created_at FROM users WHERE id = $1",
+            [req.user.userId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'ユーザーが見つかりません。' });
+        }
+        const user = result.rows[0];
+        res.json({ ...user, email_verified: Boolean(user.email_verified_at) });
+    } catch (error) {
+        sendAuthError(res, error, 'ユーザー情報の取得に失敗しました');
+    }
+});
+
+// 確認メールを再送する
+app.post('/api/email-verification/send', authenticateToken, requireMailer, mailLimiter, async (req, res) => {
+    try {
+        const result = await pool.query("SELECT id, email, email_verified_at FROM users WHERE id = $1", [req.user.userId]);
+        const user = result.rows[0];
+        if (!user) {
+            return res.status(404).json({ error: 'ユーザーが見つかりません。' });
+        }
+        if (user.email_verified_at) {
+            return res.json({ message: 'メールアドレスは確認済みです。' });
+        }
+        await sendMail(auth.verificationMail(user.email, await auth.createOneTimeToken(pool, user.id, 'verify_email')));
+        res.json({ message: '確認メールを送信しました。' });
+    } catch (error) {
+        sendAuthError(res, error, '確認メールの送信に失敗しました');
+    }
+});
+
+// メールのリンクのトークンでメールアドレスを確認済みにする。body: { token }
+app.post('/api/email-verification/confirm', mailLimiter, async (req, res) => {
+    try {
+        const userId = await auth.consumeOneTimeToken(pool, req.body.token, 'verify_email');
+        await pool.query(
+            "UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1",
+            [userId]
+        );
+        res.json({ message: 'メールアドレスを確認しました。' });
+    } catch (error) {
+        sendAuthError(res, error, 'メールアドレスの確認に失敗しました');
+    }
+});
+
+// パスワード再設定のメールを送る。body: { email }
+// 登録の有無を推測させないため、未登録のメールアドレスでも同じ応答を返す
+app.post('/api/password-reset/request', requireMailer, mailLimiter, async (req, res) => {
+    const email = auth.normalizeEmail(req.body.email);
+    if (auth.validateEmail(email)) {
+        return res.status(400).json(auth.validateEmail(email));
+    }
+
+    try {
+        const result = await pool.query("SELECT id, email FROM users WHERE lower(email) = $1", [email]);
+        if (result.rowCount > 0) {
+            const user = result.rows[0];
+            await sendMail(auth.passwordResetMail(user.email, await auth.createOneTimeToken(pool, user.id, 'reset_password')));
+        }
+        res.json({ message: '登録されているメールアドレスであれば、パスワード再設定のメールを送信しました。' });
+    } catch (error) {
+        sendAuthError(res, error, 'パスワード再設定のメールの送信に失敗しました');
+    }
+});
+
+// メールのリンクのトークンで新しいパスワードを設定する。body: { token, password }
+// 全端末のログインを無効にし、ロックも解除する。メールを受け取れたのでメールアドレスも確認済みにする
+app.post('/api/password-reset/confirm', mailLimiter, async (req, res) => {
+    const invalid = auth.validatePassword(req.body.password);
+    if (invalid) {
+        return res.status(400).json(invalid);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const userId = await auth.consumeOneTimeToken(client, req.body.token, 'reset_password');
+        const updated = await client.query(
+            `UPDATE users
+             SET password_hash = $2, password_changed_at = CURRENT_TIMESTAMP,
+                 email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+             WHERE id = $1
+             RETURNING email`,
+            [userId, await auth.hashPassword(req.body.password)]
+        );
+        await auth.clearLoginThrottle(client, updated.rows[0].email);
+        await auth.revokeAllRefreshTokens(client, userId);
+        await client.query('COMMIT');
+        res.json({ message: 'パスワードを変更しました。新しいパスワードでログインしてください。' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        sendAuthError(res, error, 'パスワードの再設定に失敗しました');
+    } finally {
+        client.release();
+    }
+});
+
+// --- 組織（帳簿の共有）---
+// 帳簿は組織単位。ブラウザは操作する組織のIDを X-Organization-Id ヘッダーで送る
+// メンバーのロールは owner / editor / accountant / uploader（organizations.ROLES）
+const membershipResponse = (membership) => ({
+    ...membership,
+    role_label: organizations.ROLES[membership.role].label,
+    permissions: organizations.ROLES[membership.role].permissions
+});
+
+const invitationLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 30 });
+
+// 参加している組織の一覧（組織を切り替える画面用）
+app.get('/api/organizations', authenticateToken, async (req, res) => {
+    try {
+        const memberships = await organizations.ensureMemberships(pool, req.user.userId);
+        res.json(memberships.map(membershipResponse));
+    } catch (error) {
+        sendAuthError(res, error, '組織の一覧の取得に失敗しました');
+    }
+});
+
+// 新しい帳簿（組織）を作成する。作成したユーザーがオーナーになる。body: { name }
+app.post('/api/organizations', authenticateToken, async (req, res) => {
+    const validation = organizations.validateOrganizationName(req.body.name);
+    if (validation.error) {
+        return res.status(400).json(validation);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const organization = await organizations.createOrganization(client, req.user.userId, validation.name);
+        await client.query('COMMIT');
+        res.status(201).json(membershipResponse(organization));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        sendAuthError(res, error, '組織の作成に失敗しました');
+    } finally {
+        client.release();
+    }
+});
+
+// 操作中の組織の名前を変更する。body: { name }
+app.patch('/api/organization', requirePermission('manage'), async (req, res) => {
+    const validation = organizations.validateOrganizationName(req.body.name);
+    if (validation.error) {
+        return res.status(400).json(validation);
+    }
+
+    try {
+        const result = await pool.query(
+            "UPDATE organizations SET name = $2 WHERE id = $1 RETURNING id, name, created_at",
+            [req.organization.id, validation.name]
+        );
+        res.json(membershipResponse({ ...result.rows[0], role: req.organization.role }));
+    } catch (error) {
+        sendAuthError(res, error, '組織名の変更に失敗しました');
+    }
+});
+
+app.get('/api/organization/members', requirePermission('manage'), async (req, res) => {
+    try {
+        res.json(await organizations.fetchMembers(pool, req.organization.id));
+    } catch (error) {
+        sendAuthError(res, error, 'メンバーの取得に失敗しました');
+    }
+});
+
+// メンバーのロールを変更する。body: { role }
+app.patch('/api/organization/members/:userId', requirePermission('manage'), async (req, res) => {
+    const invalid = organizations.validateRole(req.body.role);
+    if (invalid) {
+        return res.status(400).json(invalid);
+    }
+    const targetUserId = parseId(req.params.userId);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await organizations.loadMemberForChange(client, req.organization.id, targetUserId, req.body.role);
+        await client.query(
+            "UPDATE organization_members SET role = $3 WHERE organization_id = $1 AND user_id = $2",
+            [req.organization.id, targetUserId, req.body.role]
+        );
+        await client.query('COMMIT');
+        res.json(await organizations.fetchMembers(pool, req.organization.id));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        sendAuthError(res, error, 'ロールの変更に失敗しました');
+    } finally {
+        client.release();
+    }
+});
+
+// メンバーを組織から外す。自分自身なら（最後のオーナーでなければ）どのロールでも組織から抜けられる
+app.delete('/api/organization/members/:userId', requirePermission(), async (req, res) => {
+    const targetUserId = parseId(req.params.userId);
+    if (targetUserId !== req.user.userId && !organizations.hasPermission(req.organization.role, 'manage')) {
+        return res.status(403).json({ error: 'メンバーを外す権限がありません。', code: 'FORBIDDEN_ROLE' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await organizations.loadMemberForChange(client, req.organization.id, targetUserId);
+        await client.query(
+            "DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2",
+            [req.organization.id, targetUserId]
+        );
+        await client.query('COMMIT');
+        res.json({ message: 'メンバーを外しました。', user_id: targetUserId });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        sendAuthError(res, error, 'メンバーの削除に失敗しました');
+    } finally {
+        client.release();
+    }
+});
+
+// 未使用の招待
+app.get('/api/organization/invitations', requirePermission('manage'), async (req, res) => {
+    try {
+        res.json(await organizations.fetchPendingInvitations(pool, req.organization.id));
+    } catch (error) {
+        sendAuthError(res, error, '招待の取得に失敗しました');
+    }
+});
+
+// メールアドレスを指定して招待する。body: { email, role }
+// 招待メールの送信に失敗しても招待は作成する（ログに残し、再度招待すればリンクを作り直せる）
+app.post('/api/organization/invitations', requirePermission('manage'), requireMailer, invitationLimiter, async (req, res) => {
+    const email = auth.normalizeEmail(req.body.email);
+    const invalid = auth.validateEmail(email) || organizations.validateRole(req.body.role);
+    if (invalid) {
+        return res.status(400).json(invalid);
+    }
+
+    try {
+        const member = await pool.query(
+            `SELECT 1 FROM organization_members m JOIN users u ON m.user_id = u.id
+             WHERE m.organization_id = $1 AND lower(u.email) = $2`,
+            [req.organization.id, email]
+        );
+        if (member.rowCount > 0) {
+            return res.status(409).json({ error: 'このメールアドレスのユーザーはすでにメンバーです。', code: 'ALREADY_MEMBER' });
+        }
+
+        const { invitation, token } = await organizations.createInvitation(pool, req.organization.id, req.user.userId, email, req.body.role);
+        await sendMail(organizations.invitationMail(email, req.organization.name, req.user.email, req.body.role, token));
+        res.status(201).json(invitation);
+    } catch (error) {
+        sendAuthError(res, error, '招待に失敗しました');
+    }
+});
+
+app.delete('/api/organization/invitations/:id', requirePermission('manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `UPDATE organization_invitations SET revoked_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+             RETURNING id`,
+            [parseId(req.params.id), req.organization.id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '招待が見つかりません。' });
+        }
+        res.json({ message: '招待を取り消しました。', id: result.rows[0].id });
+    } catch (error) {
+        sendAuthError(res, error, '招待の取り消しに失敗しました');
+    }
+});
+
+// 招待メールのリンクのトークンで組織に参加する。body: { token }。参加した組織を返す
+app.post('/api/invitations/accept', authenticateToken, mailLimiter, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const organizationId = await organizations.acceptInvitation(client, req.body.token, req.user.userId);
+        await client.query('COMMIT');
+        const memberships = await organizations.fetchMemberships(pool, req.user.userId);
+        res.json(membershipResponse(memberships.find(m => m.id === organizationId)));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        sendAuthError(res, error, '招待の受け入れに失敗しました');
+    } finally {
+        client.release();
+    }
+});
+
+// server.js (APIエンドポイントの例)
+
+
+// 勘定科目の一覧を 大分類 > 中分類 > 科目 の階層構造に整形する
+const structureAccounts = (rows) => {
+    const categories = [];
+    rows.forEach(row => {
+        let category = categories.find(c => c.category === row.category);
+        if (!category) {
+            category = { category: row.category, sub_categories: [] };
+            categories.push(category);
+        }
+        let subCategory = category.sub_categories.find(sc => sc.sub_category === row.sub_category);
+        if (!subCategory) {
+            subCategory = { sub_category: row.sub_category, accounts: [] };
+            category.sub_categories.push(subCategory);
+        }
+        subCategory.accounts.push({
+            id: row.id,
+            account_name: row.account_name,
+            english_name: row.english_name,
+            element_name: row.element_name,
+            parent_id: row.parent_id,
+            is_custom: row.is_custom,
+            hidden: row.hidden
+        });
+    });
+    return categories;
+};
+
+const chartOfAccounts = require('./chartOfAccounts');
+
+// 全ての勘定科目（共通の科目と自分の独自の科目）を階層構造で取得するAPI
+// 非表示にした科目は除く。include_hidden=true なら hidden: true を付けて含める
+app.get('/api/accounts', requirePermission('read'), async (req, res) => {
+    try {
+        const rows = await chartOfAccounts.fetchAccounts(pool, req.organization.id, {
+            includeHidden: req.query.include_hidden === 'true'
+        });
+        
+        // 取得したデータを階層構造に整形して返す
+        const structuredAccounts = structureAccounts(rows);
+
+        res.json(structuredAccounts);
+
+    } catch (error) {
+        console.error('勘定科目リストの取得エラー:', error);
+        res.status(500).json({ error: '勘定科目の取得に失敗しました。' });
+    }
+});
+
+// 独自の勘定科目を追加するAPI
+// body: { category, sub_category, account_name, parent_id }
+app.post('/api/accounts', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = chartOfAccounts.validateUserAccount(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const account = validation.account;
+
+    try {
+        await chartOfAccounts.assertAccountNameAvailable(pool, organizationId, account.account_name);
+        const result = await pool.query(
+            `INSERT INTO master_accounts (category, sub_category, account_name, parent_id, owner_organization_id)
+             SELECT $1, $2, $3, $4, $5
+             WHERE $4::int IS NULL OR EXISTS (
+                 SELECT 1 FROM master_accounts WHERE id = $4 AND (owner_organization_id IS NULL OR owner_organization_id = $5)
+             )
+             RETURNING id, category, sub_category, account_name, english_name, element_name, parent_id, TRUE AS is_custom`,
+            [account.category, account.sub_category, account.account_name, account.parent_id, organizationId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(400).json({ error: '親科目が見つかりません。' });
+        }
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (error.code === '23505') {
+            return res.status(409).json({ error: `勘定科目「${account.account_name}」はすでに登録されています。` });
+        }
+        console.error('勘定科目追加エラー:', error);
+        res.status(500).json({ error: '勘定科目の追加に失敗しました。' });
+    }
+});
+
+// 勘定科目の名前の変更・非表示の切り替えAPI
+// body: { account_name, sub_category, parent_id, hidden }
+// 名前・中分類・親科目を変更できるのは独自の科目のみ。hidden は共通の科目にも指定できる
+app.patch('/api/accounts/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const accountId = parseId(req.params.id);
+    const validation = chartOfAccounts.validateUserAccount(req.body, { partial: true });
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const changes = validation.account;
+    delete changes.category; // 大分類を変えると登録済みの仕訳の集計が変わるため変更できない
+
+    const client = await pool.connect();
+    try {
+        const current = await client.query(
+            "SELECT id, owner_organization_id FROM master_accounts WHERE id = $1 AND (owner_organization_id IS NULL OR owner_organization_id = $2)",
+            [accountId, organizationId]
+        );
+        if (current.rowCount === 0) {
+            return res.status(404).json({ error: '勘定科目が見つかりません。' });
+        }
+        if (Object.keys(changes).length > 0 && current.rows[0].owner_organization_id === null) {
+            return res.status(403).json({ error: '共通の勘定科目の名前は変更できません。独自の科目を追加して、共通の科目は非表示にしてください。' });
+        }
+        if (changes.parent_id) {
+            const parent = await client.query(
+                "SELECT 1 FROM master_accounts WHERE id = $1 AND id <> $2 AND (owner_organization_id IS NULL OR owner_organization_id = $3)",
+                [changes.parent_id, accountId, organizationId]
+            );
+            if (parent.rowCount === 0) {
+                return res.status(400).json({ error: '親科目が見つかりません。' });
+            }
+        }
+
+        await client.query('BEGIN');
+        if (changes.account_name) {
+            await chartOfAccounts.assertAccountNameAvailable(client, organizationId, changes.account_name, accountId);
+        }
+        if (Object.keys(changes).length > 0) {
+            const columns = Object.keys(changes);
+            await client.query(
+                `UPDATE master_accounts SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')} WHERE id = $1`,
+                [accountId, ...columns.map(column => changes[column])]
+            );
+        }
+        if (req.body.hidden === true) {
+            await client.query(
+                "INSERT INTO hidden_accounts (organization_id, account_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+                [organizationId, accountId]
+            );
+        } else if (req.body.hidden === false) {
+            await client.query("DELETE FROM hidden_accounts WHERE organization_id = $1 AND account_id = $2", [organizationId, accountId]);
+        }
+        await client.query('COMMIT');
 
-    if (!user) {
-      return res.status(401).json({ error: '認証情報が無効です。' }); // ユーザーが見つからない
+        const accounts = await chartOfAccounts.fetchAccounts(pool, organizationId, { includeHidden: true });
+        res.json(accounts.find(account => account.id === accountId));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (error.code === '23505') {
+            return res.status(409).json({ error: '同じ名前の勘定科目がすでに登録されています。' });
+        }
+        console.error('勘定科目更新エラー:', error);
+        res.status(500).json({ error: '勘定科目の更新に失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+// 帳簿でよく使う勘定科目トップ10を取得するAPI
+app.get('/api/accounts/top10', requirePermission('read'), async (req, res) => {
+    try {
+        const organizationId = req.organization.id; // 組織の確認ミドルウェアから組織IDを取得
+
+        const result = await pool.query(
+            `SELECT m.account_name
+             FROM user_account_usage u
+             JOIN master_accounts m ON u.account_id = m.id
+             WHERE u.organization_id = $1
+             ORDER BY u.usage_count DESC
+             LIMIT 10`,
+            [organizationId]
+        );
+
+        res.json(result.rows);
+
+    } catch (error) {
+        console.error('トップ10勘定科目の取得エラー:', error);
+        res.status(500).json({ error: 'よく使う勘定科目の取得に失敗しました。' });
+    }
+});
+
+// 勘定科目の候補を推定するAPI
+// body: { store_name, memo, amount, raw_text }
+const accountSuggester = require('./accountSuggester');
+
+app.post('/api/accounts/suggest', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const { store_name, memo, amount, raw_text } = req.body;
+
+    if (!store_name && !memo && !raw_text) {
+        return res.status(400).json({ error: '取引先名・摘要・OCRテキストのいずれかを指定してください。' });
+    }
+
+    try {
+        const input = { store_name, memo, amount, raw_text };
+        const data = await accountSuggester.fetchLearningData(pool, organizationId, input);
+        res.json({ candidates: accountSuggester.scoreCandidates(data, input) });
+    } catch (error) {
+        console.error('勘定科目推定エラー:', error);
+        res.status(500).json({ error: '勘定科目の推定に失敗しました。' });
+    }
+});
+
+// 推定結果をユーザーが訂正したときに学習させるAPI
+// body: { store_name, memo, amount, raw_text, suggested_account_id, chosen_account_id }
+app.post('/api/accounts/suggest/feedback', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const { store_name, memo, raw_text, suggested_account_id, chosen_account_id } = req.body;
+    const chosenId = parseId(chosen_account_id);
+    const suggestedId = parseId(suggested_account_id);
+
+    if (!chosenId) {
+        return res.status(400).json({ error: '選択した勘定科目を指定してください。' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const input = { store_name, memo, raw_text };
+        await accountSuggester.learn(client, organizationId, input, chosenId, accountSuggester.CORRECTION_WEIGHT);
+        if (suggestedId && suggestedId !== chosenId) {
+            await accountSuggester.learn(client, organizationId, input, suggestedId, -accountSuggester.CORRECTION_WEIGHT);
+        }
+        await client.query('COMMIT');
+        res.json({ message: '学習しました。' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('勘定科目学習エラー:', error);
+        res.status(500).json({ error: '学習に失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+// CORS設定（Claude.ai artifacts用に最適化）
+app.use(cors({
+  origin: [
+   'https://render.com/docs/web-services',
+   'https://hinosatosofttennis.github.io',
+   'https://finance-rejk.onrender.com',
+    // Claude.ai関連ドメイン
+    'https://claude.ai',
+    'https://artifacts.claude.ai',
+    'https://claude.anthropic.com',
+    
+    // 開発・テスト用
+    'http://localhost:3000',
+    'http://localhost:8080',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:8080',
+    
+    // ファイルシステムからの実行（file://プロトコル）
+    'null', // file:// protocol shows as null origin
+  ],
+  methods: ['GET', 'POST', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  credentials: false
+}));
+
+app.use(express.json());
+
+// Multer設定（メモリストレージ使用）
+const receiptFileFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+    cb(null, true);
+  } else {
+    cb(new Error('画像ファイルまたはPDFのみアップロード可能です'), false);
+  }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB制限
+  },
+  fileFilter: receiptFileFilter
+});
+
+// OCRプロバイダー（環境変数 OCR_PROVIDER: google-vision / tesseract / fixture）
+// 初期化に失敗した場合は /api/ocr だけを停止し、他のAPIは通常どおり起動する
+const { createOcrProvider } = require('./ocrProviders');
+let ocrProvider = null;
+let ocrStatus = { provider: process.env.OCR_PROVIDER || 'google-vision', ready: false, error: null };
+
+const initializeOcrProvider = async () => {
+  try {
+    const provider = createOcrProvider(ocrStatus.provider);
+    await provider.init();
+    ocrProvider = provider;
+    ocrStatus = { provider: provider.name, ready: true, error: null };
+  } catch (error) {
+    console.error(`OCRプロバイダー(${ocrStatus.provider})の初期化に失敗しました。/api/ocr は利用できません:`, error.message);
+    ocrStatus = { ...ocrStatus, ready: false, error: error.message };
+  }
+};
+
+const { isPdf, extractPages } = require('./pdfDocument');
+
+// OCR処理関数
+// PDFはページごと、1ページ（1枚の画像）に複数のレシートが写っている場合はレシートごとに解析する
+const processOCR = async (fileBuffer, { mimeType } = {}) => {
+  try {
+    const pages = await extractPages(fileBuffer, mimeType, ocrProvider);
+
+    const documents = [];
+    // テキストを解析して構造化データに変換
+    pages.forEach(page => {
+      splitReceipts(page.text).forEach((text, index) => {
+        console.log(`検出されたテキスト（${page.page}ページ目 ${index + 1}件目）:`, text);
+        documents.push({ page: page.page, index, source: page.source, text, parsedData: parseReceiptText(text) });
+      });
+    });
+
+    if (documents.length === 0) {
+      return {
+        success: true,
+        text: '',
+        parsedData: { date: '', amount: '', notes: '', receipt: null },
+        documents: []
+      };
+    }
+
+    console.log('解析後のデータ:', documents.map(d => d.parsedData));
+    
+    return {
+      success: true,
+      text: pages.map(page => page.text).join('\f'),
+      parsedData: documents[0].parsedData,
+      documents
+    };
+
+  } catch (error) {
+    console.error('OCR処理エラー:', error);
+    const wrapped = new Error(`OCR処理に失敗しました: ${error.message}`);
+    wrapped.status = error.status;
+    wrapped.code = error.code;
+    throw wrapped;
+  }
+};
+
+// レシートテキストの解析関数
+// 取引入力フォーム用の date/amount/notes と、構造化した結果（receipt）を返す
+const { parseReceipt, splitReceipts } = require('./receiptParser');
+
+const parseReceiptText = (text) => {
+    const receipt = parseReceipt(text);
+    return {
+        date: receipt.date.value || new Date().toISOString().slice(0, 10),
+        amount: receipt.total.value,
+        notes: receipt.vendor.value,
+        receipt
+    };
+};
+      
+// ヘルスチェックエンドポイント
+app.get('/', (req, res) => {
+  res.json({ 
+    status: 'OK', 
+    service: 'Bookkee OCR API',
+    timestamp: new Date().toISOString(),
+    authentication: ocrStatus.ready ? 'Initialized' : 'Not initialized',
+    ocrProvider: ocrStatus.provider
+  });
+});
+
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'healthy',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString(),
+    ocr: ocrStatus,
+    mail: mailerStatus
+  });
+});
+
+// 証憑（領収書・レシート画像）の保存・検索API
+const receiptArchive = require('./receiptArchive');
+const receiptStorage = receiptArchive.createReceiptStorage();
+
+// 画像だけを保存する（OCRを使わない場合）。検索項目はフォームの値から登録する
+app.post('/api/receipts', requirePermission('upload'), upload.single('file'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    if (!req.file) {
+        return res.status(400).json({ error: 'ファイルがアップロードされていません。', code: 'NO_FILE_UPLOADED' });
+    }
+    const validation = receiptArchive.validateReceiptMetadata(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const { receipt, duplicate } = await receiptArchive.archiveReceipt(pool, receiptStorage, organizationId, req.file, {
+            ...validation.metadata,
+            uploaded_by: req.user.userId
+        });
+        res.status(duplicate ? 200 : 201).json({ ...receipt, duplicate });
+    } catch (error) {
+        console.error('証憑保存エラー:', error);
+        res.status(500).json({ error: '証憑の保存に失敗しました。' });
+    }
+});
+
+// 取引年月日（date_from/date_to）・金額（amount_min/amount_max）・取引先（counterparty）で検索する
+app.get('/api/receipts', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const search = receiptArchive.buildReceiptSearch(organizationId, req.query);
+    if (search.error) {
+        return res.status(400).json({ error: search.error });
+    }
+
+    try {
+        const result = await pool.query(search.sql, search.params);
+        res.json(result.rows);
+    } catch (error) {
+        console.error('証憑検索エラー:', error);
+        res.status(500).json({ error: '証憑の検索に失敗しました。' });
+    }
+});
+
+// 検索項目の訂正と仕訳への紐付け。画像本体は変更できない
+app.put('/api/receipts/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = receiptArchive.validateReceiptMetadata(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const { transaction_date, amount, counterparty } = validation.metadata;
+    const transactionId = req.body.transaction_id ? parseId(req.body.transaction_id) : null;
+
+    try {
+        if (transactionId !== null) {
+            const owned = await pool.query("SELECT id FROM transactions WHERE id = $1 AND organization_id = $2 AND deleted_at IS NULL", [transactionId, organizationId]);
+            if (owned.rowCount === 0) {
+                return res.status(400).json({ error: '紐付ける仕訳が見つかりません。' });
+            }
+        }
+        const result = await pool.query(
+            `UPDATE receipts SET transaction_id = $1, transaction_date = $2, amount = $3, counterparty = $4
+             WHERE id = $5 AND organization_id = $6
+             RETURNING ${receiptArchive.RECEIPT_COLUMNS}`,
+            [transactionId, transaction_date, amount, counterparty, parseId(req.params.id), organizationId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '証憑が見つかりません。' });
+        }
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('証憑更新エラー:', error);
+        res.status(500).json({ error: '証憑の更新に失敗しました。' });
+    }
+});
+
+// 保存した原本の画像を返す（本人のもののみ）
+app.get('/api/receipts/:id/file', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            "SELECT storage_key, file_name, mime_type, file_size, sha256 FROM receipts WHERE id = $1 AND organization_id = $2",
+            [parseId(req.params.id), organizationId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '証憑が見つかりません。' });
+        }
+        const receipt = result.rows[0];
+
+        const stream = receiptStorage.createReadStream(receipt.storage_key);
+        stream.on('error', (error) => {
+            console.error('証憑読込エラー:', error);
+            if (!res.headersSent) {
+                res.status(500).json({ error: '証憑の読み込みに失敗しました。' });
+            } else {
+                res.destroy(error);
+            }
+        });
+        stream.once('open', () => {
+            res.set({
+                'Content-Type': receipt.mime_type,
+                'Content-Length': receipt.file_size,
+                'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(receipt.file_name || `receipt-${req.params.id}`)}`,
+                'Cache-Control': 'private, no-store',
+                'ETag': `"${receipt.sha256}"`,
+                'X-Content-SHA256': receipt.sha256
+            });
+            stream.pipe(res);
+        });
+    } catch (error) {
+        console.error('証憑取得エラー:', error);
+        res.status(500).json({ error: '証憑の取得に失敗しました。' });
+    }
+});
+
+// 保存済みの画像が登録時から変更されていないか、ハッシュ値を照合する
+app.get('/api/receipts/:id/verify', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            "SELECT id, storage_key, sha256, received_at FROM receipts WHERE id = $1 AND organization_id = $2",
+            [parseId(req.params.id), organizationId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '証憑が見つかりません。' });
+        }
+        const receipt = result.rows[0];
+        const verification = await receiptArchive.verifyReceipt(receiptStorage, receipt);
+        res.json({ id: receipt.id, received_at: receipt.received_at, ...verification });
+    } catch (error) {
+        console.error('証憑検証エラー:', error);
+        res.status(500).json({ error: '証憑の検証に失敗しました。' });
+    }
+});
+
+// 読み取った内容（1件目）を証憑の検索項目の初期値にする（訂正済みの項目は上書きしない）
+const saveOcrResult = async (receiptId, result) => {
+    const extracted = result.parsedData.receipt;
+    await pool.query(
+        `UPDATE receipts SET transaction_date = COALESCE(transaction_date, $1), amount = COALESCE(amount, $2),
+                             counterparty = COALESCE(counterparty, $3), ocr_text = COALESCE(ocr_text, $4),
+                             registration_number = COALESCE(registration_number, $5), extracted = COALESCE(extracted, $6)
+         WHERE id = $7`,
+        [
+            extracted ? extracted.date.value : null,
+            extracted ? extracted.total.value : null,
+            extracted ? extracted.vendor.value : null,
+            result.text || null,
+            extracted && extracted.registration_number.valid ? extracted.registration_number.value : null,
+            result.documents.length > 0 ? JSON.stringify(result.documents.map(d => ({ page: d.page, index: d.index, ...d.parsedData.receipt }))) : null,
+            receiptId
+        ]
+    );
+};
+
+// 読み取った登録番号・店名から登録済みの取引先を探す（取引入力の初期値にする）
+const counterpartyLedger = require('./counterpartyLedger');
+const matchOcrCounterparty = async (organizationId, receipt) => {
+    if (!receipt) return null;
+    const match = await counterpartyLedger.matchCounterparty(pool, organizationId, {
+        registration_number: receipt.registration_number.valid ? receipt.registration_number.value : null,
+        name: receipt.vendor.value
+    });
+    return match ? { ...match.counterparty, matched_by: match.matched_by } : null;
+};
+
+// ページ・レシートごとの読み取り結果（APIの応答形式）
+const toOcrDocuments = (result) => result.documents.map(d => ({
+    page: d.page,
+    index: d.index,
+    source: d.source,
+    date: d.parsedData.date,
+    amount: d.parsedData.amount,
+    notes: d.parsedData.notes,
+    receipt: d.parsedData.receipt,
+    rawText: d.text
+}));
+
+// OCR APIエンドポイント
+// 読み取った画像は証憑として保存し、receipt_id を返す（取引登録時に紐付ける）
+app.post('/api/ocr', requirePermission('upload'), upload.single('file'), async (req, res) => {
+  let receipt = null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'ファイルがアップロードされていません',
+        code: 'NO_FILE_UPLOADED'
+      });
+    }
+
+    // テキストレイヤーのあるPDFはOCRプロバイダーなしでも読み取れる
+    if (!ocrProvider && !isPdf(req.file.buffer, req.file.mimetype)) {
+      return res.status(503).json({
+        error: 'OCRプロバイダーが初期化されていません',
+        details: ocrStatus.error,
+        code: 'OCR_UNAVAILABLE'
+      });
+    }
+
+    console.log(`OCR処理開始: ファイルサイズ ${req.file.size} bytes`);
+
+    // OCRに失敗しても原本は残るよう、先に保存する
+    ({ receipt } = await receiptArchive.archiveReceipt(pool, receiptStorage, req.organization.id, req.file, { uploaded_by: req.user.userId }));
+
+    const result = await processOCR(req.file.buffer, { mimeType: req.file.mimetype });
+    await saveOcrResult(receipt.id, result);
+
+    res.json({
+      success: true,
+      receipt_id: receipt.id,
+      date: result.parsedData.date,
+      amount: result.parsedData.amount,
+      notes: result.parsedData.notes,
+      receipt: result.parsedData.receipt,
+      counterparty: await matchOcrCounterparty(req.organization.id, result.parsedData.receipt),
+      rawText: result.text,
+      documents: toOcrDocuments(result),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('OCRエンドポイントエラー:', error);
+    res.status(error.status || 500).json({
+      error: 'OCR処理中にエラーが発生しました',
+      details: error.message,
+      code: error.code || 'OCR_PROCESSING_ERROR',
+      receipt_id: receipt ? receipt.id : null
+    });
+  }
+});
+
+// レシートの一括読み取り（OCR）API
+// アップロードされたファイルは証憑として保存してからジョブに積み、バックグラウンドで順に読み取る
+const { EventEmitter } = require('events');
+const { createJobQueue } = require('./jobQueue');
+
+const MAX_BATCH_FILES = 50;
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 1ファイル10MB制限
+    files: MAX_BATCH_FILES
+  },
+  fileFilter: receiptFileFilter
+});
+
+// ジョブの進捗を購読者（/api/ocr/jobs/:id/events）に知らせる
+const ocrJobEvents = new EventEmitter();
+ocrJobEvents.setMaxListeners(0);
+
+const OCR_JOB_ITEM_COLUMNS = 'id, receipt_id, file_name, status, attempts, documents, error, updated_at';
+
+// 帳簿を閲覧できないロール（証憑のアップロードのみ）には自分がアップロードしたジョブだけを見せる
+// 戻り値は絞り込むユーザーID（絞り込まない場合は null）
+const ocrJobOwnerFilter = (req) => (organizations.hasPermission(req.organization.role, 'read') ? null : req.user.userId);
+
+// ジョブと各ファイルの状況。createdBy を指定した場合はそのユーザーのジョブだけ
+const loadOcrJob = async (jobId, organizationId, createdBy = null) => {
+  const job = await pool.query(
+    `SELECT id, status, total_items, created_at, finished_at FROM ocr_jobs
+     WHERE id = $1 AND organization_id = $2 AND ($3::int IS NULL OR created_by = $3)`,
+    [jobId, organizationId, createdBy]
+  );
+  if (job.rowCount === 0) return null;
+  const items = await pool.query(
+    `SELECT ${OCR_JOB_ITEM_COLUMNS} FROM ocr_job_items WHERE job_id = $1 ORDER BY id`,
+    [jobId]
+  );
+  const counts = { queued: 0, processing: 0, done: 0, failed: 0 };
+  items.rows.forEach(item => { counts[item.status] += 1; });
+  return { ...job.rows[0], counts, items: items.rows };
+};
+
+// 残りのファイルがなくなったらジョブを完了にする
+const updateOcrJobStatus = async (jobId) => {
+  const result = await pool.query(
+    `UPDATE ocr_jobs SET
+         status = CASE WHEN remaining.count = 0 THEN 'completed' ELSE 'processing' END,
+         finished_at = CASE WHEN remaining.count = 0 THEN CURRENT_TIMESTAMP ELSE NULL END
+     FROM (SELECT COUNT(*)::int AS count FROM ocr_job_items WHERE job_id = $1 AND status IN ('queued', 'processing')) AS remaining
+     WHERE ocr_jobs.id = $1
+     RETURNING ocr_jobs.status`,
+    [jobId]
+  );
+  return result.rows[0] && result.rows[0].status;
+};
+
+const updateOcrJobItem = async (task, fields) => {
+  const result = await pool.query(
+    `UPDATE ocr_job_items SET status = $1, attempts = $2, documents = $3, error = $4, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5 RETURNING ${OCR_JOB_ITEM_COLUMNS}`,
+    [fields.status, task.attempts, fields.documents ? JSON.stringify(fields.documents) : null, fields.error || null, task.itemId]
+  );
+  const jobStatus = await updateOcrJobStatus(task.jobId);
+  ocrJobEvents.emit(`job:${task.jobId}`, { type: 'item', job_status: jobStatus, item: result.rows[0] });
+};
+
+const ocrQueue = createJobQueue({
+  concurrency: parseInt(process.env.OCR_JOB_CONCURRENCY, 10) || 2,
+  maxAttempts: parseInt(process.env.OCR_JOB_MAX_ATTEMPTS, 10) || 3,
+  // OCRプロバイダーが使えない場合は再試行しても結果は変わらない
+  shouldRetry: (error) => error.status !== 503,
+  worker: async (task) => {
+    await updateOcrJobItem(task, { status: 'processing' });
+    const receipt = await pool.query("SELECT storage_key, mime_type FROM receipts WHERE id = $1", [task.receiptId]);
+    const buffer = await receiptArchive.readReceiptFile(receiptStorage, receipt.rows[0].storage_key);
+    const result = await processOCR(buffer, { mimeType: receipt.rows[0].mime_type });
+    await saveOcrResult(task.receiptId, result);
+    await updateOcrJobItem(task, { status: 'done', documents: toOcrDocuments(result) });
+  },
+  onFailed: async (task, error) => {
+    console.error(`一括読み取りに失敗しました（ジョブ${task.jobId} ファイル${task.itemId}）:`, error.message);
+    await updateOcrJobItem(task, { status: 'failed', error: error.message });
+  }
+});
+
+// 再起動前に終わらなかったファイルを積み直す
+const resumeOcrJobs = async () => {
+  try {
+    const result = await pool.query(
+      `UPDATE ocr_job_items SET status = 'queued', updated_at = CURRENT_TIMESTAMP
+       WHERE status IN ('queued', 'processing')
+       RETURNING id, job_id, receipt_id, attempts`
+    );
+    result.rows.forEach(item => ocrQueue.push({ itemId: item.id, jobId: item.job_id, receiptId: item.receipt_id, attempts: item.attempts }));
+    if (result.rowCount > 0) {
+      console.log(`未完了の一括読み取り ${result.rowCount} 件を再開します`);
+    }
+  } catch (error) {
+    console.error('一括読み取りの再開に失敗しました:', error.message);
+  }
+};
+
+app.post('/api/ocr/batch', requirePermission('upload'), batchUpload.array('files', MAX_BATCH_FILES), async (req, res) => {
+  const organizationId = req.organization.id;
+
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: 'ファイルがアップロードされていません。', code: 'NO_FILE_UPLOADED' });
+  }
+
+  try {
+    const job = await pool.query(
+      "INSERT INTO ocr_jobs (organization_id, created_by, total_items) VALUES ($1, $2, $3) RETURNING id",
+      [organizationId, req.user.userId, req.files.length]
+    );
+    const jobId = job.rows[0].id;
+
+    const tasks = [];
+    for (const file of req.files) {
+      const { receipt } = await receiptArchive.archiveReceipt(pool, receiptStorage, organizationId, file, { uploaded_by: req.user.userId });
+      const item = await pool.query(
+        "INSERT INTO ocr_job_items (job_id, receipt_id, file_name) VALUES ($1, $2, $3) RETURNING id",
+        [jobId, receipt.id, file.originalname || null]
+      );
+      tasks.push({ itemId: item.rows[0].id, jobId, receiptId: receipt.id });
+    }
+    tasks.forEach(task => ocrQueue.push(task));
+
+    res.status(202).json({
+      job_id: jobId,
+      status_url: `/api/ocr/jobs/${jobId}`,
+      events_url: `/api/ocr/jobs/${jobId}/events`,
+      total_items: tasks.length
+    });
+  } catch (error) {
+    console.error('一括読み取り登録エラー:', error);
+    res.status(500).json({ error: '一括読み取りの登録に失敗しました。' });
+  }
+});
+
+app.get('/api/ocr/jobs', requirePermission('upload'), async (req, res) => {
+  const organizationId = req.organization.id;
+
+  try {
+    const result = await pool.query(
+      `SELECT j.id, j.status, j.total_items, j.created_at, j.finished_at,
+              COUNT(*) FILTER (WHERE i.status = 'done')::int AS done,
+              COUNT(*) FILTER (WHERE i.status = 'failed')::int AS failed
+       FROM ocr_jobs j
+       LEFT JOIN ocr_job_items i ON i.job_id = j.id
+       WHERE j.organization_id = $1 AND ($2::int IS NULL OR j.created_by = $2)
+       GROUP BY j.id
+       ORDER BY j.created_at DESC
+       LIMIT 20`,
+      [organizationId, ocrJobOwnerFilter(req)]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('一括読み取り一覧取得エラー:', error);
+    res.status(500).json({ error: '一括読み取りの取得に失敗しました。' });
+  }
+});
+
+app.get('/api/ocr/jobs/:id', requirePermission('upload'), async (req, res) => {
+  try {
+    const job = await loadOcrJob(parseId(req.params.id), req.organization.id, ocrJobOwnerFilter(req));
+    if (!job) {
+      return res.status(404).json({ error: '一括読み取りジョブが見つかりません。' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('一括読み取り状況取得エラー:', error);
+    res.status(500).json({ error: '一括読み取りの状況の取得に失敗しました。' });
+  }
+});
+
+// 進捗を Server-Sent Events で送る。最初に現在の状況（snapshot）、以降はファイルごとの更新（item）を送り、完了したら閉じる
+app.get('/api/ocr/jobs/:id/events', requirePermission('upload'), async (req, res) => {
+  let job;
+  try {
+    job = await loadOcrJob(parseId(req.params.id), req.organization.id, ocrJobOwnerFilter(req));
+  } catch (error) {
+    console.error('一括読み取り状況取得エラー:', error);
+    return res.status(500).json({ error: '一括読み取りの状況の取得に失敗しました。' });
+  }
+  if (!job) {
+    return res.status(404).json({ error: '一括読み取りジョブが見つかりません。' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  send({ type: 'snapshot', job_status: job.status, job });
+  if (job.status === 'completed') {
+    return res.end();
+  }
+
+  const channel = `job:${job.id}`;
+  const listener = (event) => {
+    send(event);
+    if (event.job_status === 'completed') res.end();
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25 * 1000);
+  ocrJobEvents.on(channel, listener);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    ocrJobEvents.off(channel, listener);
+  });
+
+  // 購読を始めるまでの間に完了していた場合
+  const latest = await loadOcrJob(job.id, req.organization.id).catch(() => null);
+  if (latest && latest.status === 'completed' && !res.writableEnded) {
+    send({ type: 'snapshot', job_status: latest.status, job: latest });
+    res.end();
+  }
+});
+
+// 仕訳（複式簿記）API
+const {
+    normalizeJournalLines,
+    loadJournalEntry,
+    insertJournalEntry,
+    updateJournalEntry,
+    deleteJournalEntry,
+    reverseJournalEntry,
+    isSameJournalEntry,
+    isValidTransactionDate,
+    fetchAccountCategories
+} = require('./journal');
+const fiscalPeriods = require('./fiscalPeriods');
+
+// 変更履歴に記録する操作したユーザーと操作元の情報。Render などのリバースプロキシ経由でも利用者のIPを取れるようにする
+const auditContext = (req) => ({ userId: req.user.userId, ip: req.ip });
+
+// 仕訳一覧を明細付きで取得するSQL（WHERE句は呼び出し側で付与）
+const JOURNAL_SELECT = `
+    SELECT t.id, t.client_id, t.transaction_date, t.notes, t.business_type_id, t.department_id, t.counterparty_id,
+           (SELECT c.name FROM counterparties c WHERE c.id = t.counterparty_id) AS counterparty_name,
+           t.entry_type, t.reversal_of, t.created_at, t.updated_at, t.deleted_at,
+           json_agg(json_build_object(
+               'id', l.id,
+               'line_no', l.line_no,
+               'side', l.side,
+               'account_id', l.account_id,
+               'account_name', m.account_name,
+               'amount', l.amount,
+               'tax_category', l.tax_category,
+               'tax_amount', l.tax_amount,
+               'notes', l.notes
+           ) ORDER BY l.line_no) AS lines,
+           (SELECT COALESCE(json_agg(r.id ORDER BY r.id), '[]') FROM receipts r WHERE r.transaction_id = t.id) AS receipt_ids,
+           EXISTS (SELECT 1 FROM fiscal_years f
+                   WHERE f.organization_id = t.organization_id AND f.status = 'closed'
+                     AND t.transaction_date BETWEEN f.start_date AND f.end_date) AS locked
+    FROM transactions t
+    JOIN transaction_lines l ON l.transaction_id = t.id
+    JOIN master_accounts m ON l.account_id = m.id`;
+
+const fetchJournalRow = async (db, organizationId, transactionId) => {
+    const result = await db.query(
+        `${JOURNAL_SELECT}
+         WHERE t.id = $1 AND t.organization_id = $2
+         GROUP BY t.id`,
+        [transactionId, organizationId]
+    );
+    return result.rows[0] || null;
+};
+
+// 仕訳に付ける事業セクション・部門が登録済みか確認する
+// 輸出免税は「輸出免税」が有効な事業セクションの取引でのみ使える
+const assertSegmentTags = async (db, organizationId, lines, businessTypeId, departmentId) => {
+    const fail = (message) => {
+        const error = new Error(message);
+        error.status = 400;
+        throw error;
+    };
+    const sections = await loadBusinessSections(db, organizationId);
+    const businessSection = sections.find(section => section.id === businessTypeId);
+    if (businessTypeId && !businessSection) {
+        fail('指定された事業セクションが見つかりません。');
+    }
+    if (departmentId) {
+        const department = await db.query("SELECT id FROM departments WHERE id = $1 AND organization_id = $2", [departmentId, organizationId]);
+        if (department.rowCount === 0) {
+            fail('指定された部門が見つかりません。');
+        }
+    }
+    if (lines.some(line => line.tax_category === 'export') && !(businessSection && businessSection.is_export)) {
+        fail('輸出免税は輸出免税が有効な事業セクションでのみ選択できます。');
+    }
+};
+
+// 同じ client_id の登録済みの仕訳に対する応答（同じ内容の再送なら 200 でその仕訳、異なる内容なら 409）
+// 登録済みの仕訳がなければ null を返す
+const existingEntryResponse = async (db, organizationId, clientId, submitted) => {
+    const existing = await db.query(
+        `${JOURNAL_SELECT}
+         WHERE t.organization_id = $1 AND t.client_id = $2
+         GROUP BY t.id`,
+        [organizationId, clientId]
+    );
+    if (existing.rowCount === 0) return null;
+    const entry = existing.rows[0];
+    if (isSameJournalEntry(entry, submitted)) {
+        return { status: 200, body: entry };
+    }
+    return {
+        status: 409,
+        body: { error: '同じIDの仕訳が異なる内容で登録済みです。', code: 'SYNC_CONFLICT', server: entry }
+    };
+};
+
+// client_id はブラウザが採番する一意なID。オフライン送信の再送を重複登録せず、
+// 同じIDで内容が異なる場合は競合 (409) として返す
+app.post('/api/transactions', requirePermission('write'), async (req, res) => {
+    const { client_id, transaction_date, notes, business_type_id, department_id, counterparty_id, lines, receipt_id } = req.body;
+    const organizationId = req.organization.id;
+
+    if (!transaction_date) {
+        return res.status(400).json({ error: '日付は必須です。' });
+    }
+    if (!isValidTransactionDate(transaction_date)) {
+        return res.status(400).json({ error: '日付は YYYY-MM-DD 形式で指定してください。' });
+    }
+
+    const validation = normalizeJournalLines(lines);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    const submitted = { transaction_date, notes, lines: validation.lines };
+    const client = await pool.connect();
+    try {
+        // データベースのトランザクションを開始
+        await client.query('BEGIN');
+        await assertSegmentTags(client, organizationId, validation.lines, business_type_id, department_id);
+
+        const existing = client_id ? await existingEntryResponse(client, organizationId, client_id, submitted) : null;
+        if (existing) {
+            await client.query('ROLLBACK');
+            return res.status(existing.status).json(existing.body);
+        }
+
+        const entry = await insertJournalEntry(client, organizationId, {
+            client_id,
+            transaction_date,
+            notes,
+            business_type_id,
+            department_id,
+            counterparty_id,
+            lines: validation.lines
+        }, auditContext(req));
+
+        // OCRで保存した証憑をこの仕訳に紐付ける。検索項目が空なら仕訳の日付・金額で補う
+        if (receipt_id) {
+            const linked = await client.query(
+                `UPDATE receipts SET transaction_id = $1,
+                        transaction_date = COALESCE(transaction_date, $2),
+                        amount = COALESCE(amount, $3),
+                        counterparty = COALESCE(counterparty, $4)
+                 WHERE id = $5 AND organization_id = $6 AND transaction_id IS NULL`,
+                [entry.id, transaction_date, validation.lines.filter(l => l.side === 'debit').reduce((sum, l) => sum + l.amount, 0),
+                 notes || null, receipt_id, organizationId]
+            );
+            if (linked.rowCount === 0) {
+                const error = new Error('指定された証憑が見つからないか、既に別の仕訳に紐付けられています。');
+                error.status = 400;
+                throw error;
+            }
+            entry.receipt_id = receipt_id;
+        }
+
+        // トランザクションをコミット（変更を確定）
+        await client.query('COMMIT');
+
+        res.status(201).json(entry);
+
+    } catch (error) {
+        // エラーが発生した場合はロールバック（変更を取り消し）
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        // 同じ client_id の再送が同時に届き、先に登録された場合（一意制約違反）は登録済みの仕訳で応答する
+        if (error.code === '23505' && client_id) {
+            const existing = await existingEntryResponse(pool, organizationId, client_id, submitted).catch(() => null);
+            if (existing) return res.status(existing.status).json(existing.body);
+        }
+        console.error('仕訳登録エラー:', error);
+        res.status(500).json({ error: '仕訳の登録に失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+// 仕訳一覧。期間・科目・大分類・金額・摘要・部門・取引先・税区分で絞り込み、cursor でページ送りする（条件は transactionQuery.js）
+// { transactions, next_cursor, totals } を返す。totals は条件に合う仕訳全体の件数・金額
+const transactionQuery = require('./transactionQuery');
+app.get('/api/transactions', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const search = transactionQuery.buildTransactionSearch(organizationId, req.query);
+    if (search.error) {
+        return res.status(400).json({ error: search.error });
+    }
+
+    try {
+        const result = await transactionQuery.searchTransactions(pool, search, async (ids) => {
+            const rows = await pool.query(
+                `${JOURNAL_SELECT}
+                 WHERE t.id = ANY($1::int[]) AND t.organization_id = $2
+                 GROUP BY t.id`,
+                [ids, organizationId]
+            );
+            return rows.rows;
+        });
+        res.json(result);
+    } catch (error) {
+        console.error('仕訳一覧取得エラー:', error);
+        res.status(500).json({ error: '仕訳の取得に失敗しました。' });
+    }
+});
+
+// 仕訳の登録・訂正・削除の履歴（変更前後の内容・操作者・日時・IPアドレス）
+app.get('/api/transactions/:id/history', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const owned = await pool.query(
+            "SELECT id FROM transactions WHERE id = $1 AND organization_id = $2",
+            [parseId(req.params.id), organizationId]
+        );
+        if (owned.rowCount === 0) {
+            return res.status(404).json({ error: '仕訳が見つかりません。' });
+        }
+        const history = await pool.query(
+            `SELECT a.id, a.action, a.before_data, a.after_data, a.ip_address, a.created_at,
+                    a.user_id, u.email AS user_email
+             FROM transaction_audit_log a
+             JOIN users u ON a.user_id = u.id
+             WHERE a.transaction_id = $1
+             ORDER BY a.id`,
+            [owned.rows[0].id]
+        );
+        res.json(history.rows);
+    } catch (error) {
+        console.error('仕訳履歴取得エラー:', error);
+        res.status(500).json({ error: '仕訳の履歴の取得に失敗しました。' });
+    }
+});
+
+// 仕訳の訂正。PUT は日付・摘要・事業セクション・部門・取引先・明細をすべて置き換え、PATCH は指定した項目だけを変更する
+// base_updated_at にはブラウザが最後に取得した updated_at を渡す（他の端末での変更と競合したら 409）
+const updateTransaction = (replace) => async (req, res) => {
+    const organizationId = req.organization.id;
+    const transactionId = parseId(req.params.id);
+    const body = req.body;
+    const changes = replace
+        ? {
+            transaction_date: body.transaction_date,
+            notes: body.notes || null,
+            business_type_id: body.business_type_id || null,
+            department_id: body.department_id || null,
+            counterparty_id: body.counterparty_id || null,
+            lines: body.lines
+        }
+        : Object.fromEntries(['transaction_date', 'notes', 'business_type_id', 'department_id', 'counterparty_id', 'lines']
+            .filter(key => body[key] !== undefined)
+            .map(key => [key, body[key]]));
+
+    if (replace ? !changes.transaction_date : changes.transaction_date === '') {
+        return res.status(400).json({ error: '日付は必須です。' });
+    }
+    if (changes.transaction_date !== undefined && !isValidTransactionDate(changes.transaction_date)) {
+        return res.status(400).json({ error: '日付は YYYY-MM-DD 形式で指定してください。' });
+    }
+    if (replace && !changes.lines) {
+        return res.status(400).json({ error: '仕訳には借方・貸方それぞれ1行以上の明細が必要です。' });
+    }
+    if (changes.lines) {
+        const validation = normalizeJournalLines(changes.lines);
+        if (validation.error) {
+            return res.status(400).json({ error: validation.error });
+        }
+        changes.lines = validation.lines;
+    }
+    changes.base_updated_at = body.base_updated_at;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const current = await loadJournalEntry(client, organizationId, transactionId);
+        if (current) {
+            const pick = (key) => (changes[key] === undefined ? current[key] : changes[key]);
+            await assertSegmentTags(client, organizationId, changes.lines || current.lines,
+                pick('business_type_id'), pick('department_id'));
+        }
+        await updateJournalEntry(client, organizationId, transactionId, changes, auditContext(req));
+        await client.query('COMMIT');
+
+        res.json(await fetchJournalRow(pool, organizationId, transactionId));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code, server: error.server });
+        }
+        console.error('仕訳訂正エラー:', error);
+        res.status(500).json({ error: '仕訳の訂正に失敗しました。' });
+    } finally {
+        client.release();
+    }
+};
+
+app.put('/api/transactions/:id', requirePermission('write'), updateTransaction(true));
+app.patch('/api/transactions/:id', requirePermission('write'), updateTransaction(false));
+
+// 仕訳の削除は論理削除とし、削除前の内容を履歴に残す
+app.delete('/api/transactions/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const deleted = await deleteJournalEntry(client, organizationId, parseId(req.params.id), auditContext(req));
+        // 減価償却・家事按分の仕訳を削除した場合は、同じ年度を計上し直せるよう計上履歴も消す
+        await client.query("DELETE FROM depreciation_postings WHERE transaction_id = $1", [deleted.id]);
+        await client.query("DELETE FROM apportionment_postings WHERE transaction_id = $1", [deleted.id]);
+        await client.query('COMMIT');
+
+        res.status(200).json({ message: '仕訳を削除しました。' });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            // 削除対象が見つからない、他人のデータ、または締め済みの年度の仕訳
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('仕訳削除エラー:', error);
+        res.status(500).json({ error: '仕訳の削除に失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+// 逆仕訳（貸借を入れ替えた取消仕訳）の登録。締め済みの年度の仕訳は、翌年度以降の日付で取り消してから正しい仕訳を登録する
+// transaction_date を省略した場合は今日の日付で登録する
+app.post('/api/transactions/:id/reverse', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const transactionDate = req.body.transaction_date || new Date().toISOString().slice(0, 10);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const entry = await reverseJournalEntry(client, organizationId, parseId(req.params.id), {
+            transaction_date: transactionDate,
+            notes: req.body.notes
+        }, auditContext(req));
+        await client.query('COMMIT');
+
+        res.status(201).json(await fetchJournalRow(pool, organizationId, entry.id));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('逆仕訳登録エラー:', error);
+        res.status(500).json({ error: '逆仕訳の登録に失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+// 定期取引API（地代家賃・水道光熱費・サブスクリプションなどを予定日に計上する）
+// 予定日の計上はサーバー内のスケジューラー（startServer で開始）が行う。作成・変更時に予定日が来ている分はその場で計上する
+const recurring = require('./recurringTransactions');
+
+const loadRecurringTransaction = async (db, organizationId, id, { forUpdate = false } = {}) => {
+    const result = await db.query(
+        `SELECT organization_id, ${recurring.RECURRING_COLUMNS} FROM recurring_transactions
+         WHERE id = $1 AND organization_id = $2${forUpdate ? ' FOR UPDATE' : ''}`,
+        [id, organizationId]
+    );
+    return result.rows[0] || null;
+};
+
+// 一覧・画面表示用に、1回あたりの金額（借方合計）と金額を予定日ごとに変更できるかを付ける
+const recurringResponse = ({ organization_id, ...template }) => ({
+    ...template,
+    schedule_label: recurring.SCHEDULES[template.schedule],
+    amount: template.lines.filter(l => l.side === 'debit').reduce((sum, l) => sum + l.amount, 0),
+    amount_editable: recurring.canOverrideAmount(template.lines)
+});
+
+// テンプレートの明細・事業セクション・部門を検証する（存在しない科目・他の帳簿の科目は 400）
+const assertRecurringTemplate = async (db, organizationId, template) => {
+    await assertSegmentTags(db, organizationId, template.lines, template.business_type_id, template.department_id);
+    await fetchAccountCategories(db, organizationId, template.lines);
+};
+
+const sendRecurringError = (res, error, fallbackMessage) => {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: `${fallbackMessage}。` });
+};
+
+app.get('/api/recurring-transactions', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            `SELECT organization_id, ${recurring.RECURRING_COLUMNS},
+                    (SELECT COUNT(*)::int FROM recurring_transaction_occurrences o
+                     WHERE o.recurring_transaction_id = r.id AND o.status IN ('pending', 'failed')) AS pending_count
+             FROM recurring_transactions r
+             WHERE organization_id = $1
+             ORDER BY active DESC, next_occurrence_date NULLS LAST, id`,
+            [organizationId]
+        );
+        res.json(result.rows.map(recurringResponse));
+    } catch (error) {
+        console.error('定期取引一覧取得エラー:', error);
+        res.status(500).json({ error: '定期取引の取得に失敗しました。' });
+    }
+});
+
+// 戻り値の generated は作成時に計上（承認制なら承認待ちに）した予定日の一覧。開始日が過去ならさかのぼって計上する
+app.post('/api/recurring-transactions', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = recurring.validateRecurringTransaction(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const t = validation.template;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await assertRecurringTemplate(client, organizationId, t);
+        const inserted = await client.query(
+            `INSERT INTO recurring_transactions (organization_id, name, schedule, interval_months, day_of_month, start_date, end_date,
+                                                 posting_mode, notes, business_type_id, department_id, lines, active,
+                                                 next_occurrence_date, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+             RETURNING organization_id, ${recurring.RECURRING_COLUMNS}`,
+            [organizationId, t.name, t.schedule, t.interval_months, t.day_of_month, t.start_date, t.end_date,
+             t.posting_mode, t.notes, t.business_type_id, t.department_id, JSON.stringify(t.lines), t.active,
+             await recurring.computeNextOccurrence(client, t), req.user.userId]
+        );
+        const generated = await recurring.generateOccurrences(client, inserted.rows[0]);
+        const template = await loadRecurringTransaction(client, organizationId, inserted.rows[0].id);
+        await client.query('COMMIT');
+
+        res.status(201).json({ ...recurringResponse(template), generated });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        sendRecurringError(res, error, '定期取引の登録に失敗しました');
+    } finally {
+        client.release();
+    }
+});
+
+// テンプレートを置き換える（一時停止・再開は active を変えて送る）。計上済みの予定日はそのまま残し、次の予定日から新しい内容で計上する
+app.put('/api/recurring-transactions/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = recurring.validateRecurringTransaction(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const t = validation.template;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const current = await loadRecurringTransaction(client, organizationId, parseId(req.params.id), { forUpdate: true });
+        if (!current) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: '定期取引が見つかりません。' });
+        }
+        await assertRecurringTemplate(client, organizationId, t);
+        const updated = await client.query(
+            `UPDATE recurring_transactions
+             SET name = $2, schedule = $3, interval_months = $4, day_of_month = $5, start_date = $6, end_date = $7,
+                 posting_mode = $8, notes = $9, business_type_id = $10, department_id = $11, lines = $12, active = $13,
+                 next_occurrence_date = $14, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING organization_id, ${recurring.RECURRING_COLUMNS}`,
+            [current.id, t.name, t.schedule, t.interval_months, t.day_of_month, t.start_date, t.end_date,
+             t.posting_mode, t.notes, t.business_type_id, t.department_id, JSON.stringify(t.lines), t.active,
+             await recurring.computeNextOccurrence(client, { ...t, id: current.id })]
+        );
+        const generated = await recurring.generateOccurrences(client, updated.rows[0]);
+        const template = await loadRecurringTransaction(client, organizationId, current.id);
+        await client.query('COMMIT');
+
+        res.json({ ...recurringResponse(template), generated });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        sendRecurringError(res, error, '定期取引の更新に失敗しました');
+    } finally {
+        client.release();
+    }
+});
+
+// テンプレートを削除する。計上済みの仕訳は残る（承認待ちの予定日は破棄する）
+app.delete('/api/recurring-transactions/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            "DELETE FROM recurring_transactions WHERE id = $1 AND organization_id = $2 RETURNING id",
+            [parseId(req.params.id), organizationId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '定期取引が見つかりません。' });
+        }
+        res.json({ message: '定期取引を削除しました。' });
+    } catch (error) {
+        console.error('定期取引削除エラー:', error);
+        res.status(500).json({ error: '定期取引の削除に失敗しました。' });
+    }
+});
+
+// 予定日の計上状況（history）と、今後の予定日・金額（upcoming。count 件、既定12件）
+app.get('/api/recurring-transactions/:id/occurrences', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const count = Math.min(Math.max(parseInt(req.query.count, 10) || 12, 1), 60);
+
+    try {
+        const template = await loadRecurringTransaction(pool, organizationId, parseId(req.params.id));
+        if (!template) {
+            return res.status(404).json({ error: '定期取引が見つかりません。' });
+        }
+        const [history, overrides] = await Promise.all([
+            pool.query(
+                `SELECT id, occurrence_date, status, amount, transaction_id, error, decided_at
+                 FROM recurring_transaction_occurrences
+                 WHERE recurring_transaction_id = $1
+                 ORDER BY occurrence_date DESC
+                 LIMIT 100`,
+                [template.id]
+            ),
+            pool.query(
+                "SELECT occurrence_date, amount FROM recurring_transaction_overrides WHERE recurring_transaction_id = $1",
+                [template.id]
+            )
+        ]);
+        const overrideAmounts = new Map(overrides.rows.map(o => [o.occurrence_date, o.amount]));
+        const { amount } = recurringResponse(template);
+        const upcoming = template.next_occurrence_date
+            ? recurring.occurrenceDates(template, template.next_occurrence_date, template.end_date || '9999-12-31', count)
+                .map(date => ({
+                    occurrence_date: date,
+                    amount: overrideAmounts.get(date) || amount,
+                    overridden: overrideAmounts.has(date)
+                }))
+            : [];
+
+        res.json({ history: history.rows, upcoming });
+    } catch (error) {
+        console.error('定期取引の予定取得エラー:', error);
+        res.status(500).json({ error: '定期取引の予定の取得に失敗しました。' });
+    }
+});
+
+// テンプレートの予定日か確認する（問題なければ null）
+const validateOverrideDate = (template, date) => {
+    if (!recurring.isValidDate(date)) return '予定日は YYYY-MM-DD 形式で指定してください。';
+    if (recurring.occurrenceDates(template, date, date).length === 0) return 'この日付は定期取引の予定日ではありません。';
+    return null;
+};
+
+// 予定日の金額を変更する（税込）。body: { amount }。計上済み・見送り済みの予定日は変更できない
+app.put('/api/recurring-transactions/:id/overrides/:date', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const date = req.params.date;
+    const amount = Number(req.body.amount);
+
+    try {
+        const template = await loadRecurringTransaction(pool, organizationId, parseId(req.params.id));
+        if (!template) {
+            return res.status(404).json({ error: '定期取引が見つかりません。' });
+        }
+        const invalid = validateOverrideDate(template, date) || recurring.validateOverrideAmount(template, amount);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        const decided = await pool.query(
+            `SELECT status FROM recurring_transaction_occurrences
+             WHERE recurring_transaction_id = $1 AND occurrence_date = $2 AND status IN ('posted', 'skipped')`,
+            [template.id, date]
+        );
+        if (decided.rowCount > 0) {
+            return res.status(409).json({ error: 'この予定日は計上済み（または見送り済み）のため金額を変更できません。', code: 'OCCURRENCE_DECIDED' });
+        }
+        const result = await pool.query(
+            `INSERT INTO recurring_transaction_overrides (recurring_transaction_id, occurrence_date, amount)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (recurring_transaction_id, occurrence_date) DO UPDATE SET amount = EXCLUDED.amount
+             RETURNING occurrence_date, amount`,
+            [template.id, date, amount]
+        );
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('定期取引の金額変更エラー:', error);
+        res.status(500).json({ error: '予定日の金額の変更に失敗しました。' });
+    }
+});
+
+app.delete('/api/recurring-transactions/:id/overrides/:date', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            `DELETE FROM recurring_transaction_overrides o
+             USING recurring_transactions r
+             WHERE o.recurring_transaction_id = r.id AND r.id = $1 AND r.organization_id = $2 AND o.occurrence_date = $3
+             RETURNING o.occurrence_date`,
+            [parseId(req.params.id), organizationId, recurring.isValidDate(req.params.date) ? req.params.date : null]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '変更した金額が見つかりません。' });
+        }
+        res.json({ message: '予定日の金額を元に戻しました。' });
+    } catch (error) {
+        console.error('定期取引の金額変更の取消エラー:', error);
+        res.status(500).json({ error: '予定日の金額を元に戻せませんでした。' });
+    }
+});
+
+// 承認待ち（pending）と計上できなかった（failed）予定日。ダッシュボードに表示する
+// status=pending,failed,posted,skipped のようにカンマ区切りで絞り込める
+const OCCURRENCE_STATUSES = ['pending', 'posted', 'skipped', 'failed'];
+app.get('/api/recurring-occurrences', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const statuses = String(req.query.status || 'pending,failed').split(',').filter(s => OCCURRENCE_STATUSES.includes(s));
+
+    try {
+        const result = await pool.query(
+            `SELECT o.id, o.recurring_transaction_id, o.occurrence_date, o.status, o.transaction_id, o.error,
+                    r.name, r.notes, r.lines, ov.amount AS override_amount
+             FROM recurring_transaction_occurrences o
+             JOIN recurring_transactions r ON o.recurring_transaction_id = r.id
+             LEFT JOIN recurring_transaction_overrides ov
+                    ON ov.recurring_transaction_id = o.recurring_transaction_id AND ov.occurrence_date = o.occurrence_date
+             WHERE r.organization_id = $1 AND o.status = ANY($2::text[])
+             ORDER BY o.occurrence_date, o.id
+             LIMIT 500`,
+            [organizationId, statuses]
+        );
+        res.json(result.rows.map(({ override_amount, ...row }) => ({
+            ...row,
+            amount: override_amount || row.lines.filter(l => l.side === 'debit').reduce((sum, l) => sum + l.amount, 0),
+            amount_editable: recurring.canOverrideAmount(row.lines)
+        })));
+    } catch (error) {
+        console.error('定期取引の承認待ち取得エラー:', error);
+        res.status(500).json({ error: '承認待ちの定期取引の取得に失敗しました。' });
+    }
+});
+
+// 承認待ち・計上できなかった予定日を計上する。body: { amount }（省略時はテンプレート・変更した金額）
+// 締め済みの年度などで計上できない場合は failed として記録し、その理由を返す
+app.post('/api/recurring-occurrences/:id/approve', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const amount = req.body.amount === undefined || req.body.amount === null || req.body.amount === '' ? null : Number(req.body.amount);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const occurrence = await client.query(
+            `SELECT o.id, o.recurring_transaction_id, o.occurrence_date, o.status
+             FROM recurring_transaction_occurrences o
+             JOIN recurring_transactions r ON o.recurring_transaction_id = r.id
+             WHERE o.id = $1 AND r.organization_id = $2
+             FOR UPDATE OF o`,
+            [parseId(req.params.id), organizationId]
+        );
+        if (occurrence.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: '承認待ちの定期取引が見つかりません。' });
+        }
+        const target = occurrence.rows[0];
+        if (!['pending', 'failed'].includes(target.status)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'この予定日は計上済み（または見送り済み）です。', code: 'OCCURRENCE_DECIDED' });
+        }
+        const template = await loadRecurringTransaction(client, organizationId, target.recurring_transaction_id);
+        const invalid = amount !== null && recurring.validateOverrideAmount(template, amount);
+        if (invalid) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: invalid });
+        }
+
+        const result = await recurring.postOccurrence(client, template, target, {
+            amount,
+            audit: auditContext(req),
+            decidedBy: req.user.userId
+        });
+        await client.query('COMMIT');
+
+        if (result.status === 'failed') {
+            return res.status(result.error.status).json({ error: result.error.message, code: result.error.code });
+        }
+        res.status(201).json(await fetchJournalRow(pool, organizationId, result.transaction_id));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        sendRecurringError(res, error, '定期取引の計上に失敗しました');
+    } finally {
+        client.release();
+    }
+});
+
+// 予定日を計上せずに見送る（解約済みの月・二重払いの返金など）
+app.post('/api/recurring-occurrences/:id/skip', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            `UPDATE recurring_transaction_occurrences o
+             SET status = 'skipped', decided_by = $3, decided_at = CURRENT_TIMESTAMP
+             FROM recurring_transactions r
+             WHERE o.recurring_transaction_id = r.id AND o.id = $1 AND r.organization_id = $2
+               AND o.status IN ('pending', 'failed')
+             RETURNING o.id, o.occurrence_date, o.status`,
+            [parseId(req.params.id), organizationId, req.user.userId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '承認待ちの定期取引が見つかりません。' });
+        }
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('定期取引の見送りエラー:', error);
+        res.status(500).json({ error: '定期取引の見送りに失敗しました。' });
+    }
+});
+
+// 帳票（試算表・損益計算書・貸借対照表）API
+const reports = require('./reports');
+
+// 当期と前年同期間の科目別集計を取得して帳票を組み立てる共通処理
+const sendReport = (builder, label) => async (req, res) => {
+    const organizationId = req.organization.id;
+    const resolved = reports.resolvePeriod(req.query);
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+
+    const period = resolved.period;
+    const previous = reports.previousPeriod(period, resolved.startMonth);
+
+    try {
+        const [rows, previousRows] = await Promise.all([
+            reports.fetchAccountTotals(pool, organizationId, period),
+            reports.fetchAccountTotals(pool, organizationId, previous)
+        ]);
+
+        res.json({
+            period,
+            previous_period: previous,
+            ...builder(rows, previousRows)
+        });
+    } catch (error) {
+        console.error(`${label}取得エラー:`, error);
+        res.status(500).json({ error: `${label}の作成に失敗しました。` });
+    }
+};
+
+app.get('/api/reports/trial-balance', requirePermission('read'), sendReport(reports.buildTrialBalance, '試算表'));
+app.get('/api/reports/profit-loss', requirePermission('read'), sendReport(reports.buildProfitLoss, '損益計算書'));
+app.get('/api/reports/balance-sheet', requirePermission('read'), sendReport(reports.buildBalanceSheet, '貸借対照表'));
+
+// 月別の売上・経費推移（ダッシュボードの年間チャート用）
+app.get('/api/reports/monthly-summary', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const resolved = reports.resolvePeriod(req.query);
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+
+    try {
+        const months = await reports.fetchMonthlySummary(pool, organizationId, resolved.period);
+        res.json({ period: resolved.period, months });
+    } catch (error) {
+        console.error('月別推移取得エラー:', error);
+        res.status(500).json({ error: '月別推移の取得に失敗しました。' });
+    }
+});
+
+// 会計年度の締め・再オープンAPI
+// 年度は期首の年で指定する（start_month は期首月、省略時は1月）
+
+app.get('/api/fiscal-years', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            `SELECT ${fiscalPeriods.FISCAL_YEAR_COLUMNS} FROM fiscal_years WHERE organization_id = $1 ORDER BY fiscal_year DESC`,
+            [organizationId]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error('会計年度一覧取得エラー:', error);
+        res.status(500).json({ error: '会計年度の取得に失敗しました。' });
+    }
+});
+
+// 締め・再オープンの履歴
+app.get('/api/fiscal-years/:year/events', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            `SELECT e.id, e.action, e.reason, e.details, e.created_at, e.user_id, u.email AS user_email
+             FROM fiscal_year_events e
+             JOIN fiscal_years f ON e.fiscal_year_id = f.id
+             JOIN users u ON e.user_id = u.id
+             WHERE f.organization_id = $1 AND f.fiscal_year = $2
+             ORDER BY e.created_at, e.id`,
+            [organizationId, parseInt(req.params.year, 10) || 0]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error('会計年度履歴取得エラー:', error);
+        res.status(500).json({ error: '会計年度の履歴の取得に失敗しました。' });
+    }
+});
+
+// 年度を締める。損益を資本の科目（元入金。body.capital_account_id で変更可）に振り替える決算振替仕訳を期末日付で、
+// 資産・負債・資本の残高を繰り越す開始仕訳を翌期首日付で計上し、以後その年度の仕訳を登録・変更・削除できなくする
+// 締め・再オープンは期間のロックを外せる操作なので、オーナー（manage）だけに許可する
+app.post('/api/fiscal-years/:year/close', requirePermission('manage'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const fiscalYear = parseInt(req.params.year, 10);
+    const resolved = reports.resolvePeriod({ fiscal_year: req.params.year, start_month: req.body.start_month });
+    if (!Number.isInteger(fiscalYear) || resolved.error) {
+        return res.status(400).json({ error: resolved.error || '年度は西暦で指定してください。' });
+    }
+    const period = reports.fiscalYearPeriod(fiscalYear, resolved.startMonth);
+    const nextPeriod = reports.fiscalYearPeriod(fiscalYear + 1, resolved.startMonth);
+
+    const client = await pool.connect();
+    try {
+        const capitalResult = req.body.capital_account_id
+            ? await client.query(
+                `SELECT id, account_name FROM master_accounts
+                 WHERE id = $1 AND category = 'net_assets' AND (owner_organization_id IS NULL OR owner_organization_id = $2)`,
+                [parseId(req.body.capital_account_id), organizationId])
+            : await client.query(
+                `SELECT id, account_name FROM master_accounts
+                 WHERE account_name = ANY($1::text[]) AND owner_organization_id IS NULL
+                 ORDER BY array_position($1::text[], account_name::text)`,
+                [fiscalPeriods.CAPITAL_ACCOUNT_NAMES]);
+        if (capitalResult.rowCount === 0) {
+            return res.status(400).json({ error: '損益の振替先となる純資産の勘定科目（元入金など）が見つかりません。' });
+        }
+        const capitalAccount = capitalResult.rows[0];
+        const drawingResult = await client.query(
+            "SELECT id FROM master_accounts WHERE account_name = ANY($1::text[]) AND owner_organization_id IS NULL",
+            [fiscalPeriods.DRAWING_ACCOUNT_NAMES]
+        );
+
+        await client.query('BEGIN');
+        const year = await fiscalPeriods.lockFiscalYear(client, organizationId, fiscalYear, period);
+        if (year.status === 'closed') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: `${fiscalYear}年度は締め済みです。`, code: 'PERIOD_LOCKED' });
+        }
+
+        // 前年度に仕訳があるなら先に締める（繰越残高が後から変わらないようにする）
+        const previousOpen = await client.query(
+            `SELECT 1 FROM transactions t
+             WHERE t.organization_id = $1 AND t.entry_type = 'normal' AND t.deleted_at IS NULL AND t.transaction_date < $2
+               AND NOT EXISTS (SELECT 1 FROM fiscal_years f
+                               WHERE f.organization_id = t.organization_id AND f.status = 'closed'
+                                 AND t.transaction_date BETWEEN f.start_date AND f.end_date)
+             LIMIT 1`,
+            [organizationId, period.from]
+        );
+        if (previousOpen.rowCount > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: '前年度以前に締めていない仕訳があります。古い年度から順に締めてください。', code: 'PREVIOUS_YEAR_OPEN' });
+        }
+
+        const totals = await fiscalPeriods.fetchClosingTotals(client, organizationId, period);
+        const closing = fiscalPeriods.buildClosingLines(totals, capitalAccount.id);
+        const carryForward = fiscalPeriods.buildCarryForwardLines(totals, capitalAccount.id, drawingResult.rows.map(r => r.id));
+
+        // 翌期首が締め済みの年度に含まれる場合は insertJournalEntry が 409 を投げる
+        const post = async (lines, entry) => {
+            if (lines.length === 0) return null;
+            const validation = normalizeJournalLines(lines);
+            if (validation.error) throw new Error(validation.error);
+            return insertJournalEntry(client, organizationId, { ...entry, lines: validation.lines }, auditContext(req));
+        };
+        const closingEntry = await post(closing.lines, {
+            transaction_date: period.to,
+            notes: `決算振替仕訳（${fiscalYear}年度）`,
+            entry_type: 'closing'
+        });
+        const openingEntry = await post(carryForward, {
+            transaction_date: nextPeriod.from,
+            notes: `開始仕訳（${fiscalYear}年度から繰越）`,
+            entry_type: 'opening'
+        });
+
+        const updated = await client.query(
+            `UPDATE fiscal_years
+             SET status = 'closed', closed_at = CURRENT_TIMESTAMP, start_date = $2, end_date = $3,
+                 closing_transaction_id = $4, opening_transaction_id = $5
+             WHERE id = $1
+             RETURNING ${fiscalPeriods.FISCAL_YEAR_COLUMNS}`,
+            [year.id, period.from, period.to, closingEntry && closingEntry.id, openingEntry && openingEntry.id]
+        );
+        await fiscalPeriods.logFiscalYearEvent(client, year.id, req.user.userId, 'close', req.body.reason, {
+            net_income: closing.net_income,
+            capital_account: capitalAccount.account_name,
+            closing_transaction_id: closingEntry && closingEntry.id,
+            opening_transaction_id: openingEntry && openingEntry.id
+        });
+
+        await client.query('COMMIT');
+        res.status(201).json({ ...updated.rows[0], net_income: closing.net_income, closing_entry: closingEntry, opening_entry: openingEntry });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('会計年度の締めエラー:', error);
+        res.status(500).json({ error: '会計年度の締めに失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+// 締めた年度を訂正のために再オープンする（理由は必須）。決算振替仕訳と開始仕訳は論理削除し、締め直すときに作り直す
+app.post('/api/fiscal-years/:year/reopen', requirePermission('manage'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const fiscalYear = parseInt(req.params.year, 10);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+        return res.status(400).json({ error: '再オープンの理由を入力してください。' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const yearResult = await client.query(
+            `SELECT ${fiscalPeriods.FISCAL_YEAR_COLUMNS} FROM fiscal_years WHERE organization_id = $1 AND fiscal_year = $2 FOR UPDATE`,
+            [organizationId, fiscalYear || 0]
+        );
+        const year = yearResult.rows[0];
+        if (!year || year.status !== 'closed') {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: `${fiscalYear}年度は締められていません。` });
+        }
+
+        // 翌年度の開始仕訳はこの年度の残高に基づくため、翌年度から順に再オープンする
+        const laterClosed = await client.query(
+            "SELECT fiscal_year FROM fiscal_years WHERE organization_id = $1 AND status = 'closed' AND start_date > $2 ORDER BY fiscal_year LIMIT 1",
+            [organizationId, year.end_date]
+        );
+        if (laterClosed.rowCount > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                error: `${laterClosed.rows[0].fiscal_year}年度が締め済みです。新しい年度から順に再オープンしてください。`,
+                code: 'PERIOD_LOCKED'
+            });
+        }
+
+        const updated = await client.query(
+            `UPDATE fiscal_years
+             SET status = 'open', closed_at = NULL, closing_transaction_id = NULL, opening_transaction_id = NULL
+             WHERE id = $1
+             RETURNING ${fiscalPeriods.FISCAL_YEAR_COLUMNS}`,
+            [year.id]
+        );
+        // 期間のロックを外してから論理削除する（削除の履歴は変更履歴に残る）
+        const generatedIds = [year.closing_transaction_id, year.opening_transaction_id].filter(Boolean);
+        for (const transactionId of generatedIds) {
+            await deleteJournalEntry(client, organizationId, transactionId, auditContext(req), { allowGenerated: true });
+        }
+        await fiscalPeriods.logFiscalYearEvent(client, year.id, req.user.userId, 'reopen', reason, {
+            deleted_transaction_ids: generatedIds
+        });
+
+        await client.query('COMMIT');
+        res.json(updated.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('会計年度の再オープンエラー:', error);
+        res.status(500).json({ error: '会計年度の再オープンに失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+// ブラウザ側の設定（事業者区分・課税方式）API。部門・事業セクションは下の部門・事業セクションAPIで管理する
+
+// 保存済みの設定を取得する（未保存なら空オブジェクト）
+const loadUserSettings = async (db, organizationId) => {
+    const result = await db.query("SELECT settings FROM user_settings WHERE organization_id = $1", [organizationId]);
+    return result.rows[0] ? result.rows[0].settings : {};
+};
+app.get('/api/settings', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            "SELECT settings, updated_at FROM user_settings WHERE organization_id = $1",
+            [organizationId]
+        );
+        // 未保存の場合は settings: null を返し、ブラウザ側で初期値を使う
+        res.json(result.rows[0] || { settings: null, updated_at: null });
+    } catch (error) {
+        console.error('設定取得エラー:', error);
+        res.status(500).json({ error: '設定の取得に失敗しました。' });
+    }
+});
+
+// base_updated_at にはブラウザが最後に取得した updated_at を渡す。
+// サーバー側がその後に更新されていれば競合 (409) として上書きしない
+app.put('/api/settings', requirePermission('write'), async (req, res) => {
+    const { settings, base_updated_at } = req.body;
+    const organizationId = req.organization.id;
+
+    if (!settings || typeof settings !== 'object') {
+        return res.status(400).json({ error: '設定内容が不正です。' });
+    }
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO user_settings (organization_id, settings, updated_at)
+             VALUES ($1, $2, CURRENT_TIMESTAMP)
+             ON CONFLICT (organization_id) DO UPDATE
+                 SET settings = EXCLUDED.settings, updated_at = CURRENT_TIMESTAMP
+                 WHERE $3::timestamptz IS NULL OR user_settings.updated_at = $3::timestamptz
+             RETURNING settings, updated_at`,
+            [organizationId, settings, base_updated_at || null]
+        );
+
+        if (result.rowCount === 0) {
+            const current = await pool.query(
+                "SELECT settings, updated_at FROM user_settings WHERE organization_id = $1",
+                [organizationId]
+            );
+            return res.status(409).json({
+                error: '設定が他の端末で更新されています。',
+                code: 'SYNC_CONFLICT',
+                server: current.rows[0]
+            });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('設定保存エラー:', error);
+        res.status(500).json({ error: '設定の保存に失敗しました。' });
+    }
+});
+
+// 部門・事業セクションAPI（セグメント別損益計算書の集計単位）
+const segments = require('./segments');
+
+// 事業セクションの一覧。初回は以前ブラウザが user_settings に保存していた設定から登録する
+const loadBusinessSections = async (db, organizationId) => {
+    await segments.ensureSegments(db, organizationId, await loadUserSettings(db, organizationId));
+    const result = await db.query(
+        `SELECT ${segments.BUSINESS_SECTION_COLUMNS} FROM business_sections WHERE organization_id = $1 ORDER BY created_at, id`,
+        [organizationId]
+    );
+    return result.rows;
+};
+
+const loadDepartments = async (db, organizationId) => {
+    await segments.ensureSegments(db, organizationId, await loadUserSettings(db, organizationId));
+    const result = await db.query(
+        `SELECT ${segments.DEPARTMENT_COLUMNS} FROM departments WHERE organization_id = $1 ORDER BY id`,
+        [organizationId]
+    );
+    return result.rows;
+};
+
+app.get('/api/business-sections', requirePermission('read'), async (req, res) => {
+    try {
+        res.json(await loadBusinessSections(pool, req.organization.id));
+    } catch (error) {
+        console.error('事業セクション取得エラー:', error);
+        res.status(500).json({ error: '事業セクションの取得に失敗しました。' });
+    }
+});
+
+app.post('/api/business-sections', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = segments.validateBusinessSection(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const section = validation.section;
+
+    try {
+        await loadBusinessSections(pool, organizationId); // 既定のセクションを先に登録しておく
+        const result = await pool.query(
+            `INSERT INTO business_sections (organization_id, id, name, income_category, is_export, simplified_tax_class)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (organization_id, id) DO NOTHING
+             RETURNING ${segments.BUSINESS_SECTION_COLUMNS}`,
+            [organizationId, req.body.id ? String(req.body.id).slice(0, 100) : segments.newBusinessSectionId(section.name),
+             section.name, section.income_category, section.is_export, section.simplified_tax_class]
+        );
+        if (result.rowCount === 0) {
+            return res.status(409).json({ error: '同じIDの事業セクションが登録済みです。' });
+        }
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        console.error('事業セクション登録エラー:', error);
+        res.status(500).json({ error: '事業セクションの登録に失敗しました。' });
+    }
+});
+
+app.put('/api/business-sections/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = segments.validateBusinessSection(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const section = validation.section;
+
+    try {
+        const result = await pool.query(
+            `UPDATE business_sections
+             SET name = $3, income_category = $4, is_export = $5, simplified_tax_class = $6
+             WHERE organization_id = $1 AND id = $2
+             RETURNING ${segments.BUSINESS_SECTION_COLUMNS}`,
+            [organizationId, req.params.id, section.name, section.income_category, section.is_export, section.simplified_tax_class]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '事業セクションが見つかりません。' });
+        }
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('事業セクション更新エラー:', error);
+        res.status(500).json({ error: '事業セクションの更新に失敗しました。' });
+    }
+});
+
+// 仕訳で使われている事業セクションは削除できない（過去の帳簿の集計が変わるため）
+app.delete('/api/business-sections/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const used = await client.query(
+            `SELECT 1 FROM transactions WHERE organization_id = $1 AND business_type_id = $2 AND deleted_at IS NULL
+             UNION ALL
+             SELECT 1 FROM recurring_transactions WHERE organization_id = $1 AND business_type_id = $2
+             LIMIT 1`,
+            [organizationId, req.params.id]
+        );
+        if (used.rowCount > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'この事業セクションの取引・定期取引があるため削除できません。', code: 'IN_USE' });
+        }
+        const result = await client.query(
+            "DELETE FROM business_sections WHERE organization_id = $1 AND id = $2 RETURNING id",
+            [organizationId, req.params.id]
+        );
+        if (result.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: '事業セクションが見つかりません。' });
+        }
+        await client.query(
+            "UPDATE departments SET default_business_type_id = NULL WHERE organization_id = $1 AND default_business_type_id = $2",
+            [organizationId, req.params.id]
+        );
+        await client.query('COMMIT');
+        res.json({ message: '事業セクションを削除しました。' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('事業セクション削除エラー:', error);
+        res.status(500).json({ error: '事業セクションの削除に失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+app.get('/api/departments', requirePermission('read'), async (req, res) => {
+    try {
+        res.json(await loadDepartments(pool, req.organization.id));
+    } catch (error) {
+        console.error('部門取得エラー:', error);
+        res.status(500).json({ error: '部門の取得に失敗しました。' });
+    }
+});
+
+app.post('/api/departments', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = segments.validateDepartment(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const department = validation.department;
+
+    try {
+        await loadDepartments(pool, organizationId); // 既定の部門を先に登録しておく
+        const result = await pool.query(
+            `INSERT INTO departments (organization_id, name, default_business_type_id)
+             VALUES ($1, $2, $3) RETURNING ${segments.DEPARTMENT_COLUMNS}`,
+            [organizationId, department.name, department.default_business_type_id]
+        );
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        console.error('部門登録エラー:', error);
+        res.status(500).json({ error: '部門の登録に失敗しました。' });
+    }
+});
+
+app.put('/api/departments/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = segments.validateDepartment(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const department = validation.department;
+
+    try {
+        const result = await pool.query(
+            `UPDATE departments SET name = $3, default_business_type_id = $4
+             WHERE id = $1 AND organization_id = $2 RETURNING ${segments.DEPARTMENT_COLUMNS}`,
+            [parseId(req.params.id), organizationId, department.name, department.default_business_type_id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '部門が見つかりません。' });
+        }
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('部門更新エラー:', error);
+        res.status(500).json({ error: '部門の更新に失敗しました。' });
+    }
+});
+
+app.delete('/api/departments/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const used = await pool.query(
+            `SELECT 1 FROM transactions WHERE organization_id = $1 AND department_id = $2
+             UNION ALL
+             SELECT 1 FROM recurring_transactions WHERE organization_id = $1 AND department_id = $2
+             LIMIT 1`,
+            [organizationId, parseId(req.params.id)]
+        );
+        if (used.rowCount > 0) {
+            return res.status(409).json({ error: 'この部門の取引・定期取引があるため削除できません。', code: 'IN_USE' });
+        }
+        const result = await pool.query(
+            "DELETE FROM departments WHERE id = $1 AND organization_id = $2 RETURNING id",
+            [parseId(req.params.id), organizationId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '部門が見つかりません。' });
+        }
+        res.json({ message: '部門を削除しました。' });
+    } catch (error) {
+        console.error('部門削除エラー:', error);
+        res.status(500).json({ error: '部門の削除に失敗しました。' });
+    }
+});
+
+// 取引先マスタ
+// 一覧は q で名前・フリガナ・登録番号を部分一致検索できる
+app.get('/api/counterparties', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const params = [organizationId];
+    let search = '';
+    if (req.query.q) {
+        params.push(`%${String(req.query.q).replace(/[\\%_]/g, '\\$&')}%`);
+        search = "AND (name ILIKE $2 ESCAPE '\\' OR kana ILIKE $2 ESCAPE '\\' OR registration_number ILIKE $2 ESCAPE '\\')";
+    }
+
+    try {
+        const result = await pool.query(
+            `SELECT ${counterpartyLedger.COUNTERPARTY_COLUMNS} FROM counterparties
+             WHERE organization_id = $1 ${search}
+             ORDER BY COALESCE(kana, name), id`,
+            params
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error('取引先取得エラー:', error);
+        res.status(500).json({ error: '取引先の取得に失敗しました。' });
+    }
+});
+
+// OCRで読み取った登録番号・店名に当てはまる取引先（見つからなければ counterparty: null）
+app.get('/api/counterparties/match', requirePermission('read'), async (req, res) => {
+    try {
+        const match = await counterpartyLedger.matchCounterparty(pool, req.organization.id, {
+            registration_number: req.query.registration_number,
+            name: req.query.name
+        });
+        res.json(match || { counterparty: null, matched_by: null });
+    } catch (error) {
+        console.error('取引先照合エラー:', error);
+        res.status(500).json({ error: '取引先の照合に失敗しました。' });
+    }
+});
+
+// 既定の勘定科目がこの組織で使える科目か確認する
+const assertCounterpartyAccount = async (organizationId, counterparty) => {
+    if (!counterparty.default_account_id) return;
+    await fetchAccountCategories(pool, organizationId, [{ account_id: counterparty.default_account_id }]);
+};
+
+// body: { name, kana, registration_number, default_account_id, default_tax_category, notes }
+app.post('/api/counterparties', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = counterpartyLedger.validateCounterparty(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const counterparty = validation.counterparty;
+
+    try {
+        await assertCounterpartyAccount(organizationId, counterparty);
+        const result = await pool.query(
+            `INSERT INTO counterparties (organization_id, name, kana, registration_number, default_account_id, default_tax_category, notes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING ${counterpartyLedger.COUNTERPARTY_COLUMNS}`,
+            [organizationId, counterparty.name, counterparty.kana || null, counterparty.registration_number || null,
+             counterparty.default_account_id || null, counterparty.default_tax_category || null, counterparty.notes || null]
+        );
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('取引先登録エラー:', error);
+        res.status(500).json({ error: '取引先の登録に失敗しました。' });
+    }
+});
+
+// 指定した項目だけを変更する
+app.patch('/api/counterparties/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = counterpartyLedger.validateCounterparty(req.body, { partial: true });
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const changes = validation.counterparty;
+    const keys = Object.keys(changes);
+    if (keys.length === 0) {
+        return res.status(400).json({ error: '変更する項目を指定してください。' });
+    }
+
+    try {
+        await assertCounterpartyAccount(organizationId, changes);
+        const result = await pool.query(
+            `UPDATE counterparties SET ${keys.map((key, index) => `${key} = $${index + 3}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND organization_id = $2 RETURNING ${counterpartyLedger.COUNTERPARTY_COLUMNS}`,
+            [parseId(req.params.id), organizationId, ...keys.map(key => changes[key])]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '取引先が見つかりません。' });
+        }
+        res.json(result.rows[0]);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('取引先更新エラー:', error);
+        res.status(500).json({ error: '取引先の更新に失敗しました。' });
+    }
+});
+
+// 仕訳で使われている取引先は削除できない（削除した仕訳を含む。履歴から参照されるため）
+app.delete('/api/counterparties/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const counterpartyId = parseId(req.params.id);
+
+    try {
+        const used = await pool.query(
+            "SELECT 1 FROM transactions WHERE organization_id = $1 AND counterparty_id = $2 LIMIT 1",
+            [organizationId, counterpartyId]
+        );
+        if (used.rowCount > 0) {
+            return res.status(409).json({ error: 'この取引先の取引があるため削除できません。', code: 'IN_USE' });
+        }
+        const result = await pool.query(
+            "DELETE FROM counterparties WHERE id = $1 AND organization_id = $2 RETURNING id",
+            [counterpartyId, organizationId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '取引先が見つかりません。' });
+        }
+        res.json({ message: '取引先を削除しました。' });
+    } catch (error) {
+        console.error('取引先削除エラー:', error);
+        res.status(500).json({ error: '取引先の削除に失敗しました。' });
+    }
+});
+
+// 取引先元帳。期間（from/to または fiscal_year）内の売掛金・買掛金の増減と残高、期末時点の消込状況
+app.get('/api/counterparties/:id/ledger', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const resolved = reports.resolvePeriod(req.query);
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+
+    try {
+        const counterparty = await pool.query(
+            `SELECT ${counterpartyLedger.COUNTERPARTY_COLUMNS} FROM counterparties WHERE id = $1 AND organization_id = $2`,
+            [parseId(req.params.id), organizationId]
+        );
+        if (counterparty.rowCount === 0) {
+            return res.status(404).json({ error: '取引先が見つかりません。' });
+        }
+        const ledger = await counterpartyLedger.counterpartyLedger(pool, organizationId, counterparty.rows[0].id, resolved.period);
+        res.json({ counterparty: counterparty.rows[0], period: resolved.period, ...ledger });
+    } catch (error) {
+        console.error('取引先元帳取得エラー:', error);
+        res.status(500).json({ error: '取引先元帳の取得に失敗しました。' });
+    }
+});
+
+// 売掛金・買掛金の年齢表（kind: receivable / payable、as_of: 基準日。省略時は今日）
+// 入金・支払は同じ取引先の古い計上分から順に消し込み、未決済の残額を経過日数（30/60/90日）で区分する
+app.get('/api/reports/aging', requirePermission('read'), async (req, res) => {
+    const kind = req.query.kind || 'receivable';
+    if (!counterpartyLedger.OPEN_ITEM_KINDS[kind]) {
+        return res.status(400).json({ error: `kind は ${Object.keys(counterpartyLedger.OPEN_ITEM_KINDS).join(' または ')} を指定してください。` });
+    }
+    const asOf = req.query.as_of || new Date().toISOString().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+        return res.status(400).json({ error: 'as_of は YYYY-MM-DD 形式で指定してください。' });
+    }
+
+    try {
+        res.json(await counterpartyLedger.agingReport(pool, req.organization.id, kind, asOf));
+    } catch (error) {
+        console.error('年齢表取得エラー:', error);
+        res.status(500).json({ error: '年齢表の取得に失敗しました。' });
+    }
+});
+
+// 共通費の配賦ルール
+const loadSegmentsFor = async (db, organizationId, dimension) => (dimension === 'department'
+    ? loadDepartments(db, organizationId)
+    : loadBusinessSections(db, organizationId));
+
+app.get('/api/segment-allocation-rules', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            `SELECT ${segments.ALLOCATION_RULE_COLUMNS} FROM segment_allocation_rules
+             WHERE organization_id = $1 ORDER BY dimension, account_id NULLS FIRST, id`,
+            [organizationId]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error('配賦ルール取得エラー:', error);
+        res.status(500).json({ error: '配賦ルールの取得に失敗しました。' });
+    }
+});
+
+// 同じ種類・科目のルールがあれば置き換える
+app.put('/api/segment-allocation-rules', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const segmentList = segments.DIMENSIONS[req.body.dimension]
+            ? await loadSegmentsFor(pool, organizationId, req.body.dimension)
+            : [];
+        const validation = segments.validateAllocationRule(req.body, segmentList.map(s => s.id));
+        if (validation.error) {
+            return res.status(400).json({ error: validation.error });
+        }
+        const rule = validation.rule;
+
+        const result = await pool.query(
+            `INSERT INTO segment_allocation_rules (organization_id, dimension, account_id, ratios)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (organization_id, dimension, COALESCE(account_id, 0)) DO UPDATE SET ratios = EXCLUDED.ratios
+             RETURNING ${segments.ALLOCATION_RULE_COLUMNS}`,
+            [organizationId, rule.dimension, rule.account_id, JSON.stringify(rule.ratios)]
+        );
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('配賦ルール保存エラー:', error);
+        res.status(500).json({ error: '配賦ルールの保存に失敗しました。' });
+    }
+});
+
+app.delete('/api/segment-allocation-rules/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            "DELETE FROM segment_allocation_rules WHERE id = $1 AND organization_id = $2 RETURNING id",
+            [parseId(req.params.id), organizationId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '配賦ルールが見つかりません。' });
+        }
+        res.json({ message: '配賦ルールを削除しました。' });
+    } catch (error) {
+        console.error('配賦ルール削除エラー:', error);
+        res.status(500).json({ error: '配賦ルールの削除に失敗しました。' });
+    }
+});
+
+// セグメント別損益計算書。dimension は business_section（既定）または department
+// 期間は他の帳票と同じく from/to または fiscal_year で指定する
+app.get('/api/reports/segment-profit-loss', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const dimension = req.query.dimension || 'business_section';
+    if (!segments.DIMENSIONS[dimension]) {
+        return res.status(400).json({ error: 'dimension は business_section または department を指定してください。' });
+    }
+    const resolved = reports.resolvePeriod(req.query);
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+
+    try {
+        const [segmentList, rows, rules] = await Promise.all([
+            loadSegmentsFor(pool, organizationId, dimension),
+            segments.fetchSegmentTotals(pool, organizationId, resolved.period, dimension),
+            pool.query(
+                `SELECT ${segments.ALLOCATION_RULE_COLUMNS} FROM segment_allocation_rules WHERE organization_id = $1 AND dimension = $2`,
+                [organizationId, dimension]
+            )
+        ]);
+        res.json({
+            period: resolved.period,
+            dimension,
+            allocation_rules: rules.rows,
+            ...segments.buildSegmentProfitLoss(rows, segmentList, rules.rows)
+        });
+    } catch (error) {
+        console.error('セグメント別損益計算書取得エラー:', error);
+        res.status(500).json({ error: 'セグメント別損益計算書の作成に失敗しました。' });
+    }
+});
+
+// 家事按分の割合・振替仕訳・明細表
+const privateUse = require('./privateUse');
+
+app.get('/api/apportionment-ratios', requirePermission('read'), async (req, res) => {
+    try {
+        res.json(await privateUse.fetchApportionmentRatios(pool, req.organization.id));
+    } catch (error) {
+        console.error('家事按分の割合取得エラー:', error);
+        res.status(500).json({ error: '家事按分の割合の取得に失敗しました。' });
+    }
+});
+
+// 同じ科目・年度（fiscal_year 省略時は既定値）の割合があれば置き換える
+app.put('/api/apportionment-ratios', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = privateUse.validateApportionmentRatio(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const ratio = validation.ratio;
+
+    try {
+        const account = await pool.query(
+            `SELECT category FROM master_accounts
+             WHERE id = $1 AND (owner_organization_id IS NULL OR owner_organization_id = $2)`,
+            [ratio.account_id, organizationId]
+        );
+        if (account.rowCount === 0) {
+            return res.status(400).json({ error: '勘定科目が見つかりません。' });
+        }
+        if (account.rows[0].category !== 'expenses') {
+            return res.status(400).json({ error: '家事按分は費用の勘定科目にのみ設定できます。' });
+        }
+
+        const result = await pool.query(
+            `WITH saved AS (
+                INSERT INTO apportionment_ratios (organization_id, account_id, fiscal_year, business_ratio, basis)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (organization_id, account_id, COALESCE(fiscal_year, 0))
+                DO UPDATE SET business_ratio = EXCLUDED.business_ratio, basis = EXCLUDED.basis, updated_at = CURRENT_TIMESTAMP
+                RETURNING *
+             )
+             SELECT ${privateUse.RATIO_COLUMNS} FROM saved r JOIN master_accounts m ON r.account_id = m.id`,
+            [organizationId, ratio.account_id, ratio.fiscal_year, ratio.business_ratio, ratio.basis]
+        );
+        res.json(privateUse.toRatioRow(result.rows[0]));
+    } catch (error) {
+        console.error('家事按分の割合保存エラー:', error);
+        res.status(500).json({ error: '家事按分の割合の保存に失敗しました。' });
+    }
+});
+
+app.delete('/api/apportionment-ratios/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            "DELETE FROM apportionment_ratios WHERE id = $1 AND organization_id = $2 RETURNING id",
+            [parseId(req.params.id), organizationId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '家事按分の割合が見つかりません。' });
+        }
+        res.json({ message: '家事按分の割合を削除しました。' });
+    } catch (error) {
+        console.error('家事按分の割合削除エラー:', error);
+        res.status(500).json({ error: '家事按分の割合の削除に失敗しました。' });
+    }
+});
+
+// 家事按分の明細表（年度単位。fiscal_year と start_month で指定し、省略時は当期）
+app.get('/api/reports/apportionment', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const resolved = reports.resolvePeriod({ fiscal_year: req.query.fiscal_year, start_month: req.query.start_month });
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+    const fiscalYear = parseInt(resolved.period.fiscal_year_start.slice(0, 4), 10);
+
+    try {
+        res.json(await privateUse.apportionmentSchedule(pool, organizationId, fiscalYear, resolved.period));
+    } catch (error) {
+        console.error('家事按分明細取得エラー:', error);
+        res.status(500).json({ error: '家事按分の明細の作成に失敗しました。' });
+    }
+});
+
+// 指定年度の家事分を期末日付で事業主貸へ振り替える（計上済みの科目はスキップ）
+// 借方: 事業主貸 / 貸方: 費用の科目（税区分ごと）。drawing_account_id で振替先の科目を指定できる
+app.post('/api/apportionment-entries', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const resolved = reports.resolvePeriod({ fiscal_year: req.body.fiscal_year, start_month: req.body.start_month });
+    if (!req.body.fiscal_year || resolved.error) {
+        return res.status(400).json({ error: resolved.error || 'fiscal_year は必須です。' });
+    }
+    const fiscalYear = parseInt(req.body.fiscal_year, 10);
+
+    const client = await pool.connect();
+    try {
+        const drawingAccount = req.body.drawing_account_id
+            ? await client.query(
+                `SELECT id FROM master_accounts
+                 WHERE id = $1 AND category IN ('assets', 'net_assets') AND (owner_organization_id IS NULL OR owner_organization_id = $2)`,
+                [parseId(req.body.drawing_account_id), organizationId])
+            : await client.query(
+                "SELECT id FROM master_accounts WHERE account_name = '事業主貸' AND (owner_organization_id IS NULL OR owner_organization_id = $1) ORDER BY owner_organization_id NULLS FIRST LIMIT 1",
+                [organizationId]);
+        if (drawingAccount.rowCount === 0) {
+            return res.status(400).json({ error: '振替先の勘定科目「事業主貸」が見つかりません。独自の勘定科目として登録してください。' });
+        }
+
+        await client.query('BEGIN');
+        const schedule = await privateUse.apportionmentSchedule(client, organizationId, fiscalYear, resolved.period);
+        const posted = [];
+        const skipped = [];
+
+        for (const account of schedule.accounts) {
+            if (account.posted_transaction_id) {
+                skipped.push({ account_id: account.account_id, account_name: account.account_name, reason: '計上済み' });
+                continue;
+            }
+            if (account.private_amount <= 0) continue;
+
+            const lines = account.by_tax_category
+                .filter(row => row.private_amount > 0)
+                .map(row => ({ side: 'credit', account_id: account.account_id, amount: row.private_amount, tax_category: row.tax_category }));
+            const normalized = normalizeJournalLines([
+                { side: 'debit', account_id: drawingAccount.rows[0].id, amount: account.private_amount },
+                ...lines
+            ]);
+            const entry = await insertJournalEntry(client, organizationId, {
+                transaction_date: resolved.period.to,
+                notes: `家事按分 ${account.account_name}（${fiscalYear}年分・家事分 ${account.private_ratio}%）`,
+                lines: normalized.lines
+            }, auditContext(req));
+            await client.query(
+                `INSERT INTO apportionment_postings (organization_id, account_id, fiscal_year, transaction_id, amount)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [organizationId, account.account_id, fiscalYear, entry.id, account.private_amount]
+            );
+            posted.push({ account_id: account.account_id, account_name: account.account_name, amount: account.private_amount, transaction_id: entry.id });
+        }
+
+        await client.query('COMMIT');
+        res.status(201).json({ fiscal_year: fiscalYear, posted, skipped });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('家事按分仕訳計上エラー:', error);
+        res.status(500).json({ error: '家事按分の振替仕訳の計上に失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+// 予算・予算実績対比・資金繰り予測（ダッシュボード用）
+const budgetPlanning = require('./budgetPlanning');
+
+// 期間（fiscal_year・start_month、省略時は当期）の予算。department_id で絞り込める（none は共通）
+app.get('/api/budgets', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const resolved = reports.resolvePeriod({ fiscal_year: req.query.fiscal_year, start_month: req.query.start_month });
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+    const filter = budgetPlanning.parseDepartmentFilter(req.query.department_id);
+    if (!filter) {
+        return res.status(400).json({ error: 'department_id は部門のID、または none（共通）を指定してください。' });
+    }
+
+    try {
+        res.json({ period: resolved.period, budgets: await budgetPlanning.fetchBudgets(pool, organizationId, resolved.period, filter) });
+    } catch (error) {
+        console.error('予算取得エラー:', error);
+        res.status(500).json({ error: '予算の取得に失敗しました。' });
+    }
+});
+
+// 科目（と部門）の予算を月ごとにまとめて登録する。金額が null・空欄の月は予算を削除する
+app.put('/api/budgets', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = budgetPlanning.validateBudget(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const budget = validation.budget;
+
+    const client = await pool.connect();
+    try {
+        const account = await client.query(
+            `SELECT category FROM master_accounts
+             WHERE id = $1 AND (owner_organization_id IS NULL OR owner_organization_id = $2)`,
+            [budget.account_id, organizationId]
+        );
+        if (account.rowCount === 0) {
+            return res.status(400).json({ error: '勘定科目が見つかりません。' });
+        }
+        if (!['revenues', 'expenses'].includes(account.rows[0].category)) {
+            return res.status(400).json({ error: '予算は収益・費用の勘定科目にのみ設定できます。' });
+        }
+        if (budget.department_id !== null) {
+            const department = await client.query(
+                'SELECT 1 FROM departments WHERE id = $1 AND organization_id = $2',
+                [budget.department_id, organizationId]
+            );
+            if (department.rowCount === 0) {
+                return res.status(400).json({ error: '部門が見つかりません。' });
+            }
+        }
+
+        await client.query('BEGIN');
+        for (const { month, amount } of budget.months) {
+            if (amount === null) {
+                await client.query(
+                    `DELETE FROM budgets
+                     WHERE organization_id = $1 AND account_id = $2 AND COALESCE(department_id, 0) = COALESCE($3::int, 0) AND month = $4`,
+                    [organizationId, budget.account_id, budget.department_id, month]
+                );
+                continue;
+            }
+            await client.query(
+                `INSERT INTO budgets (organization_id, account_id, department_id, month, amount)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (organization_id, account_id, COALESCE(department_id, 0), month)
+                 DO UPDATE SET amount = EXCLUDED.amount, updated_at = CURRENT_TIMESTAMP`,
+                [organizationId, budget.account_id, budget.department_id, month, amount]
+            );
+        }
+        const result = await client.query(
+            `SELECT ${budgetPlanning.BUDGET_COLUMNS} FROM budgets b
+             JOIN master_accounts m ON b.account_id = m.id
+             WHERE b.organization_id = $1 AND b.account_id = $2 AND COALESCE(b.department_id, 0) = COALESCE($3::int, 0)
+               AND b.month = ANY($4::date[])
+             ORDER BY b.month`,
+            [organizationId, budget.account_id, budget.department_id, budget.months.map(m => m.month)]
+        );
+        await client.query('COMMIT');
+        res.json(result.rows);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('予算保存エラー:', error);
+        res.status(500).json({ error: '予算の保存に失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+// 予算実績対比表。期間は他の帳票と同じく from/to または fiscal_year で指定する
+// department_id で部門（none は共通）に絞り込み、threshold（%、既定10）以上の不利差異を flagged にする
+app.get('/api/reports/budget-vs-actual', requirePermission('read'), async (req, res) => {
+    const resolved = reports.resolvePeriod(req.query);
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+    const filter = budgetPlanning.parseDepartmentFilter(req.query.department_id);
+    if (!filter) {
+        return res.status(400).json({ error: 'department_id は部門のID、または none（共通）を指定してください。' });
+    }
+    const threshold = req.query.threshold === undefined || req.query.threshold === ''
+        ? budgetPlanning.DEFAULT_VARIANCE_THRESHOLD
+        : Number(req.query.threshold);
+    if (!(Number.isFinite(threshold) && threshold >= 0)) {
+        return res.status(400).json({ error: 'threshold は0以上の数値（%）で指定してください。' });
+    }
+
+    try {
+        res.json(await budgetPlanning.budgetVsActual(pool, req.organization.id, resolved.period, filter, {
+            asOf: recurring.todayString(),
+            threshold
+        }));
+    } catch (error) {
+        console.error('予算実績対比表取得エラー:', error);
+        res.status(500).json({ error: '予算実績対比表の作成に失敗しました。' });
+    }
+});
+
+// 資金繰り予測。期間（from/to または fiscal_year）の月ごとの現金・預金の月末残高を、
+// 今日までは実績、今日より後は入力済みの仕訳・定期取引・未決済の売掛金と買掛金から見積もる
+app.get('/api/reports/cash-flow-forecast', requirePermission('read'), async (req, res) => {
+    const resolved = reports.resolvePeriod(req.query);
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+    if (reports.monthsOf(resolved.period).length > budgetPlanning.MAX_FORECAST_MONTHS) {
+        return res.status(400).json({ error: `資金繰り予測の期間は${budgetPlanning.MAX_FORECAST_MONTHS}か月以内で指定してください。` });
+    }
+
+    try {
+        res.json(await budgetPlanning.cashFlowForecast(pool, req.organization.id, resolved.period, {
+            asOf: recurring.todayString()
+        }));
+    } catch (error) {
+        console.error('資金繰り予測取得エラー:', error);
+        res.status(500).json({ error: '資金繰り予測の作成に失敗しました。' });
+    }
+});
+
+// 消費税集計API
+// method: general（一般課税）/ simplified（簡易課税）。省略時は設定の taxMethod
+const consumptionTax = require('./consumptionTax');
+
+app.get('/api/reports/consumption-tax', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const resolved = reports.resolvePeriod(req.query);
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+
+    try {
+        const settings = await loadUserSettings(pool, organizationId);
+        const method = req.query.method || settings.taxMethod || 'general';
+        if (!['general', 'simplified'].includes(method)) {
+            return res.status(400).json({ error: 'method は general または simplified を指定してください。' });
+        }
+
+        const [rows, businessSections] = await Promise.all([
+            consumptionTax.fetchTaxTotals(pool, organizationId, resolved.period),
+            loadBusinessSections(pool, organizationId)
+        ]);
+        res.json({
+            period: resolved.period,
+            ...consumptionTax.buildConsumptionTaxReport(rows, { method, settings, businessSections })
+        });
+    } catch (error) {
+        console.error('消費税集計エラー:', error);
+        res.status(500).json({ error: '消費税の集計に失敗しました。' });
+    }
+});
+
+// 固定資産台帳・減価償却API
+const depreciation = require('./depreciation');
+
+const FIXED_ASSET_COLUMNS = `id, asset_name, acquisition_date, service_start_date, acquisition_cost, useful_life,
+    depreciation_method, special_treatment, account_id, start_month, created_at`;
+
+app.get('/api/fixed-assets', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            `SELECT ${FIXED_ASSET_COLUMNS} FROM fixed_assets WHERE organization_id = $1 ORDER BY acquisition_date, id`,
+            [organizationId]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error('固定資産一覧取得エラー:', error);
+        res.status(500).json({ error: '固定資産の取得に失敗しました。' });
+    }
+});
+
+// 少額減価償却資産の年300万円の上限を確認する（呼び出し側で BEGIN/COMMIT を管理すること）
+// 同時に登録されて合計が上限を超えないよう、組織単位のアドバイザリロックを取ってから集計する
+const FIXED_ASSET_LOCK_KEY = 7102;
+const checkImmediateAnnualLimit = async (client, organizationId, asset, { excludeId = 0 } = {}) => {
+    if (asset.special_treatment !== 'immediate') return null;
+    await client.query('SELECT pg_advisory_xact_lock($1, $2)', [FIXED_ASSET_LOCK_KEY, organizationId]);
+    const result = await client.query(
+        `SELECT acquisition_date, service_start_date, acquisition_cost, special_treatment, start_month FROM fixed_assets
+         WHERE organization_id = $1 AND special_treatment = 'immediate' AND id <> $2`,
+        [organizationId, excludeId]
+    );
+    return depreciation.checkImmediateAnnualLimit(asset, result.rows);
+};
+
+// 償却仕訳を計上済みの資産は、変更・削除すると計上済みの仕訳と償却スケジュールが合わなくなるため 409 にする
+// （呼び出し側で BEGIN/COMMIT を管理すること）。資産の行をロックし、償却仕訳の計上と同時に変更されないようにする
+const assertFixedAssetChangeable = async (client, organizationId, assetId) => {
+    const fail = (status, message, code) => {
+        const error = new Error(message);
+        error.status = status;
+        error.code = code;
+        throw error;
+    };
+    const asset = await client.query(
+        "SELECT id FROM fixed_assets WHERE id = $1 AND organization_id = $2 FOR UPDATE",
+        [assetId, organizationId]
+    );
+    if (asset.rowCount === 0) {
+        fail(404, '固定資産が見つかりません。');
+    }
+    const postings = await client.query(
+        "SELECT fiscal_year FROM depreciation_postings WHERE fixed_asset_id = $1 ORDER BY fiscal_year",
+        [assetId]
+    );
+    if (postings.rowCount > 0) {
+        fail(409, `${postings.rows.map(p => p.fiscal_year).join('・')}年度の減価償却仕訳を計上済みのため変更・削除できません。先に償却仕訳を削除してください。`, 'FIXED_ASSET_POSTED');
+    }
+};
+
+app.post('/api/fixed-assets', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = depreciation.validateFixedAsset(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const a = validation.asset;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const limitError = await checkImmediateAnnualLimit(client, organizationId, a);
+        if (limitError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: limitError, code: 'IMMEDIATE_ANNUAL_LIMIT' });
+        }
+        const result = await client.query(
+            `INSERT INTO fixed_assets (organization_id, asset_name, acquisition_date, service_start_date, acquisition_cost,
+                                       useful_life, depreciation_method, special_treatment, account_id, start_month)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING ${FIXED_ASSET_COLUMNS}`,
+            [organizationId, a.asset_name, a.acquisition_date, a.service_start_date, a.acquisition_cost,
+             a.useful_life, a.depreciation_method, a.special_treatment, a.account_id, a.start_month]
+        );
+        await client.query('COMMIT');
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('固定資産登録エラー:', error);
+        res.status(500).json({ error: '固定資産の登録に失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+app.put('/api/fixed-assets/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const assetId = parseId(req.params.id);
+    const validation = depreciation.validateFixedAsset(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const a = validation.asset;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await assertFixedAssetChangeable(client, organizationId, assetId);
+        const limitError = await checkImmediateAnnualLimit(client, organizationId, a, { excludeId: assetId });
+        if (limitError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: limitError, code: 'IMMEDIATE_ANNUAL_LIMIT' });
+        }
+        const result = await client.query(
+            `UPDATE fixed_assets
+             SET asset_name = $3, acquisition_date = $4, service_start_date = $5, acquisition_cost = $6,
+                 useful_life = $7, depreciation_method = $8, special_treatment = $9, account_id = $10, start_month = $11
+             WHERE id = $1 AND organization_id = $2
+             RETURNING ${FIXED_ASSET_COLUMNS}`,
+            [assetId, organizationId, a.asset_name, a.acquisition_date, a.service_start_date, a.acquisition_cost,
+             a.useful_life, a.depreciation_method, a.special_treatment, a.account_id, a.start_month]
+        );
+        await client.query('COMMIT');
+        res.json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('固定資産更新エラー:', error);
+        res.status(500).json({ error: '固定資産の更新に失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+app.delete('/api/fixed-assets/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const assetId = parseId(req.params.id);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await assertFixedAssetChangeable(client, organizationId, assetId);
+        await client.query("DELETE FROM fixed_assets WHERE id = $1 AND organization_id = $2", [assetId, organizationId]);
+        await client.query('COMMIT');
+        res.json({ message: '固定資産を削除しました。' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('固定資産削除エラー:', error);
+        res.status(500).json({ error: '固定資産の削除に失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+// 1資産の耐用年数全体の償却スケジュール（資産に登録した期首月の事業年度ごと）
+app.get('/api/fixed-assets/:id/schedule', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            `SELECT ${FIXED_ASSET_COLUMNS} FROM fixed_assets WHERE id = $1 AND organization_id = $2`,
+            [parseId(req.params.id), organizationId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '固定資産が見つかりません。' });
+        }
+        const asset = result.rows[0];
+        res.json({ asset, schedule: depreciation.computeSchedule(asset) });
+    } catch (error) {
+        console.error('償却スケジュール取得エラー:', error);
+        res.status(500).json({ error: '償却スケジュールの作成に失敗しました。' });
+    }
+});
+
+// 指定年度の全資産の償却額一覧（年度の区切りは各資産に登録した期首月）
+const buildDepreciationReport = async (db, organizationId, fiscalYear) => {
+    const result = await db.query(
+        `SELECT ${FIXED_ASSET_COLUMNS},
+                (SELECT p.transaction_id FROM depreciation_postings p
+                 WHERE p.fixed_asset_id = fixed_assets.id AND p.fiscal_year = $2) AS posted_transaction_id
+         FROM fixed_assets WHERE organization_id = $1 ORDER BY acquisition_date, id`,
+        [organizationId, fiscalYear]
+    );
+
+    const assets = result.rows
+        .map(asset => ({ asset, year: depreciation.depreciationForYear(asset, fiscalYear) }))
+        .filter(({ year }) => year !== null)
+        .map(({ asset, year }) => ({ ...asset, ...year }));
+
+    return {
+        fiscal_year: fiscalYear,
+        assets,
+        total_depreciation: assets.reduce((sum, a) => sum + a.depreciation, 0)
+    };
+};
+
+app.get('/api/reports/depreciation', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const resolved = reports.resolvePeriod(req.query);
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+    const fiscalYear = parseInt(resolved.period.fiscal_year_start.slice(0, 4), 10);
+
+    try {
+        res.json(await buildDepreciationReport(pool, organizationId, fiscalYear));
+    } catch (error) {
+        console.error('減価償却明細取得エラー:', error);
+        res.status(500).json({ error: '減価償却明細の作成に失敗しました。' });
+    }
+});
+
+// 指定年度の減価償却費の仕訳を期末日付で計上する（計上済みの資産はスキップ）
+// 借方: 減価償却費 / 貸方: 資産の勘定科目（直接法）
+app.post('/api/fixed-assets/depreciation-entries', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const resolved = reports.resolvePeriod({ fiscal_year: req.body.fiscal_year, start_month: req.body.start_month });
+    if (!req.body.fiscal_year || resolved.error) {
+        return res.status(400).json({ error: resolved.error || 'fiscal_year は必須です。' });
+    }
+    const fiscalYear = parseInt(req.body.fiscal_year, 10);
+
+    const client = await pool.connect();
+    try {
+        const expenseAccount = await client.query(
+            "SELECT id FROM master_accounts WHERE account_name = '減価償却費' AND owner_organization_id IS NULL"
+        );
+        if (expenseAccount.rowCount === 0) {
+            return res.status(400).json({ error: '勘定科目「減価償却費」が登録されていません。' });
+        }
+
+        await client.query('BEGIN');
+        const report = await buildDepreciationReport(client, organizationId, fiscalYear);
+        const posted = [];
+        const skipped = [];
+
+        for (const asset of report.assets) {
+            if (asset.depreciation <= 0) continue;
+            if (asset.posted_transaction_id) {
+                skipped.push({ id: asset.id, asset_name: asset.asset_name, reason: '計上済み' });
+                continue;
+            }
+            if (!asset.account_id) {
+                skipped.push({ id: asset.id, asset_name: asset.asset_name, reason: '資産の勘定科目が未設定' });
+                continue;
+            }
+
+            const { lines } = normalizeJournalLines([
+                { side: 'debit', account_id: expenseAccount.rows[0].id, amount: asset.depreciation },
+                { side: 'credit', account_id: asset.account_id, amount: asset.depreciation }
+            ]);
+            const entry = await insertJournalEntry(client, organizationId, {
+                transaction_date: resolved.period.to,
+                notes: `減価償却費 ${asset.asset_name}（${fiscalYear}年分）`,
+                lines
+            }, auditContext(req));
+            await client.query(
+                `INSERT INTO depreciation_postings (fixed_asset_id, fiscal_year, transaction_id, amount)
+                 VALUES ($1, $2, $3, $4)`,
+                [asset.id, fiscalYear, entry.id, asset.depreciation]
+            );
+            posted.push({ id: asset.id, asset_name: asset.asset_name, amount: asset.depreciation, transaction_id: entry.id });
+        }
+
+        await client.query('COMMIT');
+        res.status(201).json({ fiscal_year: fiscalYear, posted, skipped });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('減価償却仕訳計上エラー:', error);
+        res.status(500).json({ error: '減価償却仕訳の計上に失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+// 銀行・クレジットカード明細CSVの取込API
+const statementImport = require('./statementImport');
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB制限
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.csv$/i.test(file.originalname) || ['text/csv', 'text/plain', 'application/vnd.ms-excel'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('CSVファイルのみアップロード可能です'), false);
+    }
+  }
+});
+
+const IMPORT_RULE_COLUMNS = 'id, pattern, match_type, direction, account_id, tax_category, priority, created_at';
+
+// ルールの入力値を検証する
+const validateImportRule = (body) => {
+    const rule = {
+        pattern: (body.pattern || '').trim(),
+        match_type: body.match_type || 'contains',
+        direction: body.direction || 'any',
+        account_id: parseId(body.account_id),
+        tax_category: body.tax_category || 'exempt',
+        priority: body.priority === undefined ? 100 : parseInt(body.priority, 10)
+    };
+    if (!rule.pattern) return { error: '一致させる文字列は必須です。' };
+    if (!['contains', 'prefix', 'regex'].includes(rule.match_type)) return { error: '一致方法が不正です。' };
+    if (!['any', 'withdrawal', 'deposit'].includes(rule.direction)) return { error: '入出金の区分が不正です。' };
+    if (!rule.account_id) return { error: '勘定科目を指定してください。' };
+    if (!consumptionTax.isTaxCategory(rule.tax_category)) return { error: '税区分が不正です。' };
+    if (!Number.isInteger(rule.priority)) return { error: '優先度は整数で指定してください。' };
+    if (rule.match_type === 'regex') {
+        const patternError = statementImport.checkRegexPattern(statementImport.toHalfWidth(rule.pattern));
+        if (patternError) return { error: patternError };
+    }
+    return { rule };
+};
+
+app.get('/api/import-rules', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            `SELECT ${IMPORT_RULE_COLUMNS} FROM import_rules WHERE organization_id = $1 ORDER BY priority, id`,
+            [organizationId]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error('取込ルール取得エラー:', error);
+        res.status(500).json({ error: '取込ルールの取得に失敗しました。' });
+    }
+});
+
+app.post('/api/import-rules', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = validateImportRule(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const r = validation.rule;
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO import_rules (organization_id, pattern, match_type, direction, account_id, tax_category, priority)
+             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING ${IMPORT_RULE_COLUMNS}`,
+            [organizationId, r.pattern, r.match_type, r.direction, r.account_id, r.tax_category, r.priority]
+        );
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        console.error('取込ルール登録エラー:', error);
+        res.status(500).json({ error: '取込ルールの登録に失敗しました。' });
+    }
+});
+
+app.put('/api/import-rules/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const validation = validateImportRule(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    const r = validation.rule;
+
+    try {
+        const result = await pool.query(
+            `UPDATE import_rules
+             SET pattern = $3, match_type = $4, direction = $5, account_id = $6, tax_category = $7, priority = $8
+             WHERE id = $1 AND organization_id = $2 RETURNING ${IMPORT_RULE_COLUMNS}`,
+            [parseId(req.params.id), organizationId, r.pattern, r.match_type, r.direction, r.account_id, r.tax_category, r.priority]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '取込ルールが見つかりません。' });
+        }
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('取込ルール更新エラー:', error);
+        res.status(500).json({ error: '取込ルールの更新に失敗しました。' });
+    }
+});
+
+app.delete('/api/import-rules/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    try {
+        const result = await pool.query(
+            "DELETE FROM import_rules WHERE id = $1 AND organization_id = $2 RETURNING id",
+            [parseId(req.params.id), organizationId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '取込ルールが見つかりません。' });
+        }
+        res.json({ message: '取込ルールを削除しました。' });
+    } catch (error) {
+        console.error('取込ルール削除エラー:', error);
+        res.status(500).json({ error: '取込ルールの削除に失敗しました。' });
+    }
+});
+
+// 明細CSVを読み込んで確認用のバッチを作成する（この時点では仕訳は作成しない）
+// フォーム項目: file, payment_account_id, layout（省略時は自動判定）, encoding, mapping（JSON文字列）
+app.post('/api/imports/statements', requirePermission('write'), csvUpload.single('file'), async (req, res) => {
+    const organizationId = req.organization.id;
+
+    if (!req.file) {
+        return res.status(400).json({ error: 'ファイルがアップロードされていません。', code: 'NO_FILE_UPLOADED' });
+    }
+    const paymentAccountId = parseId(req.body.payment_account_id);
+    if (!paymentAccountId) {
+        return res.status(400).json({ error: '口座の勘定科目（payment_account_id）を指定してください。' });
+    }
+
+    let mapping;
+    try {
+        mapping = req.body.mapping ? JSON.parse(req.body.mapping) : undefined;
+    } catch (error) {
+        return res.status(400).json({ error: 'mapping のJSONが不正です。' });
+    }
+
+    const parsed = statementImport.parseStatement(req.file.buffer, {
+        encoding: req.body.encoding,
+        layout: req.body.layout,
+        mapping
+    });
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+
+    try {
+        const rules = await pool.query(
+            `SELECT ${IMPORT_RULE_COLUMNS} FROM import_rules WHERE organization_id = $1`,
+            [organizationId]
+        );
+
+        // 同じ口座・期間の既存仕訳と照合して重複候補を見つける
+        const dates = parsed.rows.map(row => row.transaction_date).sort();
+        const existing = dates.length === 0 ? { rows: [] } : await pool.query(
+            `SELECT t.id AS transaction_id, t.transaction_date, l.side, l.amount
+             FROM transactions t
+             JOIN transaction_lines l ON l.transaction_id = t.id
+             WHERE t.organization_id = $1 AND l.account_id = $2 AND t.transaction_date BETWEEN $3 AND $4 AND t.deleted_at IS NULL`,
+            [organizationId, paymentAccountId, dates[0], dates[dates.length - 1]]
+        );
+
+        const rows = statementImport.markDuplicates(
+            statementImport.applyRules(parsed.rows, rules.rows),
+            existing.rows
+        );
+
+        const result = await pool.query(
+            `INSERT INTO statement_imports (organization_id, file_name, layout, payment_account_id, rows, errors)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+            [organizationId, req.file.originalname, parsed.layout, paymentAccountId, JSON.stringify(rows), JSON.stringify(parsed.errors)]
+        );
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        console.error('明細取込エラー:', error);
+        res.status(500).json({ error: '明細の取込に失敗しました。' });
     }
+});
 
-    // 入力されたパスワードとDBのハッシュを比較
-    const isMatch = await bcrypt.compare(password, user.password_hash);
+app.get('/api/imports/statements/:id', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
 
-    if (!isMatch) {
-      return res.status(401).json({ error: '認証情報が無効です。' }); // パスワードが違う
+    try {
+        const result = await pool.query(
+            "SELECT * FROM statement_imports WHERE id = $1 AND organization_id = $2",
+            [parseId(req.params.id), organizationId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '取込バッチが見つかりません。' });
+        }
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('取込バッチ取得エラー:', error);
+        res.status(500).json({ error: '取込バッチの取得に失敗しました。' });
     }
-
-    // 認証成功！JWTトークンを生成して返す
-    const token = jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, {
-      expiresIn: '1d', // トークンの有効期限 (例: 1日)
-    });
-
-    res.json({ message: 'ログイン成功', token: token });
-
-  } catch (error) {
-    console.error('ログインエラー:', error);
-    res.status(500).json({ error: 'ログイン処理中にエラーが発生しました。' });
-  }
 });
 
-// server.js (APIエンドポイントの例)
-
-// ★認証チェックを行うミドルウェア（後で作成）
-const { authenticateToken } = require('./authMiddleware'); 
+// 確認済みのバッチを仕訳として計上する
+// body.rows で行ごとに { row_no, account_id, tax_category, skip, include_duplicate } を上書きできる
+// 重複候補の行は include_duplicate を指定しない限り計上しない
+app.post('/api/imports/statements/:id/commit', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const overrides = Array.isArray(req.body.rows) ? req.body.rows : [];
 
-// 全ての勘定科目を階層構造で取得するAPI
-app.get('/api/accounts', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
     try {
-        const result = await pool.query("SELECT category, sub_category, account_name FROM master_accounts ORDER BY id");
-        
-        // 取得したデータを階層構造に整形して返す
-        const structuredAccounts = structureAccounts(result.rows); // この整形関数は別途作成
+        await client.query('BEGIN');
+        const batchResult = await client.query(
+            "SELECT * FROM statement_imports WHERE id = $1 AND organization_id = $2 FOR UPDATE",
+            [parseId(req.params.id), organizationId]
+        );
+        if (batchResult.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: '取込バッチが見つかりません。' });
+        }
+        const batch = batchResult.rows[0];
+        if (batch.status !== 'pending') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'この取込バッチは計上済みです。' });
+        }
 
-        res.json(structuredAccounts);
+        const rows = [];
+        const summary = { posted: 0, skipped: 0, duplicates: 0, unassigned: 0 };
+        for (const original of batch.rows) {
+            const override = overrides.find(o => o.row_no === original.row_no) || {};
+            const row = {
+                ...original,
+                account_id: override.account_id ? parseId(override.account_id) : original.account_id,
+                tax_category: override.tax_category || original.tax_category
+            };
+
+            if (override.skip) {
+                summary.skipped++;
+            } else if (row.duplicate_of && !override.include_duplicate) {
+                summary.duplicates++;
+            } else if (!row.account_id) {
+                summary.unassigned++;
+            } else {
+                const accountLine = { account_id: row.account_id, amount: row.amount, tax_category: row.tax_category };
+                const paymentLine = { account_id: batch.payment_account_id, amount: row.amount };
+                const validation = normalizeJournalLines(row.direction === 'withdrawal'
+                    ? [{ side: 'debit', ...accountLine }, { side: 'credit', ...paymentLine }]
+                    : [{ side: 'debit', ...paymentLine }, { side: 'credit', ...accountLine }]);
+                if (validation.error) {
+                    const error = new Error(`${row.row_no}行目: ${validation.error}`);
+                    error.status = 400;
+                    throw error;
+                }
+                // insertJournalEntry が user_account_usage も更新する
+                const entry = await insertJournalEntry(client, organizationId, {
+                    transaction_date: row.transaction_date,
+                    notes: row.description.slice(0, 255),
+                    lines: validation.lines
+                }, auditContext(req));
+                row.transaction_id = entry.id;
+                summary.posted++;
+            }
+            rows.push(row);
+        }
 
+        await client.query(
+            `UPDATE statement_imports SET rows = $2, status = 'committed', committed_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [batch.id, JSON.stringify(rows)]
+        );
+        await client.query('COMMIT');
+        res.json({ id: batch.id, ...summary, rows });
     } catch (error) {
-        console.error('勘定科目リストの取得エラー:', error);
-        res.status(500).json({ error: '勘定科目の取得に失敗しました。' });
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('明細取込の計上エラー:', error);
+        res.status(500).json({ error: '明細の計上に失敗しました。' });
+    } finally {
+        client.release();
     }
 });
 
-// ユーザーがよく使う勘定科目トップ10を取得するAPI
-app.get('/api/accounts/top10', authenticateToken, async (req, res) => {
-    try {
-        const userId = req.user.userId; // 認証ミドルウェアからユーザーIDを取得
+app.delete('/api/imports/statements/:id', requirePermission('write'), async (req, res) => {
+    const organizationId = req.organization.id;
 
+    try {
         const result = await pool.query(
-            `SELECT m.account_name
-             FROM user_account_usage u
-             JOIN master_accounts m ON u.account_id = m.id
-             WHERE u.user_id = $1
-             ORDER BY u.usage_count DESC
-             LIMIT 10`,
-            [userId]
+            "DELETE FROM statement_imports WHERE id = $1 AND organization_id = $2 AND status = 'pending' RETURNING id",
+            [parseId(req.params.id), organizationId]
         );
-
-        res.json(result.rows);
-
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '未計上の取込バッチが見つかりません。' });
+        }
+        res.json({ message: '取込バッチを破棄しました。' });
     } catch (error) {
-        console.error('トップ10勘定科目の取得エラー:', error);
-        res.status(500).json({ error: 'よく使う勘定科目の取得に失敗しました。' });
+        console.error('取込バッチ削除エラー:', error);
+        res.status(500).json({ error: '取込バッチの破棄に失敗しました。' });
     }
 });
 
-// CORS設定（Claude.ai artifacts用に最適化）
-app.use(cors({
-  origin: [
-   'https://render.com/docs/web-services',
-   'https://hinosatosofttennis.github.io',
-   'https://finance-rejk.onrender.com',
-    // Claude.ai関連ドメイン
-    'https://claude.ai',
-    'https://artifacts.claude.ai',
-    'https://claude.anthropic.com',
-    
-    // 開発・テスト用
-    'http://localhost:3000',
-    'http://localhost:8080',
-    'http://127.0.0.1:3000',
-    'http://127.0.0.1:8080',
-    
-    // ファイルシステムからの実行（file://プロトコル）
-    'null', // file:// protocol shows as null origin
-  ],
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  credentials: false
-}));
-
-app.use(express.json());
+// 仕訳帳のCSVエクスポート・インポートAPI（弥生会計・freee会計・マネーフォワード クラウド会計・汎用形式）
+const journalCsv = require('./journalCsv');
 
-// Multer設定（メモリストレージ使用）
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB制限
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('画像ファイルのみアップロード可能です'), false);
-    }
-  }
+// 対応している形式と列の説明（汎用形式の仕様の確認・画面の選択肢用）
+app.get('/api/journal-csv/formats', requirePermission('read'), (req, res) => {
+    res.json({
+        formats: Object.entries(journalCsv.FORMATS).map(([id, format]) => ({
+            id,
+            label: format.label,
+            header: format.header,
+            default_encoding: format.encoding,
+            columns: id === 'generic' ? journalCsv.GENERIC_COLUMNS : format.columns.map(name => ({ name }))
+        })),
+        encodings: journalCsv.ENCODINGS,
+        tax_labels: journalCsv.TAX_LABELS
+    });
 });
 
-// Render.com用のGoogle Cloud認証設定
-let visionClient;
-
-const initializeGoogleCloudAuth = async () => {
-  try {
-    console.log('Google Cloud Vision API認証を初期化中...');
-    
-    // 環境変数からサービスアカウントキーを取得
-    const credentialsJson = process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON;
-    const projectId = process.env.GOOGLE_CLOUD_PROJECT_ID;
-    
-    if (!credentialsJson) {
-      throw new Error('GOOGLE_APPLICATION_CREDENTIALS_JSON 環境変数が設定されていません');
+// 仕訳帳のCSVを書き出す。format: yayoi / freee / moneyforward / generic、encoding: shift_jis / utf-8（省略時は形式ごとの既定）
+// 期間は from/to または fiscal_year（省略時は当期）
+app.get('/api/exports/journal', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const format = req.query.format || 'generic';
+    if (!journalCsv.FORMATS[format]) {
+        return res.status(400).json({ error: `format は ${Object.keys(journalCsv.FORMATS).join(', ')} のいずれかを指定してください。` });
     }
-    
-    if (!projectId) {
-      throw new Error('GOOGLE_CLOUD_PROJECT_ID 環境変数が設定されていません');
+    if (req.query.encoding && !journalCsv.ENCODINGS.includes(req.query.encoding)) {
+        return res.status(400).json({ error: `encoding は ${journalCsv.ENCODINGS.join(' または ')} を指定してください。` });
+    }
+    const resolved = reports.resolvePeriod(req.query);
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
     }
 
-    // JSONキーをパースして認証情報を作成
-    let credentials;
     try {
-      credentials = JSON.parse(credentialsJson);
+        const entries = await journalCsv.fetchEntriesForExport(pool, organizationId, resolved.period);
+        const encoding = req.query.encoding || journalCsv.FORMATS[format].encoding;
+        const file = journalCsv.exportJournal(entries, { format, encoding });
+        const fileName = `journal_${format}_${resolved.period.from}_${resolved.period.to}.csv`;
+        res.set({
+            'Content-Type': `text/csv; charset=${encoding === 'shift_jis' ? 'Shift_JIS' : 'UTF-8'}`,
+            'Content-Disposition': `attachment; filename="${fileName}"`
+        });
+        res.send(file);
     } catch (error) {
-      throw new Error('サービスアカウントキーのJSONが無効です: ' + error.message);
+        console.error('仕訳帳エクスポートエラー:', error);
+        res.status(500).json({ error: '仕訳帳の書き出しに失敗しました。' });
     }
+});
 
-    // Vision APIクライアントを初期化
-    visionClient = new vision.ImageAnnotatorClient({
-      projectId: projectId,
-      credentials: credentials
-    });
-
-    console.log('Google Cloud Vision API認証が完了しました');
-    console.log('Project ID:', projectId);
-    console.log('Service Account Email:', credentials.client_email);
-    
-    // 認証テスト
-    await testAuthentication();
-    
-  } catch (error) {
-    console.error('Google Cloud認証エラー:', error.message);
-    throw error;
-  }
-};
-
-const testAuthentication = async () => {
-  try {
-    // 簡単な認証テストを実行
-    const [result] = await visionClient.textDetection({
-      image: {
-        content: Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==', 'base64')
-      }
-    });
-    console.log('Vision API接続テスト成功');
-  } catch (error) {
-    console.warn('Vision API接続テスト失敗（本番では問題になる可能性があります）:', error.message);
-  }
-};
-
-// OCR処理関数
-const processOCR = async (imageBuffer) => {
-  try {
-    const [result] = await visionClient.textDetection({
-      image: {
-        content: imageBuffer
-      }
-    });
+// 他の会計ソフトの仕訳帳CSVを取り込む（file, format（省略時は自動判定）, encoding, account_map, preview）
+// account_map は { "取込元の科目名": 科目ID } のJSON。名前が一致しない科目の対応を指定する
+// preview=true なら登録せずに読み取り結果を返す。エラーが1件でもあれば何も登録しない（400）
+// 取込元にない部門は作成する。同じファイルを再度取り込んだ場合、登録済みの仕訳は重複登録しない
+const IMPORT_PREVIEW_ENTRIES = 100;
+app.post('/api/imports/journal', requirePermission('write'), csvUpload.single('file'), async (req, res) => {
+    const organizationId = req.organization.id;
 
-    const detections = result.textAnnotations;
-    
-    if (!detections || detections.length === 0) {
-      return {
-        success: true,
-        text: '',
-        parsedData: { date: '', amount: '', notes: '' }
-      };
+    if (!req.file) {
+        return res.status(400).json({ error: 'ファイルがアップロードされていません。', code: 'NO_FILE_UPLOADED' });
+    }
+    let accountMap;
+    try {
+        accountMap = req.body.account_map ? JSON.parse(req.body.account_map) : {};
+    } catch (error) {
+        return res.status(400).json({ error: 'account_map のJSONが不正です。' });
     }
 
-    const fullText = detections[0].description;
-    console.log('検出されたテキスト:', fullText);
+    const parsed = journalCsv.parseJournalCsv(req.file.buffer, { format: req.body.format || undefined, encoding: req.body.encoding || undefined });
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
 
-    // テキストを解析して構造化データに変換
-    const parsedData = parseReceiptText(fullText);
-  　// ↓ この行を追加して、解析結果をログに出力する
-   　console.log('解析後のデータ:', parsedData);
-    
-    return {
-      success: true,
-      text: fullText,
-      parsedData: parsedData
-    };
+    const client = await pool.connect();
+    try {
+        const accounts = await client.query(
+            "SELECT id, account_name FROM master_accounts WHERE owner_organization_id IS NULL OR owner_organization_id = $1",
+            [organizationId]
+        );
+        const resolved = journalCsv.resolveImportEntries(parsed.entries, {
+            accounts: accounts.rows,
+            departments: await loadDepartments(client, organizationId),
+            businessSections: await loadBusinessSections(client, organizationId),
+            accountMap
+        });
+        const errors = parsed.errors.concat(resolved.entries
+            .filter(entry => entry.errors.length > 0)
+            .map(entry => ({ row_no: entry.row_no, entry_no: entry.entry_no, error: entry.errors.join(' ') })));
+        const summary = {
+            format: parsed.format,
+            entry_count: resolved.entries.length,
+            entries: resolved.entries.slice(0, IMPORT_PREVIEW_ENTRIES),
+            errors,
+            unknown_accounts: resolved.unknown_accounts,
+            new_departments: resolved.new_departments
+        };
+        if (req.body.preview === 'true') {
+            return res.json(summary);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: `取り込めない行が${errors.length}件あります。`, code: 'IMPORT_INVALID', ...summary });
+        }
 
-  } catch (error) {
-    console.error('OCR処理エラー:', error);
-    throw new Error(`OCR処理に失敗しました: ${error.message}`);
-  }
-};
+        // client_id をファイルの内容と仕訳の順番から決め、同じファイルの再取込を重複登録しない
+        const fileHash = crypto.createHash('sha1').update(req.file.buffer).digest('hex');
+        const clientId = (index) => `import-${fileHash}-${index + 1}`;
 
-// レシートテキストの解析関数（修正版）
-const parseReceiptText = (text) => {
-  　const result = { date: null, amount: null, notes: null };
-    if (!text || typeof text !== 'string') {
-        return result;
-    }
-const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-
-          const dateFormats = [
-        { group: 'YYYY年MM月DD日', regex: /(\d{4})年\s*(\d{1,2})月\s*(\d{1,2})日/, formatter: m => `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}` },
-        { group: 'YYYY/MM/DD', regex: /(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})/, formatter: m => `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}` },
-        { group: 'MM/DD/YYYY', regex: /(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/, formatter: m => `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}` },
-        { group: 'YY/MM/DD', regex: /\b(\d{2})[/.-](\d{1,2})[/.-](\d{1,2})\b/, formatter: m => `${(parseInt(m[1], 10) > 50 ? 1900 : 2000) + parseInt(m[1], 10)}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}` },
-    ];
-
-    const amountRegex = /(?:合計|小計|ご請求額)[\s]*[¥\\#￥]?[\s]*([0-9,]{2,})|[¥\\#￥][\s]*([0-9,]{3,})|([0-9,]{3,})[\s]*円/;
-    const storeKeywords = /店|施設|（株）|株式会社|商店|食堂|マート|ストア/;
-    const exclusionKeywords = /領収書|領収証|[0-9]{2,}[/-年.]|[¥\\#￥]?[0-9,]{3,}/;
-
-    let maxAmount = 0;
-    lines.forEach((line, index) => {
-        if (!result.date) {
-            for (const format of dateFormats) {
-                const match = line.match(format.regex);
-                if (match) {
-                    result.date = format.formatter(match);
-                    break; 
-                }
-            }
+        await client.query('BEGIN');
+        const existing = await client.query(
+            "SELECT client_id FROM transactions WHERE organization_id = $1 AND client_id LIKE $2",
+            [organizationId, `import-${fileHash}-%`]
+        );
+        const imported = new Set(existing.rows.map(row => row.client_id));
+
+        const departmentIds = {};
+        for (const name of resolved.new_departments) {
+            const created = await client.query(
+                "INSERT INTO departments (organization_id, name) VALUES ($1, $2) RETURNING id",
+                [organizationId, name.slice(0, 100)]
+            );
+            departmentIds[name] = created.rows[0].id;
         }
 
-        const amountMatch = line.match(amountRegex);
-        if (amountMatch) {
-            const amountStr = amountMatch[1] || amountMatch[2] || amountMatch[3];
-            if (amountStr) {
-                const currentAmount = parseInt(amountStr.replace(/,/g, ''), 10);
-                if (currentAmount > maxAmount) {
-                    maxAmount = currentAmount;
-                }
+        let count = 0;
+        for (const [index, entry] of resolved.entries.entries()) {
+            if (imported.has(clientId(index))) continue;
+            try {
+                await insertJournalEntry(client, organizationId, {
+                    client_id: clientId(index),
+                    transaction_date: entry.transaction_date,
+                    notes: entry.notes,
+                    business_type_id: entry.business_type_id,
+                    department_id: entry.department_id || departmentIds[entry.department_name] || null,
+                    lines: entry.lines
+                }, auditContext(req));
+            } catch (error) {
+                if (error.status) error.message = `${entry.row_no}行目（伝票番号 ${entry.entry_no}）: ${error.message}`;
+                throw error;
             }
+            count += 1;
         }
+        await client.query('COMMIT');
 
-        if (!result.notes && index < 6) {
-            if (line.length > 1 && line.length < 30 && storeKeywords.test(line) && !exclusionKeywords.test(line)) {
-                result.notes = line;
-            }
+        res.status(201).json({
+            format: parsed.format,
+            imported: count,
+            skipped_duplicates: resolved.entries.length - count,
+            created_departments: resolved.new_departments
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
         }
-    });
-
-    if (maxAmount > 0) {
-        result.amount = maxAmount;
-    }
-    if (!result.date) {
-        result.date = new Date().toISOString().slice(0, 10);
+        console.error('仕訳帳インポートエラー:', error);
+        res.status(500).json({ error: '仕訳帳の取り込みに失敗しました。' });
+    } finally {
+        client.release();
     }
-
-    return result;
-};
-      
-// ヘルスチェックエンドポイント
-app.get('/', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    service: 'Bookkee OCR API',
-    timestamp: new Date().toISOString(),
-    authentication: visionClient ? 'Initialized' : 'Not initialized'
-  });
 });
 
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy',
-    uptime: process.uptime(),
-    timestamp: new Date().toISOString(),
-    visionClient: !!visionClient
-  });
-});
+// 青色申告決算書・収支内訳書（fiscal_year と start_month で年度を指定し、省略時は当期）
+// format: json（既定）/ csv（e-Tax への転記用、encoding は shift_jis または utf-8）/ pdf（印刷用）
+// return_type（blue / white）と blue_deduction（青色申告特別控除額）は省略時は設定の returnType・blueDeduction
+const taxReturnForms = require('./taxReturnForms');
 
-// OCR APIエンドポイント
-app.post('/api/ocr', upload.single('file'), async (req, res) => {
-  try {
-    if (!visionClient) {
-      return res.status(503).json({
-        error: 'Vision APIクライアントが初期化されていません',
-        code: 'CLIENT_NOT_INITIALIZED'
-      });
+app.get('/api/reports/tax-return', requirePermission('read'), async (req, res) => {
+    const organizationId = req.organization.id;
+    const format = req.query.format || 'json';
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+        return res.status(400).json({ error: 'format は json, csv, pdf のいずれかを指定してください。' });
     }
-
-    if (!req.file) {
-      return res.status(400).json({
-        error: 'ファイルがアップロードされていません',
-        code: 'NO_FILE_UPLOADED'
-      });
+    if (req.query.encoding && !journalCsv.ENCODINGS.includes(req.query.encoding)) {
+        return res.status(400).json({ error: `encoding は ${journalCsv.ENCODINGS.join(' または ')} を指定してください。` });
     }
+    const resolved = reports.resolvePeriod({ fiscal_year: req.query.fiscal_year, start_month: req.query.start_month });
+    if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+    }
+    const period = resolved.period;
+    const fiscalYear = parseInt(period.fiscal_year_start.slice(0, 4), 10);
 
-    console.log(`OCR処理開始: ファイルサイズ ${req.file.size} bytes`);
-
-    const result = await processOCR(req.file.buffer);
+    try {
+        const settings = await loadUserSettings(pool, organizationId);
+        const returnType = req.query.return_type || settings.returnType || 'blue';
+        if (!taxReturnForms.RETURN_TYPES[returnType]) {
+            return res.status(400).json({ error: 'return_type は blue または white を指定してください。' });
+        }
+        const blueDeduction = Number(req.query.blue_deduction || settings.blueDeduction || taxReturnForms.BLUE_DEDUCTIONS[0]);
+        if (!taxReturnForms.BLUE_DEDUCTIONS.includes(blueDeduction)) {
+            return res.status(400).json({ error: `blue_deduction は ${taxReturnForms.BLUE_DEDUCTIONS.join(', ')} のいずれかを指定してください。` });
+        }
 
-    res.json({
-      success: true,
-      date: result.parsedData.date,
-      amount: result.parsedData.amount,
-      notes: result.parsedData.notes,
-      rawText: result.text,
-      timestamp: new Date().toISOString()
-    });
+        const [sections, rules, rows, accountTotals, depreciationReport, apportionment] = await Promise.all([
+            loadBusinessSections(pool, organizationId),
+            pool.query(
+                `SELECT ${segments.ALLOCATION_RULE_COLUMNS} FROM segment_allocation_rules WHERE organization_id = $1 AND dimension = 'business_section'`,
+                [organizationId]
+            ),
+            taxReturnForms.fetchMonthlySegmentTotals(pool, organizationId, period),
+            reports.fetchAccountTotals(pool, organizationId, period),
+            buildDepreciationReport(pool, organizationId, fiscalYear),
+            privateUse.apportionmentSchedule(pool, organizationId, fiscalYear, period)
+        ]);
+        // 減価償却費に家事按分を設定していれば、その割合を事業専用割合とする
+        const depreciationApportionment = apportionment.accounts.find(a => a.account_name === '減価償却費');
+        const result = taxReturnForms.buildTaxReturn({
+            period,
+            rows,
+            sections,
+            rules: rules.rows,
+            trialBalance: reports.buildTrialBalance(accountTotals, []).accounts,
+            depreciation: depreciationReport.assets,
+            depreciationRatio: depreciationApportionment ? depreciationApportionment.business_ratio : 100,
+            returnType,
+            blueDeduction
+        });
+        if (apportionment.accounts.some(a => a.private_amount > 0 && !a.posted_transaction_id)) {
+            result.warnings.push('家事按分の振替仕訳が未計上の科目があります。レポートの「家事按分の明細」から計上してください。');
+        }
 
-  } catch (error) {
-    console.error('OCRエンドポイントエラー:', error);
-    res.status(500).json({
-      error: 'OCR処理中にエラーが発生しました',
-      details: error.message,
-      code: 'OCR_PROCESSING_ERROR'
-    });
-  }
+        if (format === 'csv') {
+            const encoding = req.query.encoding || 'shift_jis';
+            res.set({
+                'Content-Type': `text/csv; charset=${encoding === 'shift_jis' ? 'Shift_JIS' : 'UTF-8'}`,
+                'Content-Disposition': `attachment; filename="tax_return_${returnType}_${fiscalYear}.csv"`
+            });
+            return res.send(journalCsv.encodeCsv(journalCsv.toCsv(taxReturnForms.toCsvRows(result)), encoding));
+        }
+        if (format === 'pdf') {
+            res.set({
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `attachment; filename="tax_return_${returnType}_${fiscalYear}.pdf"`
+            });
+            return res.send(taxReturnForms.renderTaxReturnPdf(result, { organizationName: req.organization.name }));
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('決算書作成エラー:', error);
+        res.status(500).json({ error: '決算書の作成に失敗しました。' });
+    }
 });
 
 // エラーハンドリングミドルウェア
@@ -406,6 +4017,12 @@ app.use((error, req, res, next) => {
         code: 'FILE_TOO_LARGE'
       });
     }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({
+        error: 'ファイル数が多すぎます（一括読み取りは最大50件）',
+        code: 'TOO_MANY_FILES'
+      });
+    }
   }
   
   console.error('予期しないエラー:', error);
@@ -426,8 +4043,14 @@ app.use((req, res) => {
 // サーバー起動
 const startServer = async () => {
   try {
-    // Google Cloud認証の初期化
-    await initializeGoogleCloudAuth();
+    // OCRプロバイダーの初期化（失敗してもサーバーは起動する）
+    await initializeOcrProvider();
+    await resumeOcrJobs();
+    // 定期取引の自動計上。起動時に停止中に来た予定日をさかのぼって計上し、その後は RECURRING_INTERVAL_MINUTES（既定60分、0で無効）ごとに実行する
+    const recurringIntervalMinutes = parseInt(process.env.RECURRING_INTERVAL_MINUTES || '60', 10);
+    if (recurringIntervalMinutes > 0) {
+      recurring.startRecurringScheduler(pool, { intervalMs: recurringIntervalMinutes * 60 * 1000 });
+    }
     
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 サーバーがポート ${PORT} で起動しました`);
@@ -451,97 +4074,4 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-// server.js (末尾に追加)
-
-app.post('/api/transactions', authenticateToken, async (req, res) => {
-    const { account_id, transaction_date, amount, notes } = req.body;
-    const userId = req.user.userId;
-
-    if (!account_id || !transaction_date || !amount) {
-        return res.status(400).json({ error: '勘定科目、日付、金額は必須です。' });
-    }
-
-    const client = await pool.connect();
-    try {
-        // データベースのトランザクションを開始
-        await client.query('BEGIN');
-
-        // 1. transactionsテーブルに新しい取引を挿入
-        const newTransaction = await client.query(
-            `INSERT INTO transactions (user_id, account_id, transaction_date, amount, notes)
-             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-            [userId, account_id, transaction_date, amount, notes]
-        );
-
-        // 2. user_account_usageテーブルの利用回数を更新（存在しない場合は新規作成）
-        await client.query(
-            `INSERT INTO user_account_usage (user_id, account_id, usage_count)
-             VALUES ($1, $2, 1)
-             ON CONFLICT (user_id, account_id)
-             DO UPDATE SET usage_count = user_account_usage.usage_count + 1`,
-            [userId, account_id]
-        );
-
-        // トランザクションをコミット（変更を確定）
-        await client.query('COMMIT');
-
-        res.status(201).json(newTransaction.rows[0]);
-
-    } catch (error) {
-        // エラーが発生した場合はロールバック（変更を取り消し）
-        await client.query('ROLLBACK');
-        console.error('取引登録エラー:', error);
-        res.status(500).json({ error: '取引の登録に失敗しました。' });
-    } finally {
-        client.release();
-    }
-});
-
-// server.js (末尾に追加)
-
-app.get('/api/transactions', authenticateToken, async (req, res) => {
-    const userId = req.user.userId;
-
-    try {
-        const transactions = await pool.query(
-            `SELECT t.id, t.transaction_date, m.account_name, t.amount, t.notes, t.created_at
-             FROM transactions t
-             JOIN master_accounts m ON t.account_id = m.id
-             WHERE t.user_id = $1
-             ORDER BY t.transaction_date DESC, t.created_at DESC`,
-            [userId]
-        );
-
-        res.json(transactions.rows);
-    } catch (error) {
-        console.error('取引一覧取得エラー:', error);
-        res.status(500).json({ error: '取引の取得に失敗しました。' });
-    }
-});
-
-// server.js (末尾に追加)
-
-app.delete('/api/transactions/:id', authenticateToken, async (req, res) => {
-    const transactionId = req.params.id;
-    const userId = req.user.userId;
-
-    try {
-        const deleteResult = await pool.query(
-            "DELETE FROM transactions WHERE id = $1 AND user_id = $2 RETURNING *",
-            [transactionId, userId]
-        );
-
-        if (deleteResult.rowCount === 0) {
-            // 削除対象が見つからない、または他人のデータを削除しようとした場合
-            return res.status(404).json({ error: '削除対象の取引が見つかりません。' });
-        }
-
-        res.status(200).json({ message: '取引を削除しました。' });
-
-    } catch (error) {
-        console.error('取引削除エラー:', error);
-        res.status(500).json({ error: '取引の削除に失敗しました。' });
-    }
-});
-
 startServer();
@@ -0,0 +1,365 @@
+// statementImport.js - 銀行・クレジットカード明細CSVの読み込みと自動仕訳ルール
+
+// 代表的な明細CSVのレイアウト（列名の候補）。card: true のレイアウトは利用金額を出金として扱う
+const LAYOUTS = {
+    mufg: {
+        label: '三菱UFJ銀行',
+        columns: { date: ['日付'], description: ['摘要内容', '摘要'], withdrawal: ['支払い金額'], deposit: ['預かり金額'] }
+    },
+    smbc: {
+        label: '三井住友銀行',
+        columns: { date: ['年月日'], description: ['お取り扱い内容'], withdrawal: ['お引出し'], deposit: ['お預入れ'] }
+    },
+    yucho: {
+        label: 'ゆうちょ銀行',
+        columns: { date: ['取引日'], description: ['詳細１', '詳細1', '摘要'], withdrawal: ['払出金額（円）', '払出金額'], deposit: ['受入金額（円）', '受入金額'] }
+    },
+    rakuten_card: {
+        label: '楽天カード',
+        card: true,
+        columns: { date: ['利用日'], description: ['利用店名・商品名'], amount: ['利用金額'] }
+    },
+    generic_bank: {
+        label: '汎用（銀行）',
+        columns: {
+            date: ['日付', '取引日', '年月日', 'お取引日'],
+            description: ['摘要', '取引内容', '内容', 'お取り扱い内容', '摘要内容'],
+            withdrawal: ['出金', '出金額', 'お支払金額', '支払金額', 'お引出し', '引出額'],
+            deposit: ['入金', '入金額', 'お預り金額', '預入金額', 'お預入れ']
+        }
+    },
+    generic_card: {
+        label: '汎用（クレジットカード）',
+        card: true,
+        columns: {
+            date: ['利用日', 'ご利用日', '日付', 'ご利用年月日'],
+            description: ['利用店名', 'ご利用店名', '利用店名・商品名', 'ご利用先', 'ご利用店名・商品名', '内容'],
+            amount: ['利用金額', 'ご利用金額', '金額', 'ご利用金額（円）']
+        }
+    }
+};
+
+const HEADER_SEARCH_LINES = 10; // 明細の前に口座情報などの行があるCSVに対応するため、先頭から列名の行を探す
+
+// CSVのバイト列を文字列にする。encoding 省略時は UTF-8 として読めなければ Shift_JIS とみなす
+const decodeCsvBuffer = (buffer, encoding) => {
+    if (encoding) {
+        return new TextDecoder(encoding === 'shift_jis' || encoding === 'sjis' ? 'shift_jis' : encoding).decode(buffer);
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+    } catch (error) {
+        return new TextDecoder('shift_jis').decode(buffer);
+    }
+};
+
+// RFC 4180 形式のCSVを行・列の配列にする（ダブルクォート内の改行・カンマに対応）
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// 全角英数字・記号を半角にする
+const toHalfWidth = (str) => str
+    .replace(/[０-９Ａ-Ｚａ-ｚ．，－／：]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+    .replace(/　/g, ' ');
+
+const ERAS = { '令和': 2018, 'R': 2018, '平成': 1988, 'H': 1988, '昭和': 1925, 'S': 1925 };
+const pad = (n) => String(n).padStart(2, '0');
+
+// 和暦・各種区切りの日付を 'YYYY-MM-DD' にする。解釈できない場合は null
+const parseJapaneseDate = (value) => {
+    const str = toHalfWidth(String(value || '')).trim();
+    let y;
+    let m;
+    let d;
+    let match;
+
+    if ((match = str.match(/^(令和|平成|昭和|[RHS])\s*(\d{1,2}|元)[年./-]\s*(\d{1,2})[月./-]\s*(\d{1,2})日?/))) {
+        y = ERAS[match[1]] + (match[2] === '元' ? 1 : parseInt(match[2], 10));
+        m = parseInt(match[3], 10);
+        d = parseInt(match[4], 10);
+    } else if ((match = str.match(/^(\d{4})[年./-]\s*(\d{1,2})[月./-]\s*(\d{1,2})日?/))) {
+        [y, m, d] = [match[1], match[2], match[3]].map(Number);
+    } else if ((match = str.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+        [y, m, d] = [match[1], match[2], match[3]].map(Number);
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(y, m - 1, d));
+    if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+    return `${y}-${pad(m)}-${pad(d)}`;
+};
+
+// 「¥1,234」「1,234円」「△1,234」「-1,234」などを整数にする。空欄は null
+const parseJapaneseAmount = (value) => {
+    let str = toHalfWidth(String(value || '')).replace(/[¥￥\\,\s円]/g, '');
+    if (str === '' || str === '-') return null;
+    let sign = 1;
+    if (/^[△▲-]/.test(str)) {
+        sign = -1;
+        str = str.slice(1);
+    }
+    if (/^\(.*\)$/.test(str)) {
+        sign = -1;
+        str = str.slice(1, -1);
+    }
+    if (!/^\d+(\.\d+)?$/.test(str)) return null;
+    return sign * Math.round(parseFloat(str));
+};
+
+const normalizeHeader = (cell) => toHalfWidth(cell).replace(/\s/g, '');
+
+// 列名の行からレイアウトの各項目の列番号を求める（候補は先に書いたものを優先）
+const resolveColumns = (header, columns) => {
+    const normalized = header.map(normalizeHeader);
+    const indexes = {};
+    for (const [field, candidates] of Object.entries(columns)) {
+        const candidate = candidates.map(normalizeHeader).find(name => normalized.includes(name));
+        if (candidate) indexes[field] = normalized.indexOf(candidate);
+    }
+    const hasAmount = indexes.amount !== undefined || indexes.withdrawal !== undefined || indexes.deposit !== undefined;
+    return indexes.date !== undefined && indexes.description !== undefined && hasAmount ? indexes : null;
+};
+
+// 利用者が指定した列の対応（列名または0始まりの列番号）
+// mapping: { has_header, date, description, withdrawal, deposit, amount, card }
+const resolveCustomMapping = (rows, mapping) => {
+    const fields = ['date', 'description', 'withdrawal', 'deposit', 'amount'];
+    const hasHeader = mapping.has_header !== false;
+    const header = hasHeader ? rows[0].map(normalizeHeader) : [];
+    const indexes = {};
+    for (const field of fields) {
+        const target = mapping[field];
+        if (target === undefined || target === null || target === '') continue;
+        indexes[field] = Number.isInteger(target) || /^\d+$/.test(String(target))
+            ? parseInt(target, 10)
+            : header.indexOf(normalizeHeader(String(target)));
+        if (indexes[field] < 0) {
+            return { error: `列「${target}」が見つかりません。` };
+        }
+    }
+    if (indexes.date === undefined || indexes.description === undefined
+        || (indexes.amount === undefined && indexes.withdrawal === undefined && indexes.deposit === undefined)) {
+        return { error: '日付・摘要・金額の列を指定してください。' };
+    }
+    return { indexes, headerRow: hasHeader ? 0 : -1, card: !!mapping.card };
+};
+
+// レイアウトを決める（mapping 指定 > layout 指定 > 自動判定）
+const detectLayout = (rows, { layout, mapping } = {}) => {
+    if (mapping) {
+        const custom = resolveCustomMapping(rows, mapping);
+        return custom.error ? custom : { ...custom, layout: 'custom' };
+    }
+
+    const candidates = layout ? [layout] : Object.keys(LAYOUTS);
+    for (const key of candidates) {
+        if (!LAYOUTS[key]) {
+            return { error: `未対応のレイアウトです: ${key}` };
+        }
+        for (let i = 0; i < Math.min(rows.length, HEADER_SEARCH_LINES); i++) {
+            const indexes = resolveColumns(rows[i], LAYOUTS[key].columns);
+            if (indexes) {
+                return { layout: key, indexes, headerRow: i, card: !!LAYOUTS[key].card };
+            }
+        }
+    }
+    return { error: '明細の列を判別できませんでした。レイアウトまたは列の対応を指定してください。' };
+};
+
+// 明細CSVを読み込み、取引ごとの { row_no, transaction_date, description, amount, direction } にする
+// direction は口座から見た withdrawal（出金・カード利用）/ deposit（入金・返金）
+const parseStatement = (buffer, { encoding, layout, mapping } = {}) => {
+    const rows = parseCsv(decodeCsvBuffer(buffer, encoding));
+    if (rows.length === 0) {
+        return { error: 'CSVにデータがありません。' };
+    }
+
+    const detected = detectLayout(rows, { layout, mapping });
+    if (detected.error) {
+        return { error: detected.error };
+    }
+
+    const { indexes, headerRow, card } = detected;
+    const cell = (row, field) => indexes[field] === undefined ? '' : (row[indexes[field]] || '');
+    const transactions = [];
+    const errors = [];
+
+    rows.slice(headerRow + 1).forEach((row, i) => {
+        const rowNo = headerRow + i + 2; // CSV上の行番号（1始まり）
+        const date = parseJapaneseDate(cell(row, 'date'));
+        if (!date) {
+            // 合計行などの日付欄に数字のない行は明細ではないので読み飛ばす
+            if (/\d/.test(toHalfWidth(cell(row, 'date')))) {
+                errors.push({ row_no: rowNo, error: `日付を解釈できません: ${cell(row, 'date')}` });
+            }
+            return;
+        }
+
+        let signed;
+        if (indexes.amount !== undefined) {
+            const amount = parseJapaneseAmount(cell(row, 'amount'));
+            signed = amount === null ? null : (card ? -amount : amount);
+        } else {
+            const withdrawal = parseJapaneseAmount(cell(row, 'withdrawal'));
+            const deposit = parseJapaneseAmount(cell(row, 'deposit'));
+            signed = withdrawal === null && deposit === null ? null : (deposit || 0) - (withdrawal || 0);
+        }
+        if (signed === null || signed === 0) {
+            errors.push({ row_no: rowNo, error: '金額を解釈できません。' });
+            return;
+        }
+
+        transactions.push({
+            row_no: rowNo,
+            transaction_date: date,
+            description: toHalfWidth(cell(row, 'description')).trim(),
+            amount: Math.abs(signed),
+            direction: signed < 0 ? 'withdrawal' : 'deposit'
+        });
+    });
+
+    return { layout: detected.layout, rows: transactions, errors };
+};
+
+// 正規表現ルールの制限。利用者が登録するパターンでバックトラックが爆発しないよう、長さと繰り返し・選択の数を絞り、
+// グループの繰り返し・後方参照・先読み/後読みは使えなくする。照合する摘要も先頭の一定文字数に限る
+const MAX_REGEX_LENGTH = 100;
+const MAX_REGEX_REPEATS = 2;       // *, +, {n,}, 上限の大きい {n,m} の数
+const MAX_REGEX_ALTERNATIVES = 10; // | の数
+const MAX_REGEX_TEXT_LENGTH = 200;
+
+// 正規表現ルールのパターンを検証する。問題があればエラーメッセージを返す
+const checkRegexPattern = (pattern) => {
+    if (pattern.length > MAX_REGEX_LENGTH) {
+        return `正規表現は${MAX_REGEX_LENGTH}文字以内で指定してください。`;
+    }
+    try {
+        new RegExp(pattern, 'i');
+    } catch (error) {
+        return '正規表現が不正です。';
+    }
+    let repeats = 0;
+    let alternatives = 0;
+    let inClass = false;
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '\\') {
+            if (!inClass && /[1-9k]/.test(pattern[i + 1] || '')) return '正規表現で後方参照は使えません。';
+            i += 1;
+        } else if (inClass) {
+            if (c === ']') inClass = false;
+        } else if (c === '[') {
+            inClass = true;
+        } else if (c === '(' && /^\?(=|!|<=|<!)/.test(pattern.slice(i + 1))) {
+            return '正規表現で先読み・後読みは使えません。';
+        } else if (c === ')' && /[*+{]/.test(pattern[i + 1] || '')) {
+            return '正規表現でグループ（括弧）の繰り返しは使えません。';
+        } else if (c === '*' || c === '+') {
+            repeats += 1;
+        } else if (c === '{') {
+            const bounds = /^\{\d+(,(\d*))?\}/.exec(pattern.slice(i));
+            if (bounds && bounds[1] && (bounds[2] === '' || Number(bounds[2]) > 20)) repeats += 1;
+        } else if (c === '|') {
+            alternatives += 1;
+        }
+    }
+    if (repeats > MAX_REGEX_REPEATS || alternatives > MAX_REGEX_ALTERNATIVES) {
+        return `正規表現が複雑すぎます（繰り返しは${MAX_REGEX_REPEATS}個、| は${MAX_REGEX_ALTERNATIVES}個まで）。`;
+    }
+    return null;
+};
+
+// 正規表現ルールを、摘要と同じく全角英数字を半角にしてからコンパイルする。制限を満たさないパターンは null
+const compileRulePattern = (pattern) => {
+    const normalized = toHalfWidth(String(pattern || ''));
+    return checkRegexPattern(normalized) ? null : new RegExp(normalized, 'i');
+};
+
+// 自動仕訳ルールに一致するか（match_type: contains / prefix / regex、大文字小文字と全角半角を区別しない）
+// regex は compileRulePattern でコンパイルしたもの
+const ruleMatches = (rule, row, regex) => {
+    if (rule.direction && rule.direction !== 'any' && rule.direction !== row.direction) return false;
+    const text = toHalfWidth(row.description).toLowerCase();
+    const pattern = toHalfWidth(rule.pattern).toLowerCase();
+    if (rule.match_type === 'prefix') return text.startsWith(pattern);
+    if (rule.match_type === 'regex') return regex ? regex.test(text.slice(0, MAX_REGEX_TEXT_LENGTH)) : false;
+    return text.includes(pattern);
+};
+
+// ルールを優先度順（priority の小さい順）に適用し、最初に一致したルールの科目を割り当てる
+const applyRules = (rows, rules) => {
+    const sorted = rules.slice().sort((a, b) => a.priority - b.priority || a.id - b.id);
+    const regexes = new Map(sorted
+        .filter(rule => rule.match_type === 'regex')
+        .map(rule => [rule, compileRulePattern(rule.pattern)]));
+    return rows.map(row => {
+        const rule = sorted.find(r => ruleMatches(r, row, regexes.get(r)));
+        return rule
+            ? { ...row, account_id: rule.account_id, tax_category: rule.tax_category || 'exempt', rule_id: rule.id }
+            : { ...row, account_id: null, tax_category: 'exempt', rule_id: null };
+    });
+};
+
+// 既存の仕訳と日付・金額・入出金の向きが一致する明細に duplicate_of を付ける
+// existing は支払口座の明細 [{ transaction_id, transaction_date, side, amount }]
+const markDuplicates = (rows, existing) => {
+    const unused = existing.slice();
+    return rows.map(row => {
+        const side = row.direction === 'withdrawal' ? 'credit' : 'debit';
+        const index = unused.findIndex(e =>
+            e.transaction_date === row.transaction_date && e.amount === row.amount && e.side === side);
+        if (index < 0) return { ...row, duplicate_of: null };
+        const [match] = unused.splice(index, 1);
+        return { ...row, duplicate_of: match.transaction_id };
+    });
+};
+
+module.exports = {
+    LAYOUTS,
+    decodeCsvBuffer,
+    parseCsv,
+    parseJapaneseDate,
+    parseJapaneseAmount,
+    toHalfWidth,
+    parseStatement,
+    checkRegexPattern,
+    applyRules,
+    markDuplicates
+};
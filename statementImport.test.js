@@ -0,0 +1,125 @@
+// statementImport.test.js - 銀行・カード明細CSVの読み込み、自動仕訳ルール、重複の判定
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseCsv,
+    parseJapaneseDate,
+    parseJapaneseAmount,
+    parseStatement,
+    checkRegexPattern,
+    applyRules,
+    markDuplicates
+} = require('./statementImport');
+// Shift_JIS のCSVを作るため、仕訳帳CSVの変換処理を使う
+const { encodeShiftJis } = require('./journalCsv');
+
+test('ダブルクォート内のカンマ・改行・エスケープされた引用符を読める', () => {
+    assert.deepEqual(parseCsv('a,"b,c","d""e"\r\n"x\ny",\n\n'), [['a', 'b,c', 'd"e'], ['x\ny', '']]);
+});
+
+test('和暦・区切り文字の異なる日付を YYYY-MM-DD にする', () => {
+    assert.equal(parseJapaneseDate('令和7年3月4日'), '2025-03-04');
+    assert.equal(parseJapaneseDate('R7.3.4'), '2025-03-04');
+    assert.equal(parseJapaneseDate('平成元年1月8日'), '1989-01-08');
+    assert.equal(parseJapaneseDate('２０２５／０３／０４'), '2025-03-04');
+    assert.equal(parseJapaneseDate('20250304'), '2025-03-04');
+    assert.equal(parseJapaneseDate('2025-02-30'), null);
+    assert.equal(parseJapaneseDate('合計'), null);
+});
+
+test('通貨記号・桁区切り・マイナス表記の金額を整数にする', () => {
+    assert.equal(parseJapaneseAmount('¥1,234'), 1234);
+    assert.equal(parseJapaneseAmount('１，２００円'), 1200);
+    assert.equal(parseJapaneseAmount('△500'), -500);
+    assert.equal(parseJapaneseAmount('(300)'), -300);
+    assert.equal(parseJapaneseAmount(''), null);
+    assert.equal(parseJapaneseAmount('abc'), null);
+});
+
+test('銀行の明細は列名からレイアウトを判定し、入出金の向きを付ける', () => {
+    const csv = [
+        '普通預金 口座番号 1234567',
+        '日付,摘要内容,支払い金額,預かり金額,差引残高',
+        '2025/4/1,ﾃﾞﾝｷﾀﾞｲ,"5,500",,100000',
+        '2025/4/2,振込　カ）ヤマダ,,"20,000",120000',
+        '2025/4/3,不明な行,,,120000',
+        '合計,,"5,500","20,000",'
+    ].join('\r\n');
+    const result = parseStatement(encodeShiftJis(csv));
+    assert.equal(result.layout, 'mufg');
+    assert.deepEqual(result.rows, [
+        { row_no: 3, transaction_date: '2025-04-01', description: 'ﾃﾞﾝｷﾀﾞｲ', amount: 5500, direction: 'withdrawal' },
+        { row_no: 4, transaction_date: '2025-04-02', description: '振込 カ）ヤマダ', amount: 20000, direction: 'deposit' }
+    ]);
+    assert.deepEqual(result.errors, [{ row_no: 5, error: '金額を解釈できません。' }]);
+});
+
+test('カードの明細は利用金額を出金、マイナスの金額を返金として扱う', () => {
+    const csv = '利用日,利用店名・商品名,利用金額\n2025/04/05,ＡＭＡＺＯＮ．ＣＯ．ＪＰ,"3,300"\n2025/04/06,返品,-1100\n';
+    const result = parseStatement(Buffer.from(csv), { encoding: 'utf-8' });
+    assert.equal(result.layout, 'rakuten_card');
+    assert.deepEqual(result.rows.map(r => [r.description, r.amount, r.direction]), [
+        ['AMAZON.CO.JP', 3300, 'withdrawal'],
+        ['返品', 1100, 'deposit']
+    ]);
+});
+
+test('列の対応を指定して読み込める', () => {
+    const csv = '2025-04-01,家賃,80000\n';
+    const result = parseStatement(Buffer.from(csv), { mapping: { has_header: false, date: 0, description: 1, amount: 2, card: true } });
+    assert.deepEqual(result.rows, [{ row_no: 1, transaction_date: '2025-04-01', description: '家賃', amount: 80000, direction: 'withdrawal' }]);
+    assert.match(parseStatement(Buffer.from('a,b\n1,2\n'), { mapping: { date: '日付', description: 'b', amount: 'a' } }).error, /列「日付」/);
+    assert.match(parseStatement(Buffer.from('a,b\n1,2\n')).error, /明細の列を判別できませんでした/);
+});
+
+test('自動仕訳ルールは優先度順に、全角半角・大文字小文字を区別せずに照合する', () => {
+    const rows = [
+        { description: 'ＡＭＡＺＯＮ．ＣＯ．ＪＰ', direction: 'withdrawal' },
+        { description: 'ﾃﾞﾝｷﾀﾞｲ 4月分', direction: 'withdrawal' },
+        { description: '振込 ヤマダ', direction: 'deposit' },
+        { description: '振込 ヤマダ', direction: 'withdrawal' }
+    ];
+    const rules = [
+        { id: 1, priority: 10, match_type: 'contains', pattern: 'amazon', direction: 'any', account_id: 11, tax_category: '10' },
+        { id: 2, priority: 5, match_type: 'regex', pattern: '^ＡＭＡＺＯＮ\\.co\\.jp$', direction: 'withdrawal', account_id: 12, tax_category: '10' },
+        { id: 3, priority: 20, match_type: 'prefix', pattern: 'ﾃﾞﾝｷ', direction: 'any', account_id: 13 },
+        { id: 4, priority: 30, match_type: 'contains', pattern: '振込', direction: 'deposit', account_id: 14 }
+    ];
+    assert.deepEqual(applyRules(rows, rules).map(r => [r.rule_id, r.account_id, r.tax_category]), [
+        [2, 12, '10'],
+        [3, 13, 'exempt'],
+        [4, 14, 'exempt'],
+        [null, null, 'exempt']
+    ]);
+});
+
+test('正規表現ルールはバックトラックが爆発するパターンを受け付けない', () => {
+    assert.equal(checkRegexPattern('^(AMAZON|アマゾン)'), null);
+    assert.equal(checkRegexPattern('[(+*)]x'), null);
+    assert.match(checkRegexPattern('(a+)+$'), /グループ（括弧）の繰り返し/);
+    assert.match(checkRegexPattern('(a|b)*'), /グループ（括弧）の繰り返し/);
+    assert.match(checkRegexPattern('(a)\\1'), /後方参照/);
+    assert.match(checkRegexPattern('(?=a)a'), /先読み・後読み/);
+    assert.match(checkRegexPattern('.*a.*b.*c'), /複雑すぎます/);
+    assert.match(checkRegexPattern('a'.repeat(101)), /100文字以内/);
+    assert.match(checkRegexPattern('['), /正規表現が不正です/);
+
+    // 制限を設ける前に保存された危険なパターンは、一致しないものとして扱う
+    const rows = [{ description: 'a'.repeat(40) + '!', direction: 'withdrawal' }];
+    const rules = [{ id: 1, priority: 1, match_type: 'regex', pattern: '(a+)+$', direction: 'any', account_id: 1 }];
+    assert.equal(applyRules(rows, rules)[0].rule_id, null);
+});
+
+test('日付・金額・入出金の向きが同じ既存の仕訳を1対1で重複として示す', () => {
+    const rows = [
+        { transaction_date: '2025-04-01', amount: 5500, direction: 'withdrawal' },
+        { transaction_date: '2025-04-01', amount: 5500, direction: 'withdrawal' },
+        { transaction_date: '2025-04-02', amount: 20000, direction: 'deposit' }
+    ];
+    const existing = [
+        { transaction_id: 7, transaction_date: '2025-04-01', side: 'credit', amount: 5500 },
+        { transaction_id: 8, transaction_date: '2025-04-02', side: 'credit', amount: 20000 }
+    ];
+    assert.deepEqual(markDuplicates(rows, existing).map(r => r.duplicate_of), [7, null, null]);
+});
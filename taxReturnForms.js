@@ -0,0 +1,739 @@
+// taxReturnForms.js - 帳簿から青色申告決算書・収支内訳書を作る
+// 事業セクションの所得区分ごとに、事業所得は一般用、不動産所得は不動産所得用の様式を作る（雑所得は様式がないため作らない）
+// 勘定科目は科目名で様式の欄に割り当てる。どの欄にも当てはまらない科目は空欄の行に科目名で記入し、
+// 空欄が足りなければ雑費（その他の経費）にまとめる
+const { monthsOf, toAmounts } = require('./reports');
+const { buildSegmentProfitLoss } = require('./segments');
+const { privateShare } = require('./privateUse');
+const { createPdfDocument } = require('./pdfWriter');
+
+const RETURN_TYPES = {
+    blue: '青色申告',
+    white: '白色申告'
+};
+
+// 青色申告特別控除額（電子申告・電子帳簿保存は65万円、それ以外は55万円、簡易な記帳は10万円）
+const BLUE_DEDUCTIONS = [650000, 550000, 100000];
+
+const FORM_TITLES = {
+    blue_general: '青色申告決算書（一般用）',
+    blue_real_estate: '青色申告決算書（不動産所得用）',
+    white_general: '収支内訳書（一般用）',
+    white_real_estate: '収支内訳書（不動産所得用）'
+};
+
+// 所得区分 → 様式の種類
+const FORM_KINDS = {
+    business: 'general',
+    real_estate: 'real_estate'
+};
+
+// 欄の定義
+//   accounts  この欄に記入する勘定科目名（revenues / expenses の区分内で照合）
+//   blank     科目名を記入する空欄（どの欄にも当てはまらない科目を金額の大きい順に記入）
+//   rest      空欄が足りない場合の残りの科目をまとめる欄
+//   sign: -1  残高の符号を反転して記入する（期末商品棚卸高など）
+//   formula   他の欄から計算する欄
+//   deduction 青色申告特別控除額
+const blanks = (lines, category) => lines.map(line => ({ line, key: `blank_${line}`, label: '', category, blank: true }));
+
+const SALES_RETURN_ACCOUNTS = ['貸倒引当金戻入', '貸倒引当金戻入額'];
+const ALLOWANCE_ACCOUNTS = ['貸倒引当金繰入', '貸倒引当金繰入額'];
+const FAMILY_EMPLOYEE_ACCOUNTS = ['専従者給与'];
+const HOUSEHOLD_CONSUMPTION_ACCOUNTS = ['家事消費', '家事消費等'];
+const MISC_INCOME_ACCOUNTS = ['雑収入'];
+const PURCHASE_ACCOUNTS = ['仕入高', '商品仕入高', '当期商品仕入高', '仕入', '仕入金額'];
+
+const COST_OF_SALES_LINES = (numbers) => [
+    { line: numbers[0], key: 'opening_inventory', label: '期首商品（製品）棚卸高', category: 'expenses', accounts: ['期首商品棚卸高', '期首製品棚卸高', '期首棚卸高'] },
+    { line: numbers[1], key: 'purchases', label: '仕入金額（製品製造原価）', category: 'expenses', accounts: PURCHASE_ACCOUNTS },
+    { line: numbers[2], key: 'cost_subtotal', label: '小計', formula: v => v.opening_inventory + v.purchases },
+    { line: numbers[3], key: 'closing_inventory', label: '期末商品（製品）棚卸高', category: 'expenses', sign: -1, accounts: ['期末商品棚卸高', '期末製品棚卸高', '期末棚卸高'] },
+    { line: numbers[4], key: 'cost_of_sales', label: '差引原価', formula: v => v.cost_subtotal - v.closing_inventory }
+];
+
+const FORMS = {
+    blue_general: [
+        {
+            key: 'revenues',
+            title: '売上（収入）金額',
+            lines: [
+                { line: '①', key: 'sales', label: '売上（収入）金額（雑収入を含む）', category: 'revenues', rest: true }
+            ]
+        },
+        { key: 'cost_of_sales', title: '売上原価', lines: COST_OF_SALES_LINES(['②', '③', '④', '⑤', '⑥']) },
+        {
+            key: 'gross_profit',
+            title: '差引金額',
+            lines: [{ line: '⑦', key: 'gross_profit', label: '差引金額（①－⑥）', formula: v => v.sales - v.cost_of_sales }]
+        },
+        {
+            key: 'expenses',
+            title: '経費',
+            lines: [
+                { line: '⑧', key: 'taxes', label: '租税公課', category: 'expenses', accounts: ['租税公課'] },
+                { line: '⑨', key: 'packing_freight', label: '荷造運賃', category: 'expenses', accounts: ['荷造運賃', '荷造運搬費', '発送費', '運賃'] },
+                { line: '⑩', key: 'utilities', label: '水道光熱費', category: 'expenses', accounts: ['水道光熱費', '水道料', '光熱費'] },
+                { line: '⑪', key: 'travel', label: '旅費交通費', category: 'expenses', accounts: ['旅費交通費', '旅費'] },
+                { line: '⑫', key: 'communication', label: '通信費', category: 'expenses', accounts: ['通信費'] },
+                { line: '⑬', key: 'advertising', label: '広告宣伝費', category: 'expenses', accounts: ['広告宣伝費', '広告費'] },
+                { line: '⑭', key: 'entertainment', label: '接待交際費', category: 'expenses', accounts: ['接待交際費', '交際費'] },
+                { line: '⑮', key: 'insurance', label: '損害保険料', category: 'expenses', accounts: ['損害保険料', '保険料'] },
+                { line: '⑯', key: 'repairs', label: '修繕費', category: 'expenses', accounts: ['修繕費'] },
+                { line: '⑰', key: 'supplies', label: '消耗品費', category: 'expenses', accounts: ['消耗品費', '事務用消耗品費'] },
+                { line: '⑱', key: 'depreciation', label: '減価償却費', category: 'expenses', accounts: ['減価償却費'] },
+                { line: '⑲', key: 'welfare', label: '福利厚生費', category: 'expenses', accounts: ['福利厚生費'] },
+                { line: '⑳', key: 'wages', label: '給料賃金', category: 'expenses', accounts: ['給料賃金', '給料手当', '給料', '賃金', '雑給'] },
+                { line: '㉑', key: 'outsourcing', label: '外注工賃', category: 'expenses', accounts: ['外注工賃', '外注費'] },
+                { line: '㉒', key: 'interest', label: '利子割引料', category: 'expenses', accounts: ['利子割引料', '支払利息', '支払利息割引料'] },
+                { line: '㉓', key: 'rent', label: '地代家賃', category: 'expenses', accounts: ['地代家賃'] },
+                { line: '㉔', key: 'bad_debts', label: '貸倒金', category: 'expenses', accounts: ['貸倒金', '貸倒損失'] },
+                ...blanks(['㉕', '㉖', '㉗', '㉘', '㉙', '㉚'], 'expenses'),
+                { line: '㉛', key: 'miscellaneous', label: '雑費', category: 'expenses', accounts: ['雑費'], rest: true },
+                { line: '㉜', key: 'expenses_total', label: '計', formula: (v, sum) => sum('expenses') }
+            ]
+        },
+        {
+            key: 'reserves',
+            title: '各種引当金・準備金等',
+            lines: [
+                { line: '㉝', key: 'net_before_reserves', label: '差引金額（⑦－㉜）', formula: v => v.gross_profit - v.expenses_total },
+                { line: '㉞', key: 'allowance_reversal', label: '繰戻額等 貸倒引当金', category: 'revenues', accounts: SALES_RETURN_ACCOUNTS },
+                { line: '㊲', key: 'reversals_total', label: '繰戻額等 計', formula: v => v.allowance_reversal },
+                { line: '㊳', key: 'family_employee_salaries', label: '繰入額等 専従者給与', category: 'expenses', accounts: FAMILY_EMPLOYEE_ACCOUNTS },
+                { line: '㊴', key: 'allowance_provision', label: '繰入額等 貸倒引当金', category: 'expenses', accounts: ALLOWANCE_ACCOUNTS },
+                { line: '㊷', key: 'provisions_total', label: '繰入額等 計', formula: v => v.family_employee_salaries + v.allowance_provision }
+            ]
+        },
+        {
+            key: 'income',
+            title: '所得金額',
+            lines: [
+                { line: '㊸', key: 'income_before_deduction', label: '青色申告特別控除前の所得金額（㉝＋㊲－㊷）', formula: v => v.net_before_reserves + v.reversals_total - v.provisions_total },
+                { line: '㊹', key: 'blue_deduction', label: '青色申告特別控除額', deduction: true },
+                { line: '㊺', key: 'income', label: '所得金額（㊸－㊹）', formula: v => v.income_before_deduction - v.blue_deduction }
+            ]
+        }
+    ],
+    blue_real_estate: [
+        {
+            key: 'revenues',
+            title: '収入金額',
+            lines: [
+                { line: '①', key: 'rent_income', label: '賃貸料', category: 'revenues', accounts: ['賃貸料', '受取家賃', '不動産賃貸料', '地代収入', '家賃収入'] },
+                { line: '②', key: 'key_money', label: '礼金・権利金・更新料', category: 'revenues', accounts: ['礼金', '権利金', '更新料', '礼金・権利金・更新料'] },
+                { line: '③', key: 'other_income', label: 'その他', category: 'revenues', rest: true },
+                { line: '④', key: 'revenues_total', label: '計', formula: v => v.rent_income + v.key_money + v.other_income }
+            ]
+        },
+        {
+            key: 'expenses',
+            title: '必要経費',
+            lines: [
+                { line: '⑤', key: 'taxes', label: '租税公課', category: 'expenses', accounts: ['租税公課'] },
+                { line: '⑥', key: 'insurance', label: '損害保険料', category: 'expenses', accounts: ['損害保険料', '保険料'] },
+                { line: '⑦', key: 'repairs', label: '修繕費', category: 'expenses', accounts: ['修繕費'] },
+                { line: '⑧', key: 'depreciation', label: '減価償却費', category: 'expenses', accounts: ['減価償却費'] },
+                { line: '⑨', key: 'interest', label: '借入金利子', category: 'expenses', accounts: ['借入金利子', '支払利息', '利子割引料'] },
+                { line: '⑩', key: 'rent', label: '地代家賃', category: 'expenses', accounts: ['地代家賃'] },
+                { line: '⑪', key: 'wages', label: '給料賃金', category: 'expenses', accounts: ['給料賃金', '給料手当', '給料', '賃金', '雑給'] },
+                ...blanks(['⑫', '⑬', '⑭', '⑮', '⑯', '⑰'], 'expenses'),
+                { line: '⑱', key: 'other_expenses', label: 'その他の経費', category: 'expenses', rest: true },
+                { line: '⑲', key: 'expenses_total', label: '計', formula: (v, sum) => sum('expenses') },
+                { line: '⑳', key: 'net_before_family', label: '差引金額（④－⑲）', formula: v => v.revenues_total - v.expenses_total },
+                { line: '㉑', key: 'family_employee_salaries', label: '専従者給与', category: 'expenses', accounts: FAMILY_EMPLOYEE_ACCOUNTS }
+            ]
+        },
+        {
+            key: 'income',
+            title: '所得金額',
+            lines: [
+                { line: '㉒', key: 'income_before_deduction', label: '青色申告特別控除前の所得金額（⑳－㉑）', formula: v => v.net_before_family - v.family_employee_salaries },
+                { line: '㉓', key: 'blue_deduction', label: '青色申告特別控除額', deduction: true },
+                { line: '㉔', key: 'income', label: '所得金額（㉒－㉓）', formula: v => v.income_before_deduction - v.blue_deduction }
+            ]
+        }
+    ],
+    white_general: [
+        {
+            key: 'revenues',
+            title: '収入金額',
+            lines: [
+                { line: '①', key: 'sales', label: '売上（収入）金額', category: 'revenues', rest: true },
+                { line: '②', key: 'household_consumption', label: '家事消費', category: 'revenues', accounts: HOUSEHOLD_CONSUMPTION_ACCOUNTS },
+                { line: '③', key: 'other_income', label: 'その他の収入', category: 'revenues', accounts: MISC_INCOME_ACCOUNTS.concat(SALES_RETURN_ACCOUNTS) },
+                { line: '④', key: 'revenues_total', label: '計', formula: v => v.sales + v.household_consumption + v.other_income }
+            ]
+        },
+        { key: 'cost_of_sales', title: '売上原価', lines: COST_OF_SALES_LINES(['⑤', '⑥', '⑦', '⑧', '⑨']) },
+        {
+            key: 'gross_profit',
+            title: '差引金額',
+            lines: [{ line: '⑩', key: 'gross_profit', label: '差引金額（④－⑨）', formula: v => v.revenues_total - v.cost_of_sales }]
+        },
+        {
+            key: 'expenses',
+            title: '経費',
+            lines: [
+                { line: '⑪', key: 'wages', label: '給料賃金', category: 'expenses', accounts: ['給料賃金', '給料手当', '給料', '賃金', '雑給'] },
+                { line: '⑫', key: 'outsourcing', label: '外注工賃', category: 'expenses', accounts: ['外注工賃', '外注費'] },
+                { line: '⑬', key: 'depreciation', label: '減価償却費', category: 'expenses', accounts: ['減価償却費'] },
+                { line: '⑭', key: 'bad_debts', label: '貸倒金', category: 'expenses', accounts: ['貸倒金', '貸倒損失'] },
+                { line: '⑮', key: 'rent', label: '地代家賃', category: 'expenses', accounts: ['地代家賃'] },
+                { line: '⑯', key: 'interest', label: '利子割引料', category: 'expenses', accounts: ['利子割引料', '支払利息', '支払利息割引料'] },
+                { line: '⑰ア', key: 'taxes', label: 'その他の経費 租税公課', category: 'expenses', accounts: ['租税公課'] },
+                { line: '⑰イ', key: 'packing_freight', label: 'その他の経費 荷造運賃', category: 'expenses', accounts: ['荷造運賃', '荷造運搬費', '発送費', '運賃'] },
+                { line: '⑰ウ', key: 'utilities', label: 'その他の経費 水道光熱費', category: 'expenses', accounts: ['水道光熱費', '水道料', '光熱費'] },
+                { line: '⑰エ', key: 'travel', label: 'その他の経費 旅費交通費', category: 'expenses', accounts: ['旅費交通費', '旅費'] },
+                { line: '⑰オ', key: 'communication', label: 'その他の経費 通信費', category: 'expenses', accounts: ['通信費'] },
+                { line: '⑰カ', key: 'advertising', label: 'その他の経費 広告宣伝費', category: 'expenses', accounts: ['広告宣伝費', '広告費'] },
+                { line: '⑰キ', key: 'entertainment', label: 'その他の経費 接待交際費', category: 'expenses', accounts: ['接待交際費', '交際費'] },
+                { line: '⑰ク', key: 'insurance', label: 'その他の経費 損害保険料', category: 'expenses', accounts: ['損害保険料', '保険料'] },
+                { line: '⑰ケ', key: 'repairs', label: 'その他の経費 修繕費', category: 'expenses', accounts: ['修繕費'] },
+                { line: '⑰コ', key: 'supplies', label: 'その他の経費 消耗品費', category: 'expenses', accounts: ['消耗品費', '事務用消耗品費'] },
+                { line: '⑰サ', key: 'welfare', label: 'その他の経費 福利厚生費', category: 'expenses', accounts: ['福利厚生費'] },
+                ...blanks(['⑰シ', '⑰ス', '⑰セ'], 'expenses'),
+                { line: '⑰ソ', key: 'miscellaneous', label: 'その他の経費 雑費', category: 'expenses', accounts: ['雑費'], rest: true },
+                { line: '⑱', key: 'expenses_total', label: '経費計', formula: (v, sum) => sum('expenses') }
+            ]
+        },
+        {
+            key: 'income',
+            title: '所得金額',
+            lines: [
+                { line: '⑲', key: 'income_before_deduction', label: '専従者控除前の所得金額（⑩－⑱）', formula: v => v.gross_profit - v.expenses_total },
+                { line: '⑳', key: 'family_employee_deduction', label: '専従者控除', formula: () => 0 },
+                { line: '㉑', key: 'income', label: '所得金額（⑲－⑳）', formula: v => v.income_before_deduction - v.family_employee_deduction }
+            ]
+        }
+    ],
+    white_real_estate: [
+        {
+            key: 'revenues',
+            title: '収入金額',
+            lines: [
+                { line: '①', key: 'rent_income', label: '賃貸料', category: 'revenues', accounts: ['賃貸料', '受取家賃', '不動産賃貸料', '地代収入', '家賃収入'] },
+                { line: '②', key: 'key_money', label: '礼金・権利金・更新料', category: 'revenues', accounts: ['礼金', '権利金', '更新料', '礼金・権利金・更新料'] },
+                { line: '③', key: 'other_income', label: 'その他', category: 'revenues', rest: true },
+                { line: '④', key: 'revenues_total', label: '計', formula: v => v.rent_income + v.key_money + v.other_income }
+            ]
+        },
+        {
+            key: 'expenses',
+            title: '必要経費',
+            lines: [
+                { line: '⑤', key: 'wages', label: '給料賃金', category: 'expenses', accounts: ['給料賃金', '給料手当', '給料', '賃金', '雑給'] },
+                { line: '⑥', key: 'depreciation', label: '減価償却費', category: 'expenses', accounts: ['減価償却費'] },
+                { line: '⑦', key: 'bad_debts', label: '貸倒金', category: 'expenses', accounts: ['貸倒金', '貸倒損失'] },
+                { line: '⑧', key: 'rent', label: '地代家賃', category: 'expenses', accounts: ['地代家賃'] },
+                { line: '⑨', key: 'interest', label: '借入金利子', category: 'expenses', accounts: ['借入金利子', '支払利息', '利子割引料'] },
+                { line: '⑩', key: 'taxes', label: '租税公課', category: 'expenses', accounts: ['租税公課'] },
+                { line: '⑪', key: 'insurance', label: '損害保険料', category: 'expenses', accounts: ['損害保険料', '保険料'] },
+                { line: '⑫', key: 'repairs', label: '修繕費', category: 'expenses', accounts: ['修繕費'] },
+                { line: '⑬', key: 'other_expenses', label: 'その他の経費', category: 'expenses', rest: true },
+                { line: '⑭', key: 'expenses_total', label: '計', formula: (v, sum) => sum('expenses') }
+            ]
+        },
+        {
+            key: 'income',
+            title: '所得金額',
+            lines: [
+                { line: '⑮', key: 'income_before_deduction', label: '専従者控除前の所得金額（④－⑭）', formula: v => v.revenues_total - v.expenses_total },
+                { line: '⑯', key: 'family_employee_deduction', label: '専従者控除', formula: () => 0 },
+                { line: '⑰', key: 'income', label: '所得金額（⑮－⑯）', formula: v => v.income_before_deduction - v.family_employee_deduction }
+            ]
+        }
+    ]
+};
+
+// 青色申告決算書（一般用）の貸借対照表。元入金・事業主貸・事業主借・所得金額は帳簿の残高から計算する
+const BALANCE_SHEET_LINES = {
+    assets: [
+        { key: 'cash', label: '現金', accounts: ['現金', '小口現金'] },
+        { key: 'checking', label: '当座預金', accounts: ['当座預金'] },
+        { key: 'time_deposits', label: '定期預金', accounts: ['定期預金'] },
+        { key: 'other_deposits', label: 'その他の預金', accounts: ['普通預金', 'その他の預金', '通知預金', '積立預金'] },
+        { key: 'notes_receivable', label: '受取手形', accounts: ['受取手形'] },
+        { key: 'accounts_receivable', label: '売掛金', accounts: ['売掛金'] },
+        { key: 'securities', label: '有価証券', accounts: ['有価証券'] },
+        { key: 'inventory', label: '棚卸資産', accounts: ['棚卸資産', '商品', '製品', '原材料', '仕掛品', '貯蔵品'] },
+        { key: 'prepayments', label: '前払金', accounts: ['前払金', '前払費用'] },
+        { key: 'loans_receivable', label: '貸付金', accounts: ['貸付金', '短期貸付金', '長期貸付金'] },
+        { key: 'buildings', label: '建物', accounts: ['建物'] },
+        { key: 'building_fixtures', label: '建物附属設備', accounts: ['建物附属設備'] },
+        { key: 'machinery', label: '機械装置', accounts: ['機械装置', '機械及び装置'] },
+        { key: 'vehicles', label: '車両運搬具', accounts: ['車両運搬具'] },
+        { key: 'tools', label: '工具器具備品', accounts: ['工具器具備品', '工具、器具及び備品', '器具備品'] },
+        { key: 'land', label: '土地', accounts: ['土地'] },
+        { key: 'other_assets', label: 'その他の資産', rest: true }
+    ],
+    liabilities: [
+        { key: 'notes_payable', label: '支払手形', accounts: ['支払手形'] },
+        { key: 'accounts_payable', label: '買掛金', accounts: ['買掛金'] },
+        { key: 'borrowings', label: '借入金', accounts: ['借入金', '短期借入金', '長期借入金'] },
+        { key: 'accrued', label: '未払金', accounts: ['未払金', '未払費用'] },
+        { key: 'advances_received', label: '前受金', accounts: ['前受金'] },
+        { key: 'deposits_received', label: '預り金', accounts: ['預り金'] },
+        { key: 'allowance', label: '貸倒引当金', accounts: ['貸倒引当金'], sign: -1 },
+        { key: 'other_liabilities', label: 'その他の負債', rest: true }
+    ]
+};
+const DRAWING_ACCOUNT = '事業主貸';
+const CONTRIBUTION_ACCOUNT = '事業主借';
+
+// 期間内の収益・費用を、月・事業セクション（NULL は共通）・科目ごとに集計する
+const fetchMonthlySegmentTotals = async (db, organizationId, period) => {
+    const result = await db.query(
+        `SELECT to_char(t.transaction_date, 'YYYY-MM') AS month, t.business_type_id::text AS segment_id,
+                m.id AS account_id, m.category, m.sub_category, m.account_name,
+                COALESCE(SUM(CASE WHEN l.side = 'debit' THEN l.amount END), 0)::bigint AS debit,
+                COALESCE(SUM(CASE WHEN l.side = 'credit' THEN l.amount END), 0)::bigint AS credit
+         FROM transaction_lines l
+         JOIN transactions t ON l.transaction_id = t.id
+         JOIN master_accounts m ON l.account_id = m.id
+         WHERE t.organization_id = $1 AND t.transaction_date BETWEEN $2 AND $3
+           AND t.entry_type = 'normal' AND t.deleted_at IS NULL
+           AND m.category IN ('revenues', 'expenses')
+         GROUP BY month, segment_id, m.id
+         ORDER BY month, m.id`,
+        [organizationId, period.from, period.to]
+    );
+    return result.rows.map(toAmounts(['debit', 'credit']));
+};
+
+// 月ごとに共通の収益・費用を配賦ルールで配分し、所得区分ごとの科目別金額にする
+// 配賦ルールのない共通分は、様式が1つならその様式に、複数なら一般用（なければ最初の様式）に含める
+// 戻り値: { byCategory: Map(所得区分 → Map(月 → 科目の配列)), mergedUnallocated }
+const allocateByIncomeCategory = (rows, sections, rules, period, formCategories) => {
+    const fallback = formCategories.includes('business') ? 'business' : formCategories[0];
+    const byCategory = new Map(formCategories.map(category => [category, new Map()]));
+    let mergedUnallocated = false;
+
+    for (const month of monthsOf(period)) {
+        const result = buildSegmentProfitLoss(rows.filter(row => row.month === month), sections, rules);
+        const add = (category, accounts) => {
+            if (!byCategory.has(category)) return;
+            const list = byCategory.get(category).get(month) || [];
+            byCategory.get(category).set(month, list.concat(accounts));
+        };
+        for (const category of formCategories) add(category, []);
+        for (const segment of result.segments) {
+            add(segment.income_category, segment.revenues.accounts.concat(segment.expenses.accounts));
+        }
+        const unallocated = result.unallocated.revenues.accounts.concat(result.unallocated.expenses.accounts);
+        if (unallocated.length > 0 && fallback) {
+            add(fallback, unallocated);
+            if (formCategories.length > 1) mergedUnallocated = true;
+        }
+    }
+    return { byCategory, mergedUnallocated };
+};
+
+// 科目の配列を科目ごとに合計する
+const sumAccounts = (accounts) => {
+    const totals = new Map();
+    for (const account of accounts) {
+        const entry = totals.get(account.account_id)
+            || { account_id: account.account_id, account_name: account.account_name, category: account.category, amount: 0 };
+        entry.amount += account.amount;
+        totals.set(account.account_id, entry);
+    }
+    return [...totals.values()].filter(account => account.amount !== 0);
+};
+
+// 科目を様式の欄に割り当てる。戻り値は欄の key → 科目の配列（blank の欄は科目名を label に使う）
+const assignAccounts = (specs, accounts) => {
+    const assigned = new Map(specs.map(spec => [spec.key, []]));
+    const unmatched = [];
+    for (const account of accounts) {
+        const spec = specs.find(s => s.accounts && s.category === account.category && s.accounts.includes(account.account_name));
+        if (spec) assigned.get(spec.key).push(account);
+        else unmatched.push(account);
+    }
+    for (const category of ['revenues', 'expenses']) {
+        const blankSpecs = specs.filter(s => s.blank && s.category === category);
+        const restSpec = specs.find(s => s.rest && s.category === category);
+        unmatched
+            .filter(account => account.category === category)
+            .sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount))
+            .forEach((account, index) => {
+                const target = blankSpecs[index] || restSpec;
+                if (target) assigned.get(target.key).push(account);
+            });
+    }
+    return assigned;
+};
+
+// 様式の欄を計算する。deduction は青色申告特別控除額（呼び出し側で所得に応じて決める）
+const fillForm = (form, accounts, { deduction = 0 } = {}) => {
+    const specs = FORMS[form].flatMap(section => section.lines);
+    const assigned = assignAccounts(specs, accounts);
+    const values = {};
+    const lines = {};
+    // 経費の計は、経費の区分にある科目の欄（専従者給与・貸倒引当金繰入などの別欄を除く）の合計
+    const sum = (sectionKey) => FORMS[form].find(section => section.key === sectionKey).lines
+        .filter(spec => spec.category === 'expenses' && !spec.formula)
+        .filter(spec => !FAMILY_EMPLOYEE_ACCOUNTS.some(name => (spec.accounts || []).includes(name)))
+        .reduce((total, spec) => total + values[spec.key], 0);
+
+    for (const spec of specs) {
+        let amount;
+        let lineAccounts = [];
+        if (spec.formula) {
+            amount = spec.formula(values, sum);
+        } else if (spec.deduction) {
+            amount = deduction;
+        } else {
+            lineAccounts = assigned.get(spec.key).map(a => ({ ...a, amount: a.amount * (spec.sign || 1) }));
+            amount = lineAccounts.reduce((total, a) => total + a.amount, 0);
+        }
+        values[spec.key] = amount;
+        lines[spec.key] = {
+            line: spec.line,
+            key: spec.key,
+            label: spec.blank ? lineAccounts.map(a => a.account_name).join('・') : spec.label,
+            amount,
+            accounts: lineAccounts.map(({ account_id, account_name, amount: value }) => ({ account_id, account_name, amount: value }))
+        };
+    }
+
+    return {
+        values,
+        sections: FORMS[form].map(section => ({
+            key: section.key,
+            title: section.title,
+            lines: section.lines.map(spec => lines[spec.key])
+        }))
+    };
+};
+
+// 月別売上（収入）金額及び仕入金額（青色申告決算書（一般用））
+const buildMonthlyTable = (monthly) => {
+    const names = (list) => (account) => list.includes(account.account_name);
+    const excluded = [...HOUSEHOLD_CONSUMPTION_ACCOUNTS, ...MISC_INCOME_ACCOUNTS, ...SALES_RETURN_ACCOUNTS];
+    const sumOf = (accounts, filter) => accounts.filter(filter).reduce((total, a) => total + a.amount, 0);
+    const rows = [...monthly.entries()].map(([month, accounts]) => {
+        const summed = sumAccounts(accounts);
+        return {
+            label: `${Number(month.slice(5, 7))}月`,
+            month,
+            values: {
+                sales: sumOf(summed, a => a.category === 'revenues' && !excluded.includes(a.account_name)),
+                purchases: sumOf(summed, a => a.category === 'expenses' && PURCHASE_ACCOUNTS.includes(a.account_name))
+            }
+        };
+    });
+    const all = sumAccounts([...monthly.values()].flat());
+    const household = sumOf(all, a => a.category === 'revenues' && names(HOUSEHOLD_CONSUMPTION_ACCOUNTS)(a));
+    const miscIncome = sumOf(all, a => a.category === 'revenues' && names(MISC_INCOME_ACCOUNTS)(a));
+    rows.push({ label: '家事消費等', values: { sales: household, purchases: null } });
+    rows.push({ label: '雑収入', values: { sales: miscIncome, purchases: null } });
+    rows.push({
+        label: '計',
+        values: {
+            sales: rows.reduce((total, row) => total + (row.values.sales || 0), 0),
+            purchases: rows.reduce((total, row) => total + (row.values.purchases || 0), 0)
+        }
+    });
+    return {
+        key: 'monthly_sales_purchases',
+        title: '月別売上（収入）金額及び仕入金額',
+        columns: [{ key: 'sales', label: '売上（収入）金額' }, { key: 'purchases', label: '仕入金額' }],
+        rows
+    };
+};
+
+// 減価償却費の計算。assets は減価償却明細（/api/reports/depreciation の assets）、businessRatio は減価償却費の事業分の割合（%）
+const buildDepreciationTable = (assets, businessRatio) => {
+    const columns = [
+        { key: 'acquisition_date', label: '取得年月' },
+        { key: 'acquisition_cost', label: '取得価額' },
+        { key: 'depreciation_method', label: '償却方法' },
+        { key: 'useful_life', label: '耐用年数' },
+        { key: 'months', label: '本年中の償却期間' },
+        { key: 'depreciation', label: '本年分の普通償却費' },
+        { key: 'business_ratio', label: '事業専用割合' },
+        { key: 'deductible', label: '本年分の必要経費算入額' },
+        { key: 'closing_book_value', label: '未償却残高' }
+    ];
+    const rows = assets.map(asset => {
+        const deductible = asset.depreciation - privateShare(asset.depreciation, businessRatio);
+        return {
+            label: asset.asset_name,
+            values: {
+                acquisition_date: asset.acquisition_date.slice(0, 7),
+                acquisition_cost: asset.acquisition_cost,
+                depreciation_method: asset.special_treatment === 'immediate' ? '少額' : asset.special_treatment === 'lump_sum' ? '一括' : asset.depreciation_method,
+                useful_life: asset.special_treatment === 'none' ? `${asset.useful_life}年` : '',
+                months: `${asset.months}/12`,
+                depreciation: asset.depreciation,
+                business_ratio: `${businessRatio}%`,
+                deductible,
+                closing_book_value: asset.closing_book_value
+            }
+        };
+    });
+    const total = (key) => rows.reduce((sum, row) => sum + row.values[key], 0);
+    rows.push({
+        label: '計',
+        values: { acquisition_cost: total('acquisition_cost'), depreciation: total('depreciation'), deductible: total('deductible'), closing_book_value: total('closing_book_value') }
+    });
+    return { key: 'depreciation', title: '減価償却費の計算', columns, rows };
+};
+
+// 貸借対照表（資産負債調）。trialBalance は reports.buildTrialBalance の accounts、netIncome は帳簿全体の当期の損益
+// 元入金は期首の資産－負債（期中に元入金などの純資産の科目へ計上した分を含める）。期末の事業主貸・事業主借は当期の増減だけを記入する
+const buildBalanceSheetTable = (trialBalance, netIncome) => {
+    const rows = [];
+    const totals = {};
+    let unmatchedOther = false;
+    for (const side of ['assets', 'liabilities']) {
+        const specs = BALANCE_SHEET_LINES[side];
+        const values = new Map(specs.map(spec => [spec.key, { opening: 0, closing: 0 }]));
+        for (const account of trialBalance) {
+            if (account.category === 'net_assets' || account.category === 'revenues' || account.category === 'expenses') continue;
+            if ([DRAWING_ACCOUNT, CONTRIBUTION_ACCOUNT].includes(account.account_name)) continue;
+            const named = specs.find(spec => spec.accounts && spec.accounts.includes(account.account_name));
+            const spec = named || (account.category === side ? specs.find(s => s.rest) : null);
+            if (!spec) continue;
+            if (!named) unmatchedOther = true;
+            const sign = spec.sign || 1;
+            values.get(spec.key).opening += account.opening_balance * sign;
+            values.get(spec.key).closing += account.closing_balance * sign;
+        }
+        for (const spec of specs) {
+            const value = values.get(spec.key);
+            if (spec.rest && value.opening === 0 && value.closing === 0) continue;
+            rows.push({ label: spec.label, side, values: value });
+        }
+        totals[side] = {
+            opening: [...values.values()].reduce((sum, v) => sum + v.opening, 0),
+            closing: [...values.values()].reduce((sum, v) => sum + v.closing, 0)
+        };
+    }
+
+    const movement = (name) => trialBalance
+        .filter(account => account.account_name === name)
+        .reduce((sum, account) => sum + (account.debit - account.credit), 0);
+    const drawings = movement(DRAWING_ACCOUNT);
+    const contributions = -movement(CONTRIBUTION_ACCOUNT);
+    const capitalMovement = trialBalance
+        .filter(account => account.category === 'net_assets' && ![DRAWING_ACCOUNT, CONTRIBUTION_ACCOUNT].includes(account.account_name))
+        .reduce((sum, account) => sum + (account.credit - account.debit), 0);
+    const capital = totals.assets.opening - totals.liabilities.opening + capitalMovement;
+    rows.splice(rows.findIndex(row => row.side === 'liabilities'), 0,
+        { label: '事業主貸', side: 'assets', values: { opening: 0, closing: drawings } },
+        { label: '資産の部 合計', side: 'assets', values: { opening: totals.assets.opening, closing: totals.assets.closing + drawings } });
+    rows.push(
+        { label: '事業主借', side: 'liabilities', values: { opening: 0, closing: contributions } },
+        { label: '元入金', side: 'liabilities', values: { opening: capital, closing: capital } },
+        { label: '青色申告特別控除前の所得金額', side: 'liabilities', values: { opening: 0, closing: netIncome } },
+        {
+            label: '負債・資本の部 合計',
+            side: 'liabilities',
+            values: { opening: totals.liabilities.opening + capital, closing: totals.liabilities.closing + contributions + capital + netIncome }
+        }
+    );
+    const balanced = totals.assets.closing + drawings === totals.liabilities.closing + contributions + capital + netIncome;
+    return {
+        table: {
+            key: 'balance_sheet',
+            title: '貸借対照表（資産負債調）',
+            columns: [{ key: 'opening', label: '期首' }, { key: 'closing', label: '期末' }],
+            rows
+        },
+        balanced,
+        unmatchedOther
+    };
+};
+
+// 決算書・収支内訳書を作る
+//   rows            fetchMonthlySegmentTotals の結果
+//   sections        事業セクション（income_category 付き）、rules は事業セクションの配賦ルール
+//   trialBalance    reports.buildTrialBalance の accounts（青色申告の貸借対照表に使う）
+//   depreciation    減価償却明細の assets、depreciationRatio は減価償却費の事業分の割合（%）
+//   returnType      blue / white、blueDeduction は青色申告特別控除額の上限
+const buildTaxReturn = ({ period, rows, sections, rules, trialBalance, depreciation, depreciationRatio = 100, returnType, blueDeduction }) => {
+    const warnings = [];
+    const categories = [...new Set(sections.map(s => s.income_category))];
+    const formCategories = Object.keys(FORM_KINDS).filter(category => categories.includes(category));
+    if (categories.includes('miscellaneous')) {
+        warnings.push('雑所得の事業セクションは決算書・収支内訳書の対象外のため、様式を作成していません。');
+    }
+    if (formCategories.length === 0) {
+        warnings.push('事業所得・不動産所得の事業セクションがないため、様式を作成できません。設定で事業セクションを登録してください。');
+    }
+
+    const { byCategory, mergedUnallocated } = allocateByIncomeCategory(rows, sections, rules, period, formCategories);
+    if (mergedUnallocated) {
+        warnings.push('配賦ルールのない共通の収益・費用は一般用（事業所得）に含めました。所得区分ごとに分ける場合は共通費の配賦ルールを設定してください。');
+    }
+
+    // 青色申告特別控除は不動産所得から先に控除し、残りを事業所得から控除する
+    let remainingDeduction = returnType === 'blue' ? blueDeduction : 0;
+    const order = ['real_estate', 'business'].filter(category => formCategories.includes(category));
+    const forms = order.map(category => {
+        const form = `${returnType}_${FORM_KINDS[category]}`;
+        const accounts = sumAccounts([...byCategory.get(category).values()].flat());
+        const before = fillForm(form, accounts).values.income_before_deduction;
+        const deduction = Math.min(remainingDeduction, Math.max(before, 0));
+        remainingDeduction -= deduction;
+        const filled = fillForm(form, accounts, { deduction });
+        return {
+            form,
+            title: FORM_TITLES[form],
+            income_category: category,
+            sections: filled.sections,
+            tables: [],
+            income_before_deduction: filled.values.income_before_deduction,
+            deduction: returnType === 'blue' ? deduction : 0,
+            income: filled.values.income,
+            monthly: byCategory.get(category)
+        };
+    });
+
+    // 減価償却費の計算は一般用（なければ不動産所得用）に記載する
+    const depreciationForm = forms.find(f => f.income_category === 'business') || forms[0];
+    if (depreciationForm && depreciation.length > 0) {
+        depreciationForm.tables.push(buildDepreciationTable(depreciation, depreciationRatio));
+    }
+    const general = forms.find(f => f.form === 'blue_general');
+    if (general) {
+        general.tables.unshift(buildMonthlyTable(general.monthly));
+        const netIncome = trialBalance.reduce((sum, a) => {
+            if (a.category === 'revenues') return sum + a.credit - a.debit;
+            if (a.category === 'expenses') return sum - (a.debit - a.credit);
+            return sum;
+        }, 0);
+        const balanceSheet = buildBalanceSheetTable(trialBalance, netIncome);
+        general.tables.push(balanceSheet.table);
+        if (!balanceSheet.balanced) {
+            warnings.push('貸借対照表の資産と負債・資本の合計が一致しません。純資産の科目（元入金以外）の残高を確認してください。');
+        }
+        if (balanceSheet.unmatchedOther) {
+            warnings.push('貸借対照表の欄に当てはまらない科目は「その他の資産」「その他の負債」にまとめました。');
+        }
+    }
+
+    return {
+        fiscal_year: Number(period.from.slice(0, 4)),
+        period,
+        return_type: returnType,
+        return_type_label: RETURN_TYPES[returnType],
+        blue_deduction_limit: returnType === 'blue' ? blueDeduction : 0,
+        forms: forms.map(({ monthly, ...form }) => form),
+        warnings
+    };
+};
+
+// e-Tax への転記用のCSVの行（様式, 区分, 欄, 項目, 列, 金額）
+const toCsvRows = (result) => {
+    const rows = [['様式', '区分', '欄', '項目', '列', '金額']];
+    for (const form of result.forms) {
+        for (const section of form.sections) {
+            for (const line of section.lines) {
+                rows.push([form.title, section.title, line.line, line.label, '', line.amount]);
+            }
+        }
+        for (const table of form.tables) {
+            for (const row of table.rows) {
+                for (const column of table.columns) {
+                    const value = row.values[column.key];
+                    if (value === null || value === undefined || value === '') continue;
+                    rows.push([form.title, table.title, '', row.label, column.label, value]);
+                }
+            }
+        }
+    }
+    return rows;
+};
+
+const yen = (value) => (typeof value === 'number' ? value.toLocaleString('ja-JP') : String(value ?? ''));
+
+// 印刷用のPDF。様式ごとに、欄の一覧（縦向き）と明細の表（横向き）をページに分けて出力する
+const renderTaxReturnPdf = (result, { organizationName = '' } = {}) => {
+    const pdf = createPdfDocument();
+    const margin = 40;
+    const rowHeight = 16;
+    let y = 0;
+    let page = null;
+
+    const header = (form, title, size) => {
+        page = pdf.addPage(size);
+        pdf.text(margin, margin, `${form.title}　${title}`, { size: 14 });
+        pdf.text(page.width - margin, margin + 2, `${result.period.from} 〜 ${result.period.to}　${organizationName}`, { size: 9, align: 'right' });
+        y = margin + 30;
+    };
+    const ensureSpace = (form, title, size) => {
+        if (y + rowHeight > page.height - margin) header(form, `${title}（続き）`, size);
+    };
+
+    for (const form of result.forms) {
+        header(form, '損益計算書', 'a4_portrait');
+        const labelX = margin + 40;
+        const amountX = page.width - margin - 8;
+        for (const section of form.sections) {
+            ensureSpace(form, '損益計算書', 'a4_portrait');
+            pdf.rect(margin, y, page.width - margin * 2, rowHeight, { fill: 0.9 });
+            pdf.text(margin + 4, y + 3, section.title, { size: 10 });
+            y += rowHeight;
+            for (const line of section.lines) {
+                ensureSpace(form, '損益計算書', 'a4_portrait');
+                pdf.text(margin + 4, y + 3, line.line, { size: 10 });
+                pdf.text(labelX, y + 3, line.label, { size: 10 });
+                pdf.text(amountX, y + 3, yen(line.amount), { size: 10, align: 'right' });
+                pdf.line(margin, y + rowHeight, page.width - margin, y + rowHeight);
+                y += rowHeight;
+            }
+        }
+
+        for (const table of form.tables) {
+            const size = table.columns.length > 3 ? 'a4_landscape' : 'a4_portrait';
+            header(form, table.title, size);
+            const labelWidth = 140;
+            const columnWidth = (page.width - margin * 2 - labelWidth) / table.columns.length;
+            const drawHead = () => {
+                pdf.rect(margin, y, page.width - margin * 2, rowHeight + 4, { fill: 0.9 });
+                table.columns.forEach((column, i) => {
+                    pdf.text(margin + labelWidth + columnWidth * (i + 1) - 4, y + 5, column.label, { size: 8, align: 'right' });
+                });
+                y += rowHeight + 4;
+            };
+            drawHead();
+            for (const row of table.rows) {
+                if (y + rowHeight > page.height - margin) {
+                    header(form, `${table.title}（続き）`, size);
+                    drawHead();
+                }
+                pdf.text(margin + 4, y + 4, row.label, { size: 9 });
+                table.columns.forEach((column, i) => {
+                    pdf.text(margin + labelWidth + columnWidth * (i + 1) - 4, y + 4, yen(row.values[column.key]), { size: 9, align: 'right' });
+                });
+                pdf.line(margin, y + rowHeight, page.width - margin, y + rowHeight);
+                y += rowHeight;
+            }
+        }
+    }
+
+    if (result.warnings.length > 0) {
+        page = pdf.addPage('a4_portrait');
+        pdf.text(margin, margin, '確認事項', { size: 14 });
+        y = margin + 30;
+        for (const warning of result.warnings) {
+            pdf.text(margin, y, `・${warning}`, { size: 9 });
+            y += rowHeight;
+        }
+    }
+    if (result.forms.length === 0 && result.warnings.length === 0) pdf.addPage('a4_portrait');
+    return pdf.toBuffer();
+};
+
+module.exports = {
+    RETURN_TYPES,
+    BLUE_DEDUCTIONS,
+    FORM_TITLES,
+    fetchMonthlySegmentTotals,
+    buildTaxReturn,
+    toCsvRows,
+    renderTaxReturnPdf
+};
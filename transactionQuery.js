@@ -0,0 +1,188 @@
+// transactionQuery.js - 仕訳一覧の絞り込み・並べ替え・ページ送り
+
+const { TAX_CATEGORIES } = require('./consumptionTax');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ACCOUNT_CATEGORIES = ['assets', 'liabilities', 'net_assets', 'expenses', 'revenues'];
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// 並べ替え。同じ日付・金額の仕訳は id 順にしてページの境目を一意にする
+const SORTS = {
+    date_desc: { key: 't.transaction_date', direction: 'DESC', cast: 'date' },
+    date_asc: { key: 't.transaction_date', direction: 'ASC', cast: 'date' },
+    amount_desc: { key: 'totals.amount', direction: 'DESC', cast: 'bigint' },
+    amount_asc: { key: 'totals.amount', direction: 'ASC', cast: 'bigint' }
+};
+
+// 次のページの位置（最後に返した仕訳の並べ替えキーと id）。中身は API の利用者に意識させない
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (Array.isArray(decoded) && decoded.length === 2 && Number.isInteger(decoded[1])) return decoded;
+    } catch (error) {
+        // 不正な値は下で null を返す
+    }
+    return null;
+};
+
+// 整数の一覧（"1,2,3"）。1つでも整数でなければ null
+const parseIdList = (value) => {
+    const ids = String(value).split(',').map(v => v.trim()).filter(Boolean);
+    return ids.length > 0 && ids.every(v => /^\d+$/.test(v)) ? ids.map(Number) : null;
+};
+
+// 検索条件から、該当する仕訳の id を1ページ分取り出すSQLと、該当する全件の合計を出すSQLを組み立てる
+// 条件はすべて AND で組み合わせる。科目・大分類・税区分は、それらをすべて満たす明細を含む仕訳に絞り込む
+//   from / to            取引日の範囲（YYYY-MM-DD）
+//   account_id           勘定科目（カンマ区切りで複数可）
+//   category             勘定科目の大分類（assets, liabilities, net_assets, expenses, revenues）
+//   tax_category         税区分
+//   amount_min / amount_max  仕訳の金額（借方合計）の範囲
+//   q                    摘要の部分一致
+//   department_id        部門（none は共通）
+//   counterparty_id      取引先（none は未設定）
+//   business_type_id     事業セクション（none は共通）
+//   include_deleted      true なら削除した仕訳も含める
+//   sort                 date_desc（既定）, date_asc, amount_desc, amount_asc
+//   limit / cursor       1ページの件数（既定100、最大500）と、前のページの next_cursor
+const buildTransactionSearch = (organizationId, query) => {
+    const conditions = ['t.organization_id = $1'];
+    const lineConditions = [];
+    const params = [organizationId];
+    const add = (list, sql, value) => {
+        params.push(value);
+        list.push(sql.replace('?', `$${params.length}`));
+    };
+    const present = (key) => query[key] !== undefined && query[key] !== '';
+
+    for (const key of ['from', 'to']) {
+        if (present(key) && !DATE_PATTERN.test(query[key])) {
+            return { error: '期間は YYYY-MM-DD 形式で指定してください。' };
+        }
+    }
+    for (const key of ['amount_min', 'amount_max']) {
+        if (present(key) && !Number.isInteger(Number(query[key]))) {
+            return { error: '金額は整数で指定してください。' };
+        }
+    }
+    const accountIds = present('account_id') ? parseIdList(query.account_id) : [];
+    if (!accountIds) {
+        return { error: 'account_id は勘定科目のIDをカンマ区切りで指定してください。' };
+    }
+    if (present('category') && !ACCOUNT_CATEGORIES.includes(query.category)) {
+        return { error: `category は ${ACCOUNT_CATEGORIES.join(', ')} のいずれかを指定してください。` };
+    }
+    if (present('tax_category') && !TAX_CATEGORIES[query.tax_category]) {
+        return { error: `tax_category は ${Object.keys(TAX_CATEGORIES).join(', ')} のいずれかを指定してください。` };
+    }
+    if (present('department_id') && query.department_id !== 'none' && !/^\d+$/.test(query.department_id)) {
+        return { error: 'department_id は部門のID、または none（共通）を指定してください。' };
+    }
+    if (present('counterparty_id') && query.counterparty_id !== 'none' && !/^\d+$/.test(query.counterparty_id)) {
+        return { error: 'counterparty_id は取引先のID、または none（未設定）を指定してください。' };
+    }
+    const sortName = query.sort || 'date_desc';
+    const sort = SORTS[sortName];
+    if (!sort) {
+        return { error: `sort は ${Object.keys(SORTS).join(', ')} のいずれかを指定してください。` };
+    }
+    const cursor = present('cursor') ? decodeCursor(query.cursor) : null;
+    if (present('cursor') && !(cursor && (sort.cast === 'date' ? DATE_PATTERN : /^\d+$/).test(cursor[0]))) {
+        return { error: 'cursor が不正です。一覧を最初から取得し直してください。' };
+    }
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    if (query.include_deleted !== 'true') conditions.push('t.deleted_at IS NULL');
+    if (present('from')) add(conditions, 't.transaction_date >= ?', query.from);
+    if (present('to')) add(conditions, 't.transaction_date <= ?', query.to);
+    if (present('q')) add(conditions, "t.notes ILIKE ? ESCAPE '\\'", `%${String(query.q).replace(/[\\%_]/g, '\\$&')}%`);
+    if (query.department_id === 'none') conditions.push('t.department_id IS NULL');
+    else if (present('department_id')) add(conditions, 't.department_id = ?', Number(query.department_id));
+    if (query.counterparty_id === 'none') conditions.push('t.counterparty_id IS NULL');
+    else if (present('counterparty_id')) add(conditions, 't.counterparty_id = ?', Number(query.counterparty_id));
+    if (query.business_type_id === 'none') conditions.push('t.business_type_id IS NULL');
+    else if (present('business_type_id')) add(conditions, 't.business_type_id = ?', String(query.business_type_id));
+    if (present('amount_min')) add(conditions, 'totals.amount >= ?', Number(query.amount_min));
+    if (present('amount_max')) add(conditions, 'totals.amount <= ?', Number(query.amount_max));
+
+    if (accountIds.length > 0) add(lineConditions, 'l.account_id = ANY(?::int[])', accountIds);
+    if (present('category')) add(lineConditions, 'm.category = ?', query.category);
+    if (present('tax_category')) add(lineConditions, 'l.tax_category = ?', query.tax_category);
+    if (lineConditions.length > 0) {
+        conditions.push(`EXISTS (SELECT 1 FROM transaction_lines l JOIN master_accounts m ON l.account_id = m.id
+                                 WHERE l.transaction_id = t.id AND ${lineConditions.join(' AND ')})`);
+    }
+
+    // 仕訳の金額（借方合計）は並べ替え・絞り込みに使うため、仕訳ごとに集計してから条件を当てる
+    const from = `FROM transactions t
+        CROSS JOIN LATERAL (
+            SELECT SUM(l.amount) FILTER (WHERE l.side = 'debit') AS amount
+            FROM transaction_lines l WHERE l.transaction_id = t.id
+        ) totals`;
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    // 合計は条件に合う仕訳全体で出す。明細の条件がある場合、借方・貸方・消費税額は条件に合う明細だけを合計する
+    const totalsSql = `
+        SELECT COUNT(*)::int AS count,
+               COALESCE(SUM(totals.amount), 0)::bigint AS amount,
+               COALESCE(SUM(matched_lines.debit), 0)::bigint AS debit,
+               COALESCE(SUM(matched_lines.credit), 0)::bigint AS credit,
+               COALESCE(SUM(matched_lines.tax_amount), 0)::bigint AS tax_amount
+        ${from}
+        CROSS JOIN LATERAL (
+            SELECT SUM(l.amount) FILTER (WHERE l.side = 'debit') AS debit,
+                   SUM(l.amount) FILTER (WHERE l.side = 'credit') AS credit,
+                   SUM(l.tax_amount) AS tax_amount
+            FROM transaction_lines l JOIN master_accounts m ON l.account_id = m.id
+            WHERE ${['l.transaction_id = t.id'].concat(lineConditions).join(' AND ')}
+        ) matched_lines
+        ${where}`;
+
+    // ページ送りは (並べ替えキー, id) の大小で続きから取り出す（件数が多くても OFFSET のように遅くならない）
+    const totalsParams = params.slice();
+    let after = '';
+    if (cursor) {
+        params.push(cursor[0], cursor[1]);
+        after = ` AND (${sort.key}, t.id) ${sort.direction === 'DESC' ? '<' : '>'} ($${params.length - 1}::${sort.cast}, $${params.length})`;
+    }
+    const pageSql = `
+        SELECT t.id, ${sort.key} AS sort_value
+        ${from}
+        ${where}${after}
+        ORDER BY ${sort.key} ${sort.direction}, t.id ${sort.direction}
+        LIMIT ${limit + 1}`;
+
+    return { pageSql, pageParams: params, totalsSql, totalsParams, limit, sort: sortName };
+};
+
+// 1ページ分の仕訳と、次のページの cursor（最後のページなら null）・合計を返す
+// fetchRows(ids) は id の仕訳を取得する関数（明細・証憑などを付けた一覧の形式）
+const searchTransactions = async (db, search, fetchRows) => {
+    const [page, totals] = await Promise.all([
+        db.query(search.pageSql, search.pageParams),
+        db.query(search.totalsSql, search.totalsParams)
+    ]);
+    const hasMore = page.rows.length > search.limit;
+    const pageRows = page.rows.slice(0, search.limit);
+    const rows = pageRows.length > 0 ? await fetchRows(pageRows.map(row => row.id)) : [];
+    const byId = new Map(rows.map(row => [row.id, row]));
+    const last = pageRows[pageRows.length - 1];
+    const { count, amount, debit, credit, tax_amount } = totals.rows[0];
+    return {
+        transactions: pageRows.map(row => byId.get(row.id)).filter(Boolean),
+        next_cursor: hasMore ? encodeCursor(String(last.sort_value), last.id) : null,
+        sort: search.sort,
+        totals: { count, amount: Number(amount), debit: Number(debit), credit: Number(credit), tax_amount: Number(tax_amount) }
+    };
+};
+
+module.exports = {
+    SORTS,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    buildTransactionSearch,
+    searchTransactions
+};